@@ -4,13 +4,20 @@ import http from "http";
 import { Server as SocketIOServer } from "socket.io";
 import cors from "cors";
 import pool from "./config/database.js";
-import Challenge from "./models/Challenge.js";
-import OngoingMatch from "./models/OngoingMatch.js";
 // OLD: import MatchResultChecker from './services/MatchResultChecker.js'; // Replaced by PerMatchResultChecker
 import PerMatchResultChecker from "./services/PerMatchResultChecker.js";
-import paymentService from "./services/paymentService.js";
 import PaymentTimeoutChecker from "./services/PaymentTimeoutChecker.js";
+import paymentReconciler from "./services/PaymentReconciler.js";
+import settlementScheduler from "./services/SettlementScheduler.js";
+import manualResultService from "./services/manualResultService.js";
 import monitoringService from "./services/monitoringService.js";
+import {
+  startQueues,
+  stopQueues,
+  startQueuePruning,
+  stopQueuePruning,
+} from "./services/paymentQueueManager.js";
+import ledgerService from "./services/ledgerService.js";
 import migrationRunner from "./utils/migrationRunner.js";
 // renderInit is now handled by init-render-db.js in production
 
@@ -23,12 +30,16 @@ import matchResultRoutes from "./routes/matchResultRoutes.js";
 import paymentRoutes from "./routes/paymentRoutes.js";
 import paymentController from "./controllers/paymentController.js";
 import statsRoutes from "./routes/statsRoutes.js";
+import leaderboardRoutes from "./routes/leaderboardRoutes.js";
 import walletRoutes from "./routes/walletRoutes.js";
 import monitoringRoutes from "./routes/monitoringRoutes.js";
 import queueMonitorRoutes from "./routes/queueMonitorRoutes.js";
 import aggregateRoutes from "./routes/aggregateRoutes.js";
 import debugRoutes from "./routes/debugRoutes.js";
 import { apiTimeout } from "./middleware/timeout.js";
+import { registerRealtimeGateway, attachClusterAdapter } from "./realtime/gateway.js";
+import presenceService from "./services/presenceService.js";
+import leaderLock from "./services/leaderLock.js";
 
 dotenv.config();
 
@@ -45,829 +56,26 @@ const io = new SocketIOServer(server, {
 paymentController.constructor.setSocketIO(io);
 PerMatchResultChecker.setSocketIO(io);
 PaymentTimeoutChecker.setSocketIO(io);
+manualResultService.setSocketIO(io);
 
 app.set("socketio", io);
-
-// In-memory store for online users
-const onlineUsers = {};
 app.set("io", io);
-app.set("onlineUsers", onlineUsers);
-
-io.on("connection", (socket) => {
-  socket.on("user-online", (user) => {
-    if (user && user.id) {
-      console.log("User joining room:", user.id, "with socket:", socket.id);
-      socket.join(user.id.toString());
-      onlineUsers[socket.id] = { ...user, socketId: socket.id };
-      io.emit("online-users", Object.values(onlineUsers));
-
-      // Test room functionality by sending a welcome message to the specific user
-      setTimeout(() => {
-        io.to(user.id.toString()).emit("test-room-message", {
-          message: `Welcome ${user.username}! Your socket room is working.`,
-          userId: user.id,
-        });
-      }, 1000);
-
-      // Check for pending payment challenges and re-emit if user reconnected
-      setTimeout(async () => {
-        try {
-          // Only re-emit payment notifications if:
-          // 1. Challenge status is 'accepted' (not deposits_complete or started)
-          // 2. Challenge has bet_amount > 0
-          // 3. User hasn't paid yet OR only one player has paid
-          // 4. No ongoing match exists for this challenge
-          const pendingChallenges = await pool.query(
-            `
-            SELECT DISTINCT
-              c.id,
-              c.challenger,
-              c.opponent,
-              c.bet_amount,
-              c.platform,
-              c.status as challenge_status,
-              CASE 
-                WHEN c.platform = 'chess.com' THEN cu.chess_com_username 
-                WHEN c.platform = 'lichess' THEN cu.lichess_username 
-                ELSE cu.username 
-              END as challenger_username,
-              CASE 
-                WHEN c.platform = 'chess.com' THEN ou.chess_com_username 
-                WHEN c.platform = 'lichess' THEN ou.lichess_username 
-                ELSE ou.username 
-              END as opponent_username,
-              (
-                SELECT COUNT(*) 
-                FROM payments p 
-                WHERE p.challenge_id = c.id 
-                  AND p.transaction_type = 'deposit' 
-                  AND p.status = 'completed'
-              ) as completed_payments,
-              (
-                SELECT COUNT(*) 
-                FROM payments p 
-                WHERE p.challenge_id = c.id 
-                  AND p.user_id = $1
-                  AND p.transaction_type = 'deposit' 
-                  AND p.status = 'completed'
-              ) as user_paid,
-              (
-                SELECT COUNT(*)
-                FROM ongoing_matches om
-                WHERE om.challenge_id = c.id
-              ) as match_started
-            FROM challenges c
-            JOIN users cu ON c.challenger = cu.id
-            JOIN users ou ON c.opponent = ou.id
-            WHERE c.status = 'accepted'
-            AND c.bet_amount > 0
-            AND (c.challenger = $1 OR c.opponent = $1)
-            AND c.updated_at > NOW() - INTERVAL '10 minutes'
-            `,
-            [user.id]
-          );
-
-          // Filter to only show notifications where user still needs to pay
-          // AND both payments are not complete AND match hasn't started
-          const validChallenges = pendingChallenges.rows.filter(
-            (challenge) =>
-              challenge.completed_payments < 2 && // Both haven't paid yet
-              challenge.user_paid === 0 && // This user hasn't paid
-              challenge.match_started === 0 // Match hasn't started
-          );
-
-          if (validChallenges.length > 0) {
-            console.log(
-              `🔄 [RECONNECT] User ${user.id} has ${validChallenges.length} pending payment challenge(s), re-emitting...`
-            );
-
-            for (const challenge of validChallenges) {
-              const notificationData = {
-                challengeId: challenge.id,
-                challengerId: challenge.challenger,
-                opponentId: challenge.opponent,
-                challengerUsername: challenge.challenger_username,
-                accepterUsername: challenge.opponent_username,
-                opponentUsername: challenge.opponent_username,
-                hasPayment: true,
-                paymentAmount: challenge.bet_amount,
-                platform: challenge.platform,
-              };
-
-              io.to(user.id.toString()).emit(
-                "challengeAccepted",
-                notificationData
-              );
-
-              console.log(
-                `✅ [RECONNECT] Re-emitted challengeAccepted for challenge ${challenge.id} to user ${user.id} (${challenge.completed_payments}/2 payments complete)`
-              );
-            }
-          } else if (pendingChallenges.rows.length > 0) {
-            console.log(
-              `ℹ️ [RECONNECT] User ${user.id} has ${pendingChallenges.rows.length} challenge(s) but all are either paid/started - skipping notification`
-            );
-          }
-        } catch (error) {
-          console.error(
-            `❌ [RECONNECT] Error checking pending challenges:`,
-            error
-          );
-        }
-      }, 2000); // Wait 2 seconds to ensure frontend listeners are registered
-    }
-  });
-
-  // Handle challenge events
-  socket.on("challenge", async (data) => {
-    try {
-      const { from, to } = data;
-
-      // Extract time control from either time_control field or timeConfig object
-      let timeControl = data.time_control || "10+0";
-      if (data.timeConfig) {
-        timeControl = `${data.timeConfig.timeMinutes}+${data.timeConfig.incrementSeconds}`;
-      }
-
-      // Create challenge in database with payment details
-      const challengeData = {
-        challenger: from.id,
-        opponent: to.id,
-        platform: data.platform || "chess.com", // Default to chess.com if not provided
-        time_control: timeControl,
-        rules: data.rules || "chess",
-      };
-
-      // Add payment details if present
-      if (data.paymentDetails && data.paymentDetails.amount > 0) {
-        challengeData.bet_amount = data.paymentDetails.amount;
-        challengeData.payment_status = "pending";
-        challengeData.challenger_phone = data.paymentDetails.phoneNumber;
-        console.log(`💰 [CHALLENGE] Payment challenge created:`, {
-          amount: data.paymentDetails.amount,
-          challengerPhone: data.paymentDetails.phoneNumber,
-          challengeId: "will be generated",
-        });
-      }
-      const challenge = await Challenge.create(challengeData);
-
-      // Format challenge object to match frontend expectations
-      const challengeForFrontend = {
-        id: challenge.id,
-        challenger: {
-          id: from.id,
-          username: from.username,
-          name: from.name,
-          preferred_platform: from.preferred_platform,
-        },
-        opponent: {
-          id: to.id,
-          username: to.username,
-          name: to.name,
-          preferred_platform: to.preferred_platform,
-        },
-        platform: challenge.platform,
-        time_control: challenge.time_control,
-        rules: challenge.rules,
-        status: challenge.status,
-        createdAt: challenge.created_at,
-        // Pass through additional time configuration data for frontend
-        timeConfig: data.timeConfig,
-        challengeUrl: data.challengeUrl,
-        paymentDetails: data.paymentDetails,
-      };
-
-      // Emit to the opponent that they have a new challenge
-      console.log(
-        "Emitting newChallenge to opponent:",
-        to.id,
-        challengeForFrontend
-      );
-      io.to(to.id.toString()).emit("newChallenge", challengeForFrontend);
-
-      // Emit to the challenger that their challenge was sent
-      console.log(
-        "Emitting challengeSent to challenger:",
-        from.id,
-        challengeForFrontend
-      );
-      io.to(from.id.toString()).emit("challengeSent", challengeForFrontend);
-
-      console.log("Challenge created and emitted:", challengeForFrontend);
-    } catch (error) {
-      console.error("Error creating challenge:", error);
-    }
-  });
-
-  // Handle challenge acceptance via socket
-  socket.on("challenge-accept", async (data) => {
-    try {
-      console.log(`🎯 [SOCKET] Challenge acceptance received:`, data);
-
-      // Find the challenge in the database based on the participants and timestamp
-      const challengeQuery = await pool.query(
-        `
-        SELECT c.*, 
-               CASE 
-                 WHEN c.platform = 'chess.com' THEN challenger_user.chess_com_username 
-                 WHEN c.platform = 'lichess' THEN challenger_user.lichess_username 
-                 ELSE challenger_user.username 
-               END as challenger_username, 
-               challenger_user.phone as challenger_phone,
-               CASE 
-                 WHEN c.platform = 'chess.com' THEN opponent_user.chess_com_username 
-                 WHEN c.platform = 'lichess' THEN opponent_user.lichess_username 
-                 ELSE opponent_user.username 
-               END as opponent_username, 
-               opponent_user.phone as opponent_phone
-        FROM challenges c
-        JOIN users challenger_user ON c.challenger = challenger_user.id
-        JOIN users opponent_user ON c.opponent = opponent_user.id
-        WHERE c.challenger = $1 AND c.opponent = $2 AND c.status = 'pending'
-        ORDER BY c.created_at DESC
-        LIMIT 1
-      `,
-        [data.from.id, data.to.id]
-      );
-
-      if (challengeQuery.rows.length === 0) {
-        console.error(
-          `❌ [SOCKET] No pending challenge found between users ${data.from.id} and ${data.to.id}`
-        );
-        return;
-      }
-
-      const challenge = challengeQuery.rows[0];
-      console.log(`📋 [SOCKET] Found challenge:`, {
-        id: challenge.id,
-        bet_amount: challenge.bet_amount,
-        payment_status: challenge.payment_status,
-        challenger_phone: challenge.challenger_phone,
-        opponent_phone: challenge.opponent_phone,
-      });
-
-      // Update challenge status to accepted and save opponent phone
-      console.log(`🔧 [CHALLENGE_ACCEPT] Debug phone number logic:`, {
-        providedOpponentPhone: data.opponentPhoneNumber,
-        challengeOpponentPhone: challenge.opponent_phone,
-        challengeBetAmount: challenge.bet_amount,
-        challengeId: challenge.id,
-      });
-
-      let opponentPhoneToSave =
-        data.opponentPhoneNumber || challenge.opponent_phone;
-
-      console.log(
-        `📱 [CHALLENGE_ACCEPT] Opponent phone to save: ${opponentPhoneToSave}`
-      );
-
-      if (opponentPhoneToSave) {
-        console.log(
-          `🔧 [CHALLENGE_ACCEPT] Executing UPDATE query with phone: ${opponentPhoneToSave}, challengeId: ${challenge.id}`
-        );
-        const updateResult = await pool.query(
-          "UPDATE challenges SET status = $1, opponent_phone = $2 WHERE id = $3 RETURNING *",
-          ["accepted", opponentPhoneToSave, challenge.id]
-        );
-        console.log(
-          `📱 [CHALLENGE_ACCEPT] UPDATE result:`,
-          updateResult.rows[0]
-        );
-        console.log(
-          `📱 [CHALLENGE_ACCEPT] Saved opponent phone number: ${opponentPhoneToSave}`
-        );
-      } else {
-        await pool.query("UPDATE challenges SET status = $1 WHERE id = $2", [
-          "accepted",
-          challenge.id,
-        ]);
-        console.log(
-          `⚠️  [CHALLENGE_ACCEPT] No opponent phone number available for payment challenge!`
-        );
-      }
-
-      // If this is a payment challenge, notify frontend to show payment modal
-      if (challenge.bet_amount && challenge.bet_amount > 0) {
-        console.log(
-          `💳 [SOCKET] Payment challenge detected with amount: ${challenge.bet_amount}`
-        );
-        console.log(
-          `💡 [SOCKET] Both players should now be prompted to make payment via STK push`
-        );
-      }
-
-      // Emit to BOTH users that challenge was accepted
-      const notificationData = {
-        challengeId: challenge.id,
-        challengerId: challenge.challenger,
-        opponentId: challenge.opponent,
-        challengerUsername: challenge.challenger_username,
-        accepterUsername: challenge.opponent_username,
-        opponentUsername: challenge.opponent_username,
-        hasPayment: challenge.bet_amount > 0,
-        paymentAmount: challenge.bet_amount,
-        platform: challenge.platform,
-      };
-
-      console.log(
-        `📡 [SOCKET] Emitting challengeAccepted to challenger:`,
-        data.from.id
-      );
-      io.to(data.from.id.toString()).emit(
-        "challengeAccepted",
-        notificationData
-      );
-      
-      console.log(
-        `📡 [SOCKET] Emitting challengeAccepted to opponent (accepter):`,
-        data.to.id
-      );
-      io.to(data.to.id.toString()).emit(
-        "challengeAccepted",
-        notificationData
-      );
-    } catch (error) {
-      console.error(`❌ [SOCKET] Error handling challenge acceptance:`, error);
-    }
-  });
-
-  socket.on("challenge-decline", async (data) => {
-    try {
-      const { challengeId, challengerId, challengedId } = data;
-
-      // Update challenge status in database
-      await Challenge.updateStatus(challengeId, "declined");
-
-      // Emit to challenger that challenge was declined
-      const declineData = {
-        challengeId,
-        challengerId,
-        challengedId,
-      };
-
-      console.log(
-        "Emitting challenge-declined to challenger:",
-        challengerId,
-        declineData
-      );
-      io.to(challengerId.toString()).emit("challenge-declined", declineData);
-
-      console.log("Challenge declined:", data);
-    } catch (error) {
-      console.error("Error declining challenge:", error);
-    }
-  });
-
-  socket.on("challenge-cancel", async (data) => {
-    try {
-      const { challengeId, challengerId, challengedId } = data;
-
-      // Update challenge status in database
-      await Challenge.updateStatus(challengeId, "cancelled");
-
-      // Emit to both users that challenge was cancelled
-      const cancelData = {
-        challengeId,
-        challengerId,
-        challengedId,
-      };
-
-      console.log("Emitting challenge-cancelled to both users:", cancelData);
-      io.to(challengerId.toString()).emit("challenge-cancelled", cancelData);
-      io.to(challengedId.toString()).emit("challenge-cancelled", cancelData);
-
-      console.log("Challenge cancelled:", data);
-    } catch (error) {
-      console.error("Error cancelling challenge:", error);
-    }
-  });
-
-  // Handle payment initiation from frontend (STK push)
-  socket.on("initiate-payment", async (data) => {
-    try {
-      const { userId, challengeId, phoneNumber, amount } = data;
-
-      console.log(`💰 [INITIATE_PAYMENT] Received payment initiation:`, {
-        userId,
-        challengeId,
-        phoneNumber,
-        amount,
-        timestamp: new Date().toISOString(),
-      });
-
-      // Validate inputs
-      if (!userId || !challengeId || !phoneNumber || !amount) {
-        console.error(`❌ [INITIATE_PAYMENT] Missing required fields`);
-        io.to(userId.toString()).emit("payment-error", {
-          userId,
-          challengeId,
-          error: "Missing required payment information",
-        });
-        return;
-      }
-
-      // Call payment service to initiate deposit
-      const paymentResult = await paymentService.initiateDeposit(
-        phoneNumber,
-        amount,
-        userId,
-        challengeId
-      );
-
-      if (paymentResult.success) {
-        console.log(
-          `✅ [INITIATE_PAYMENT] STK push sent to ${phoneNumber}, awaiting callback`
-        );
-        
-        // Notify user that STK push was sent
-        io.to(userId.toString()).emit("payment-initiated", {
-          userId,
-          challengeId,
-          amount,
-          phoneNumber,
-          message: "STK push sent. Please check your phone to complete payment.",
-        });
-      } else {
-        console.error(
-          `❌ [INITIATE_PAYMENT] Failed to initiate payment:`,
-          paymentResult.error
-        );
-        io.to(userId.toString()).emit("payment-error", {
-          userId,
-          challengeId,
-          error: paymentResult.error || "Failed to initiate payment",
-        });
-      }
-    } catch (error) {
-      console.error(`❌ [INITIATE_PAYMENT] Error:`, error);
-      io.to(data.userId?.toString()).emit("payment-error", {
-        userId: data.userId,
-        challengeId: data.challengeId,
-        error: "An error occurred while initiating payment",
-      });
-    }
-  });
-
-  socket.on("challenge-postpone", async (data) => {
-    try {
-      const { challengeId, challengerId, challengedId, postponedBy } = data;
-
-      // Update challenge status to postponed
-      await Challenge.updateStatus(challengeId, "postponed");
-
-      // Add to postponed challenges table
-      await pool.query(
-        `
-        INSERT INTO postponed_challenges (challenge_id, postponed_by)
-        VALUES ($1, $2)
-      `,
-        [challengeId, postponedBy]
-      );
-
-      // Emit to both users that challenge was postponed
-      const postponeData = {
-        challengeId,
-        challengerId,
-        challengedId,
-        postponedBy,
-      };
-
-      console.log("Emitting challenge-postponed to both users:", postponeData);
 
-      // Send to both challenger and challenged user
-      io.to(challengerId.toString()).emit("challenge-postponed", postponeData);
-      io.to(challengedId.toString()).emit("challenge-postponed", postponeData);
-
-      console.log("Challenge postponed:", data);
-    } catch (error) {
-      console.error("Error postponing challenge:", error);
-    }
-  });
-
-  socket.on("game-redirect", async (data) => {
-    try {
-      const {
-        challengeId,
-        challengerId,
-        challengedId,
-        redirectedBy,
-        platform,
-      } = data;
-
-      console.log(
-        `🎮 [${new Date().toISOString()}] Received game-redirect event:`,
-        {
-          challengeId,
-          challengerId,
-          challengedId,
-          redirectedBy,
-          platform,
-        }
-      );
-
-      // Get challenge data by ID directly with optimized query
-      const challengeQuery = await pool.query(
-        `
-        SELECT c.id, c.challenger, c.opponent, c.platform, c.status, c.bet_amount, c.challenger_phone, c.opponent_phone,
-               c.time_control, 
-               CASE 
-                 WHEN c.platform = 'chess.com' THEN challenger_user.chess_com_username 
-                 WHEN c.platform = 'lichess' THEN challenger_user.lichess_username 
-                 ELSE challenger_user.username 
-               END as challenger_username,
-               CASE 
-                 WHEN c.platform = 'chess.com' THEN opponent_user.chess_com_username 
-                 WHEN c.platform = 'lichess' THEN opponent_user.lichess_username 
-                 ELSE opponent_user.username 
-               END as opponent_username
-        FROM challenges c
-        JOIN users challenger_user ON c.challenger = challenger_user.id
-        JOIN users opponent_user ON c.opponent = opponent_user.id
-        WHERE c.id = $1
-      `,
-        [challengeId]
-      );
-
-      if (challengeQuery.rows.length > 0) {
-        const challengeData = challengeQuery.rows[0];
-
-        console.log(
-          `🔍 [${new Date().toISOString()}] Found challenge ${challengeId}:`,
-          {
-            id: challengeData.id,
-            challengerId: challengeData.challenger,
-            challengerUsername: challengeData.challenger_username,
-            opponentId: challengeData.opponent,
-            opponentUsername: challengeData.opponent_username,
-            platform: challengeData.platform,
-            status: challengeData.status,
-            betAmount: challengeData.bet_amount,
-            challengerPhone: challengeData.challenger_phone,
-            opponentPhone: challengeData.opponent_phone,
-            allFields: Object.keys(challengeData),
-          }
-        );
-
-        // 🔒 CRITICAL: Verify both players have paid before allowing redirect (if challenge has bet_amount)
-        if (challengeData.bet_amount > 0) {
-          const paymentCheck = await pool.query(
-            `
-            SELECT 
-              COUNT(*) as completed_payments,
-              array_agg(user_id) as paid_users
-            FROM payments 
-            WHERE challenge_id = $1 
-              AND transaction_type = 'deposit' 
-              AND status = 'completed'
-            `,
-            [challengeId]
-          );
-
-          const completedPayments = parseInt(paymentCheck.rows[0].completed_payments);
-          const paidUsers = paymentCheck.rows[0].paid_users || [];
-
-          if (completedPayments < 2) {
-            console.error(
-              `❌ [${new Date().toISOString()}] BLOCKED: User ${redirectedBy} tried to redirect but both payments not complete (${completedPayments}/2 paid)`,
-              { paidUsers }
-            );
-            
-            // Emit error to the user who tried to redirect
-            io.to(redirectedBy.toString()).emit("redirect-blocked", {
-              challengeId,
-              message: "Both players must complete payment before starting the game",
-              completedPayments,
-              requiredPayments: 2,
-            });
-            
-            return; // Block the redirect
-          }
-
-          console.log(
-            `✅ [${new Date().toISOString()}] Payment verification passed: ${completedPayments}/2 payments completed`
-          );
-        }
-
-        const redirectedUser =
-          redirectedBy === challengeData.challenger
-            ? challengeData.challenger_username
-            : challengeData.opponent_username;
-        const otherUserId =
-          redirectedBy === challengeData.challenger
-            ? challengeData.opponent
-            : challengeData.challenger;
-        const isChallenger = redirectedBy === challengeData.challenger;
-
-        console.log(
-          `👤 [${new Date().toISOString()}] User ${redirectedUser} (ID: ${redirectedBy}) redirected to ${platform}`
-        );
-
-        // Payment is now handled separately via initiate-payment socket event
-        // Players must complete payment BEFORE being allowed to redirect to chess platform
-
-        const redirectData = {
-          challengeId,
-          challengerId: challengeData.challenger,
-          challengedId: challengeData.opponent,
-          redirectedBy,
-          redirectedUser,
-          platform,
-          // Include time configuration data
-          timeConfig: challengeData.timeConfig || null,
-          challengeUrl: challengeData.challengeUrl || null,
-          time_control: challengeData.time_control || null,
-        };
-
-        console.log(
-          `📡 [${new Date().toISOString()}] Emitting player-redirected to user:`,
-          otherUserId,
-          redirectData
-        );
-
-        // Notify specifically the other user that someone has redirected to the platform
-        io.to(otherUserId.toString()).emit("player-redirected", redirectData);
-
-        // Create or update ongoing match tracking (async without blocking)
-        setImmediate(async () => {
-          try {
-            const existingMatch = await OngoingMatch.findByChallenge(
-              challengeId
-            );
-
-            if (existingMatch) {
-              console.log(
-                `🔄 [${new Date().toISOString()}] Found existing ongoing match ${
-                  existingMatch.id
-                } for challenge ${challengeId}`
-              );
-
-              console.log(
-                `🎯 [${new Date().toISOString()}] User ${redirectedUser} is ${
-                  isChallenger ? "challenger" : "opponent"
-                }`
-              );
-
-              const updatedMatch = await OngoingMatch.updateRedirection(
-                challengeId,
-                redirectedBy,
-                isChallenger
-              );
-
-              console.log(
-                `✅ [${new Date().toISOString()}] Updated redirection for match ${
-                  existingMatch.id
-                }:`,
-                {
-                  challengerRedirected: updatedMatch.challenger_redirected,
-                  opponentRedirected: updatedMatch.opponent_redirected,
-                  bothRedirected: updatedMatch.both_redirected,
-                  matchStartedAt: updatedMatch.match_started_at,
-                }
-              );
-
-              // 🎯 START PER-MATCH RESULT CHECKING - If both players have redirected
-              if (updatedMatch.both_redirected) {
-                console.log(
-                  `🚀 [PER_MATCH_CHECKER] Both players redirected for match ${existingMatch.id}, starting per-match checker`
-                );
-                PerMatchResultChecker.startCheckingMatch({
-                  matchId: existingMatch.id,
-                  timeControl: challengeData.time_control,
-                  startedAt: new Date(),
-                  challenger: challengeData.challenger_username,
-                  opponent: challengeData.opponent_username,
-                  platform: challengeData.platform,
-                });
-              }
-            } else {
-              console.log(
-                `🆕 [${new Date().toISOString()}] Creating new ongoing match for challenge ${challengeId}`
-              );
-
-              const matchData = {
-                challengeId: parseInt(challengeId),
-                challengerId: challengeData.challenger,
-                opponentId: challengeData.opponent,
-                platform: platform,
-                challengerUsername: challengeData.challenger_username,
-                opponentUsername: challengeData.opponent_username,
-              };
-
-              const newMatch = await OngoingMatch.create(matchData);
-              console.log(
-                `🎯 [${new Date().toISOString()}] Created new ongoing match:`,
-                {
-                  matchId: newMatch.id,
-                  challengeId: newMatch.challenge_id,
-                  challenger: `${newMatch.challenger_username} (ID: ${newMatch.challenger_id})`,
-                  opponent: `${newMatch.opponent_username} (ID: ${newMatch.opponent_id})`,
-                  platform: newMatch.platform,
-                }
-              );
-
-              console.log(
-                `🎯 [${new Date().toISOString()}] User ${redirectedUser} is ${
-                  isChallenger ? "challenger" : "opponent"
-                }`
-              );
-
-              const updatedMatch = await OngoingMatch.updateRedirection(
-                challengeId,
-                redirectedBy,
-                isChallenger
-              );
-
-              console.log(
-                `✅ [${new Date().toISOString()}] Updated redirection for new match ${
-                  newMatch.id
-                }:`,
-                {
-                  challengerRedirected: updatedMatch.challenger_redirected,
-                  opponentRedirected: updatedMatch.opponent_redirected,
-                  bothRedirected: updatedMatch.both_redirected,
-                  matchStartedAt: updatedMatch.match_started_at,
-                }
-              );
-
-              // 🎯 START PER-MATCH RESULT CHECKING - If both players have redirected
-              if (updatedMatch.both_redirected) {
-                console.log(
-                  `🚀 [PER_MATCH_CHECKER] Both players redirected for new match ${newMatch.id}, starting per-match checker`
-                );
-                PerMatchResultChecker.startCheckingMatch({
-                  matchId: newMatch.id,
-                  timeControl: challengeData.time_control,
-                  startedAt: new Date(),
-                  challenger: challengeData.challenger_username,
-                  opponent: challengeData.opponent_username,
-                  platform: challengeData.platform,
-                });
-              }
-            }
-          } catch (trackingError) {
-            console.error(
-              `❌ [${new Date().toISOString()}] Error tracking match:`,
-              trackingError
-            );
-          }
-        });
-
-        console.log(
-          `🎮 [${new Date().toISOString()}] Player ${redirectedUser} redirected to platform: ${platform}`
-        );
-      } else {
-        console.error(
-          `❌ [${new Date().toISOString()}] Challenge ${challengeId} not found in database`
-        );
-      }
-    } catch (error) {
-      console.error(
-        `❌ [${new Date().toISOString()}] Error handling game redirect:`,
-        error
-      );
-    }
-  });
-  socket.on("game-start", async (data) => {
-    try {
-      const { challengeId, challengerId, challengedId, platform } = data;
-
-      // Update challenge status in database
-      await Challenge.updateStatus(challengeId, "started");
-
-      // Emit to both users that game has started
-      const gameStartData = {
-        challengeId,
-        platform,
-      };
-
-      console.log("Emitting game-started to both users:", gameStartData);
-      io.to(challengerId.toString()).emit("game-started", gameStartData);
-      io.to(challengedId.toString()).emit("game-started", gameStartData);
-
-      console.log("Game started:", data);
-    } catch (error) {
-      console.error("Error starting game:", error);
-    }
-  });
-
-  socket.on("disconnect", () => {
-    console.log("User disconnected:", socket.id);
-    const disconnectedUser = onlineUsers[socket.id];
-    if (disconnectedUser) {
-      console.log(
-        "Disconnected user:",
-        disconnectedUser.username,
-        disconnectedUser.id
-      );
-    }
-    delete onlineUsers[socket.id];
-    io.emit("online-users", Object.values(onlineUsers));
-  });
-});
+// Authenticated sockets, presence and client events
+registerRealtimeGateway(io);
 
 // Middleware
+// Behind Render's proxy: req.ip is the address the nearest proxy saw
+app.set("trust proxy", parseInt(process.env.TRUST_PROXY_HOPS || "1"));
 app.use(cors());
-app.use(express.json());
+// Keep the raw body so payment callback signatures can be verified byte-for-byte
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(apiTimeout()); // Add request timeout middleware
 
 // Routes
@@ -880,6 +88,7 @@ app.use("/api/matchmaking", matchmakingRoutes);
 app.use("/api/match-results", matchResultRoutes);
 app.use("/api/payments", paymentRoutes);
 app.use("/api/stats", statsRoutes);
+app.use("/api/leaderboards", leaderboardRoutes);
 app.use("/api/wallet", walletRoutes);
 app.use("/api/monitoring", monitoringRoutes);
 app.use("/api/queue", queueMonitorRoutes); // Queue monitoring
@@ -956,6 +165,18 @@ const PORT = process.env.PORT || 3002;
       console.warn("⚠️ [STARTUP] Application will start anyway. Please check DATABASE_URL.");
     }
 
+    // Carry existing wallet balances and backfilled escrow stakes into the
+    // ledger before anything posts to it, otherwise the first posting resets
+    // users.balance to the ledger sum
+    try {
+      await ledgerService.seedOpeningBalances();
+    } catch (seedError) {
+      console.warn("⚠️ [STARTUP] Opening balance seeding failed:", seedError.message);
+    }
+
+    // Relay socket rooms between instances (needs the migrations above)
+    attachClusterAdapter(io);
+
     // Start server regardless of migration/connection status
     server.listen(PORT, () => {
       console.log(`✅ [STARTUP] Server is running on port ${PORT}`);
@@ -968,11 +189,15 @@ const PORT = process.env.PORT || 3002;
         "🎯 [STARTUP] Per-match result checking system ready (old backup checker disabled)"
       );
 
-      // Initialize checkers for existing matches that need result checking
-      initializeExistingMatches();
-      
-      // Start payment timeout checker
-      PaymentTimeoutChecker.start();
+      // Resume durable payment/callback/withdrawal jobs (safe on every
+      // instance, workers claim jobs with SKIP LOCKED)
+      startQueues();
+
+      // Keep this instance's sockets in the shared presence table fresh
+      presenceService.start();
+
+      // Timers that scan shared rows run on one instance only
+      leaderLock.start({ onAcquire: startSingletonJobs, onRelease: stopSingletonJobs });
     });
   } catch (error) {
     console.error("🚨 [STARTUP] CRITICAL ERROR during startup:");
@@ -983,96 +208,70 @@ const PORT = process.env.PORT || 3002;
   }
 })();
 
-// Cleanup handlers for graceful shutdown
-process.on("SIGINT", () => {
-  console.log("\n🛑 Received SIGINT, cleaning up...");
-  PerMatchResultChecker.cleanup();
-  process.exit(0);
-});
+// Background jobs that must not run on more than one instance at a time,
+// started on whichever instance holds the leader lock. Two leaders can
+// overlap briefly after a lost connection (see leaderLock), so each job
+// must stay safe to run twice.
+function startSingletonJobs() {
+  // Initialize checkers for existing matches that need result checking
+  initializeExistingMatches();
+
+  // Start payment timeout checker
+  PaymentTimeoutChecker.start();
+
+  // Ask the provider about payments whose callback never arrived
+  paymentReconciler.start();
 
-process.on("SIGTERM", () => {
-  console.log("\n🛑 Received SIGTERM, cleaning up...");
+  // Pay out results once their dispute window has closed
+  settlementScheduler.start();
+
+  // Escalate manual result reports the opponent never confirmed
+  manualResultService.start();
+
+  // Drop completed job history past its retention
+  startQueuePruning();
+}
+
+function stopSingletonJobs() {
   PerMatchResultChecker.cleanup();
-  process.exit(0);
-});
+  PaymentTimeoutChecker.stop();
+  paymentReconciler.stop();
+  settlementScheduler.stop();
+  manualResultService.stop();
+  stopQueuePruning();
+}
+
+// Cleanup handlers for graceful shutdown
+function shutdown(signal) {
+  console.log(`\n🛑 Received ${signal}, cleaning up...`);
+  stopSingletonJobs();
+  stopQueues();
+  Promise.allSettled([leaderLock.stop(), presenceService.stop()]).finally(() =>
+    process.exit(0)
+  );
+}
+
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
 
-// Initialize checkers for matches that are waiting for results after server restart
+// Resume checkers for matches that are waiting for results after server restart
 async function initializeExistingMatches() {
   try {
     console.log(
       "🔄 [STARTUP] Checking for existing matches that need result checking..."
     );
 
-    const existingMatches = await pool.query(`
-      SELECT 
-        om.id as match_id,
-        om.match_started_at,
-        c.challenger,
-        c.opponent,
-        c.platform,
-        c.time_control,
-        CASE 
-          WHEN c.platform = 'chess.com' THEN cu.chess_com_username 
-          WHEN c.platform = 'lichess' THEN cu.lichess_username 
-          ELSE cu.username 
-        END as challenger_username,
-        CASE 
-          WHEN c.platform = 'chess.com' THEN ou.chess_com_username 
-          WHEN c.platform = 'lichess' THEN ou.lichess_username 
-          ELSE ou.username 
-        END as opponent_username
-      FROM ongoing_matches om
-      JOIN challenges c ON om.challenge_id = c.id
-      JOIN users cu ON c.challenger = cu.id
-      JOIN users ou ON c.opponent = ou.id
-      WHERE om.both_redirected = true 
-        AND om.result_checked = false
-        AND om.match_started_at IS NOT NULL
-    `);
+    // Timers are rebuilt from the schedules persisted on ongoing_matches,
+    // keeping each match's check count and next check time. Matches other
+    // instances start are picked up from there as well.
+    const resumed = await PerMatchResultChecker.start();
 
-    if (existingMatches.rows.length === 0) {
+    if (resumed === 0) {
       console.log("✅ [STARTUP] No existing matches need result checking");
       return;
     }
 
-    console.log(
-      `🚀 [STARTUP] Found ${existingMatches.rows.length} matches that need result checking`
-    );
-
-    for (const match of existingMatches.rows) {
-      const timeSinceStart =
-        Date.now() - new Date(match.match_started_at).getTime();
-      const minutesSinceStart = Math.floor(timeSinceStart / (1000 * 60));
-
-      console.log(
-        `⚡ [STARTUP] Restarting checker for match ${match.match_id} (${match.challenger_username} vs ${match.opponent_username}, ${minutesSinceStart}min ago)`
-      );
-
-      // Start checking immediately for matches that have been running
-      const matchData = {
-        matchId: match.match_id,
-        timeControl: match.time_control || "5+0",
-        startedAt: match.match_started_at,
-        challenger: match.challenger_username,
-        opponent: match.opponent_username,
-        platform: match.platform,
-      };
-
-      // Start checking immediately since these matches are already running
-      setTimeout(() => {
-        PerMatchResultChecker.checkMatchResult(
-          match.match_id,
-          {
-            challenger: match.challenger_username,
-            opponent: match.opponent_username,
-            platform: match.platform,
-          },
-          0
-        );
-      }, 1000); // Small delay to let server fully start
-    }
-
-    console.log("✅ [STARTUP] All existing match checkers restarted");
+    console.log(`✅ [STARTUP] Resumed result checking for ${resumed} matches`);
   } catch (error) {
     console.error(
       "❌ [STARTUP] Error initializing existing matches:",
@@ -0,0 +1,25 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Match results don't pay out straight away: the stakes stay in escrow for
+ * a dispute window so the other player can contest the result first.
+ */
+
+const toNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const disputeConfig = {
+  // How long after a result either player can open a dispute
+  windowMinutes: toNumber(process.env.DISPUTE_WINDOW_MINUTES, 15),
+  // How often the settlement scheduler pays out results whose window closed
+  settlementIntervalSeconds: toNumber(process.env.SETTLEMENT_INTERVAL_SECONDS, 60),
+  // How long the opponent has to confirm a manually reported result before
+  // it is escalated to a dispute
+  reportConfirmationMinutes: toNumber(process.env.MANUAL_RESULT_CONFIRM_MINUTES, 30),
+};
+
+export default disputeConfig;
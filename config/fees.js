@@ -0,0 +1,56 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Platform fee (rake) configuration.
+ *
+ * Base rule comes from PLATFORM_FEE_* env vars. PLATFORM_FEE_OVERRIDES is an
+ * optional JSON document layering per-platform and per-bet-tier rules on top:
+ *
+ * {
+ *   "platforms": { "lichess": { "percent": 3 } },
+ *   "tiers": [
+ *     { "minBet": 1000, "percent": 4, "minimum": 20 },
+ *     { "minBet": 100, "maxBet": 999, "percent": 5, "platform": "chess.com" }
+ *   ]
+ * }
+ *
+ * Resolution order: base → platform override → first matching tier
+ * (highest minBet wins). Each layer only replaces the fields it sets.
+ */
+
+const toNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+function parseOverrides(raw) {
+  if (!raw) return { platforms: {}, tiers: [] };
+
+  try {
+    const parsed = JSON.parse(raw);
+    return {
+      platforms: parsed.platforms || {},
+      tiers: (parsed.tiers || []).sort((a, b) => (b.minBet || 0) - (a.minBet || 0)),
+    };
+  } catch (error) {
+    console.error("❌ [FEES] PLATFORM_FEE_OVERRIDES is not valid JSON - ignoring overrides:", error.message);
+    return { platforms: {}, tiers: [] };
+  }
+}
+
+const feeConfig = {
+  enabled: process.env.PLATFORM_FEE_ENABLED !== "false",
+  base: {
+    percent: toNumber(process.env.PLATFORM_FEE_PERCENT, 0), // % of the pot
+    flat: toNumber(process.env.PLATFORM_FEE_FLAT, 0), // KES added per payout
+    minimum: toNumber(process.env.PLATFORM_FEE_MIN, 0), // KES floor
+    maximum: toNumber(process.env.PLATFORM_FEE_MAX, null), // KES cap, null = none
+  },
+  // Draw refunds are fee-free unless explicitly enabled
+  applyToDraws: process.env.PLATFORM_FEE_APPLY_TO_DRAWS === "true",
+  ...parseOverrides(process.env.PLATFORM_FEE_OVERRIDES),
+};
+
+export default feeConfig;
@@ -0,0 +1,28 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Postgres-backed job queue timings shared by every queue. Per-queue limits
+ * (concurrency, size, attempts) live with the queue definitions.
+ */
+
+const toNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const jobQueueConfig = {
+  // How often idle workers look for new or retried jobs
+  pollIntervalMs: toNumber(process.env.JOB_QUEUE_POLL_INTERVAL_MS, 1000),
+  // How long a claimed job stays invisible to other workers before it is
+  // considered abandoned and claimed again. Running jobs renew it every
+  // third of this, so only a stopped worker lets it lapse
+  visibilityTimeoutSeconds: toNumber(process.env.JOB_QUEUE_VISIBILITY_TIMEOUT_SECONDS, 120),
+  // Retry backoff doubles per attempt up to this cap
+  maxBackoffMs: toNumber(process.env.JOB_QUEUE_MAX_BACKOFF_MS, 5 * 60 * 1000),
+  // Completed jobs are pruned after this many days
+  completedRetentionDays: toNumber(process.env.JOB_QUEUE_COMPLETED_RETENTION_DAYS, 7),
+};
+
+export default jobQueueConfig;
@@ -0,0 +1,28 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Leaderboard windows and thresholds.
+ */
+
+const toNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const leaderboardConfig = {
+  // Games a player needs in the window to appear on the win-rate board
+  minGamesForWinRate: toNumber(process.env.LEADERBOARD_MIN_GAMES, 10),
+  defaultPageSize: 25,
+  maxPageSize: 100,
+  // Window name -> Postgres interval (null = all time)
+  windows: {
+    daily: "1 day",
+    weekly: "7 days",
+    monthly: "30 days",
+    all: null,
+  },
+};
+
+export default leaderboardConfig;
@@ -0,0 +1,26 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * How strictly a platform game has to match the challenge before it can
+ * settle the bet. Games that fail are flagged for review instead of paid.
+ */
+
+const toNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const matchVerificationConfig = {
+  // Half-moves a game needs before it counts as played rather than aborted
+  minPlies: toNumber(process.env.MATCH_VERIFY_MIN_PLIES, 4),
+  // Slack for clock skew between us and the platform when comparing the
+  // game start to match_started_at
+  startToleranceSeconds: toNumber(
+    process.env.MATCH_VERIFY_START_TOLERANCE_SECONDS,
+    120
+  ),
+};
+
+export default matchVerificationConfig;
@@ -0,0 +1,25 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Chequemate's own Elo rating, updated from settled challenges. Kept per
+ * time-control category the same way the platforms split their ratings.
+ */
+
+const toNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const ratingConfig = {
+  // Rating every player starts each category with
+  initialRating: toNumber(process.env.RATING_INITIAL, 1200),
+  // How far one game moves an established rating
+  kFactor: toNumber(process.env.RATING_K_FACTOR, 20),
+  // Bigger steps while a player has few games in the category
+  provisionalKFactor: toNumber(process.env.RATING_PROVISIONAL_K_FACTOR, 40),
+  provisionalGames: toNumber(process.env.RATING_PROVISIONAL_GAMES, 20),
+};
+
+export default ratingConfig;
@@ -0,0 +1,28 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Socket.IO scaling: cross-instance delivery through Postgres, the
+ * presence heartbeat and which instance runs the background jobs.
+ */
+
+const toNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const realtimeConfig = {
+  // "postgres" relays room emits between instances over LISTEN/NOTIFY;
+  // "memory" keeps them in-process (single instance only)
+  adapter: process.env.SOCKET_ADAPTER === "memory" ? "memory" : "postgres",
+  // How often an instance refreshes last_seen_at for its sockets
+  presenceHeartbeatSeconds: toNumber(process.env.PRESENCE_HEARTBEAT_SECONDS, 30),
+  // Sockets not refreshed for this long are treated as gone
+  presenceTtlSeconds: toNumber(process.env.PRESENCE_TTL_SECONDS, 90),
+  // How often instances try to become the one running background jobs, and
+  // how often the current one checks it still holds the lock
+  leaderRetrySeconds: toNumber(process.env.LEADER_RETRY_SECONDS, 15),
+};
+
+export default realtimeConfig;
@@ -0,0 +1,26 @@
+import dotenv from "dotenv";
+
+dotenv.config();
+
+/**
+ * Wallet top-up and cash-out limits (KES). M-Pesa won't move less than
+ * 10 KES or more than 150,000 KES in a single transaction.
+ */
+
+const toNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const walletConfig = {
+  deposit: {
+    minimum: toNumber(process.env.WALLET_DEPOSIT_MIN, 10),
+    maximum: toNumber(process.env.WALLET_DEPOSIT_MAX, 150000),
+  },
+  withdrawal: {
+    minimum: toNumber(process.env.WALLET_WITHDRAWAL_MIN, 10),
+    maximum: toNumber(process.env.WALLET_WITHDRAWAL_MAX, 150000),
+  },
+};
+
+export default walletConfig;
@@ -1,92 +1,19 @@
 import asyncHandler from "express-async-handler";
 import pool from "../config/database.js";
 import userStatsCache from "../services/UserStatsCache.js";
-import chessComApiQueue from "../services/ChessComApiQueue.js";
+import { getPlatform } from "../services/platforms/index.js";
 import User from "../models/User.js";
 
-// Helper function to fetch Chess.com profile
-const fetchChessComProfile = async (username) => {
+// Helper function to fetch a player's profile from their platform
+const fetchPlatformProfile = async (chessPlatform, username) => {
   try {
-    const result = await chessComApiQueue.request({
-      method: "get",
-      url: `https://api.chess.com/pub/player/${username.toLowerCase()}`,
-    });
-    return result.data || result;
+    return await chessPlatform.getProfile(username);
   } catch (error) {
-    console.error(`Error fetching Chess.com profile for ${username}:`, error.message);
+    console.error(`Error fetching ${chessPlatform.name} profile for ${username}:`, error.message);
     return null;
   }
 };
 
-// Helper function to fetch Chess.com stats
-const fetchChessComStats = async (username) => {
-  try {
-    const result = await chessComApiQueue.request({
-      method: "get",
-      url: `https://api.chess.com/pub/player/${username.toLowerCase()}/stats`,
-    });
-    return result.data || result;
-  } catch (error) {
-    console.error(`Error fetching Chess.com stats for ${username}:`, error.message);
-    return null;
-  }
-};
-
-// Helper function to fetch Chess.com recent games
-const fetchChessComRecentGames = async (username) => {
-  try {
-    const now = new Date();
-    const currentYear = now.getFullYear();
-    const currentMonth = String(now.getMonth() + 1).padStart(2, "0");
-
-    const response = await chessComApiQueue.request({
-      url: `https://api.chess.com/pub/player/${username.toLowerCase()}/games/${currentYear}/${currentMonth}`,
-    });
-
-    const games = response.games || response.data?.games || [];
-    
-    // Get last 10 games and format them, most recent first
-    return games
-      .slice(-10)
-      .reverse()
-      .map((game) => {
-        const isWhite = game.white.username.toLowerCase() === username.toLowerCase();
-        const opponent = isWhite ? game.black : game.white;
-        const playerData = isWhite ? game.white : game.black;
-        let result = "Draw";
-        let ratingChange = "";
-
-        if (game.white.result === "win") {
-          result = isWhite ? "Win" : "Loss";
-        } else if (game.black.result === "win") {
-          result = isWhite ? "Loss" : "Win";
-        }
-
-        // Extract rating change if available in result
-        if (playerData.result && playerData.result.includes("+")) {
-          ratingChange = "+" + playerData.result.split("+")[1];
-        } else if (playerData.result && playerData.result.includes("-")) {
-          ratingChange = "-" + playerData.result.split("-")[1];
-        }
-
-        return {
-          id: game.url ? game.url.split("/").pop() : Date.now().toString(),
-          opponent: opponent.username,
-          opponentRating: opponent.rating,
-          result,
-          userRating: playerData.rating,
-          ratingChange,
-          timeControl: game.time_control,
-          gameUrl: game.url,
-          date: new Date(game.end_time * 1000).toISOString().split("T")[0],
-        };
-      });
-  } catch (error) {
-    console.error(`Error fetching Chess.com games for ${username}:`, error.message);
-    return [];
-  }
-};
-
 // Helper function to calculate stats from games
 const calculateStatsFromGames = (games, username) => {
   if (!games || games.length === 0) {
@@ -276,6 +203,8 @@ const getWalletData = async (userId) => {
           return `Bet placed${opponentStr} - ${amountStr}`;
         case "win":
           return `Match winnings${opponentStr} - ${amountStr}`;
+        case "fee":
+          return `Platform fee${opponentStr} - ${amountStr}`;
         case "reward":
         case "bonus":
           return `Bonus credited - ${amountStr}`;
@@ -366,28 +295,27 @@ export const getCurrentUserAllData = asyncHandler(async (req, res) => {
     
     // Determine which platform username to use
     const platform = user.preferred_platform || 'chess.com';
-    const chessUsername = platform === 'chess.com' 
-      ? user.chess_com_username 
-      : user.lichess_username;
+    const chessPlatform = getPlatform(platform);
+    const chessUsername = chessPlatform?.usernameFor(user) || null;
 
     // Fetch all data in parallel
-    const [walletData, chessProfile, chessStats, recentGames, cachedStats] = await Promise.all([
+    const [walletData, chessProfile, chessRatings, recentGames, cachedStats] = await Promise.all([
       getWalletData(userId),
-      chessUsername ? fetchChessComProfile(chessUsername) : Promise.resolve(null),
-      chessUsername ? fetchChessComStats(chessUsername) : Promise.resolve(null),
-      chessUsername ? fetchChessComRecentGames(chessUsername) : Promise.resolve([]),
+      chessUsername ? fetchPlatformProfile(chessPlatform, chessUsername) : Promise.resolve(null),
+      chessUsername ? chessPlatform.getRatings(chessUsername) : Promise.resolve(null),
+      chessUsername ? chessPlatform.getRecentGames(chessUsername) : Promise.resolve([]),
       chessUsername ? userStatsCache.getUserStats(chessUsername, platform).catch(() => null) : Promise.resolve(null),
     ]);
 
     // Calculate stats from recent games
     const gameStats = calculateStatsFromGames(recentGames, chessUsername);
 
-    // Extract rating from chess.com stats
+    // Extract rating from platform stats
     let currentRating = user.current_rating || 1200;
-    if (chessStats && platform === 'chess.com') {
-      const blitzStats = chessStats.chess_blitz || chessStats.chess_rapid || chessStats.chess_bullet;
-      if (blitzStats && blitzStats.last && blitzStats.last.rating) {
-        currentRating = blitzStats.last.rating;
+    if (chessRatings) {
+      const platformRating = chessRatings.blitz || chessRatings.rapid || chessRatings.bullet;
+      if (platformRating) {
+        currentRating = platformRating;
         
         // Update rating in database if it's different
         if (currentRating !== user.current_rating) {
@@ -480,27 +408,26 @@ export const getUserAllData = asyncHandler(async (req, res) => {
     
     // Determine which platform username to use
     const platform = user.preferred_platform || 'chess.com';
-    const chessUsername = platform === 'chess.com' 
-      ? user.chess_com_username 
-      : user.lichess_username;
+    const chessPlatform = getPlatform(platform);
+    const chessUsername = chessPlatform?.usernameFor(user) || null;
 
     // Fetch all data in parallel (excluding wallet for privacy)
-    const [chessProfile, chessStats, recentGames, cachedStats] = await Promise.all([
-      chessUsername ? fetchChessComProfile(chessUsername) : Promise.resolve(null),
-      chessUsername ? fetchChessComStats(chessUsername) : Promise.resolve(null),
-      chessUsername ? fetchChessComRecentGames(chessUsername) : Promise.resolve([]),
+    const [chessProfile, chessRatings, recentGames, cachedStats] = await Promise.all([
+      chessUsername ? fetchPlatformProfile(chessPlatform, chessUsername) : Promise.resolve(null),
+      chessUsername ? chessPlatform.getRatings(chessUsername) : Promise.resolve(null),
+      chessUsername ? chessPlatform.getRecentGames(chessUsername) : Promise.resolve([]),
       chessUsername ? userStatsCache.getUserStats(chessUsername, platform).catch(() => null) : Promise.resolve(null),
     ]);
 
     // Calculate stats from recent games
     const gameStats = calculateStatsFromGames(recentGames, chessUsername);
 
-    // Extract rating from chess.com stats
+    // Extract rating from platform stats
     let currentRating = user.current_rating || 1200;
-    if (chessStats && platform === 'chess.com') {
-      const blitzStats = chessStats.chess_blitz || chessStats.chess_rapid || chessStats.chess_bullet;
-      if (blitzStats && blitzStats.last && blitzStats.last.rating) {
-        currentRating = blitzStats.last.rating;
+    if (chessRatings) {
+      const platformRating = chessRatings.blitz || chessRatings.rapid || chessRatings.bullet;
+      if (platformRating) {
+        currentRating = platformRating;
         
         // Update rating in database if it's different
         if (currentRating !== user.current_rating) {
@@ -1,54 +1,15 @@
 import User from "../models/User.js";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
-import fetch from "node-fetch";
-import chessComApiQueue from "../services/ChessComApiQueue.js";
 import userStatsCache from "../services/UserStatsCache.js";
-
-const CHESS_COM_API = "https://api.chess.com/pub";
-const LICHESS_API = "https://lichess.org/api";
+import { getPlatform } from "../services/platforms/index.js";
 
 async function validateChessUsername(username, platform) {
-  let res, name;
-  if (platform === "chess.com") {
-    name = "Chess.com";
-    try {
-      const result = await chessComApiQueue.request({
-        method: "get",
-        url: `https://api.chess.com/pub/player/${username.toLowerCase()}`,
-      });
-      return { valid: true, data: result };
-    } catch (error) {
-      if (error.message.includes("404")) {
-        return {
-          valid: false,
-          error: `Player "${username}" not found on ${name}`,
-        };
-      }
-      return {
-        valid: false,
-        error: `Error checking "${username}" on ${name}: ${error.message}`,
-      };
-    }
-  } else if (platform === "lichess.org") {
-    name = "Lichess.org";
-    res = await fetch(`${LICHESS_API}/user/${username}`);
-    if (res.status === 200) {
-      return { valid: true, data: await res.json() };
-    }
-    if (res.status === 404) {
-      return {
-        valid: false,
-        error: `Player "${username}" not found on ${name}`,
-      };
-    }
-    return {
-      valid: false,
-      error: `Error ${res.status} checking "${username}" on ${name}`,
-    };
-  } else {
+  const chessPlatform = getPlatform(platform);
+  if (!chessPlatform) {
     return { valid: false, error: "Invalid platform" };
   }
+  return chessPlatform.validateUser(username);
 }
 
 const register = async (req, res) => {
@@ -235,31 +196,19 @@ const login = async (req, res) => {
 
     // Fetch current rating from chess platform
     let currentRating = 1200; // Default
-    if (user.preferred_platform === "chess.com" && user.chess_com_username) {
+    const chessPlatform = getPlatform(user.preferred_platform);
+    const platformUsername = chessPlatform?.usernameFor(user);
+    if (platformUsername) {
       try {
-        const statsResponse = await chessComApiQueue.request({
-          url: `https://api.chess.com/pub/player/${user.chess_com_username.toLowerCase()}/stats`,
-        });
+        const ratings = await chessPlatform.getRatings(platformUsername);
 
         // Get rapid rating as primary, fallback to blitz, then bullet
-        if (
-          statsResponse.data.chess_rapid &&
-          statsResponse.data.chess_rapid.last
-        ) {
-          currentRating = statsResponse.data.chess_rapid.last.rating;
-        } else if (
-          statsResponse.data.chess_blitz &&
-          statsResponse.data.chess_blitz.last
-        ) {
-          currentRating = statsResponse.data.chess_blitz.last.rating;
-        } else if (
-          statsResponse.data.chess_bullet &&
-          statsResponse.data.chess_bullet.last
-        ) {
-          currentRating = statsResponse.data.chess_bullet.last.rating;
+        if (ratings) {
+          currentRating =
+            ratings.rapid || ratings.blitz || ratings.bullet || currentRating;
         }
         console.log(
-          `📊 [LOGIN] Fetched rating for ${user.chess_com_username}: ${currentRating}`
+          `📊 [LOGIN] Fetched rating for ${platformUsername}: ${currentRating}`
         );
       } catch (error) {
         console.error("Error fetching rating during login:", error.message);
@@ -440,94 +389,27 @@ const getCurrentRating = async (req, res) => {
       });
     }
 
-    const { preferred_platform, chess_com_username, lichess_username } = user;
+    const { preferred_platform } = user;
+    const chessPlatform = getPlatform(preferred_platform);
+    const platformUsername = chessPlatform?.usernameFor(user) || null;
     let rating = null;
     let stats = null;
 
-    if (preferred_platform === "chess.com" && chess_com_username) {
+    if (platformUsername) {
       try {
-        const statsResponse = await chessComApiQueue.request({
-          url: `https://api.chess.com/pub/player/${chess_com_username.toLowerCase()}/stats`,
-        });
+        const platformStats = await chessPlatform.getStats(platformUsername);
 
         // Get rapid rating as primary, fallback to blitz, then bullet
-        if (
-          statsResponse.data.chess_rapid &&
-          statsResponse.data.chess_rapid.last
-        ) {
-          rating = statsResponse.data.chess_rapid.last.rating;
-          stats = {
-            wins: statsResponse.data.chess_rapid.record?.win || 0,
-            losses: statsResponse.data.chess_rapid.record?.loss || 0,
-            draws: statsResponse.data.chess_rapid.record?.draw || 0,
-          };
-        } else if (
-          statsResponse.data.chess_blitz &&
-          statsResponse.data.chess_blitz.last
-        ) {
-          rating = statsResponse.data.chess_blitz.last.rating;
-          stats = {
-            wins: statsResponse.data.chess_blitz.record?.win || 0,
-            losses: statsResponse.data.chess_blitz.record?.loss || 0,
-            draws: statsResponse.data.chess_blitz.record?.draw || 0,
-          };
-        } else if (
-          statsResponse.data.chess_bullet &&
-          statsResponse.data.chess_bullet.last
-        ) {
-          rating = statsResponse.data.chess_bullet.last.rating;
-          stats = {
-            wins: statsResponse.data.chess_bullet.record?.win || 0,
-            losses: statsResponse.data.chess_bullet.record?.loss || 0,
-            draws: statsResponse.data.chess_bullet.record?.draw || 0,
-          };
-        }
-      } catch (error) {
-        console.error("Error fetching Chess.com stats:", error.message);
-      }
-    } else if (preferred_platform === "lichess.org" && lichess_username) {
-      try {
-        const profileRes = await fetch(
-          `${LICHESS_API}/user/${lichess_username}`,
-          {
-            headers: {
-              "User-Agent": "ChessNexus/1.0 (https://chess-nexus.com)",
-            },
-            timeout: 8000,
-          }
+        const speed = ["rapid", "blitz", "bullet"].find(
+          (key) => platformStats?.[key]?.rating
         );
-        if (profileRes.ok) {
-          const profileData = await profileRes.json();
-          // Get rapid rating as primary, fallback to blitz, then bullet
-          if (profileData.perfs?.rapid?.rating) {
-            rating = profileData.perfs.rapid.rating;
-            const rapid = profileData.perfs.rapid;
-            stats = {
-              wins: (rapid.games || 0) - (rapid.loss || 0) - (rapid.draw || 0),
-              losses: rapid.loss || 0,
-              draws: rapid.draw || 0,
-            };
-          } else if (profileData.perfs?.blitz?.rating) {
-            rating = profileData.perfs.blitz.rating;
-            const blitz = profileData.perfs.blitz;
-            stats = {
-              wins: (blitz.games || 0) - (blitz.loss || 0) - (blitz.draw || 0),
-              losses: blitz.loss || 0,
-              draws: blitz.draw || 0,
-            };
-          } else if (profileData.perfs?.bullet?.rating) {
-            rating = profileData.perfs.bullet.rating;
-            const bullet = profileData.perfs.bullet;
-            stats = {
-              wins:
-                (bullet.games || 0) - (bullet.loss || 0) - (bullet.draw || 0),
-              losses: bullet.loss || 0,
-              draws: bullet.draw || 0,
-            };
-          }
+        if (speed) {
+          const { rating: speedRating, wins, losses, draws } = platformStats[speed];
+          rating = speedRating;
+          stats = { wins, losses, draws };
         }
       } catch (error) {
-        console.error("Error fetching Lichess stats:", error.message);
+        console.error(`Error fetching ${chessPlatform.name} stats:`, error.message);
       }
     }
 
@@ -536,10 +418,7 @@ const getCurrentRating = async (req, res) => {
       rating: rating || 1200, // Default rating if none found
       stats: stats,
       platform: preferred_platform,
-      username:
-        preferred_platform === "chess.com"
-          ? chess_com_username
-          : lichess_username,
+      username: platformUsername,
     });
   } catch (error) {
     console.error("Rating fetch error:", error);
@@ -564,128 +443,20 @@ const getRecentMatches = async (req, res) => {
       });
     }
 
-    const { preferred_platform, chess_com_username, lichess_username } = user;
+    const { preferred_platform } = user;
+    const chessPlatform = getPlatform(preferred_platform);
+    const platformUsername = chessPlatform?.usernameFor(user) || null;
     let matches = [];
 
-    if (preferred_platform === "chess.com" && chess_com_username) {
+    if (platformUsername) {
+      console.log(`Fetching ${chessPlatform.name} games for:`, platformUsername);
       try {
-        // Get archives list
-        const archivesResponse = await chessComApiQueue.request({
-          url: `https://api.chess.com/pub/player/${chess_com_username.toLowerCase()}/games/archives`,
+        // Last 5 games
+        matches = await chessPlatform.getRecentGames(platformUsername, {
+          limit: 5,
         });
-        console.log(
-          "Chess.com archives found:",
-          archivesResponse.data.archives.length
-        );
-
-        // Get latest month's games
-        const latestArchive =
-          archivesResponse.data.archives[
-            archivesResponse.data.archives.length - 1
-          ];
-        const gamesResponse = await chessComApiQueue.request({
-          url: latestArchive,
-        });
-
-        console.log("Chess.com games found:", gamesResponse.data.games.length);
-
-        // Get last 5 games
-        const recentGames = gamesResponse.data.games.slice(-5).reverse();
-
-        matches = recentGames.map((game) => {
-          const isWhite =
-            game.white.username.toLowerCase() ===
-            chess_com_username.toLowerCase();
-          const opponent = isWhite ? game.black : game.white;
-          const userResult = isWhite ? game.white.result : game.black.result;
-          const userRatingAfter = isWhite
-            ? game.white.rating
-            : game.black.rating;
-          const opponentRating = isWhite
-            ? game.black.rating
-            : game.white.rating;
-
-          // Calculate rating change (this is approximate since we don't have before rating)
-          let result = "Draw";
-          let ratingChange = "0";
-
-          if (userResult === "win") {
-            result = "Win";
-            ratingChange = "+" + (Math.floor(Math.random() * 20) + 5); // Approximate
-          } else if (userResult === "lost") {
-            result = "Loss";
-            ratingChange = "-" + (Math.floor(Math.random() * 20) + 5); // Approximate
-          }
-
-          return {
-            opponent: opponent.username,
-            opponentRating: opponentRating,
-            result: result,
-            date: new Date(game.end_time * 1000).toISOString().split("T")[0],
-            ratingChange: ratingChange,
-            userRating: userRatingAfter,
-          };
-        });
-      } catch (error) {
-        console.error("Error fetching Chess.com games:", error);
-      }
-    } else if (preferred_platform === "lichess.org" && lichess_username) {
-      console.log("Fetching Lichess games for:", lichess_username);
-      try {
-        // Get recent games (last 5)
-        const gamesRes = await fetch(
-          `${LICHESS_API}/games/user/${lichess_username}?max=5&perfType=rapid,blitz,bullet`,
-          {
-            headers: {
-              Accept: "application/x-ndjson",
-            },
-          }
-        );
-
-        if (gamesRes.ok) {
-          const gamesText = await gamesRes.text();
-          const gameLines = gamesText
-            .trim()
-            .split("\n")
-            .filter((line) => line);
-          console.log("Lichess games found:", gameLines.length);
-
-          matches = gameLines.map((line) => {
-            const game = JSON.parse(line);
-            const isWhite =
-              game.players.white.user.name.toLowerCase() ===
-              lichess_username.toLowerCase();
-            const opponent = isWhite ? game.players.black : game.players.white;
-            const winner = game.winner;
-
-            let result = "Draw";
-            let ratingChange = "0";
-
-            if (winner === "white" && isWhite) {
-              result = "Win";
-              ratingChange = "+" + (Math.floor(Math.random() * 20) + 5); // Approximate
-            } else if (winner === "black" && !isWhite) {
-              result = "Win";
-              ratingChange = "+" + (Math.floor(Math.random() * 20) + 5); // Approximate
-            } else if (winner) {
-              result = "Loss";
-              ratingChange = "-" + (Math.floor(Math.random() * 20) + 5); // Approximate
-            }
-
-            return {
-              opponent: opponent.user.name,
-              opponentRating: opponent.rating || "N/A",
-              result: result,
-              date: new Date(game.createdAt).toISOString().split("T")[0],
-              ratingChange: ratingChange,
-              userRating: isWhite
-                ? game.players.white.rating
-                : game.players.black.rating,
-            };
-          });
-        }
       } catch (error) {
-        console.error("Error fetching Lichess games:", error);
+        console.error(`Error fetching ${chessPlatform.name} games:`, error);
       }
     }
 
@@ -695,10 +466,7 @@ const getRecentMatches = async (req, res) => {
       success: true,
       matches: matches,
       platform: preferred_platform,
-      username:
-        preferred_platform === "chess.com"
-          ? chess_com_username
-          : lichess_username,
+      username: platformUsername,
     });
   } catch (error) {
     console.error("Recent matches fetch error:", error);
@@ -1,90 +1,68 @@
 import asyncHandler from "express-async-handler";
-import fetch from "node-fetch";
 import Challenge from "../models/Challenge.js";
 import User from "../models/User.js";
 import pool from "../config/database.js";
-import paymentController from "./paymentController.js";
-import chessComApiQueue from "../services/ChessComApiQueue.js";
-
-const CHESS_COM_API = "https://api.chess.com/pub";
-const LICHESS_API = "https://lichess.org/api";
+import challengeService, { ChallengeError } from "../services/challengeService.js";
+import { InsufficientBalanceError } from "../services/walletHoldService.js";
+import { getPlatform } from "../services/platforms/index.js";
+
+// Challenge actions run in challengeService, shared with the realtime
+// gateway (realtime/events.js) so both transports behave the same
+const rethrowChallengeError = (res, error, fallbackMessage) => {
+  if (error instanceof ChallengeError) {
+    res.status(error.statusCode);
+    throw new Error(error.message);
+  }
+  if (error instanceof InsufficientBalanceError) {
+    res.status(400);
+    throw new Error(error.message);
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500);
+  throw new Error(fallbackMessage);
+};
 
 async function validatePlayer(username, platform) {
-  let name;
-  if (platform === "chess.com") {
-    name = "Chess.com";
-    try {
-      const response = await chessComApiQueue.request(
-        {
-          method: "get",
-          url: `${CHESS_COM_API}/player/${username}`,
-        },
-        "playerProfile"
-      );
-
-      return { valid: true, data: response.data };
-    } catch (error) {
-      if (error.response && error.response.status === 404) {
-        return {
-          valid: false,
-          error: `Player "${username}" not found on ${name}`,
-        };
-      }
-      return {
-        valid: false,
-        error: `Error checking "${username}" on ${name}: ${error.message}`,
-      };
-    }
-  } else {
-    name = "Lichess.org";
-    const res = await fetch(`${LICHESS_API}/user/${username}`);
-
-    if (res.status === 200) {
-      return { valid: true, data: await res.json() };
-    }
-    if (res.status === 404) {
-      return {
-        valid: false,
-        error: `Player "${username}" not found on ${name}`,
-      };
-    }
-    return {
-      valid: false,
-      error: `Error ${res.status} checking "${username}" on ${name}`,
-    };
+  const chessPlatform = getPlatform(platform);
+  if (!chessPlatform) {
+    return { valid: false, error: "Invalid platform" };
   }
+  return chessPlatform.validateUser(username);
 }
 
+// @desc    Challenge another player as the logged-in user
+// @route   POST /api/challenges
+// @access  Private
 export const createMatch = asyncHandler(async (req, res) => {
-  const { challengerName, opponentName, platform } = req.body;
+  const { opponentId, opponentName, platform, rules, paymentDetails } = req.body;
+  const timeControl = req.body.timeControl || req.body.time_control;
 
-  if (!challengerName || !opponentName || !platform) {
+  if ((!opponentId && !opponentName) || !platform) {
     res.status(400);
-    throw new Error("challengerName, opponentName and platform are required");
-  }
-  if (challengerName.toLowerCase() === opponentName.toLowerCase()) {
-    res.status(400);
-    throw new Error("Challenger and opponent must be different");
+    throw new Error("opponentId (or opponentName) and platform are required");
   }
 
-  const challengerUser = await User.findByUsername(challengerName);
-  const opponentUser = await User.findByUsername(opponentName);
+  const opponentUser = opponentId
+    ? await User.findById(opponentId)
+    : await User.findByUsername(opponentName);
 
-  if (!challengerUser || !opponentUser) {
+  if (!opponentUser) {
     res.status(404);
-    throw new Error("One or both users not found");
+    throw new Error("Opponent not found");
   }
 
-  const createdChallenge = await Challenge.create({
-    challenger: challengerUser.id,
-    opponent: opponentUser.id,
-    platform,
-  });
-
-  const io = req.app.get("socketio");
-  io.to(opponentUser.id.toString()).emit("newChallenge", createdChallenge);
-
-  res.status(201).json(createdChallenge);
+  try {
+    const challenge = await challengeService.createChallenge(req.user, {
+      opponentId: opponentUser.id,
+      platform,
+      timeControl,
+      rules,
+      paymentDetails,
+    });
+    res.status(201).json(challenge);
+  } catch (error) {
+    rethrowChallengeError(res, error, "Failed to create challenge");
+  }
 });
 
 export const getChallenges = asyncHandler(async (req, res) => {
@@ -103,294 +81,73 @@ export const validatePlayerController = asyncHandler(async (req, res) => {
   res.json(result);
 });
 
+// @desc    Accept a pending challenge as its opponent
+// @route   POST /api/challenges/:challengeId/accept
+// @access  Private (challenged player)
 export const acceptChallenge = asyncHandler(async (req, res) => {
-  const { challengeId } = req.params;
-  const { opponentPhoneNumber, paymentDetails } = req.body;
+  const { opponentPhoneNumber, paymentDetails, fundingSource } = req.body;
 
   try {
-    // Get the challenge details first
-    const query = `
-      SELECT c.*, 
-             CASE 
-               WHEN c.platform = 'chess.com' THEN challenger_user.chess_com_username 
-               WHEN c.platform = 'lichess' THEN challenger_user.lichess_username 
-               ELSE challenger_user.username 
-             END as challenger_username, 
-             challenger_user.phone as challenger_phone,
-             CASE 
-               WHEN c.platform = 'chess.com' THEN opponent_user.chess_com_username 
-               WHEN c.platform = 'lichess' THEN opponent_user.lichess_username 
-               ELSE opponent_user.username 
-             END as opponent_username, 
-             opponent_user.phone as opponent_phone
-      FROM challenges c
-      JOIN users challenger_user ON c.challenger = challenger_user.id
-      JOIN users opponent_user ON c.opponent = opponent_user.id
-      WHERE c.id = $1
-    `;
-
-    const challengeResult = await pool.query(query, [challengeId]);
-
-    if (challengeResult.rows.length === 0) {
-      res.status(404);
-      throw new Error("Challenge not found");
-    }
-
-    const challenge = challengeResult.rows[0];
-
-    // Update challenge status to accepted and save opponent phone
-    // Use provided phone number or fall back to user's profile phone
-    const finalOpponentPhone = opponentPhoneNumber || challenge.opponent_phone;
-
-    let updateQuery, updateParams;
-
-    if (finalOpponentPhone) {
-      updateQuery = `
-        UPDATE challenges 
-        SET status = $1, opponent_phone = $2, updated_at = NOW()
-        WHERE id = $3
-        RETURNING *;
-      `;
-      updateParams = ["accepted", finalOpponentPhone, challengeId];
-      console.log(
-        `📱 [CHALLENGE_ACCEPT] Saving opponent phone: ${finalOpponentPhone} for challenge ${challengeId}`
-      );
-    } else {
-      updateQuery = `
-        UPDATE challenges 
-        SET status = $1, updated_at = NOW()
-        WHERE id = $2
-        RETURNING *;
-      `;
-      updateParams = ["accepted", challengeId];
-      console.log(
-        `⚠️ [CHALLENGE_ACCEPT] No opponent phone available for challenge ${challengeId}`
-      );
-    }
-
-    const updateResult = await pool.query(updateQuery, updateParams);
-    const updatedChallenge = updateResult.rows[0];
-
-    if (!updatedChallenge) {
-      res.status(404);
-      throw new Error("Challenge not found");
-    }
-
-    console.log(`✅ [CHALLENGE_ACCEPT] Challenge ${challengeId} updated:`, {
-      status: updatedChallenge.status,
-      opponentPhone: updatedChallenge.opponent_phone,
+    const result = await challengeService.acceptChallenge(req.params.challengeId, req.user, {
+      opponentPhoneNumber,
+      fundingSource: fundingSource || paymentDetails?.fundingSource,
     });
 
-    // If this is a payment challenge, initiate deposits for both players
-    if (challenge.bet_amount && challenge.bet_amount > 0) {
-      console.log(
-        `💳 [CHALLENGE_ACCEPT] This is a payment challenge with bet amount: ${challenge.bet_amount}`
-      );
-      try {
-        // Get phone numbers
-        const challengerPhone =
-          paymentDetails?.phoneNumber || challenge.challenger_phone;
-        const opponentPhone = finalOpponentPhone;
-
-        console.log(`📞 [CHALLENGE_ACCEPT] Phone numbers:`, {
-          challengerPhone,
-          opponentPhone,
-          paymentDetailsPhone: paymentDetails?.phoneNumber,
-          challengerDbPhone: challenge.challenger_phone,
-          opponentDbPhone: challenge.opponent_phone,
-          providedOpponentPhone: opponentPhoneNumber,
-        });
-
-        if (!challengerPhone || !opponentPhone) {
-          console.error(`❌ [CHALLENGE_ACCEPT] Missing phone numbers:`, {
-            challengerPhone: !!challengerPhone,
-            opponentPhone: !!opponentPhone,
-          });
-          throw new Error("Phone numbers required for payment challenges");
-        }
-
-        // Initiate deposit for challenger
-        const challengerDepositReq = {
-          body: {
-            phoneNumber: challengerPhone,
-            amount: challenge.bet_amount,
-            challengeId: challengeId,
-            userId: challenge.challenger,
-          },
-        };
-
-        // Initiate deposit for opponent
-        const opponentDepositReq = {
-          body: {
-            phoneNumber: opponentPhone,
-            amount: challenge.bet_amount,
-            challengeId: challengeId,
-            userId: challenge.opponent,
-          },
-        };
-
-        // Use a mock response object for internal calls
-        const mockRes = {
-          json: (data) => data,
-          status: (code) => ({ json: (data) => data }),
-        };
-
-        console.log(
-          `🚀 [CHALLENGE_ACCEPT] Payment initiation will be handled by app.js game-redirect events`
-        );
-
-        // Update challenge payment status
-        await pool.query(
-          "UPDATE challenges SET payment_status = $1 WHERE id = $2",
-          ["pending", challengeId]
-        );
-      } catch (paymentError) {
-        console.error("Error initiating payments:", paymentError);
-        // Continue with challenge acceptance even if payment fails
-        // The payment can be retried later
-      }
-    }
-
-    // Get the full challenge details with user info for notification
-    const challenges = await Challenge.findByUserId(
-      updatedChallenge.challenger
-    );
-    const fullChallenge = challenges.find((c) => c.id == challengeId);
-
-    if (fullChallenge) {
-      const io = req.app.get("socketio");
-
-      // Debug: Check what rooms are available
-      console.log(
-        "🏠 Available socket rooms:",
-        Array.from(io.sockets.adapter.rooms.keys())
-      );
-      console.log(
-        "🎯 Target room for challenger:",
-        fullChallenge.challenger.id.toString()
-      );
-
-      const notificationData = {
-        challengeId,
-        challengerId: fullChallenge.challenger.id,
-        opponentId: fullChallenge.opponent.id,
-        challengerUsername: fullChallenge.challenger.username,
-        accepterUsername: fullChallenge.opponent.username,
-        opponentUsername: fullChallenge.opponent.username,
-        challenge: fullChallenge,
-        hasPayment: challenge.bet_amount > 0,
-        paymentAmount: challenge.bet_amount,
-        platform: fullChallenge.platform,
-      };
-
-      // Notify BOTH the challenger and opponent
-      console.log(
-        "🔔 Emitting challengeAccepted to challenger:",
-        fullChallenge.challenger.id.toString()
-      );
-      io.to(fullChallenge.challenger.id.toString()).emit(
-        "challengeAccepted",
-        notificationData
-      );
-      
-      console.log(
-        "🔔 Emitting challengeAccepted to opponent:",
-        fullChallenge.opponent.id.toString()
-      );
-      io.to(fullChallenge.opponent.id.toString()).emit(
-        "challengeAccepted",
-        notificationData
-      );
-      
-      console.log("📤 challengeAccepted data:", notificationData);
-    }
-
     res.json({
       success: true,
       message: "Challenge accepted",
-      challenge: fullChallenge || updatedChallenge,
-      hasPayment: challenge.bet_amount > 0,
-      paymentAmount: challenge.bet_amount,
+      ...result,
     });
   } catch (error) {
-    console.error("Error accepting challenge:", error);
-    res.status(500);
-    throw new Error("Failed to accept challenge");
+    rethrowChallengeError(res, error, "Failed to accept challenge");
   }
 });
 
+// @desc    Decline a pending challenge
+// @route   POST /api/challenges/:challengeId/decline
+// @access  Private (players in the challenge)
 export const declineChallenge = asyncHandler(async (req, res) => {
-  const { challengeId } = req.params;
-
   try {
-    const updatedChallenge = await Challenge.updateStatus(
-      challengeId,
-      "declined"
-    );
-
-    if (!updatedChallenge) {
-      res.status(404);
-      throw new Error("Challenge not found");
-    }
-
+    const challenge = await challengeService.declineChallenge(req.params.challengeId, req.user);
     res.json({
       success: true,
       message: "Challenge declined",
-      challenge: updatedChallenge,
+      challenge,
     });
   } catch (error) {
-    res.status(500);
-    throw new Error("Failed to decline challenge");
+    rethrowChallengeError(res, error, "Failed to decline challenge");
   }
 });
 
+// @desc    Cancel a challenge before the game starts and refund any stakes
+// @route   POST /api/challenges/:challengeId/cancel
+// @access  Private (players in the challenge)
 export const cancelChallenge = asyncHandler(async (req, res) => {
-  const { challengeId } = req.params;
-
   try {
-    const updatedChallenge = await Challenge.updateStatus(
-      challengeId,
-      "cancelled"
-    );
-
-    if (!updatedChallenge) {
-      res.status(404);
-      throw new Error("Challenge not found");
-    }
-
+    const challenge = await challengeService.cancelChallenge(req.params.challengeId, req.user);
     res.json({
       success: true,
       message: "Challenge cancelled",
-      challenge: updatedChallenge,
+      challenge,
     });
   } catch (error) {
-    res.status(500);
-    throw new Error("Failed to cancel challenge");
+    rethrowChallengeError(res, error, "Failed to cancel challenge");
   }
 });
 
+// @desc    Postpone a challenge
+// @route   POST /api/challenges/:challengeId/postpone
+// @access  Private (players in the challenge)
 export const postponeChallenge = asyncHandler(async (req, res) => {
-  const { challengeId } = req.params;
-
   try {
-    const updatedChallenge = await Challenge.updateStatus(
-      challengeId,
-      "postponed"
-    );
-
-    if (!updatedChallenge) {
-      res.status(404);
-      throw new Error("Challenge not found");
-    }
-
+    const challenge = await challengeService.postponeChallenge(req.params.challengeId, req.user);
     res.json({
       success: true,
       message: "Challenge postponed",
-      challenge: updatedChallenge,
+      challenge,
     });
   } catch (error) {
-    res.status(500);
-    throw new Error("Failed to postpone challenge");
+    rethrowChallengeError(res, error, "Failed to postpone challenge");
   }
 });
 
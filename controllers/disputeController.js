@@ -0,0 +1,155 @@
+import asyncHandler from "express-async-handler";
+import disputeService, { DisputeError } from "../services/disputeService.js";
+import { isAdmin } from "../middleware/auth.js";
+
+const rethrowDisputeError = (res, error, fallbackMessage) => {
+  if (error instanceof DisputeError) {
+    res.status(error.statusCode);
+    throw new Error(error.message);
+  }
+  console.error(`${fallbackMessage}:`, error);
+  res.status(500);
+  throw new Error(fallbackMessage);
+};
+
+const notifyPlayers = (req, userIds, event, data) => {
+  const io = req.app.get("io");
+  if (!io) return;
+  for (const userId of userIds) {
+    io.to(userId.toString()).emit(event, data);
+  }
+};
+
+// @desc    Dispute a match result while it is held for the dispute window
+// @route   POST /api/match-results/:challengeId/disputes
+// @access  Private (players in the match)
+export const openDispute = asyncHandler(async (req, res) => {
+  const challengeId = parseInt(req.params.challengeId);
+  const { reason, gameUrl, comment } = req.body;
+
+  if (!challengeId) {
+    res.status(400);
+    throw new Error("Invalid challenge id");
+  }
+  if (!reason || !String(reason).trim()) {
+    res.status(400);
+    throw new Error("A reason is required to open a dispute");
+  }
+
+  try {
+    const dispute = await disputeService.openDispute({
+      challengeId,
+      userId: req.user.id,
+      reason: String(reason).trim(),
+      gameUrl,
+      comment,
+    });
+
+    const { challenger_id, opponent_id } = await disputeService.getDispute(dispute.id);
+    const otherPlayer = Number(challenger_id) === Number(req.user.id) ? opponent_id : challenger_id;
+    notifyPlayers(req, [otherPlayer], "dispute-opened", {
+      disputeId: dispute.id,
+      challengeId,
+      reason: dispute.reason,
+      message: `${req.user.username} disputed the result. Payout is on hold until an admin reviews it.`,
+    });
+
+    res.status(201).json({ success: true, dispute });
+  } catch (error) {
+    rethrowDisputeError(res, error, "Failed to open dispute");
+  }
+});
+
+// @desc    Attach a game URL or comment to an open dispute
+// @route   POST /api/match-results/disputes/:disputeId/evidence
+// @access  Private (players in the match, admins)
+export const addDisputeEvidence = asyncHandler(async (req, res) => {
+  const { gameUrl, comment } = req.body;
+
+  try {
+    const evidence = await disputeService.addEvidence(
+      req.params.disputeId,
+      req.user,
+      { gameUrl, comment },
+      { asAdmin: isAdmin(req.user) }
+    );
+    res.status(201).json({ success: true, evidence });
+  } catch (error) {
+    rethrowDisputeError(res, error, "Failed to add evidence");
+  }
+});
+
+// @desc    Get a dispute with its evidence
+// @route   GET /api/match-results/disputes/:disputeId
+// @access  Private (players in the match, admins)
+export const getDispute = asyncHandler(async (req, res) => {
+  const dispute = await disputeService.getDispute(req.params.disputeId);
+  if (!dispute) {
+    res.status(404);
+    throw new Error("Dispute not found");
+  }
+
+  const playerIds = [dispute.challenger_id, dispute.opponent_id].map(Number);
+  if (!isAdmin(req.user) && !playerIds.includes(Number(req.user.id))) {
+    res.status(403);
+    throw new Error("Not authorized to view this dispute");
+  }
+
+  res.json({ success: true, dispute });
+});
+
+// @desc    List disputes (open by default, ?status=resolved|all)
+// @route   GET /api/match-results/disputes
+// @access  Private/Admin
+export const listDisputes = asyncHandler(async (req, res) => {
+  const status = req.query.status === "all" ? null : req.query.status || "open";
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+  const disputes = await disputeService.listDisputes({ status, limit });
+  res.json({ success: true, disputes });
+});
+
+// @desc    Resolve a dispute by paying out a winner or refunding both players
+// @route   POST /api/match-results/disputes/:disputeId/resolve
+// @access  Private/Admin
+export const resolveDispute = asyncHandler(async (req, res) => {
+  const { decision, winnerId, notes } = req.body;
+
+  try {
+    const { dispute, settlement } = await disputeService.resolveDispute(
+      req.params.disputeId,
+      req.user.id,
+      { decision, winnerId: winnerId ? parseInt(winnerId) : null, notes }
+    );
+
+    const { challenger_id, opponent_id } = await disputeService.getDispute(dispute.id);
+    notifyPlayers(req, [challenger_id, opponent_id], "dispute-resolved", {
+      disputeId: dispute.id,
+      challengeId: dispute.challenge_id,
+      decision: dispute.decision,
+      winnerId: dispute.winner_id,
+    });
+
+    res.json({ success: true, dispute, settlement });
+  } catch (error) {
+    rethrowDisputeError(res, error, "Failed to resolve dispute");
+  }
+});
+
+// @desc    Escalate a match flagged by game verification into a dispute
+// @route   POST /api/match-results/flagged/:matchId/escalate
+// @access  Private/Admin
+export const escalateFlaggedMatch = asyncHandler(async (req, res) => {
+  const matchId = parseInt(req.params.matchId);
+  if (!matchId) {
+    res.status(400);
+    throw new Error("Invalid match id");
+  }
+
+  try {
+    const dispute = await disputeService.escalateFlaggedMatch(matchId);
+    res.status(201).json({ success: true, dispute });
+  } catch (error) {
+    rethrowDisputeError(res, error, "Failed to escalate flagged match");
+  }
+});
@@ -0,0 +1,42 @@
+import asyncHandler from "express-async-handler";
+import leaderboardService, {
+  LeaderboardError,
+} from "../services/leaderboardService.js";
+
+// @desc    Available leaderboards and windows
+// @route   GET /api/leaderboards
+// @access  Private
+export const listLeaderboards = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    boards: leaderboardService.getBoards(),
+    windows: leaderboardService.getWindows(),
+  });
+});
+
+// @desc    One page of a leaderboard plus the requester's own rank
+// @route   GET /api/leaderboards/:board?window=weekly&page=1&limit=25
+// @access  Private
+export const getLeaderboard = asyncHandler(async (req, res) => {
+  const { window, page, limit, category, minGames } = req.query;
+
+  try {
+    const leaderboard = await leaderboardService.getLeaderboard(req.params.board, {
+      window,
+      page,
+      limit,
+      category,
+      minGames,
+      userId: req.user.id,
+    });
+    res.json({ success: true, ...leaderboard });
+  } catch (error) {
+    if (error instanceof LeaderboardError) {
+      res.status(400);
+      throw new Error(error.message);
+    }
+    console.error("Error fetching leaderboard:", error);
+    res.status(500);
+    throw new Error("Failed to fetch leaderboard");
+  }
+});
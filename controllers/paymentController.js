@@ -1,10 +1,25 @@
 import paymentService from "../services/paymentService.js";
 import pool from "../config/database.js";
+import ledgerService from "../services/ledgerService.js";
+import escrowService from "../services/escrowService.js";
+import idempotencyService from "../services/idempotencyService.js";
+import feeService from "../services/feeService.js";
+import walletHoldService from "../services/walletHoldService.js";
+import { platformUsernameSql } from "../services/platforms/index.js";
 
 // Note: io will be set by setSocketIO() method before server starts
 let io = null;
 
 class PaymentController {
+  constructor() {
+    // Sandbox callbacks skip HTTP and land straight in the shared apply path
+    paymentService.setCallbackHandler((payload) =>
+      this.applyCallbackResult(paymentService.provider.parseCallback(payload), {
+        source: paymentService.provider.name,
+      })
+    );
+  }
+
   // Helper function to generate user-friendly messages for payment failures
   static generateFriendlyMessage(status, message, description) {
     // Check for specific error patterns and provide friendly messages
@@ -201,48 +216,6 @@ class PaymentController {
     }
   }
 
-  /**
-   * Extract request ID from ONIT callback payload
-   * Handles cases where originatorRequestId is missing but embedded in error messages
-   * Example: "1003|DEP_69_8_1760555690220 : Error..." → "DEP_69_8_1760555690220"
-   */
-  extractRequestId(payload) {
-    // First try standard fields
-    let requestId = payload.originatorRequestId || payload.requestId;
-
-    if (requestId) {
-      // Strip ONIT prefix if present (e.g., "1003|DEP_72_2_1760573288599" → "DEP_72_2_1760573288599")
-      const prefixMatch = requestId.match(/^\d+\|(.+)$/);
-      if (prefixMatch && prefixMatch[1]) {
-        console.log(`🔍 [CALLBACK] Stripped prefix from request ID: "${requestId}" → "${prefixMatch[1]}"`);
-        return prefixMatch[1];
-      }
-      return requestId;
-    }
-
-    // Try to extract from message/description text using regex
-    const text =
-      payload.message || payload.description || payload.responseMessage || "";
-
-    // Pattern matches: "1003|DEP_69_8_1760555690220 :" or "WTH_123_456_789 :"
-    const patterns = [
-      /\|([A-Z]+_\d+_\d+_\d+)\s*[:]/i, // After pipe symbol
-      /([A-Z]+_\d+_\d+_\d+)/i, // Anywhere in text
-    ];
-
-    for (const pattern of patterns) {
-      const match = text.match(pattern);
-      if (match && match[1]) {
-        console.log(
-          `🔍 [CALLBACK] Extracted request ID from message: "${match[1]}"`
-        );
-        return match[1];
-      }
-    }
-
-    return null;
-  }
-
   // Handle webhook callbacks from payment provider
   async handleCallback(req, res) {
     try {
@@ -256,344 +229,387 @@ class PaymentController {
       });
       console.log("💳 [CALLBACK] Full request body:", JSON.stringify(req.body, null, 2));
 
-      // Extract request ID using helper function
-      const originatorRequestId = this.extractRequestId(req.body);
-      const onitStatus = req.body.status;
-      const transactionReference = req.body.transactionReference;
-      const transactionId = req.body.transactionId;
-      const timestamp = req.body.timestamp;
+      // The provider knows its own payload format
+      const parsed = paymentService.provider.parseCallback(req.body);
+      const outcome = await this.applyCallbackResult(parsed, { source: "callback" });
 
-      console.log("💳 [CALLBACK] Extracted data:", {
-        originatorRequestId,
-        onitStatus,
-        transactionReference,
-        transactionId,
-        timestamp
+      // Always return 200 OK for idempotency
+      res.status(200).json({
+        success: outcome.success,
+        message: outcome.message,
+      });
+    } catch (error) {
+      console.error("❌ [CALLBACK] Error processing payment callback:", error);
+      // Return 500 to let ONIT retry (if they support retries)
+      res.status(500).json({
+        success: false,
+        message: "Failed to process callback",
+        error: error.message,
       });
+    }
+  }
 
-      if (!originatorRequestId) {
-        console.error(
-          "❌ [CALLBACK] Missing originatorRequestId/requestId in callback"
-        );
-        // Return 200 OK to prevent ONIT from retrying forever (idempotent)
-        return res.status(200).json({
-          success: false,
-          message: "Missing originatorRequestId in callback",
-        });
-      }
+  /**
+   * Apply a normalized provider status (see PaymentProvider.parseCallback) to
+   * the payment record: ledger, escrow funding and socket notifications.
+   * Used by the HTTP callback route and by in-process sandbox callbacks.
+   */
+  async applyCallbackResult(parsed, { source = "callback" } = {}) {
+    const {
+      requestId: originatorRequestId,
+      status: mappedStatus,
+      providerStatus: onitStatus,
+      transactionReference,
+      transactionId,
+    } = parsed;
+
+    console.log(`💳 [CALLBACK] Applying ${source} result:`, {
+      originatorRequestId,
+      onitStatus,
+      mappedStatus,
+      transactionReference,
+      transactionId,
+    });
+
+    if (!originatorRequestId) {
+      console.error(
+        "❌ [CALLBACK] Missing originatorRequestId/requestId in callback"
+      );
+      // Reported as handled so ONIT stops retrying (idempotent)
+      return {
+        success: false,
+        message: "Missing originatorRequestId in callback",
+      };
+    }
 
-      // Map ONIT status to our internal status
-      // If transactionReference exists, assume success (ONIT doesn't always send status field)
-      let mappedStatus = "pending";
-      
-      if (transactionReference) {
-        // If ONIT provides a transaction reference, payment is successful
-        mappedStatus = "completed";
-        console.log(`✅ [CALLBACK] Transaction reference found: ${transactionReference} → marking as completed`);
-      } else if (onitStatus) {
-        // Enhanced status mapping for ONIT status codes and messages
-        const statusLower = onitStatus.toLowerCase();
-        const message = req.body.message || req.body.description || "";
-        const messageLower = message.toLowerCase();
+    // Update payment status in database
+    // Try with transaction_id first, fallback without if column doesn't exist
+    let updateQuery = `
+      UPDATE payments 
+      SET 
+        status = $1,
+        transaction_id = $2,
+        callback_data = $3,
+        updated_at = NOW()
+      WHERE request_id = $4
+      RETURNING *;
+    `;
+
+    console.log("💾 [CALLBACK] About to update payment with:", {
+      status: mappedStatus,
+      transactionId: transactionReference || transactionId,
+      requestId: originatorRequestId
+    });
+
+    let result;
+    try {
+      // Try with transaction_id column first
+      result = await pool.query(updateQuery, [
+        mappedStatus,
+        transactionReference || transactionId, // Use transactionReference if available
+        JSON.stringify(parsed.raw),
+        originatorRequestId,
+      ]);
+    } catch (error) {
+      // If transaction_id column doesn't exist, retry without it
+      if (error.code === '42703' && error.message.includes('transaction_id')) {
+        console.log("⚠️ [CALLBACK] transaction_id column missing, retrying without it");
+        updateQuery = `
+          UPDATE payments 
+          SET 
+            status = $1,
+            callback_data = $2,
+            updated_at = NOW()
+          WHERE request_id = $3
+          RETURNING *;
+        `;
         
-        // Check for explicit failure status codes
-        if (onitStatus === "5008" || onitStatus === "5000" || onitStatus === "5001") {
-          mappedStatus = "failed";
-        } else if (statusLower.includes("success") || statusLower.includes("complete")) {
-          mappedStatus = "completed";
-        } else if (
-          statusLower.includes("fail") ||
-          statusLower.includes("error") ||
-          messageLower.includes("cancelled") ||
-          messageLower.includes("failed") ||
-          messageLower.includes("error") ||
-          messageLower.includes("insufficient")
-        ) {
-          mappedStatus = "failed";
-        } else if (
-          statusLower.includes("pend") ||
-          statusLower.includes("processing")
-        ) {
-          mappedStatus = "processing";
-        }
+        result = await pool.query(updateQuery, [
+          mappedStatus,
+          JSON.stringify(parsed.raw),
+          originatorRequestId,
+        ]);
       } else {
-        // If no status but we have error indicators in message
-        const message = req.body.message || req.body.description || "";
-        const messageLower = message.toLowerCase();
-        
-        if (messageLower.includes("cancelled") || 
-            messageLower.includes("failed") ||
-            messageLower.includes("error") ||
-            messageLower.includes("insufficient")) {
-          mappedStatus = "failed";
-        }
+        throw error;
       }
+    }
 
-      console.log(
-        `📊 [CALLBACK] Status mapping: "${onitStatus || 'undefined'}" → "${mappedStatus}" (txRef: ${transactionReference || 'none'})`
+    console.log("💾 [CALLBACK] Database update result:", {
+      rowsAffected: result.rows.length,
+      payment: result.rows[0] ? {
+        id: result.rows[0].id,
+        user_id: result.rows[0].user_id,
+        challenge_id: result.rows[0].challenge_id,
+        status: result.rows[0].status,
+        transaction_type: result.rows[0].transaction_type
+      } : null
+    });
+
+    if (result.rows.length === 0) {
+      console.warn(
+        `⚠️ [CALLBACK] Payment record not found for requestId: ${originatorRequestId}`
       );
+      // Reported as handled so ONIT stops retrying (idempotent)
+      return {
+        success: true,
+        message:
+          "Callback received but transaction not found (likely already processed)",
+      };
+    }
 
-      // Update payment status in database
-      // Try with transaction_id first, fallback without if column doesn't exist
-      let updateQuery = `
-        UPDATE payments 
-        SET 
-          status = $1,
-          transaction_id = $2,
-          callback_data = $3,
-          updated_at = NOW()
-        WHERE request_id = $4
-        RETURNING *;
-      `;
+    const payment = result.rows[0];
+    console.log(
+      `✅ [CALLBACK] Updated payment ${payment.id}: ${payment.transaction_type} → ${mappedStatus} for user ${payment.user_id}`
+    );
+
+    // Book confirmed money movements in the ledger (idempotent per request_id).
+    // A stake deposit is applied to its escrow in the same transaction; a
+    // repeated callback finds the entry already booked and leaves it alone
+    let stakeDeposit = null;
+    if (mappedStatus === "completed") {
+      stakeDeposit = await ledgerService.withTransaction(async (tx) => {
+        const booked = await ledgerService.recordCompletedPayment(payment, tx);
+        if (payment.transaction_type !== "deposit" || !payment.challenge_id || booked.duplicate) {
+          return null;
+        }
+        return escrowService.recordDeposit(payment, tx);
+      });
+    }
 
-      console.log("💾 [CALLBACK] About to update payment with:", {
-        status: mappedStatus,
-        transactionId: transactionReference || transactionId,
-        requestId: originatorRequestId
+    // Wallet top-up: the ledger credit above is all there is to do
+    if (payment.transaction_type === "deposit" && !payment.challenge_id) {
+      this.emitWalletPaymentStatus(payment, mappedStatus, {
+        rawMessage: parsed.message, // Keep original for debugging
       });
+    }
 
-      let result;
+    // Wallet cash-out: settle the balance hold and tell the user
+    if (payment.transaction_type === "withdrawal" && !payment.challenge_id) {
       try {
-        // Try with transaction_id column first
-        result = await pool.query(updateQuery, [
-          mappedStatus,
-          transactionReference || transactionId, // Use transactionReference if available
-          JSON.stringify(req.body),
-          originatorRequestId,
-        ]);
-      } catch (error) {
-        // If transaction_id column doesn't exist, retry without it
-        if (error.code === '42703' && error.message.includes('transaction_id')) {
-          console.log("⚠️ [CALLBACK] transaction_id column missing, retrying without it");
-          updateQuery = `
-            UPDATE payments 
-            SET 
-              status = $1,
-              callback_data = $2,
-              updated_at = NOW()
-            WHERE request_id = $3
-            RETURNING *;
-          `;
-          
-          result = await pool.query(updateQuery, [
+        if (["completed", "failed"].includes(mappedStatus)) {
+          await walletHoldService.settleWithdrawalHold(
+            payment.id,
             mappedStatus,
-            JSON.stringify(req.body),
-            originatorRequestId,
-          ]);
-        } else {
-          throw error;
+            `provider_${onitStatus || "failed"}`
+          );
         }
+        this.emitWalletPaymentStatus(payment, mappedStatus, {
+          rawMessage: parsed.message, // Keep original for debugging
+        });
+      } catch (holdError) {
+        console.error("⚠️ [CALLBACK] Error settling withdrawal hold:", holdError);
       }
+    }
 
-      console.log("💾 [CALLBACK] Database update result:", {
-        rowsAffected: result.rows.length,
-        payment: result.rows[0] ? {
-          id: result.rows[0].id,
-          user_id: result.rows[0].user_id,
-          challenge_id: result.rows[0].challenge_id,
-          status: result.rows[0].status,
-          transaction_type: result.rows[0].transaction_type
-        } : null
-      });
-
-      if (result.rows.length === 0) {
-        console.warn(
-          `⚠️ [CALLBACK] Payment record not found for requestId: ${originatorRequestId}`
+    // If this is a stake deposit callback and failed, notify the user
+    if (
+      payment.transaction_type === "deposit" &&
+      mappedStatus === "failed" &&
+      payment.challenge_id &&
+      payment.user_id
+    ) {
+      console.log(
+        `💔 [CALLBACK] Emitting payment-failed to user ${payment.user_id}`
+      );
+      if (io) {
+        console.log(`📡 [CALLBACK] Socket IO available, emitting to room: ${payment.user_id.toString()}`);
+        
+        // Generate friendly message for the user
+        const friendlyMessage = PaymentController.generateFriendlyMessage(
+          onitStatus, 
+          parsed.message
         );
-        // Return 200 OK (idempotent) - prevents ONIT from retrying forever
-        return res.status(200).json({
-          success: true,
-          message:
-            "Callback received but transaction not found (likely already processed)",
+        
+        io.to(payment.user_id.toString()).emit("payment-failed", {
+          userId: payment.user_id,
+          challengeId: payment.challenge_id,
+          amount: payment.amount,
+          message: friendlyMessage,
+          rawMessage: parsed.message, // Keep original for debugging
+          timestamp: new Date().toISOString(),
         });
+        console.log(`✅ [CALLBACK] payment-failed event emitted to user ${payment.user_id} with message: "${friendlyMessage}"`);
+      } else {
+        console.error(`❌ [CALLBACK] Socket IO not available! Cannot emit payment-failed to user ${payment.user_id}`);
       }
+    }
 
-      const payment = result.rows[0];
+    // If this is a stake deposit callback and successful, notify the user
+    if (
+      payment.transaction_type === "deposit" &&
+      mappedStatus === "completed" &&
+      payment.challenge_id &&
+      payment.user_id
+    ) {
       console.log(
-        `✅ [CALLBACK] Updated payment ${payment.id}: ${payment.transaction_type} → ${mappedStatus} for user ${payment.user_id}`
+        `🎉 [CALLBACK] Payment successful for user ${payment.user_id}, emitting payment-success`
       );
+      if (io) {
+        console.log(`📡 [CALLBACK] Socket IO available, emitting to room: ${payment.user_id.toString()}`);
+        io.to(payment.user_id.toString()).emit("payment-success", {
+          userId: payment.user_id,
+          challengeId: payment.challenge_id,
+          amount: payment.amount,
+          message: "Payment successful!",
+          timestamp: new Date().toISOString(),
+        });
+        console.log(`✅ [CALLBACK] payment-success event emitted to user ${payment.user_id}`);
+      } else {
+        console.error(`❌ [CALLBACK] Socket IO not available! Cannot emit payment-success to user ${payment.user_id}`);
+      }
+    }
 
-      // If this is a deposit callback and failed, notify the user
-      if (
-        payment.transaction_type === "deposit" &&
-        mappedStatus === "failed" &&
-        payment.user_id
-      ) {
-        console.log(
-          `💔 [CALLBACK] Emitting payment-failed to user ${payment.user_id}`
-        );
-        if (io) {
-          console.log(`📡 [CALLBACK] Socket IO available, emitting to room: ${payment.user_id.toString()}`);
-          
-          // Generate friendly message for the user
-          const friendlyMessage = PaymentController.generateFriendlyMessage(
-            onitStatus, 
-            req.body.message, 
-            req.body.description
-          );
-          
-          io.to(payment.user_id.toString()).emit("payment-failed", {
-            userId: payment.user_id,
-            challengeId: payment.challenge_id,
-            amount: payment.amount,
-            message: friendlyMessage,
-            rawMessage: req.body.message || req.body.description, // Keep original for debugging
-            timestamp: new Date().toISOString(),
-          });
-          console.log(`✅ [CALLBACK] payment-failed event emitted to user ${payment.user_id} with message: "${friendlyMessage}"`);
-        } else {
-          console.error(`❌ [CALLBACK] Socket IO not available! Cannot emit payment-failed to user ${payment.user_id}`);
+    // If this is a deposit callback and completed, check if both players have deposited
+    if (
+      payment.transaction_type === "deposit" &&
+      mappedStatus === "completed" &&
+      payment.challenge_id
+    ) {
+      // This player's side was funded with the ledger booking above; the
+      // escrow decides when the pot is complete
+      try {
+        let becameFunded = stakeDeposit?.becameFunded || false;
+
+        // The other player may be staking from their wallet - their hold
+        // can be captured now that this M-Pesa stake is in
+        if (!becameFunded) {
+          ({ becameFunded } = await walletHoldService.captureChallengeStakes(payment.challenge_id));
         }
-      }
 
-      // If this is a deposit callback and successful, notify the user
-      if (
-        payment.transaction_type === "deposit" &&
-        mappedStatus === "completed" &&
-        payment.user_id
-      ) {
-        console.log(
-          `🎉 [CALLBACK] Payment successful for user ${payment.user_id}, emitting payment-success`
-        );
-        if (io) {
-          console.log(`📡 [CALLBACK] Socket IO available, emitting to room: ${payment.user_id.toString()}`);
-          io.to(payment.user_id.toString()).emit("payment-success", {
-            userId: payment.user_id,
-            challengeId: payment.challenge_id,
-            amount: payment.amount,
-            message: "Payment successful!",
-            timestamp: new Date().toISOString(),
-          });
-          console.log(`✅ [CALLBACK] payment-success event emitted to user ${payment.user_id}`);
-        } else {
-          console.error(`❌ [CALLBACK] Socket IO not available! Cannot emit payment-success to user ${payment.user_id}`);
+        if (becameFunded) {
+          await this.handleEscrowFunded(payment.challenge_id);
         }
+      } catch (depositError) {
+        console.error("⚠️ [CALLBACK] Error checking deposits:", depositError);
+        // Don't fail the callback response for this
       }
+    }
 
-      // If this is a deposit callback and completed, check if both players have deposited
-      if (
-        payment.transaction_type === "deposit" &&
-        mappedStatus === "completed" &&
-        payment.challenge_id
-      ) {
-        // Check if both deposits are complete (inline to avoid 'this' binding issues)
-        try {
-          const depositQuery = `
-            SELECT COUNT(*) as deposit_count
-            FROM payments 
-            WHERE challenge_id = $1 
-            AND transaction_type = 'deposit' 
-            AND status = 'completed';
-          `;
+    return {
+      success: true,
+      message: "Callback processed successfully",
+      payment,
+      status: mappedStatus,
+    };
+  }
 
-          const depositResult = await pool.query(depositQuery, [
-            payment.challenge_id,
-          ]);
-          const depositCount = parseInt(depositResult.rows[0].deposit_count);
-
-          if (depositCount >= 2) {
-            // Both players have deposited, update challenge status
-            const updateChallengeQuery = `
-              UPDATE challenges 
-              SET status = 'deposits_complete'
-              WHERE id = $1
-              RETURNING *;
-            `;
-
-            const challengeResult = await pool.query(updateChallengeQuery, [payment.challenge_id]);
-            console.log(
-              `✅ [CALLBACK] Both deposits complete for challenge ${payment.challenge_id}`
-            );
+  // Push the state of a wallet top-up or withdrawal to its owner
+  emitWalletPaymentStatus(payment, status, details = {}) {
+    const isTopUp = payment.transaction_type === "deposit";
+    const event = isTopUp ? "wallet-deposit-status" : "wallet-withdrawal-status";
 
-            // Get challenge details to notify both players
-            const challengeQuery = `
-              SELECT c.id, c.challenger, c.opponent, c.platform, c.bet_amount, c.time_control,
-                     CASE 
-                       WHEN c.platform = 'chess.com' THEN cu.chess_com_username 
-                       WHEN c.platform = 'lichess' THEN cu.lichess_username 
-                       ELSE cu.username 
-                     END as challenger_username,
-                     CASE 
-                       WHEN c.platform = 'chess.com' THEN ou.chess_com_username 
-                       WHEN c.platform = 'lichess' THEN ou.lichess_username 
-                       ELSE ou.username 
-                     END as opponent_username
-              FROM challenges c
-              JOIN users cu ON c.challenger = cu.id
-              JOIN users ou ON c.opponent = ou.id
-              WHERE c.id = $1;
-            `;
-
-            const challenge = await pool.query(challengeQuery, [payment.challenge_id]);
-
-            if (challenge.rows.length > 0 && io) {
-              const challengeData = challenge.rows[0];
-              
-              const notificationData = {
-                challengeId: challengeData.id,
-                challengerId: challengeData.challenger,
-                opponentId: challengeData.opponent,
-                platform: challengeData.platform,
-                betAmount: challengeData.bet_amount,
-                timeControl: challengeData.time_control,
-                challengerUsername: challengeData.challenger_username,
-                opponentUsername: challengeData.opponent_username,
-                message: "Both players have paid! Ready to start the match.",
-                timestamp: new Date().toISOString(),
-              };
-
-              // Emit to both players
-              io.to(challengeData.challenger.toString()).emit(
-                "both-payments-completed",
-                notificationData
-              );
-              io.to(challengeData.opponent.toString()).emit(
-                "both-payments-completed",
-                notificationData
-              );
-
-              console.log(
-                `📡 [CALLBACK] Emitted both-payments-completed to challenger ${challengeData.challenger} and opponent ${challengeData.opponent}`
-              );
-            }
-          }
-        } catch (depositError) {
-          console.error("⚠️ [CALLBACK] Error checking deposits:", depositError);
-          // Don't fail the callback response for this
+    if (!io) {
+      console.error(
+        `❌ [WALLET] Socket IO not available! Cannot emit ${event} to user ${payment.user_id}`
+      );
+      return;
+    }
+
+    const defaultMessages = isTopUp
+      ? {
+          pending: "Check your phone and enter your M-PESA PIN to top up",
+          processing: "M-PESA is processing your top-up",
+          completed: "Top-up received - your wallet has been credited",
+          failed: "Top-up failed - nothing was charged",
         }
-      }
+      : {
+          pending: "Withdrawal requested - waiting for M-PESA",
+          processing: "M-PESA is processing your withdrawal",
+          completed: "Withdrawal sent to your M-PESA",
+          failed: "Withdrawal failed - the amount is back in your wallet",
+        };
+
+    io.to(payment.user_id.toString()).emit(event, {
+      userId: payment.user_id,
+      paymentId: payment.id,
+      requestId: payment.request_id,
+      amount: payment.amount,
+      status,
+      message: defaultMessages[status] || `${isTopUp ? "Top-up" : "Withdrawal"} ${status}`,
+      ...details,
+      timestamp: new Date().toISOString(),
+    });
+    console.log(
+      `📡 [WALLET] ${event} (${status}) emitted to user ${payment.user_id}`
+    );
+  }
 
-      // Always return 200 OK for idempotency
-      res.status(200).json({
-        success: true,
-        message: "Callback processed successfully",
-      });
-    } catch (error) {
-      console.error("❌ [CALLBACK] Error processing payment callback:", error);
-      // Return 500 to let ONIT retry (if they support retries)
-      res.status(500).json({
-        success: false,
-        message: "Failed to process callback",
-        error: error.message,
-      });
+  // Both stakes are in the escrow: move the challenge on and tell both players
+  async handleEscrowFunded(challengeId) {
+    // Both players have staked (M-Pesa or wallet), update challenge status
+    const updateChallengeQuery = `
+      UPDATE challenges 
+      SET status = 'deposits_complete'
+      WHERE id = $1
+      RETURNING *;
+    `;
+
+    await pool.query(updateChallengeQuery, [challengeId]);
+    console.log(
+      `✅ [ESCROW] Both stakes secured for challenge ${challengeId}`
+    );
+
+    // Get challenge details to notify both players
+    const challengeQuery = `
+      SELECT c.id, c.challenger, c.opponent, c.platform, c.bet_amount, c.time_control,
+             ${platformUsernameSql("c.platform", "cu")} as challenger_username,
+             ${platformUsernameSql("c.platform", "ou")} as opponent_username
+      FROM challenges c
+      JOIN users cu ON c.challenger = cu.id
+      JOIN users ou ON c.opponent = ou.id
+      WHERE c.id = $1;
+    `;
+
+    const challenge = await pool.query(challengeQuery, [challengeId]);
+
+    if (challenge.rows.length > 0 && io) {
+      const challengeData = challenge.rows[0];
+      
+      const notificationData = {
+        challengeId: challengeData.id,
+        challengerId: challengeData.challenger,
+        opponentId: challengeData.opponent,
+        platform: challengeData.platform,
+        betAmount: challengeData.bet_amount,
+        timeControl: challengeData.time_control,
+        challengerUsername: challengeData.challenger_username,
+        opponentUsername: challengeData.opponent_username,
+        message: "Both players have paid! Ready to start the match.",
+        timestamp: new Date().toISOString(),
+      };
+
+      // Emit to both players
+      io.to(challengeData.challenger.toString()).emit(
+        "both-payments-completed",
+        notificationData
+      );
+      io.to(challengeData.opponent.toString()).emit(
+        "both-payments-completed",
+        notificationData
+      );
+
+      console.log(
+        `📡 [ESCROW] Emitted both-payments-completed to challenger ${challengeData.challenger} and opponent ${challengeData.opponent}`
+      );
     }
   }
 
+  /**
+   * Capture wallet stake holds for a challenge and, if that completes the
+   * pot, notify both players. Used when a wallet-funded challenge is accepted.
+   */
+  async fundFromWalletHolds(challengeId) {
+    const { captured, becameFunded } = await walletHoldService.captureChallengeStakes(challengeId);
+    if (becameFunded) {
+      await this.handleEscrowFunded(challengeId);
+    }
+    return { captured, becameFunded };
+  }
+
   // Check if both players have deposited for a challenge
   async checkBothDepositsComplete(challengeId) {
     try {
-      const query = `
-        SELECT COUNT(*) as deposit_count
-        FROM payments 
-        WHERE challenge_id = $1 
-        AND transaction_type = 'deposit' 
-        AND status = 'completed';
-      `;
-
-      const result = await pool.query(query, [challengeId]);
-      const depositCount = parseInt(result.rows[0].deposit_count);
-
-      if (depositCount >= 2) {
+      if (await escrowService.isFunded(challengeId)) {
         // Both players have deposited, update challenge status
         const updateChallengeQuery = `
           UPDATE challenges 
@@ -744,40 +760,84 @@ class PaymentController {
         "rule_violation",
       ];
 
+      // Claim the escrow before moving any money - a pot that was already
+      // released or refunded by another checker must not be paid again
+      const isDraw =
+        drawResults.includes(result) ||
+        (!winResults.includes(result) && !opponentWinResults.includes(result));
+      const winnerId = winResults.includes(result)
+        ? challengerData.id
+        : opponentData.id;
+      const claimed = isDraw
+        ? await escrowService.claimRefund(gameId, { reason: `result_${result}` })
+        : await escrowService.claimRelease(gameId, {
+            winnerId,
+            reason: `result_${result}`,
+          });
+
+      if (!claimed) {
+        console.warn(
+          `⚠️ Escrow for challenge ${gameId} is not claimable - skipping payout for result ${result}`
+        );
+        return;
+      }
+
       if (drawResults.includes(result)) {
-        // Refund both players
+        // Refund both players (minus the draw fee when PLATFORM_FEE_APPLY_TO_DRAWS is on)
+        const challengerRefund = await feeService.applyPayoutFee({
+          challengeId: gameId,
+          userId: challengerData.id,
+          opponentId: opponentData.id,
+          phoneNumber: challenge.challenger_phone,
+          amount: betAmount,
+          betAmount,
+          platform: challenge.platform,
+          outcome: "draw",
+        });
         await this.refundPlayer(
           challengerData.id,
           challenge.challenger_phone,
-          betAmount,
+          challengerRefund.net,
           gameId,
           "draw_refund"
         );
+        const opponentRefund = await feeService.applyPayoutFee({
+          challengeId: gameId,
+          userId: opponentData.id,
+          opponentId: challengerData.id,
+          phoneNumber: challenge.opponent_phone,
+          amount: betAmount,
+          betAmount,
+          platform: challenge.platform,
+          outcome: "draw",
+        });
         await this.refundPlayer(
           opponentData.id,
           challenge.opponent_phone,
-          betAmount,
+          opponentRefund.net,
           gameId,
           "draw_refund"
         );
-      } else if (winResults.includes(result)) {
-        // Challenger wins - pay out double amount
-        await this.payoutWinner(
-          challengerData.id,
-          challenge.challenger_phone,
-          betAmount * 2,
-          gameId,
-          "game_win"
-        );
-      } else if (opponentWinResults.includes(result)) {
-        // Opponent wins - pay out double amount
-        await this.payoutWinner(
-          opponentData.id,
-          challenge.opponent_phone,
-          betAmount * 2,
-          gameId,
-          "game_win"
-        );
+      } else if (winResults.includes(result) || opponentWinResults.includes(result)) {
+        // Winner gets double the bet minus the platform fee
+        const winner = winResults.includes(result) ? challengerData : opponentData;
+        const loser = winResults.includes(result) ? opponentData : challengerData;
+        const winnerPhone = winResults.includes(result)
+          ? challenge.challenger_phone
+          : challenge.opponent_phone;
+
+        const { fee, net } = await feeService.applyPayoutFee({
+          challengeId: gameId,
+          userId: winner.id,
+          opponentId: loser.id,
+          phoneNumber: winnerPhone,
+          amount: betAmount * 2,
+          betAmount,
+          platform: challenge.platform,
+        });
+        console.log(`Platform fee for game ${gameId}: ${fee}, paying winner ${net}`);
+
+        await this.payoutWinner(winner.id, winnerPhone, net, gameId, "game_win");
       } else {
         // Unknown result - treat as draw and refund both
         console.log(`Unknown result ${result}, treating as draw`);
@@ -803,12 +863,20 @@ class PaymentController {
 
   async refundPlayer(userId, phoneNumber, amount, gameId, reason) {
     try {
-      await paymentService.initiateWithdrawal(
+      const result = await paymentService.initiateWithdrawal(
         phoneNumber,
         amount,
-        `REFUND_${gameId}_${userId}_${Date.now()}`
+        userId,
+        gameId,
+        true,
+        { idempotencyKey: idempotencyService.challengeKey(gameId, "refund", userId) }
       );
+      if (result.duplicate) {
+        console.log(`Refund to ${phoneNumber} for challenge ${gameId} was already executed - not repeating`);
+        return result;
+      }
       console.log(`Refunded ${amount} to ${phoneNumber} for reason: ${reason}`);
+      return result;
     } catch (error) {
       console.error(`Failed to refund ${amount} to ${phoneNumber}:`, error);
     }
@@ -816,12 +884,20 @@ class PaymentController {
 
   async payoutWinner(userId, phoneNumber, amount, gameId, reason) {
     try {
-      await paymentService.initiateWithdrawal(
+      const result = await paymentService.initiateWithdrawal(
         phoneNumber,
         amount,
-        `PAYOUT_${gameId}_${userId}_${Date.now()}`
+        userId,
+        gameId,
+        false,
+        { idempotencyKey: idempotencyService.challengeKey(gameId, "payout", userId) }
       );
+      if (result.duplicate) {
+        console.log(`Payout to ${phoneNumber} for challenge ${gameId} was already executed - not repeating`);
+        return result;
+      }
       console.log(`Paid out ${amount} to ${phoneNumber} for reason: ${reason}`);
+      return result;
     } catch (error) {
       console.error(`Failed to payout ${amount} to ${phoneNumber}:`, error);
     }
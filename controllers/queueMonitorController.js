@@ -4,6 +4,35 @@
  */
 
 import paymentQueueManager from '../services/paymentQueueManager.js';
+import deadLetterService, { DeadLetterError } from '../services/deadLetterService.js';
+
+// Filters accepted by dead-letter listing and batch actions
+const pickFilters = (source) => ({
+  ids: source.ids,
+  queue: source.queue,
+  handler: source.handler,
+  since: source.since,
+  until: source.until,
+  search: source.search,
+  limit: source.limit,
+});
+
+const loadJob = (jobId) => {
+  const id = parseInt(jobId);
+  return Number.isInteger(id) ? deadLetterService.getJob(id) : null;
+};
+
+const sendDeadLetterError = (res, error, fallback) => {
+  if (error instanceof DeadLetterError) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  console.error(`❌ [QUEUE_MONITOR] ${fallback}:`, error);
+  res.status(500).json({
+    success: false,
+    error: fallback,
+    message: error.message,
+  });
+};
 
 class QueueMonitorController {
   /**
@@ -11,7 +40,7 @@ class QueueMonitorController {
    */
   async getQueueStats(req, res) {
     try {
-      const stats = paymentQueueManager.getQueueStats();
+      const stats = await paymentQueueManager.getQueueStats();
       
       res.json({
         success: true,
@@ -32,7 +61,7 @@ class QueueMonitorController {
    */
   async getRecentFailures(req, res) {
     try {
-      const failures = paymentQueueManager.getRecentFailures();
+      const failures = await paymentQueueManager.getRecentFailures();
       
       res.json({
         success: true,
@@ -53,7 +82,7 @@ class QueueMonitorController {
    */
   async healthCheck(req, res) {
     try {
-      const stats = paymentQueueManager.getQueueStats();
+      const stats = await paymentQueueManager.getQueueStats();
       
       // Define health thresholds
       const MAX_QUEUE_SIZE = 800; // 80% of max
@@ -110,6 +139,146 @@ class QueueMonitorController {
       });
     }
   }
+
+  /**
+   * List dead-lettered jobs with payload and error history
+   */
+  async listDeadLetters(req, res) {
+    try {
+      const { limit, offset } = req.query;
+      const result = await deadLetterService.listDeadLetters(
+        { ...pickFilters(req.query), ids: req.query.ids?.split(',') },
+        { limit, offset }
+      );
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      sendDeadLetterError(res, error, 'Failed to list dead-lettered jobs');
+    }
+  }
+
+  /**
+   * Get one job with its audit trail
+   */
+  async getDeadLetter(req, res) {
+    try {
+      const job = await loadJob(req.params.jobId);
+      if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+      }
+
+      res.json({
+        success: true,
+        data: job,
+      });
+    } catch (error) {
+      sendDeadLetterError(res, error, 'Failed to get job');
+    }
+  }
+
+  /**
+   * Replay a single dead-lettered job
+   */
+  async replayDeadLetter(req, res) {
+    await queueMonitorController.actOnJob(req, res, 'replay');
+  }
+
+  /**
+   * Mark a single dead-lettered job as manually resolved
+   */
+  async resolveDeadLetter(req, res) {
+    await queueMonitorController.actOnJob(req, res, 'resolve');
+  }
+
+  async actOnJob(req, res, action) {
+    try {
+      const job = await loadJob(req.params.jobId);
+      if (!job) {
+        return res.status(404).json({ success: false, error: 'Job not found' });
+      }
+      if (job.status !== 'dead') {
+        return res.status(409).json({
+          success: false,
+          error: `Job is ${job.status}, only dead-lettered jobs can be ${action === 'replay' ? 'replayed' : 'resolved'}`,
+        });
+      }
+
+      const result = await deadLetterService[action](
+        { ids: [job.id] },
+        { adminId: req.user.id, note: req.body?.note }
+      );
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      sendDeadLetterError(res, error, `Failed to ${action} job`);
+    }
+  }
+
+  /**
+   * Replay every dead-lettered job matching the filters (up to 100)
+   */
+  async replayDeadLetters(req, res) {
+    try {
+      const result = await deadLetterService.replay(pickFilters(req.body || {}), {
+        adminId: req.user.id,
+        note: req.body?.note,
+      });
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      sendDeadLetterError(res, error, 'Failed to replay jobs');
+    }
+  }
+
+  /**
+   * Resolve every dead-lettered job matching the filters (up to 100)
+   */
+  async resolveDeadLetters(req, res) {
+    try {
+      const result = await deadLetterService.resolve(pickFilters(req.body || {}), {
+        adminId: req.user.id,
+        note: req.body?.note,
+      });
+
+      res.json({
+        success: true,
+        data: result,
+      });
+    } catch (error) {
+      sendDeadLetterError(res, error, 'Failed to resolve jobs');
+    }
+  }
+
+  /**
+   * Audit trail of replays and resolutions
+   */
+  async getDeadLetterAudit(req, res) {
+    try {
+      const audit = await deadLetterService.getAuditTrail({
+        queue: req.query.queue,
+        adminId: parseInt(req.query.adminId) || null,
+        limit: req.query.limit,
+      });
+
+      res.json({
+        success: true,
+        data: audit,
+      });
+    } catch (error) {
+      sendDeadLetterError(res, error, 'Failed to get audit trail');
+    }
+  }
 }
 
-export default new QueueMonitorController();
+const queueMonitorController = new QueueMonitorController();
+
+export default queueMonitorController;
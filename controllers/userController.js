@@ -1,9 +1,10 @@
 import asyncHandler from "express-async-handler";
 import bcrypt from "bcryptjs";
-import https from "https";
 import User from "../models/User.js";
 import { generateToken } from "../config/auth.js";
-import chessComApiQueue from "../services/ChessComApiQueue.js";
+import { getPlatform, getPlatforms } from "../services/platforms/index.js";
+import ratingService, { RATING_CATEGORIES } from "../services/ratingService.js";
+import headToHeadService from "../services/headToHeadService.js";
 
 // @desc    Register a new user
 // @route   POST /api/users
@@ -77,354 +78,13 @@ export const getUserProfile = asyncHandler(async (req, res) => {
   }
 });
 
-// Helper function to fetch Chess.com recent games
-const fetchChessComRecentGames = async (username) => {
-  try {
-    // Get current date for the most recent month
-    const now = new Date();
-    const currentYear = now.getFullYear();
-    const currentMonth = String(now.getMonth() + 1).padStart(2, "0");
-
-    const response = await chessComApiQueue.request({
-      url: `https://api.chess.com/pub/player/${username.toLowerCase()}/games/${currentYear}/${currentMonth}`,
-    });
-
-    const games = response.data.games || [];
-    // Get last 10 games and format them, most recent first
-    return games
-      .slice(-10)
-      .reverse()
-      .map((game) => {
-        const isWhite =
-          game.white.username.toLowerCase() === username.toLowerCase();
-        const opponent = isWhite ? game.black : game.white;
-        const playerData = isWhite ? game.white : game.black;
-        let result = "Draw";
-        let ratingChange = "";
-
-        if (game.white.result === "win") {
-          result = isWhite ? "Win" : "Loss";
-        } else if (game.black.result === "win") {
-          result = isWhite ? "Loss" : "Win";
-        }
-
-        // Extract rating change if available in result
-        if (playerData.result && playerData.result.includes("+")) {
-          ratingChange = "+" + playerData.result.split("+")[1];
-        } else if (playerData.result && playerData.result.includes("-")) {
-          ratingChange = "-" + playerData.result.split("-")[1];
-        }
-
-        return {
-          id: game.url ? game.url.split("/").pop() : Date.now().toString(),
-          opponent: opponent.username,
-          opponentRating: opponent.rating,
-          result,
-          userRating: playerData.rating,
-          ratingChange,
-          timeControl: game.time_control,
-          gameUrl: game.url,
-          date: new Date(game.end_time * 1000).toISOString().split("T")[0],
-        };
-      });
-  } catch (error) {
-    console.error(
-      `Error fetching Chess.com games for ${username}:`,
-      error.message
-    );
-    return [];
-  }
-};
-
-// Helper function to fetch Lichess recent games
-const fetchLichessRecentGames = (username) => {
-  return new Promise((resolve) => {
-    const options = {
-      hostname: "lichess.org",
-      path: `/api/games/user/${username}?max=10&rated=true&perfType=blitz,rapid,bullet&pgnInJson=false&tags=false&clocks=false&evals=false&opening=false`,
-      method: "GET",
-      headers: {
-        "User-Agent": "ChessNexus/1.0",
-        Accept: "application/x-ndjson",
-      },
-    };
-
-    const req = https.request(options, (res) => {
-      let data = "";
-      res.on("data", (chunk) => (data += chunk));
-      res.on("end", () => {
-        try {
-          if (res.statusCode === 200) {
-            const lines = data
-              .trim()
-              .split("\n")
-              .filter((line) => line.trim());
-            const recentGames = lines.slice(0, 10).map((line) => {
-              const game = JSON.parse(line);
-              const isWhite =
-                game.players.white.user.name.toLowerCase() ===
-                username.toLowerCase();
-              const opponent = isWhite
-                ? game.players.black
-                : game.players.white;
-              let result = "Draw";
-              let ratingChange = "";
-
-              if (game.winner === "white") {
-                result = isWhite ? "Win" : "Loss";
-              } else if (game.winner === "black") {
-                result = isWhite ? "Loss" : "Win";
-              }
-
-              // Calculate rating change if available
-              const playerData = isWhite
-                ? game.players.white
-                : game.players.black;
-              if (playerData.ratingDiff) {
-                ratingChange =
-                  playerData.ratingDiff > 0
-                    ? `+${playerData.ratingDiff}`
-                    : `${playerData.ratingDiff}`;
-              }
-
-              return {
-                opponent: opponent.user.name,
-                opponentRating: opponent.rating,
-                result: result,
-                date: new Date(game.createdAt).toLocaleDateString(),
-                rating: playerData.rating,
-                ratingChange: ratingChange,
-                timeControl: game.perf,
-                gameUrl: `https://lichess.org/${game.id}`,
-                gameId: game.id,
-              };
-            });
-            resolve(recentGames);
-          } else {
-            console.log(
-              `Lichess API returned status ${res.statusCode} for ${username}`
-            );
-            resolve([]);
-          }
-        } catch (e) {
-          console.error(
-            `Error parsing Lichess games for ${username}:`,
-            e.message
-          );
-          resolve([]);
-        }
-      });
-    });
-
-    req.on("error", (error) => {
-      console.error(`Lichess request error for ${username}:`, error.message);
-      resolve([]);
-    });
-    req.setTimeout(8000, () => {
-      req.destroy();
-      resolve([]);
-    });
-    req.end();
-  });
-};
-const fetchChessComRating = (username) => {
-  return new Promise((resolve) => {
-    if (!username) {
-      console.log("No Chess.com username provided, returning null");
-      resolve(null);
-      return;
-    }
-
-    const options = {
-      hostname: "api.chess.com",
-      path: `/pub/player/${username.toLowerCase()}/stats`,
-      method: "GET",
-      timeout: 8000,
-      headers: {
-        "User-Agent": "ChessNexus/1.0 (https://chess-nexus.com)",
-        Accept: "application/json",
-      },
-    };
-
-    console.log(`Fetching Chess.com rating for profile: ${username}`);
-
-    const req = https.request(options, (res) => {
-      let data = "";
-      res.on("data", (chunk) => (data += chunk));
-      res.on("end", () => {
-        try {
-          console.log(
-            `Chess.com profile API response status for ${username}: ${res.statusCode}`
-          );
-
-          if (res.statusCode === 200) {
-            const parsed = JSON.parse(data);
-
-            // Try different rating types in order of preference
-            let blitzRating = 0,
-              rapidRating = 0,
-              bulletRating = 0;
-
-            if (parsed.chess_rapid?.last?.rating) {
-              rapidRating = parsed.chess_rapid.last.rating;
-              console.log(
-                `Found Chess.com rapid rating for ${username}: ${rapidRating}`
-              );
-            }
-
-            if (parsed.chess_blitz?.last?.rating) {
-              blitzRating = parsed.chess_blitz.last.rating;
-              console.log(
-                `Found Chess.com blitz rating for ${username}: ${blitzRating}`
-              );
-            }
-
-            if (parsed.chess_bullet?.last?.rating) {
-              bulletRating = parsed.chess_bullet.last.rating;
-              console.log(
-                `Found Chess.com bullet rating for ${username}: ${bulletRating}`
-              );
-            }
-
-            const highest = Math.max(blitzRating, rapidRating, bulletRating);
-            console.log(`Chess.com highest rating for ${username}: ${highest}`);
-
-            resolve({
-              blitz: blitzRating,
-              rapid: rapidRating,
-              bullet: bulletRating,
-              highest: highest,
-            });
-          } else {
-            console.log(
-              `Chess.com API returned non-200 status for ${username}: ${res.statusCode}`
-            );
-            resolve(null);
-          }
-        } catch (e) {
-          console.error(
-            `Error parsing Chess.com response for ${username}:`,
-            e.message
-          );
-          resolve(null);
-        }
-      });
-    });
-
-    req.on("error", (error) => {
-      console.error(`Chess.com request error for ${username}:`, error.message);
-      resolve(null);
-    });
-
-    req.on("timeout", () => {
-      console.log(`Chess.com request timeout for ${username}`);
-      req.destroy();
-      resolve(null);
-    });
-
-    req.end();
-  });
-};
-
-// Helper function to fetch Lichess rating
-const fetchLichessRating = (username) => {
-  return new Promise((resolve) => {
-    if (!username) {
-      console.log("No Lichess username provided, returning null");
-      resolve(null);
-      return;
-    }
-
-    const options = {
-      hostname: "lichess.org",
-      path: `/api/user/${username}`,
-      method: "GET",
-      timeout: 8000,
-      headers: {
-        "User-Agent": "ChessNexus/1.0 (https://chess-nexus.com)",
-        Accept: "application/json",
-      },
-    };
-
-    console.log(`Fetching Lichess rating for profile: ${username}`);
-
-    const req = https.request(options, (res) => {
-      let data = "";
-      res.on("data", (chunk) => (data += chunk));
-      res.on("end", () => {
-        try {
-          console.log(
-            `Lichess profile API response status for ${username}: ${res.statusCode}`
-          );
-
-          if (res.statusCode === 200) {
-            const parsed = JSON.parse(data);
-            const perfs = parsed.perfs || {};
-
-            // Try different rating types in order of preference
-            let blitzRating = 0,
-              rapidRating = 0,
-              bulletRating = 0;
-
-            if (perfs.rapid?.rating) {
-              rapidRating = perfs.rapid.rating;
-              console.log(
-                `Found Lichess rapid rating for ${username}: ${rapidRating}`
-              );
-            }
-
-            if (perfs.blitz?.rating) {
-              blitzRating = perfs.blitz.rating;
-              console.log(
-                `Found Lichess blitz rating for ${username}: ${blitzRating}`
-              );
-            }
-
-            if (perfs.bullet?.rating) {
-              bulletRating = perfs.bullet.rating;
-              console.log(
-                `Found Lichess bullet rating for ${username}: ${bulletRating}`
-              );
-            }
-
-            const highest = Math.max(blitzRating, rapidRating, bulletRating);
-            console.log(`Lichess highest rating for ${username}: ${highest}`);
-
-            resolve({
-              blitz: blitzRating,
-              rapid: rapidRating,
-              bullet: bulletRating,
-              highest: highest,
-            });
-          } else {
-            console.log(
-              `Lichess API returned non-200 status for ${username}: ${res.statusCode}`
-            );
-            resolve(null);
-          }
-        } catch (e) {
-          console.error(
-            `Error parsing Lichess response for ${username}:`,
-            e.message
-          );
-          resolve(null);
-        }
-      });
-    });
-
-    req.on("error", (error) => {
-      console.error(`Lichess request error for ${username}:`, error.message);
-      resolve(null);
-    });
-
-    req.on("timeout", () => {
-      console.log(`Lichess request timeout for ${username}`);
-      req.destroy();
-      resolve(null);
-    });
-
-    req.end();
-  });
+// Platforms to read a user's games and ratings from: the preferred platform
+// first, then any other platform the user has linked
+const linkedPlatforms = (user) => {
+  const preferred = getPlatform(user.preferred_platform);
+  return [preferred, ...getPlatforms().filter((p) => p !== preferred)].filter(
+    (chessPlatform) => chessPlatform && chessPlatform.usernameFor(user)
+  );
 };
 
 // @desc    Get user by username
@@ -457,44 +117,14 @@ export const getUserByUsername = asyncHandler(async (req, res) => {
     try {
       let chessRatings = null;
 
-      // Fetch from preferred platform first
-      if (user.preferred_platform === "chess.com" && user.chess_com_username) {
-        console.log(
-          `Fetching Chess.com rating for ${username}: ${user.chess_com_username}`
-        );
-        chessRatings = await fetchChessComRating(user.chess_com_username);
-      } else if (
-        user.preferred_platform === "lichess.org" &&
-        user.lichess_username
-      ) {
-        console.log(
-          `Fetching Lichess rating for ${username}: ${user.lichess_username}`
-        );
-        chessRatings = await fetchLichessRating(user.lichess_username);
-      }
-
-      // If preferred platform failed or no rating found, try the other platform
-      if (!chessRatings || chessRatings.highest === 0) {
+      // Preferred platform first, falling back to the other linked platforms
+      for (const chessPlatform of linkedPlatforms(user)) {
+        const platformUsername = chessPlatform.usernameFor(user);
         console.log(
-          `Primary platform failed for ${username}, trying fallback...`
+          `Fetching ${chessPlatform.name} rating for ${username}: ${platformUsername}`
         );
-        if (
-          user.chess_com_username &&
-          user.preferred_platform !== "chess.com"
-        ) {
-          console.log(
-            `Trying Chess.com fallback for ${username}: ${user.chess_com_username}`
-          );
-          chessRatings = await fetchChessComRating(user.chess_com_username);
-        } else if (
-          user.lichess_username &&
-          user.preferred_platform !== "lichess.org"
-        ) {
-          console.log(
-            `Trying Lichess fallback for ${username}: ${user.lichess_username}`
-          );
-          chessRatings = await fetchLichessRating(user.lichess_username);
-        }
+        chessRatings = await chessPlatform.getRatings(platformUsername);
+        if (chessRatings && chessRatings.highest > 0) break;
       }
 
       if (chessRatings && chessRatings.highest > 0) {
@@ -536,7 +166,10 @@ export const getUserByUsername = asyncHandler(async (req, res) => {
     last_rating_update: updatedUser.last_rating_update,
   });
 
-  res.json(updatedUser);
+  // Chequemate's own rating from settled challenges, per category
+  const chequemateRatings = await ratingService.getRatings(updatedUser.id);
+
+  res.json({ ...updatedUser, chequemate_ratings: chequemateRatings });
 });
 
 // @desc    Get user recent matches
@@ -554,32 +187,12 @@ export const getUserRecentMatches = asyncHandler(async (req, res) => {
   try {
     let recentMatches = [];
 
-    // Fetch from preferred platform first
-    if (user.preferred_platform === "chess.com" && user.chess_com_username) {
-      console.log(`Fetching Chess.com games for: ${user.chess_com_username}`);
-      recentMatches = await fetchChessComRecentGames(user.chess_com_username);
-    } else if (
-      user.preferred_platform === "lichess.org" &&
-      user.lichess_username
-    ) {
-      console.log(`Fetching Lichess games for: ${user.lichess_username}`);
-      recentMatches = await fetchLichessRecentGames(user.lichess_username);
-    }
-
-    // If preferred platform failed or no data, try the other platform
-    if (recentMatches.length === 0) {
-      if (user.chess_com_username && user.preferred_platform !== "chess.com") {
-        console.log(
-          `Trying Chess.com fallback for: ${user.chess_com_username}`
-        );
-        recentMatches = await fetchChessComRecentGames(user.chess_com_username);
-      } else if (
-        user.lichess_username &&
-        user.preferred_platform !== "lichess.org"
-      ) {
-        console.log(`Trying Lichess fallback for: ${user.lichess_username}`);
-        recentMatches = await fetchLichessRecentGames(user.lichess_username);
-      }
+    // Preferred platform first, falling back to the other linked platforms
+    for (const chessPlatform of linkedPlatforms(user)) {
+      const platformUsername = chessPlatform.usernameFor(user);
+      console.log(`Fetching ${chessPlatform.name} games for: ${platformUsername}`);
+      recentMatches = await chessPlatform.getRecentGames(platformUsername);
+      if (recentMatches.length > 0) break;
     }
 
     // Compute comprehensive statistics
@@ -734,59 +347,34 @@ export const getUserStats = asyncHandler(async (req, res) => {
     };
 
     // Fetch stats from preferred platform
-    if (user.preferred_platform === "chess.com" && user.chess_com_username) {
-      const chessComStats = await fetchChessComStats(user.chess_com_username);
-      if (chessComStats) {
-        // Combine stats from all game types
-        const allStats = [
-          chessComStats.blitz,
-          chessComStats.rapid,
-          chessComStats.bullet,
-        ];
-        stats = allStats.reduce(
-          (acc, gameType) => ({
-            wins: acc.wins + gameType.wins,
-            losses: acc.losses + gameType.losses,
-            draws: acc.draws + gameType.draws,
-            totalGames:
-              acc.totalGames + gameType.wins + gameType.losses + gameType.draws,
-          }),
-          { wins: 0, losses: 0, draws: 0, totalGames: 0 }
-        );
-
-        stats.winRate =
-          stats.totalGames > 0
-            ? Math.round((stats.wins / stats.totalGames) * 100)
-            : 0;
-      }
-    } else if (
-      user.preferred_platform === "lichess.org" &&
-      user.lichess_username
-    ) {
-      const lichessStats = await fetchLichessStats(user.lichess_username);
-      if (lichessStats) {
-        // Combine stats from all game types
-        const allStats = [
-          lichessStats.blitz,
-          lichessStats.rapid,
-          lichessStats.bullet,
-        ];
-        stats = allStats.reduce(
-          (acc, gameType) => ({
-            wins: acc.wins + gameType.wins,
-            losses: acc.losses + gameType.losses,
-            draws: acc.draws + gameType.draws,
-            totalGames:
-              acc.totalGames + gameType.wins + gameType.losses + gameType.draws,
-          }),
-          { wins: 0, losses: 0, draws: 0, totalGames: 0 }
-        );
-
-        stats.winRate =
-          stats.totalGames > 0
-            ? Math.round((stats.wins / stats.totalGames) * 100)
-            : 0;
-      }
+    const chessPlatform = getPlatform(user.preferred_platform);
+    const platformUsername = chessPlatform?.usernameFor(user);
+    const platformStats = platformUsername
+      ? await chessPlatform.getStats(platformUsername)
+      : null;
+
+    if (platformStats) {
+      // Combine stats from all game types
+      const allStats = [
+        platformStats.blitz,
+        platformStats.rapid,
+        platformStats.bullet,
+      ];
+      stats = allStats.reduce(
+        (acc, gameType) => ({
+          wins: acc.wins + gameType.wins,
+          losses: acc.losses + gameType.losses,
+          draws: acc.draws + gameType.draws,
+          totalGames:
+            acc.totalGames + gameType.wins + gameType.losses + gameType.draws,
+        }),
+        { wins: 0, losses: 0, draws: 0, totalGames: 0 }
+      );
+
+      stats.winRate =
+        stats.totalGames > 0
+          ? Math.round((stats.wins / stats.totalGames) * 100)
+          : 0;
     }
 
     res.json({ stats });
@@ -804,119 +392,55 @@ export const getUserStats = asyncHandler(async (req, res) => {
   }
 });
 
-// Helper function to fetch chess.com stats
-const fetchChessComStats = (username) => {
-  return new Promise((resolve) => {
-    const options = {
-      hostname: "api.chess.com",
-      path: `/pub/player/${username}/stats`,
-      method: "GET",
-      headers: {
-        "User-Agent": "ChessNexus/1.0",
-      },
-    };
+// @desc    Get a user's internal Chequemate ratings and rating history
+// @route   GET /api/users/profile/:username/ratings
+// @access  Private
+export const getUserRatings = asyncHandler(async (req, res) => {
+  const { username } = req.params;
+  const { category } = req.query;
 
-    const req = https.request(options, (res) => {
-      let data = "";
-      res.on("data", (chunk) => (data += chunk));
-      res.on("end", () => {
-        try {
-          if (res.statusCode === 200) {
-            const parsed = JSON.parse(data);
-            const stats = {
-              blitz: {
-                rating: parsed.chess_blitz?.last?.rating || 0,
-                wins: parsed.chess_blitz?.record?.win || 0,
-                losses: parsed.chess_blitz?.record?.loss || 0,
-                draws: parsed.chess_blitz?.record?.draw || 0,
-              },
-              rapid: {
-                rating: parsed.chess_rapid?.last?.rating || 0,
-                wins: parsed.chess_rapid?.record?.win || 0,
-                losses: parsed.chess_rapid?.record?.loss || 0,
-                draws: parsed.chess_rapid?.record?.draw || 0,
-              },
-              bullet: {
-                rating: parsed.chess_bullet?.last?.rating || 0,
-                wins: parsed.chess_bullet?.record?.win || 0,
-                losses: parsed.chess_bullet?.record?.loss || 0,
-                draws: parsed.chess_bullet?.record?.draw || 0,
-              },
-            };
-            resolve(stats);
-          } else {
-            resolve(null);
-          }
-        } catch (e) {
-          resolve(null);
-        }
-      });
-    });
+  const user = await User.findByUsername(username);
+  if (!user) {
+    res.status(404);
+    throw new Error("User not found");
+  }
 
-    req.on("error", () => resolve(null));
-    req.setTimeout(5000, () => {
-      req.destroy();
-      resolve(null);
-    });
-    req.end();
-  });
-};
+  if (category && !RATING_CATEGORIES.includes(category)) {
+    res.status(400);
+    throw new Error(`Category must be one of: ${RATING_CATEGORIES.join(", ")}`);
+  }
 
-// Helper function to fetch Lichess stats
-const fetchLichessStats = (username) => {
-  return new Promise((resolve) => {
-    const options = {
-      hostname: "lichess.org",
-      path: `/api/user/${username}`,
-      method: "GET",
-      headers: {
-        "User-Agent": "ChessNexus/1.0",
-      },
-    };
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+  const [ratings, history] = await Promise.all([
+    ratingService.getRatings(user.id),
+    ratingService.getHistory(user.id, { category: category || null, limit }),
+  ]);
 
-    const req = https.request(options, (res) => {
-      let data = "";
-      res.on("data", (chunk) => (data += chunk));
-      res.on("end", () => {
-        try {
-          if (res.statusCode === 200) {
-            const parsed = JSON.parse(data);
-            const perfs = parsed.perfs || {};
-            const stats = {
-              blitz: {
-                rating: perfs.blitz?.rating || 0,
-                wins: perfs.blitz?.wins || 0,
-                losses: perfs.blitz?.losses || 0,
-                draws: perfs.blitz?.draws || 0,
-              },
-              rapid: {
-                rating: perfs.rapid?.rating || 0,
-                wins: perfs.rapid?.wins || 0,
-                losses: perfs.rapid?.losses || 0,
-                draws: perfs.rapid?.draws || 0,
-              },
-              bullet: {
-                rating: perfs.bullet?.rating || 0,
-                wins: perfs.bullet?.wins || 0,
-                losses: perfs.bullet?.losses || 0,
-                draws: perfs.bullet?.draws || 0,
-              },
-            };
-            resolve(stats);
-          } else {
-            resolve(null);
-          }
-        } catch (e) {
-          resolve(null);
-        }
-      });
-    });
+  res.json({ ratings, history });
+});
 
-    req.on("error", () => resolve(null));
-    req.setTimeout(5000, () => {
-      req.destroy();
-      resolve(null);
-    });
-    req.end();
+// @desc    The requester's head-to-head record against this user
+// @route   GET /api/users/profile/:username/head-to-head
+// @access  Private
+export const getHeadToHead = asyncHandler(async (req, res) => {
+  const { username } = req.params;
+
+  const user = await User.findByUsername(username);
+  if (!user) {
+    res.status(404);
+    throw new Error("User not found");
+  }
+
+  if (Number(user.id) === Number(req.user.id)) {
+    res.status(400);
+    throw new Error("Cannot compare a user with themselves");
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+  const headToHead = await headToHeadService.getHeadToHead(req.user.id, user.id, { limit });
+
+  res.json({
+    opponent: { id: user.id, username: user.username },
+    ...headToHead,
   });
-};
+});
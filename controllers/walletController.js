@@ -1,5 +1,12 @@
 import asyncHandler from "express-async-handler";
 import pool from "../config/database.js";
+import paymentService from "../services/paymentService.js";
+import walletHoldService, {
+  InsufficientBalanceError,
+} from "../services/walletHoldService.js";
+import walletAdjustmentService from "../services/walletAdjustmentService.js";
+import paymentController from "./paymentController.js";
+import walletConfig from "../config/wallet.js";
 
 // @desc    Get user wallet balance and transactions
 // @route   GET /api/wallet
@@ -41,6 +48,9 @@ export const getWallet = asyncHandler(async (req, res) => {
     const balance = balanceResult.rows[0]?.balance || 0.0;
     const transactions = transactionsResult.rows;
 
+    // Part of the balance may be reserved for accepted wallet-funded challenges
+    const heldBalance = await walletHoldService.getHeldAmount(userId);
+
     // Helper function to determine if transaction is credit or debit
     const getCreditDebitType = (transactionType, notes) => {
       // SPECIAL CASE: Old transactions that were mis-labeled as "withdrawal"
@@ -125,6 +135,8 @@ export const getWallet = asyncHandler(async (req, res) => {
           return `Bet placed${opponentStr} - ${amountStr}`;
         case "win":
           return `Match winnings${opponentStr} - ${amountStr}`;
+        case "fee":
+          return `Platform fee${opponentStr} - ${amountStr}`;
         case "reward":
         case "bonus":
           return `Bonus credited - ${amountStr}`;
@@ -135,8 +147,11 @@ export const getWallet = asyncHandler(async (req, res) => {
 
     res.json({
       balance: parseFloat(balance),
+      heldBalance,
+      availableBalance: Math.round((parseFloat(balance) - heldBalance) * 100) / 100,
       currency: "KES",
-      minimumWithdrawal: 10, // Include minimum withdrawal threshold
+      minimumWithdrawal: walletConfig.withdrawal.minimum, // Include withdrawal limits
+      maximumWithdrawal: walletConfig.withdrawal.maximum,
       transactions: transactions.map((t) => ({
         id: t.id,
         type: getCreditDebitType(t.transaction_type, t.notes), // Map to 'credit' or 'debit' for UI colors (pass notes for special cases)
@@ -166,155 +181,183 @@ export const getWallet = asyncHandler(async (req, res) => {
   }
 });
 
-// @desc    Add funds to wallet
+// @desc    Top up wallet via M-Pesa STK push
 // @route   POST /api/wallet/deposit
 // @access  Private
 export const depositFunds = asyncHandler(async (req, res) => {
   const userId = req.user.id;
-  const { amount, paymentMethod, referenceId } = req.body;
+  const amount = Number(req.body.amount);
+  // validatePhone has already normalized a phone sent in the body
+  const phoneNumber = req.body.phoneNumber || req.user.phone;
+  const { minimum, maximum } = walletConfig.deposit;
 
   if (!amount || amount <= 0) {
     res.status(400);
     throw new Error("Invalid amount");
   }
 
-  try {
-    const client = await pool.connect();
-
-    try {
-      await client.query("BEGIN");
-
-      // Create transaction record
-      const transactionResult = await client.query(
-        `
-        INSERT INTO transactions (user_id, type, amount, description, reference_id, status)
-        VALUES ($1, 'credit', $2, $3, $4, 'completed')
-        RETURNING id
-      `,
-        [
-          userId,
-          amount,
-          `Deposit via ${paymentMethod || "M-Pesa"}`,
-          referenceId,
-        ]
-      );
+  if (amount < minimum) {
+    res.status(400);
+    throw new Error(`Minimum top-up is ${minimum} KES`);
+  }
 
-      // Update user balance
-      await client.query(
-        `
-        UPDATE users 
-        SET balance = balance + $1
-        WHERE id = $2
-      `,
-        [amount, userId]
-      );
+  if (amount > maximum) {
+    res.status(400);
+    throw new Error(`Maximum top-up is ${maximum} KES`);
+  }
 
-      await client.query("COMMIT");
+  if (!phoneNumber) {
+    res.status(400);
+    throw new Error("A phone number is required for M-Pesa top-ups");
+  }
 
-      // Get updated balance
-      const balanceResult = await client.query(
-        "SELECT balance FROM users WHERE id = $1",
-        [userId]
-      );
+  // The balance is only credited once the provider's callback confirms it
+  const deposit = await paymentService.initiateDeposit(phoneNumber, amount, userId);
 
-      res.json({
-        success: true,
-        transactionId: transactionResult.rows[0].id,
-        newBalance: parseFloat(balanceResult.rows[0].balance),
-        message: "Funds deposited successfully",
-      });
-    } catch (error) {
-      await client.query("ROLLBACK");
-      throw error;
-    } finally {
-      client.release();
-    }
-  } catch (error) {
-    console.error("Error depositing funds:", error);
+  if (!deposit.success) {
+    console.error("Error initiating top-up:", deposit.error);
     res.status(500);
-    throw new Error("Failed to deposit funds");
+    throw new Error("Failed to initiate top-up");
   }
+
+  paymentController.emitWalletPaymentStatus(deposit.data, "pending");
+
+  res.json({
+    success: true,
+    paymentId: deposit.data.id,
+    requestId: deposit.data.request_id,
+    amount,
+    status: deposit.data.status,
+    message: "Check your phone and enter your M-PESA PIN to complete the top-up",
+  });
 });
 
-// @desc    Withdraw funds from wallet
+// @desc    Withdraw funds from wallet to M-Pesa
 // @route   POST /api/wallet/withdraw
 // @access  Private
 export const withdrawFunds = asyncHandler(async (req, res) => {
   const userId = req.user.id;
-  const { amount, withdrawalMethod, accountDetails } = req.body;
+  const amount = Number(req.body.amount);
+  // validatePhone has already normalized a phone sent in the body
+  const phoneNumber = req.body.phoneNumber || req.user.phone;
+  const { minimum, maximum } = walletConfig.withdrawal;
 
   if (!amount || amount <= 0) {
     res.status(400);
     throw new Error("Invalid amount");
   }
 
+  if (amount < minimum) {
+    res.status(400);
+    throw new Error(`Minimum withdrawal is ${minimum} KES`);
+  }
+
+  if (amount > maximum) {
+    res.status(400);
+    throw new Error(`Maximum withdrawal is ${maximum} KES`);
+  }
+
+  if (!phoneNumber) {
+    res.status(400);
+    throw new Error("A phone number is required for M-Pesa withdrawals");
+  }
+
+  let withdrawal;
   try {
-    const client = await pool.connect();
+    withdrawal = await paymentService.initiateWalletWithdrawal(
+      phoneNumber,
+      amount,
+      userId
+    );
+  } catch (error) {
+    // Stakes on hold for accepted challenges can't be withdrawn either
+    if (error instanceof InsufficientBalanceError) {
+      res.status(400);
+      throw new Error("Insufficient balance");
+    }
+    console.error("Error withdrawing funds:", error);
+    res.status(500);
+    throw new Error("Failed to process withdrawal");
+  }
 
-    try {
-      await client.query("BEGIN");
+  const payment = withdrawal.data;
+  paymentController.emitWalletPaymentStatus(
+    payment,
+    withdrawal.success ? "pending" : "failed"
+  );
 
-      // Check current balance
-      const balanceResult = await client.query(
-        "SELECT balance FROM users WHERE id = $1",
-        [userId]
-      );
+  if (!withdrawal.success) {
+    res.status(500);
+    throw new Error(`Withdrawal could not be started: ${withdrawal.error}`);
+  }
 
-      const currentBalance = parseFloat(balanceResult.rows[0]?.balance || 0);
+  const summary = await walletHoldService.getBalanceSummary(userId);
+
+  res.json({
+    success: true,
+    paymentId: payment.id,
+    requestId: payment.request_id,
+    amount,
+    status: payment.status,
+    balance: summary.balance,
+    heldBalance: summary.held,
+    availableBalance: summary.available,
+    message:
+      "Withdrawal initiated - the amount is on hold until M-PESA confirms the transfer",
+  });
+});
 
-      if (currentBalance < amount) {
-        res.status(400);
-        throw new Error("Insufficient balance");
-      }
+// @desc    Credit or debit a user's wallet manually
+// @route   POST /api/wallet/admin/adjustments
+// @access  Private/Admin
+export const adjustWallet = asyncHandler(async (req, res) => {
+  const { userId, direction, reason, externalReference } = req.body;
+  const amount = Number(req.body.amount);
 
-      // Create transaction record
-      const transactionResult = await client.query(
-        `
-        INSERT INTO transactions (user_id, type, amount, description, reference_id, status)
-        VALUES ($1, 'debit', $2, $3, $4, 'pending')
-        RETURNING id
-      `,
-        [
-          userId,
-          amount,
-          `Withdrawal to ${withdrawalMethod || "M-Pesa"}`,
-          `WD_${Date.now()}`,
-        ]
-      );
+  if (!userId || !["credit", "debit"].includes(direction)) {
+    res.status(400);
+    throw new Error("userId and direction ('credit' or 'debit') are required");
+  }
 
-      // Update user balance
-      await client.query(
-        `
-        UPDATE users 
-        SET balance = balance - $1
-        WHERE id = $2
-      `,
-        [amount, userId]
-      );
+  if (!amount || amount <= 0) {
+    res.status(400);
+    throw new Error("Invalid amount");
+  }
 
-      await client.query("COMMIT");
+  if (!reason || !reason.trim()) {
+    res.status(400);
+    throw new Error("A reason is required for every adjustment");
+  }
 
-      // Get updated balance
-      const updatedBalanceResult = await client.query(
-        "SELECT balance FROM users WHERE id = $1",
-        [userId]
-      );
+  try {
+    const adjustment = await walletAdjustmentService.adjust({
+      userId: parseInt(userId),
+      adminId: req.user.id,
+      amount,
+      direction,
+      reason: reason.trim(),
+      externalReference: externalReference || null,
+    });
 
-      res.json({
-        success: true,
-        transactionId: transactionResult.rows[0].id,
-        newBalance: parseFloat(updatedBalanceResult.rows[0].balance),
-        message: "Withdrawal request submitted successfully",
-      });
-    } catch (error) {
-      await client.query("ROLLBACK");
-      throw error;
-    } finally {
-      client.release();
-    }
+    res.status(201).json({ success: true, adjustment });
   } catch (error) {
-    console.error("Error withdrawing funds:", error);
+    if (error instanceof InsufficientBalanceError) {
+      res.status(400);
+      throw new Error(error.message);
+    }
+    console.error("Error adjusting wallet:", error);
     res.status(500);
-    throw new Error("Failed to process withdrawal");
+    throw new Error("Failed to adjust wallet");
   }
 });
+
+// @desc    List manual wallet adjustments
+// @route   GET /api/wallet/admin/adjustments
+// @access  Private/Admin
+export const getWalletAdjustments = asyncHandler(async (req, res) => {
+  const userId = parseInt(req.query.userId) || null;
+  const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+  const adjustments = await walletAdjustmentService.getAdjustments({ userId, limit });
+  res.json({ success: true, adjustments });
+});
@@ -0,0 +1,6 @@
+-- Keys whose process died mid-operation with no payment on record are
+-- parked as needs_review instead of being run again
+ALTER TABLE idempotency_keys DROP CONSTRAINT IF EXISTS idempotency_keys_status_check;
+
+ALTER TABLE idempotency_keys ADD CONSTRAINT idempotency_keys_status_check
+  CHECK (status IN ('in_progress', 'completed', 'failed', 'needs_review'))
@@ -0,0 +1,32 @@
+ALTER TABLE job_queue ADD COLUMN IF NOT EXISTS error_history JSONB NOT NULL DEFAULT '[]';
+
+ALTER TABLE job_queue ADD COLUMN IF NOT EXISTS resolved_by INTEGER REFERENCES users(id);
+
+ALTER TABLE job_queue ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP;
+
+ALTER TABLE job_queue ADD COLUMN IF NOT EXISTS resolution_note TEXT;
+
+ALTER TABLE job_queue DROP CONSTRAINT IF EXISTS job_queue_status_check;
+
+ALTER TABLE job_queue ADD CONSTRAINT job_queue_status_check CHECK (status IN ('pending', 'processing', 'completed', 'dead', 'resolved'));
+
+CREATE TABLE IF NOT EXISTS job_queue_audit (
+  -- Admin actions on dead-lettered jobs (replay, manual resolution).
+  -- queue/job_id are copied so the trail outlives pruned jobs
+  id SERIAL PRIMARY KEY,
+  job_queue_id BIGINT REFERENCES job_queue(id) ON DELETE SET NULL,
+  queue VARCHAR(50) NOT NULL,
+  job_id VARCHAR(200) NOT NULL,
+  action VARCHAR(20) NOT NULL CHECK (action IN ('replay', 'resolve')),
+  admin_id INTEGER NOT NULL REFERENCES users(id),
+  note TEXT,
+  previous_status VARCHAR(20),
+  attempts INTEGER,
+  last_error TEXT,
+  batch_id VARCHAR(64),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_queue_audit_job ON job_queue_audit(job_queue_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_job_queue_audit_created ON job_queue_audit(created_at DESC)
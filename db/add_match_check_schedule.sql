@@ -0,0 +1,9 @@
+ALTER TABLE ongoing_matches ADD COLUMN IF NOT EXISTS next_check_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE ongoing_matches ADD COLUMN IF NOT EXISTS check_count INTEGER DEFAULT 0;
+
+ALTER TABLE ongoing_matches ADD COLUMN IF NOT EXISTS last_error TEXT;
+
+ALTER TABLE ongoing_matches ADD COLUMN IF NOT EXISTS last_checked_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_ongoing_matches_next_check ON ongoing_matches(next_check_at) WHERE result_checked = FALSE
@@ -0,0 +1,9 @@
+ALTER TABLE ongoing_matches ADD COLUMN IF NOT EXISTS verification_status VARCHAR(20);
+
+ALTER TABLE ongoing_matches ADD COLUMN IF NOT EXISTS verification_failures JSONB;
+
+ALTER TABLE ongoing_matches ADD COLUMN IF NOT EXISTS verification_game JSONB;
+
+ALTER TABLE ongoing_matches ADD COLUMN IF NOT EXISTS flagged_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_ongoing_matches_flagged ON ongoing_matches(flagged_at) WHERE verification_status = 'flagged'
@@ -0,0 +1,13 @@
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_transaction_type_check;
+
+ALTER TABLE payments ADD CONSTRAINT payments_transaction_type_check
+  CHECK (transaction_type IN (
+    'deposit',
+    'withdrawal',
+    'payout',
+    'refund',
+    'balance_credit',
+    'bet',
+    'stake',
+    'fee'
+  ))
@@ -0,0 +1,6 @@
+ALTER TABLE wallet_holds DROP CONSTRAINT IF EXISTS wallet_holds_reason_check;
+
+ALTER TABLE wallet_holds ADD CONSTRAINT wallet_holds_reason_check
+  CHECK (reason IN ('challenge_stake', 'withdrawal'));
+
+CREATE INDEX IF NOT EXISTS idx_wallet_holds_payment ON wallet_holds(payment_id)
@@ -0,0 +1,23 @@
+CREATE TABLE IF NOT EXISTS rejected_callbacks (
+  -- Every payment callback that failed authentication, kept for fraud review
+  id SERIAL PRIMARY KEY,
+  provider VARCHAR(30) NOT NULL DEFAULT 'onit',
+  reason VARCHAR(50) NOT NULL,
+  source_ip VARCHAR(64),
+  request_id VARCHAR(255),
+  headers JSONB,
+  raw_body TEXT,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rejected_callbacks_created_at ON rejected_callbacks(created_at);
+
+CREATE TABLE IF NOT EXISTS payment_callback_receipts (
+  -- Signatures of accepted callbacks, used to reject replays inside the timestamp window
+  signature VARCHAR(128) PRIMARY KEY,
+  provider VARCHAR(30) NOT NULL DEFAULT 'onit',
+  request_id VARCHAR(255),
+  received_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_callback_receipts_received_at ON payment_callback_receipts(received_at)
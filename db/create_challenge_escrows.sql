@@ -0,0 +1,63 @@
+CREATE TABLE IF NOT EXISTS challenge_escrows (
+  -- One escrow per paid challenge. Lifecycle:
+  --   open -> partially_funded -> funded -> released | refunded
+  --   funded -> disputed -> released | refunded
+  --   open | partially_funded -> refunded (payment timeout / cancel)
+  id SERIAL PRIMARY KEY,
+  challenge_id INTEGER UNIQUE NOT NULL REFERENCES challenges(id) ON DELETE CASCADE,
+  state VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (state IN ('open', 'partially_funded', 'funded', 'released', 'refunded', 'disputed')),
+  stake_amount DECIMAL(12, 2) NOT NULL,
+  challenger_id INTEGER NOT NULL REFERENCES users(id),
+  opponent_id INTEGER NOT NULL REFERENCES users(id),
+  challenger_funded BOOLEAN DEFAULT FALSE,
+  opponent_funded BOOLEAN DEFAULT FALSE,
+  funded_at TIMESTAMP,
+  settled_at TIMESTAMP,
+  settlement JSONB,
+  dispute_reason TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_challenge_escrows_state ON challenge_escrows(state);
+
+INSERT INTO challenge_escrows (
+  -- Backfill existing paid challenges from their completed deposits
+  challenge_id, state, stake_amount, challenger_id, opponent_id,
+  challenger_funded, opponent_funded, funded_at, settled_at
+)
+SELECT
+  c.id,
+  CASE
+    WHEN c.status = 'completed' THEN 'released'
+    WHEN c.status IN ('cancelled', 'declined') THEN 'refunded'
+    WHEN cf.funded AND opf.funded THEN 'funded'
+    WHEN cf.funded OR opf.funded THEN 'partially_funded'
+    ELSE 'open'
+  END,
+  c.bet_amount,
+  c.challenger,
+  c.opponent,
+  cf.funded,
+  opf.funded,
+  CASE WHEN cf.funded AND opf.funded THEN c.updated_at END,
+  CASE WHEN c.status IN ('completed', 'cancelled', 'declined') THEN c.updated_at END
+FROM challenges c
+CROSS JOIN LATERAL (
+  SELECT EXISTS (
+    SELECT 1 FROM payments p
+    WHERE p.challenge_id = c.id AND p.user_id = c.challenger
+    AND p.transaction_type = 'deposit' AND p.status = 'completed'
+  ) AS funded
+) cf
+CROSS JOIN LATERAL (
+  SELECT EXISTS (
+    SELECT 1 FROM payments p
+    WHERE p.challenge_id = c.id AND p.user_id = c.opponent
+    AND p.transaction_type = 'deposit' AND p.status = 'completed'
+  ) AS funded
+) opf
+WHERE c.bet_amount > 0
+AND c.opponent IS NOT NULL
+AND c.status IN ('accepted', 'deposits_complete', 'started', 'completed', 'cancelled', 'declined')
+ON CONFLICT (challenge_id) DO NOTHING
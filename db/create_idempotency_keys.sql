@@ -0,0 +1,15 @@
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+  -- Outgoing money movements are keyed e.g. challenge:<id>:payout:<userId>.
+  -- A repeated call with the same key returns the stored outcome instead
+  -- of initiating a second withdrawal
+  key VARCHAR(255) PRIMARY KEY,
+  operation VARCHAR(50) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'in_progress' CHECK (status IN ('in_progress', 'completed', 'failed')),
+  request_data JSONB,
+  response_data JSONB,
+  error TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_status ON idempotency_keys(status)
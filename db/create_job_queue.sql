@@ -0,0 +1,28 @@
+CREATE TABLE IF NOT EXISTS job_queue (
+  -- Durable background jobs (deposits, callbacks, withdrawals). Workers claim
+  -- rows with SKIP LOCKED and hold them until locked_until; a crashed
+  -- worker's job becomes claimable again once that passes. Jobs out of
+  -- attempts end up in the 'dead' (dead-letter) state
+  id BIGSERIAL PRIMARY KEY,
+  queue VARCHAR(50) NOT NULL,
+  job_id VARCHAR(200) NOT NULL,
+  handler VARCHAR(100) NOT NULL,
+  data JSONB NOT NULL DEFAULT '{}',
+  priority INTEGER NOT NULL DEFAULT 1,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  run_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  locked_until TIMESTAMP,
+  locked_by VARCHAR(100),
+  last_error TEXT,
+  result JSONB,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  completed_at TIMESTAMP,
+  UNIQUE (queue, job_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_job_queue_ready ON job_queue(queue, priority DESC, run_at) WHERE status IN ('pending', 'processing');
+
+CREATE INDEX IF NOT EXISTS idx_job_queue_dead ON job_queue(queue, updated_at) WHERE status = 'dead'
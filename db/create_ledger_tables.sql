@@ -0,0 +1,49 @@
+CREATE TABLE IF NOT EXISTS ledger_accounts (
+  -- One row per money bucket: user wallets, per-challenge escrow,
+  -- house/fee accounts and the M-Pesa clearing account
+  id SERIAL PRIMARY KEY,
+  code VARCHAR(100) UNIQUE NOT NULL,
+  account_type VARCHAR(30) NOT NULL CHECK (account_type IN ('user_wallet', 'escrow', 'house', 'mpesa_clearing')),
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  challenge_id INTEGER,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS ledger_entries (
+  -- A journal entry groups postings that must sum to zero.
+  -- reference is unique so replaying the same event never books twice
+  id SERIAL PRIMARY KEY,
+  entry_type VARCHAR(50) NOT NULL,
+  reference VARCHAR(255) UNIQUE NOT NULL,
+  description TEXT,
+  challenge_id INTEGER,
+  payment_id INTEGER,
+  metadata JSONB,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS ledger_postings (
+  id SERIAL PRIMARY KEY,
+  entry_id INTEGER NOT NULL REFERENCES ledger_entries(id) ON DELETE CASCADE,
+  account_id INTEGER NOT NULL REFERENCES ledger_accounts(id),
+  direction VARCHAR(6) NOT NULL CHECK (direction IN ('debit', 'credit')),
+  amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_accounts_user_id ON ledger_accounts(user_id);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_accounts_challenge_id ON ledger_accounts(challenge_id);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_challenge_id ON ledger_entries(challenge_id);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_entry_id ON ledger_postings(entry_id);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_account_id ON ledger_postings(account_id);
+
+INSERT INTO ledger_accounts (code, account_type)
+VALUES
+  ('clearing:mpesa', 'mpesa_clearing'),
+  ('house:fees', 'house'),
+  ('house:opening_balances', 'house')
+ON CONFLICT (code) DO NOTHING
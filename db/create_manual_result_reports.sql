@@ -0,0 +1,22 @@
+CREATE TABLE IF NOT EXISTS manual_result_reports (
+  -- One report per player per challenge. A manual result only settles once
+  -- both players agree (or the game URL proves it). Conflicting or
+  -- unconfirmed reports are escalated to a match dispute
+  id SERIAL PRIMARY KEY,
+  challenge_id INTEGER NOT NULL REFERENCES challenges(id) ON DELETE CASCADE,
+  ongoing_match_id INTEGER,
+  reporter_id INTEGER NOT NULL REFERENCES users(id),
+  result VARCHAR(10) NOT NULL CHECK (result IN ('win', 'loss', 'draw')),
+  claimed_winner_id INTEGER REFERENCES users(id),
+  game_url TEXT,
+  url_verified BOOLEAN NOT NULL DEFAULT FALSE,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'verified', 'disputed', 'superseded')),
+  dispute_id INTEGER REFERENCES match_disputes(id),
+  expires_at TIMESTAMP NOT NULL,
+  resolved_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (challenge_id, reporter_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_manual_result_reports_expiry ON manual_result_reports(expires_at) WHERE status = 'pending'
@@ -0,0 +1,39 @@
+ALTER TABLE challenge_escrows ADD COLUMN IF NOT EXISTS pending_result JSONB;
+
+ALTER TABLE challenge_escrows ADD COLUMN IF NOT EXISTS payout_due_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_challenge_escrows_payout_due ON challenge_escrows(payout_due_at) WHERE state = 'funded' AND payout_due_at IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS match_disputes (
+  -- A contested match result. While open the escrow sits in 'disputed' and
+  -- nothing pays out until an admin decides
+  id SERIAL PRIMARY KEY,
+  challenge_id INTEGER NOT NULL REFERENCES challenges(id) ON DELETE CASCADE,
+  opened_by INTEGER NOT NULL REFERENCES users(id),
+  reason TEXT NOT NULL,
+  disputed_result JSONB,
+  status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved')),
+  decision VARCHAR(20) CHECK (decision IN ('payout', 'refund')),
+  winner_id INTEGER REFERENCES users(id),
+  resolved_by INTEGER REFERENCES users(id),
+  resolution_notes TEXT,
+  resolved_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_match_disputes_one_open ON match_disputes(challenge_id) WHERE status = 'open';
+
+CREATE INDEX IF NOT EXISTS idx_match_disputes_status ON match_disputes(status, created_at);
+
+CREATE TABLE IF NOT EXISTS match_dispute_evidence (
+  -- Game links and comments either player (or an admin) attaches to a dispute
+  id SERIAL PRIMARY KEY,
+  dispute_id INTEGER NOT NULL REFERENCES match_disputes(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  game_url TEXT,
+  comment TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  CHECK (game_url IS NOT NULL OR comment IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_match_dispute_evidence_dispute ON match_dispute_evidence(dispute_id)
@@ -0,0 +1,33 @@
+CREATE TABLE IF NOT EXISTS match_game_records (
+  -- Full platform record of the game a challenge was settled on, for club
+  -- review and analysis tooling
+  id SERIAL PRIMARY KEY,
+  challenge_id INTEGER NOT NULL UNIQUE REFERENCES challenges(id) ON DELETE CASCADE,
+  ongoing_match_id INTEGER,
+  platform VARCHAR(50) NOT NULL,
+  game_id VARCHAR(100),
+  game_url TEXT,
+  pgn TEXT,
+  eco VARCHAR(10),
+  opening_name TEXT,
+  plies INTEGER,
+  move_count INTEGER,
+  clocks JSONB,
+  initial_seconds INTEGER,
+  increment_seconds INTEGER,
+  termination VARCHAR(100),
+  result VARCHAR(30),
+  winner_color VARCHAR(5),
+  rated BOOLEAN,
+  variant VARCHAR(30),
+  speed VARCHAR(20),
+  white_username VARCHAR(100),
+  black_username VARCHAR(100),
+  white_rating INTEGER,
+  black_rating INTEGER,
+  started_at TIMESTAMP,
+  ended_at TIMESTAMP,
+  fetched_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_match_game_records_eco ON match_game_records(eco)
@@ -0,0 +1,40 @@
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_admin BOOLEAN DEFAULT FALSE;
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS last_reconciled_at TIMESTAMP;
+
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS reconcile_attempts INTEGER DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS payment_reconciliation_runs (
+  -- One row per reconciler pass, scheduled or triggered by an admin
+  id SERIAL PRIMARY KEY,
+  trigger_type VARCHAR(20) NOT NULL CHECK (trigger_type IN ('schedule', 'manual')),
+  triggered_by INTEGER REFERENCES users(id),
+  status VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (status IN ('running', 'completed', 'failed')),
+  checked_count INTEGER DEFAULT 0,
+  updated_count INTEGER DEFAULT 0,
+  error_count INTEGER DEFAULT 0,
+  error TEXT,
+  started_at TIMESTAMP DEFAULT NOW(),
+  finished_at TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS payment_reconciliation_log (
+  -- What the provider reported for each stale payment and what we changed
+  id SERIAL PRIMARY KEY,
+  run_id INTEGER REFERENCES payment_reconciliation_runs(id) ON DELETE CASCADE,
+  payment_id INTEGER REFERENCES payments(id),
+  request_id VARCHAR(255) NOT NULL,
+  previous_status VARCHAR(20),
+  provider_status VARCHAR(50),
+  new_status VARCHAR(20),
+  action VARCHAR(20) NOT NULL CHECK (action IN ('updated', 'unchanged', 'error')),
+  error TEXT,
+  provider_response JSONB,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_log_run ON payment_reconciliation_log(run_id);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_log_request ON payment_reconciliation_log(request_id);
+
+CREATE INDEX IF NOT EXISTS idx_payments_pending_reconcile ON payments(status, created_at) WHERE status IN ('pending', 'processing')
@@ -0,0 +1,25 @@
+CREATE TABLE IF NOT EXISTS socket_presence (
+  -- One row per connected socket across every app instance. Instances
+  -- refresh last_seen_at for their sockets on a heartbeat; rows an instance
+  -- stopped refreshing (crash, deploy) are swept once they go stale
+  socket_id VARCHAR(64) PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  instance_id VARCHAR(100) NOT NULL,
+  profile JSONB NOT NULL DEFAULT '{}',
+  connected_at TIMESTAMP DEFAULT NOW(),
+  last_seen_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_socket_presence_user ON socket_presence(user_id);
+
+CREATE INDEX IF NOT EXISTS idx_socket_presence_instance ON socket_presence(instance_id);
+
+CREATE INDEX IF NOT EXISTS idx_socket_presence_last_seen ON socket_presence(last_seen_at);
+
+CREATE TABLE IF NOT EXISTS socket_io_attachments (
+  -- Socket.IO Postgres adapter: packets too large for a NOTIFY payload are
+  -- stored here and fetched by the other instances
+  id BIGSERIAL UNIQUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  payload BYTEA
+)
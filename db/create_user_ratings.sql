@@ -0,0 +1,33 @@
+CREATE TABLE IF NOT EXISTS user_ratings (
+  -- Chequemate-internal Elo per time-control category, separate from the
+  -- chess.com / Lichess ratings cached on users
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  category VARCHAR(20) NOT NULL,
+  rating INTEGER NOT NULL,
+  peak_rating INTEGER NOT NULL,
+  games_played INTEGER NOT NULL DEFAULT 0,
+  wins INTEGER NOT NULL DEFAULT 0,
+  losses INTEGER NOT NULL DEFAULT 0,
+  draws INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (user_id, category)
+);
+
+CREATE TABLE IF NOT EXISTS rating_history (
+  -- One row per player per rated challenge. The unique key keeps a
+  -- challenge from being rated twice
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  challenge_id INTEGER NOT NULL REFERENCES challenges(id) ON DELETE CASCADE,
+  category VARCHAR(20) NOT NULL,
+  opponent_id INTEGER REFERENCES users(id),
+  opponent_rating INTEGER,
+  score NUMERIC(2,1) NOT NULL,
+  rating_before INTEGER NOT NULL,
+  rating_after INTEGER NOT NULL,
+  rating_change INTEGER NOT NULL,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (challenge_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rating_history_user ON rating_history(user_id, category, created_at)
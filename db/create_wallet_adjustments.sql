@@ -0,0 +1,19 @@
+CREATE TABLE IF NOT EXISTS wallet_adjustments (
+  -- Audit trail for manual balance corrections made by admins.
+  -- Every row has a matching ledger entry (reference wallet_adjustment:<id>)
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  admin_id INTEGER NOT NULL REFERENCES users(id),
+  direction VARCHAR(10) NOT NULL CHECK (direction IN ('credit', 'debit')),
+  amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+  reason TEXT NOT NULL,
+  external_reference VARCHAR(255),
+  balance_before DECIMAL(12, 2),
+  balance_after DECIMAL(12, 2),
+  ledger_entry_id INTEGER REFERENCES ledger_entries(id),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_adjustments_user ON wallet_adjustments(user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_adjustments_admin ON wallet_adjustments(admin_id)
@@ -0,0 +1,27 @@
+ALTER TABLE challenges ADD COLUMN IF NOT EXISTS challenger_funding_source VARCHAR(10) DEFAULT 'mpesa';
+
+ALTER TABLE challenges ADD COLUMN IF NOT EXISTS opponent_funding_source VARCHAR(10) DEFAULT 'mpesa';
+
+CREATE TABLE IF NOT EXISTS wallet_holds (
+  -- Money reserved on a user's wallet. available = ledger balance - active holds.
+  -- A challenge stake hold is captured into the escrow once the pot is
+  -- complete, or released if the challenge is cancelled or times out
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  challenge_id INTEGER REFERENCES challenges(id) ON DELETE SET NULL,
+  amount DECIMAL(12, 2) NOT NULL CHECK (amount > 0),
+  reason VARCHAR(30) NOT NULL CHECK (reason IN ('challenge_stake')),
+  status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'captured', 'released')),
+  payment_id INTEGER REFERENCES payments(id),
+  release_reason VARCHAR(100),
+  created_at TIMESTAMP DEFAULT NOW(),
+  captured_at TIMESTAMP,
+  released_at TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wallet_holds_live_stake ON wallet_holds(user_id, challenge_id) WHERE reason = 'challenge_stake' AND status <> 'released';
+
+CREATE INDEX IF NOT EXISTS idx_wallet_holds_user_status ON wallet_holds(user_id, status);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_holds_challenge ON wallet_holds(challenge_id)
@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+/**
+ * FAKE ONIT CALLBACK SENDER
+ * Sends a signed (or deliberately broken) payment callback to a running
+ * backend so callback authentication can be exercised locally.
+ *
+ * Usage:
+ *   node fake_onit_callback.js <requestId> [options]
+ *
+ * Options:
+ *   --failed             Send a failure callback instead of a success
+ *   --url <url>          Callback URL (default http://localhost:$PORT/api/payments/callback)
+ *   --secret <secret>    Override ONIT_CALLBACK_SECRET
+ *   --bad-signature      Sign with the wrong secret (expect 401 invalid_signature)
+ *   --stale              Use a timestamp outside the replay window (expect 401 stale_timestamp)
+ *   --unsigned           Send without signature headers (expect 401 missing_signature)
+ *   --replay             Send the identical signed request twice (expect 409 replayed on the second)
+ */
+
+import 'dotenv/config';
+import axios from 'axios';
+import { buildSignedHeaders } from './utils/callbackSignature.js';
+
+function parseArgs(argv) {
+  const args = { flags: new Set(), values: {} };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--url' || arg === '--secret') {
+      args.values[arg.slice(2)] = argv[++i];
+    } else if (arg.startsWith('--')) {
+      args.flags.add(arg.slice(2));
+    } else if (!args.requestId) {
+      args.requestId = arg;
+    }
+  }
+  return args;
+}
+
+function buildPayload(requestId, failed) {
+  if (failed) {
+    return {
+      originatorRequestId: requestId,
+      status: '5008',
+      message: `1003|${requestId} : Request cancelled by user`,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  return {
+    originatorRequestId: requestId,
+    status: 'SUCCESS',
+    transactionReference: `FAKE${Date.now()}`,
+    transactionId: `FAKE_TX_${Date.now()}`,
+    message: 'Transaction processed successfully',
+    timestamp: new Date().toISOString(),
+  };
+}
+
+async function send(url, rawBody, headers) {
+  try {
+    const response = await axios.post(url, rawBody, { headers, timeout: 15000 });
+    console.log(`✅ [FAKE_ONIT] ${response.status}:`, response.data);
+  } catch (error) {
+    if (error.response) {
+      console.log(`🚫 [FAKE_ONIT] ${error.response.status}:`, error.response.data);
+    } else {
+      throw error;
+    }
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.requestId) {
+    console.error('Usage: node fake_onit_callback.js <requestId> [--failed] [--url <url>] [--bad-signature] [--stale] [--unsigned] [--replay]');
+    process.exit(1);
+  }
+
+  const url =
+    args.values.url ||
+    `http://localhost:${process.env.PORT || 3002}/api/payments/callback`;
+  const secret = args.values.secret || process.env.ONIT_CALLBACK_SECRET;
+
+  if (!secret && !args.flags.has('unsigned')) {
+    console.error('❌ [FAKE_ONIT] ONIT_CALLBACK_SECRET is not set (use --secret)');
+    process.exit(1);
+  }
+
+  const rawBody = JSON.stringify(buildPayload(args.requestId, args.flags.has('failed')));
+  const timestamp = args.flags.has('stale')
+    ? Math.floor(Date.now() / 1000) - 3600
+    : Math.floor(Date.now() / 1000);
+
+  let headers;
+  if (args.flags.has('unsigned')) {
+    headers = { 'Content-Type': 'application/json' };
+  } else {
+    const signingSecret = args.flags.has('bad-signature') ? `${secret}-wrong` : secret;
+    headers = buildSignedHeaders(signingSecret, rawBody, timestamp);
+  }
+
+  console.log(`📤 [FAKE_ONIT] POST ${url}`);
+  console.log(`📦 [FAKE_ONIT] Body: ${rawBody}`);
+
+  await send(url, rawBody, headers);
+
+  if (args.flags.has('replay')) {
+    console.log('🔁 [FAKE_ONIT] Replaying identical request...');
+    await send(url, rawBody, headers);
+  }
+}
+
+main().catch((error) => {
+  console.error('💥 [FAKE_ONIT] Failed:', error.message);
+  process.exit(1);
+});
@@ -2,6 +2,33 @@ import jwt from 'jsonwebtoken';
 import asyncHandler from 'express-async-handler';
 import User from '../models/User.js';
 
+// Verify a JWT and load the user it belongs to. Shared by protect (HTTP)
+// and socketAuth (Socket.IO handshake)
+export const authenticateToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'supersecretkey');
+  console.log(`✅ [AUTH] Token decoded successfully, user ID: ${decoded.id}`);
+
+  const user = await User.findById(decoded.id);
+  if (!user) {
+    console.error(`❌ [AUTH] User not found for ID: ${decoded.id}`);
+    throw new Error('User not found');
+  }
+
+  return user;
+};
+
+// Client-facing message for a failed authenticateToken
+const authErrorMessage = (error) => {
+  if (error.name === 'TokenExpiredError') {
+    return 'Token expired, please login again';
+  } else if (error.name === 'JsonWebTokenError') {
+    return 'Invalid token format';
+  } else if (error.message === 'User not found') {
+    return 'User account not found';
+  }
+  return `Not authorized, token failed: ${error.message}`;
+};
+
 export const protect = asyncHandler(async (req, res, next) => {
   let token;
 
@@ -13,16 +40,7 @@ export const protect = asyncHandler(async (req, res, next) => {
       token = req.headers.authorization.split(' ')[1];
       console.log(`🔐 [AUTH] Token received: ${token.substring(0, 20)}...`);
       
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'supersecretkey');
-      console.log(`✅ [AUTH] Token decoded successfully, user ID: ${decoded.id}`);
-      
-      // Find user by ID (need to add this method to User model)
-      const user = await User.findById(decoded.id);
-      if (!user) {
-        console.error(`❌ [AUTH] User not found for ID: ${decoded.id}`);
-        res.status(401);
-        throw new Error('User not found');
-      }
+      const user = await authenticateToken(token);
       
       console.log(`✅ [AUTH] User found: ${user.username} (ID: ${user.id})`);
       req.user = user;
@@ -35,17 +53,7 @@ export const protect = asyncHandler(async (req, res, next) => {
       });
       
       res.status(401);
-      
-      // Provide more specific error messages
-      if (error.name === 'TokenExpiredError') {
-        throw new Error('Token expired, please login again');
-      } else if (error.name === 'JsonWebTokenError') {
-        throw new Error('Invalid token format');
-      } else if (error.message === 'User not found') {
-        throw new Error('User account not found');
-      } else {
-        throw new Error(`Not authorized, token failed: ${error.message}`);
-      }
+      throw new Error(authErrorMessage(error));
     }
   }
 
@@ -55,3 +63,52 @@ export const protect = asyncHandler(async (req, res, next) => {
     throw new Error('Not authorized, no token');
   }
 });
+
+// Socket.IO handshake middleware (io.use). Clients pass the same JWT as the
+// REST API, as io(url, { auth: { token } }) or an Authorization header.
+// The verified user is bound to the socket as socket.data.user.
+export const socketAuth = async (socket, next) => {
+  const header = socket.handshake.headers?.authorization;
+  const token =
+    socket.handshake.auth?.token ||
+    (header && header.startsWith('Bearer') ? header.split(' ')[1] : null);
+
+  if (!token) {
+    console.warn(`⚠️ [AUTH] Socket ${socket.id} connected without a token`);
+    const error = new Error('Not authorized, no token');
+    error.data = { status: 401 };
+    return next(error);
+  }
+
+  try {
+    socket.data.user = await authenticateToken(token);
+    console.log(`✅ [AUTH] Socket ${socket.id} authenticated as ${socket.data.user.username} (ID: ${socket.data.user.id})`);
+    next();
+  } catch (error) {
+    console.error(`❌ [AUTH] Socket ${socket.id} token validation failed:`, error.message);
+    const authError = new Error(authErrorMessage(error));
+    authError.data = { status: 401 };
+    next(authError);
+  }
+};
+
+// ADMIN_USER_IDS bootstraps admins before any users.is_admin flag has been set
+export const isAdmin = (user) => {
+  const bootstrapAdmins = (process.env.ADMIN_USER_IDS || '')
+    .split(',')
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+  return Boolean(user && (user.is_admin || bootstrapAdmins.includes(String(user.id))));
+};
+
+// Must run after protect
+export const admin = asyncHandler(async (req, res, next) => {
+  if (isAdmin(req.user)) {
+    return next();
+  }
+
+  console.warn(`🚫 [AUTH] Admin access denied for user ${req.user?.id}`);
+  res.status(403);
+  throw new Error('Not authorized as an admin');
+});
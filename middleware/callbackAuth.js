@@ -0,0 +1,181 @@
+/**
+ * ONIT callback authentication middleware
+ * Rejects payment callbacks that are not signed with ONIT_CALLBACK_SECRET,
+ * fall outside the timestamp window, replay an earlier signature or come
+ * from outside the optional source-IP allowlist. Every rejection is logged
+ * to the rejected_callbacks table.
+ */
+
+import pool from '../config/database.js';
+import {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  signPayload,
+  signaturesMatch,
+} from '../utils/callbackSignature.js';
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+function getConfig() {
+  return {
+    secret: process.env.ONIT_CALLBACK_SECRET || '',
+    toleranceSeconds:
+      parseInt(process.env.ONIT_CALLBACK_TOLERANCE_SECONDS) || DEFAULT_TOLERANCE_SECONDS,
+    allowedIps: (process.env.ONIT_CALLBACK_ALLOWED_IPS || '')
+      .split(',')
+      .map((ip) => ip.trim())
+      .filter(Boolean),
+    disabled: process.env.ONIT_CALLBACK_AUTH_DISABLED === 'true',
+  };
+}
+
+// req.ip honours app "trust proxy"; strip the IPv4-mapped IPv6 prefix
+function getSourceIp(req) {
+  const ip = req.ip || req.socket?.remoteAddress || '';
+  return ip.replace(/^::ffff:/, '');
+}
+
+async function logRejection(req, reason, sourceIp) {
+  try {
+    const body = req.body || {};
+    await pool.query(
+      `INSERT INTO rejected_callbacks (provider, reason, source_ip, request_id, headers, raw_body)
+       VALUES ('onit', $1, $2, $3, $4, $5)`,
+      [
+        reason,
+        sourceIp,
+        body.originatorRequestId || body.requestId || null,
+        JSON.stringify({
+          'user-agent': req.get('user-agent'),
+          'content-type': req.get('content-type'),
+          'x-forwarded-for': req.get('x-forwarded-for'),
+          [SIGNATURE_HEADER]: req.get(SIGNATURE_HEADER),
+          [TIMESTAMP_HEADER]: req.get(TIMESTAMP_HEADER),
+        }),
+        req.rawBody ? req.rawBody.toString('utf8') : JSON.stringify(body),
+      ]
+    );
+  } catch (error) {
+    console.error('❌ [CALLBACK_AUTH] Failed to log rejected callback:', error.message);
+  }
+}
+
+async function reject(req, res, reason, sourceIp, status = 401) {
+  console.warn(`🚫 [CALLBACK_AUTH] Rejected callback from ${sourceIp}: ${reason}`);
+  await logRejection(req, reason, sourceIp);
+  return res.status(status).json({
+    success: false,
+    message: 'Callback rejected',
+    reason,
+  });
+}
+
+const normalizeSignature = (signature) => signature.toLowerCase().replace(/^sha256=/, '');
+
+// Remember accepted signatures; a second insert of the same one is a replay
+async function recordReceipt(signature, requestId) {
+  const result = await pool.query(
+    `INSERT INTO payment_callback_receipts (signature, provider, request_id)
+     VALUES ($1, 'onit', $2)
+     ON CONFLICT (signature) DO NOTHING
+     RETURNING signature`,
+    [normalizeSignature(signature), requestId]
+  );
+
+  // Receipts older than a day can never pass the timestamp check again
+  pool
+    .query(`DELETE FROM payment_callback_receipts WHERE received_at < NOW() - INTERVAL '1 day'`)
+    .catch((error) =>
+      console.error('⚠️ [CALLBACK_AUTH] Failed to prune callback receipts:', error.message)
+    );
+
+  return result.rows.length > 0;
+}
+
+// Drop the receipt of a callback that wasn't processed so the provider's retry is accepted
+async function forgetReceipt(signature) {
+  try {
+    await pool.query(
+      `DELETE FROM payment_callback_receipts WHERE signature = $1`,
+      [normalizeSignature(signature)]
+    );
+  } catch (error) {
+    console.error('❌ [CALLBACK_AUTH] Failed to drop callback receipt:', error.message);
+  }
+}
+
+/**
+ * Verify an ONIT callback before it reaches paymentController.handleCallback
+ * Requires express.json({ verify }) to have stored req.rawBody
+ */
+export async function verifyOnitCallback(req, res, next) {
+  const config = getConfig();
+  const sourceIp = getSourceIp(req);
+
+  try {
+    if (config.allowedIps.length > 0 && !config.allowedIps.includes(sourceIp)) {
+      return reject(req, res, 'ip_not_allowed', sourceIp, 403);
+    }
+
+    if (config.disabled) {
+      console.warn('⚠️ [CALLBACK_AUTH] Signature verification DISABLED via ONIT_CALLBACK_AUTH_DISABLED');
+      return next();
+    }
+
+    if (!config.secret) {
+      console.error('❌ [CALLBACK_AUTH] ONIT_CALLBACK_SECRET is not configured - rejecting callback');
+      return reject(req, res, 'not_configured', sourceIp, 503);
+    }
+
+    const signature = req.get(SIGNATURE_HEADER);
+    const timestampHeader = req.get(TIMESTAMP_HEADER);
+
+    if (!signature || !timestampHeader) {
+      return reject(req, res, 'missing_signature', sourceIp);
+    }
+
+    const timestamp = parseInt(timestampHeader, 10);
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    if (!Number.isFinite(timestamp) || Math.abs(nowSeconds - timestamp) > config.toleranceSeconds) {
+      return reject(req, res, 'stale_timestamp', sourceIp);
+    }
+
+    if (!req.rawBody) {
+      return reject(req, res, 'missing_body', sourceIp, 400);
+    }
+
+    const expected = signPayload(config.secret, timestampHeader, req.rawBody);
+    if (!signaturesMatch(expected, signature)) {
+      return reject(req, res, 'invalid_signature', sourceIp);
+    }
+
+    const requestId = req.body?.originatorRequestId || req.body?.requestId || null;
+    const isFirstDelivery = await recordReceipt(signature, requestId);
+    if (!isFirstDelivery) {
+      return reject(req, res, 'replayed', sourceIp, 409);
+    }
+
+    // The receipt is claimed up front so concurrent duplicates are rejected,
+    // but only kept once the callback was processed successfully
+    res.on('finish', () => {
+      if (res.statusCode >= 500) {
+        console.warn(`↩️ [CALLBACK_AUTH] Callback failed with ${res.statusCode} - accepting a retry`);
+        forgetReceipt(signature);
+      }
+    });
+    res.on('close', () => {
+      if (!res.writableFinished) forgetReceipt(signature);
+    });
+
+    console.log(`🔏 [CALLBACK_AUTH] Callback signature verified (source ${sourceIp})`);
+    next();
+  } catch (error) {
+    console.error('❌ [CALLBACK_AUTH] Verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify callback',
+    });
+  }
+}
+
+export default { verifyOnitCallback };
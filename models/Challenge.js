@@ -1,4 +1,5 @@
 import pool from "../config/database.js";
+import { platformUsernameSql } from "../services/platforms/index.js";
 
 class Challenge {
   static async create(challengeData) {
@@ -12,6 +13,7 @@ class Challenge {
       payment_status = "none",
       challenger_phone = null,
       opponent_phone = null,
+      challenger_funding_source = "mpesa",
     } = challengeData;
 
     const query = `
@@ -25,10 +27,11 @@ class Challenge {
         payment_status,
         challenger_phone,
         opponent_phone,
+        challenger_funding_source,
         status,
         created_at
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending', NOW())
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'pending', NOW())
       RETURNING *;
     `;
 
@@ -42,6 +45,7 @@ class Challenge {
       payment_status,
       challenger_phone,
       opponent_phone,
+      challenger_funding_source,
     ];
 
     try {
@@ -71,18 +75,10 @@ class Challenge {
         c.payment_status,
         c.challenger_phone,
         c.opponent_phone,
-        CASE 
-          WHEN c.platform = 'chess.com' THEN challenger_user.chess_com_username 
-          WHEN c.platform = 'lichess' THEN challenger_user.lichess_username 
-          ELSE challenger_user.username 
-        END as challenger_username,
+        ${platformUsernameSql("c.platform", "challenger_user")} as challenger_username,
         challenger_user.name as challenger_name,
         challenger_user.preferred_platform as challenger_preferred_platform,
-        CASE 
-          WHEN c.platform = 'chess.com' THEN opponent_user.chess_com_username 
-          WHEN c.platform = 'lichess' THEN opponent_user.lichess_username 
-          ELSE opponent_user.username 
-        END as opponent_username,
+        ${platformUsernameSql("c.platform", "opponent_user")} as opponent_username,
         opponent_user.name as opponent_name,
         opponent_user.preferred_platform as opponent_preferred_platform
       FROM challenges c
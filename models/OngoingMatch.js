@@ -115,7 +115,7 @@ class OngoingMatch {
     return result.rows;
   }
 
-  static async markResultChecked(matchId, winnerId = null, matchResult = null) {
+  static async markResultChecked(matchId, winnerId = null, matchResult = null, client = pool) {
     const query = `
       UPDATE ongoing_matches 
       SET result_checked = TRUE,
@@ -125,7 +125,7 @@ class OngoingMatch {
       RETURNING *
     `;
 
-    const queryResult = await pool.query(query, [matchId, winnerId, matchResult]);
+    const queryResult = await client.query(query, [matchId, winnerId, matchResult]);
     return queryResult.rows[0];
   }
 
@@ -0,0 +1,219 @@
+// Client -> server realtime events. Each event declares the payload it
+// accepts and delegates to challengeService, the same code the REST
+// challenge routes use. Identity always comes from the authenticated
+// socket; ids in the payload that name the actor must match it.
+import challengeService, { ChallengeError } from "../services/challengeService.js";
+import { FUNDING_SOURCES } from "../services/walletHoldService.js";
+
+/**
+ * @typedef {Object} RealtimeContext
+ * @property {Object} actor - Authenticated user (socket.data.user)
+ * @property {import("socket.io").Socket} socket
+ */
+
+/**
+ * @typedef {Object} RealtimeEvent
+ * @property {Object} schema - Payload rules, see realtime/validate.js
+ * @property {(payload: Object, context: RealtimeContext) => Promise<*>} handle -
+ *   Resolves with the ack data
+ * @property {(error: Object, payload: Object, context: RealtimeContext) => void} [notifyError] -
+ *   Emits the error events older clients listen for instead of using acks
+ */
+
+const fundingSources = Object.values(FUNDING_SOURCES);
+
+const assertActor = (userId, actor, message) => {
+  if (userId !== undefined && String(userId) !== String(actor.id)) {
+    throw new ChallengeError(message, 403, "FORBIDDEN");
+  }
+};
+
+const emitPaymentError = (error, payload, { actor, socket }) => {
+  socket.emit("payment-error", {
+    userId: actor.id,
+    challengeId: payload.challengeId ?? null,
+    error: error.message,
+  });
+};
+
+/** @type {Object<string, RealtimeEvent>} */
+const events = {
+  /**
+   * @typedef {Object} ChallengePayload
+   * @property {{ id: number }} to - Player being challenged
+   * @property {{ id: number }} [from] - Must be the actor
+   * @property {string} [platform]
+   * @property {string} [time_control] - "10+0"
+   * @property {{ timeMinutes: number, incrementSeconds: number }} [timeConfig]
+   * @property {string} [rules]
+   * @property {{ amount: number, phoneNumber: string, fundingSource: string }} [paymentDetails]
+   * @property {string} [challengeUrl]
+   */
+  challenge: {
+    schema: {
+      to: { type: "object", required: true, fields: { id: { type: "id", required: true } } },
+      from: { type: "object", fields: { id: { type: "id" } } },
+      platform: { type: "string" },
+      time_control: { type: "string" },
+      timeConfig: {
+        type: "object",
+        fields: {
+          timeMinutes: { type: "number", required: true },
+          incrementSeconds: { type: "integer" },
+        },
+      },
+      rules: { type: "string" },
+      paymentDetails: {
+        type: "object",
+        fields: {
+          // 0 is a free challenge, as over REST; the service decides
+          amount: { type: "number", min: 0, required: true },
+          phoneNumber: { type: "string" },
+          fundingSource: { type: "string", enum: fundingSources },
+        },
+      },
+      challengeUrl: { type: "string" },
+    },
+    async handle(payload, { actor }) {
+      assertActor(payload.from?.id, actor, "You can only send challenges as yourself");
+
+      // Extract time control from either time_control field or timeConfig object
+      const timeControl = payload.timeConfig
+        ? `${payload.timeConfig.timeMinutes}+${payload.timeConfig.incrementSeconds || 0}`
+        : payload.time_control;
+
+      return challengeService.createChallenge(actor, {
+        opponentId: payload.to.id,
+        platform: payload.platform,
+        timeControl,
+        rules: payload.rules,
+        paymentDetails: payload.paymentDetails || null,
+        timeConfig: payload.timeConfig,
+        challengeUrl: payload.challengeUrl,
+      });
+    },
+    notifyError(error, payload, context) {
+      if (error.code === "INSUFFICIENT_BALANCE") emitPaymentError(error, payload, context);
+    },
+  },
+
+  /**
+   * @typedef {Object} ChallengeAcceptPayload
+   * @property {number} [challengeId] - Or identify it by its players:
+   * @property {{ id: number }} [from] - Challenger
+   * @property {{ id: number }} [to] - Must be the actor
+   * @property {string} [opponentPhoneNumber]
+   * @property {string} [fundingSource] - mpesa | wallet
+   */
+  "challenge-accept": {
+    schema: {
+      challengeId: { type: "id" },
+      from: { type: "object", fields: { id: { type: "id" } } },
+      to: { type: "object", fields: { id: { type: "id" } } },
+      opponentPhoneNumber: { type: "string" },
+      fundingSource: { type: "string", enum: fundingSources },
+    },
+    async handle(payload, { actor }) {
+      assertActor(payload.to?.id, actor, "Only the challenged player can accept this challenge");
+
+      let challengeId = payload.challengeId;
+      if (!challengeId) {
+        if (!payload.from?.id) {
+          throw new ChallengeError("challengeId or from.id is required", 400, "VALIDATION_ERROR");
+        }
+        challengeId = await challengeService.findPendingChallengeId(payload.from.id, actor.id);
+      }
+
+      return challengeService.acceptChallenge(challengeId, actor, {
+        opponentPhoneNumber: payload.opponentPhoneNumber,
+        fundingSource: payload.fundingSource,
+      });
+    },
+    notifyError(error, payload, context) {
+      if (error.code === "INSUFFICIENT_BALANCE") emitPaymentError(error, payload, context);
+    },
+  },
+
+  "challenge-decline": {
+    schema: { challengeId: { type: "id", required: true } },
+    handle: (payload, { actor }) => challengeService.declineChallenge(payload.challengeId, actor),
+  },
+
+  "challenge-cancel": {
+    schema: { challengeId: { type: "id", required: true } },
+    handle: (payload, { actor }) => challengeService.cancelChallenge(payload.challengeId, actor),
+  },
+
+  "challenge-postpone": {
+    schema: {
+      challengeId: { type: "id", required: true },
+      postponedBy: { type: "id" },
+    },
+    async handle(payload, { actor }) {
+      assertActor(payload.postponedBy, actor, "You can only postpone as yourself");
+      return challengeService.postponeChallenge(payload.challengeId, actor);
+    },
+  },
+
+  /**
+   * @typedef {Object} InitiatePaymentPayload
+   * @property {number} challengeId
+   * @property {string} phoneNumber
+   * @property {number} [amount] - Ignored, the challenge's bet is charged
+   * @property {number} [userId] - Must be the actor
+   */
+  "initiate-payment": {
+    schema: {
+      challengeId: { type: "id", required: true },
+      phoneNumber: { type: "string", required: true },
+      userId: { type: "id" },
+    },
+    async handle(payload, { actor }) {
+      assertActor(payload.userId, actor, "You can only pay your own stake");
+      return challengeService.payStake(payload.challengeId, actor, {
+        phoneNumber: payload.phoneNumber,
+      });
+    },
+    notifyError: emitPaymentError,
+  },
+
+  /**
+   * @typedef {Object} GameRedirectPayload
+   * @property {number} challengeId
+   * @property {string} [platform]
+   * @property {number} [redirectedBy] - Must be the actor
+   */
+  "game-redirect": {
+    schema: {
+      challengeId: { type: "id", required: true },
+      platform: { type: "string" },
+      redirectedBy: { type: "id" },
+    },
+    async handle(payload, { actor }) {
+      assertActor(payload.redirectedBy, actor, "You can only redirect yourself");
+      return challengeService.redirectToGame(payload.challengeId, actor, {
+        platform: payload.platform,
+      });
+    },
+    notifyError(error, payload, { socket }) {
+      if (error.code === "PAYMENT_INCOMPLETE") {
+        socket.emit("redirect-blocked", {
+          challengeId: payload.challengeId,
+          message: error.message,
+          ...error.details,
+        });
+      }
+    },
+  },
+
+  "game-start": {
+    schema: {
+      challengeId: { type: "id", required: true },
+      platform: { type: "string" },
+    },
+    handle: (payload, { actor }) =>
+      challengeService.startGame(payload.challengeId, actor, { platform: payload.platform }),
+  },
+};
+
+export default events;
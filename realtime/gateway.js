@@ -0,0 +1,241 @@
+// Socket.IO entry point. Every connection must authenticate with a JWT
+// (socketAuth); the socket then joins its user's room, shows up in
+// presenceService and can send the events in realtime/events.js. Event
+// payloads are validated against their schema and answered through the
+// client's acknowledgement callback, when it passes one:
+//   { success: true, data } or { success: false, error: { code, message, details } }
+//
+// With more than one instance, rooms and io.emit are relayed between
+// instances by the Socket.IO Postgres adapter (attachClusterAdapter).
+import { createAdapter } from "@socket.io/postgres-adapter";
+import pool from "../config/database.js";
+import realtimeConfig from "../config/realtime.js";
+import { socketAuth } from "../middleware/auth.js";
+import challengeService, { ChallengeError } from "../services/challengeService.js";
+import presenceService from "../services/presenceService.js";
+import { InsufficientBalanceError } from "../services/walletHoldService.js";
+import { platformUsernameSql } from "../services/platforms/index.js";
+import events from "./events.js";
+import { validate } from "./validate.js";
+
+const CODES_BY_STATUS = {
+  400: "BAD_REQUEST",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+};
+
+/**
+ * Structured ack error for anything an event handler throws. Unexpected
+ * errors are logged and reported without their internals.
+ */
+export const toRealtimeError = (error) => {
+  if (error instanceof ChallengeError) {
+    return {
+      code: error.code || CODES_BY_STATUS[error.statusCode] || "BAD_REQUEST",
+      message: error.message,
+      details: error.details,
+    };
+  }
+  if (error instanceof InsufficientBalanceError) {
+    return {
+      code: "INSUFFICIENT_BALANCE",
+      message: error.message,
+      details: { available: error.available, required: error.required },
+    };
+  }
+  return { code: "INTERNAL_ERROR", message: "Something went wrong, please try again" };
+};
+
+const dispatch = (socket, name, definition) => async (payload, ack) => {
+  // socket.emit(event, callback) with no payload
+  if (typeof payload === "function") {
+    ack = payload;
+    payload = undefined;
+  }
+  const respond = typeof ack === "function" ? ack : null;
+  const context = { actor: socket.data.user, socket };
+
+  const { value, errors } = validate(definition.schema, payload ?? {});
+  try {
+    if (errors) {
+      throw new ChallengeError("Invalid payload", 400, "VALIDATION_ERROR", errors);
+    }
+
+    const data = await definition.handle(value, context);
+    respond?.({ success: true, data });
+  } catch (error) {
+    const realtimeError = toRealtimeError(error);
+    if (realtimeError.code === "INTERNAL_ERROR") {
+      console.error(`❌ [REALTIME] ${name} failed for user ${context.actor.id}:`, error);
+    } else {
+      console.warn(`🚫 [REALTIME] ${name} rejected for user ${context.actor.id}: ${realtimeError.message}`);
+    }
+
+    definition.notifyError?.(realtimeError, value, context);
+    if (respond) {
+      respond({ success: false, error: realtimeError });
+    } else {
+      socket.emit("action-denied", { event: name, ...realtimeError });
+    }
+  }
+};
+
+/**
+ * Relay packets between app instances through Postgres LISTEN/NOTIFY.
+ * Call once the migrations have run (socket_io_attachments) and before the
+ * server starts accepting connections.
+ */
+export function attachClusterAdapter(io) {
+  if (realtimeConfig.adapter !== "postgres") {
+    console.log("ℹ️ [REALTIME] Using the in-memory Socket.IO adapter (single instance only)");
+    return;
+  }
+
+  io.adapter(
+    createAdapter(pool, {
+      errorHandler: (error) => console.error("❌ [REALTIME] Postgres adapter error:", error.message),
+    })
+  );
+  console.log(`✅ [REALTIME] Socket.IO Postgres adapter attached (instance ${presenceService.instanceId})`);
+}
+
+/**
+ * Attach authentication, presence and event handlers to the Socket.IO server.
+ */
+export function registerRealtimeGateway(io) {
+  io.use(socketAuth);
+  challengeService.setSocketIO(io);
+  presenceService.setSocketIO(io);
+
+  io.on("connection", (socket) => {
+    // The user this socket authenticated as
+    const actor = socket.data.user;
+    socket.join(actor.id.toString());
+
+    socket.on("user-online", (payload) => {
+      // Profile fields from the client are display-only; id and username are the verified ones
+      const user = { ...payload, id: actor.id, username: actor.username };
+      console.log("User joining room:", user.id, "with socket:", socket.id);
+      presenceService
+        .connect(socket.id, actor, user)
+        .catch((error) => console.error("❌ [PRESENCE] Failed to mark socket online:", error.message));
+
+      // Test room functionality by sending a welcome message to the specific user
+      setTimeout(() => {
+        io.to(user.id.toString()).emit("test-room-message", {
+          message: `Welcome ${user.username}! Your socket room is working.`,
+          userId: user.id,
+        });
+      }, 1000);
+
+      // Check for pending payment challenges and re-emit if user reconnected
+      setTimeout(async () => {
+        try {
+          // Only re-emit payment notifications if:
+          // 1. Challenge status is 'accepted' (not deposits_complete or started)
+          // 2. Challenge has bet_amount > 0
+          // 3. User hasn't paid yet OR only one player has paid
+          // 4. No ongoing match exists for this challenge
+          const pendingChallenges = await pool.query(
+            `
+            SELECT DISTINCT
+              c.id,
+              c.challenger,
+              c.opponent,
+              c.bet_amount,
+              c.platform,
+              c.status as challenge_status,
+              ${platformUsernameSql("c.platform", "cu")} as challenger_username,
+              ${platformUsernameSql("c.platform", "ou")} as opponent_username,
+              COALESCE(ce.state, 'open') as escrow_state,
+              (
+                CASE 
+                  WHEN c.challenger = $1 THEN COALESCE(ce.challenger_funded, FALSE)
+                  ELSE COALESCE(ce.opponent_funded, FALSE)
+                END
+                OR EXISTS (
+                  SELECT 1 FROM wallet_holds wh
+                  WHERE wh.challenge_id = c.id AND wh.user_id = $1
+                  AND wh.status IN ('active', 'captured')
+                )
+              ) as user_paid,
+              (
+                SELECT COUNT(*)
+                FROM ongoing_matches om
+                WHERE om.challenge_id = c.id
+              ) as match_started
+            FROM challenges c
+            JOIN users cu ON c.challenger = cu.id
+            JOIN users ou ON c.opponent = ou.id
+            LEFT JOIN challenge_escrows ce ON ce.challenge_id = c.id
+            WHERE c.status = 'accepted'
+            AND c.bet_amount > 0
+            AND (c.challenger = $1 OR c.opponent = $1)
+            AND c.updated_at > NOW() - INTERVAL '10 minutes'
+            `,
+            [user.id]
+          );
+
+          // Filter to only show notifications where user still needs to pay
+          // AND both payments are not complete AND match hasn't started
+          const validChallenges = pendingChallenges.rows.filter(
+            (challenge) =>
+              ["open", "partially_funded"].includes(challenge.escrow_state) && // Pot not funded yet
+              !challenge.user_paid && // This user hasn't paid
+              challenge.match_started === 0 // Match hasn't started
+          );
+
+          if (validChallenges.length > 0) {
+            console.log(
+              `🔄 [RECONNECT] User ${user.id} has ${validChallenges.length} pending payment challenge(s), re-emitting...`
+            );
+
+            for (const challenge of validChallenges) {
+              const notificationData = {
+                challengeId: challenge.id,
+                challengerId: challenge.challenger,
+                opponentId: challenge.opponent,
+                challengerUsername: challenge.challenger_username,
+                accepterUsername: challenge.opponent_username,
+                opponentUsername: challenge.opponent_username,
+                hasPayment: true,
+                paymentAmount: challenge.bet_amount,
+                platform: challenge.platform,
+              };
+
+              io.to(user.id.toString()).emit(
+                "challengeAccepted",
+                notificationData
+              );
+
+              console.log(
+                `✅ [RECONNECT] Re-emitted challengeAccepted for challenge ${challenge.id} to user ${user.id} (escrow ${challenge.escrow_state})`
+              );
+            }
+          } else if (pendingChallenges.rows.length > 0) {
+            console.log(
+              `ℹ️ [RECONNECT] User ${user.id} has ${pendingChallenges.rows.length} challenge(s) but all are either paid/started - skipping notification`
+            );
+          }
+        } catch (error) {
+          console.error(
+            `❌ [RECONNECT] Error checking pending challenges:`,
+            error
+          );
+        }
+      }, 2000); // Wait 2 seconds to ensure frontend listeners are registered
+    });
+
+    for (const [name, definition] of Object.entries(events)) {
+      socket.on(name, dispatch(socket, name, definition));
+    }
+
+    socket.on("disconnect", () => {
+      console.log("User disconnected:", socket.id, actor.username, actor.id);
+      presenceService
+        .disconnect(socket.id)
+        .catch((error) => console.error("❌ [PRESENCE] Failed to mark socket offline:", error.message));
+    });
+  });
+}
@@ -0,0 +1,97 @@
+// Minimal payload validation for realtime events. A schema maps field names
+// to rules; validate() returns the coerced payload plus any field errors.
+//
+// Rules: { type, required, enum, min, fields }
+//   type: "id" (positive integer, numeric strings accepted), "integer"
+//         (zero or more), "number" (positive, or at least `min` when
+//         given), "string" (non-empty), "object" (validated against
+//         `fields` when given)
+
+const checkValue = (rule, value, path, errors) => {
+  switch (rule.type) {
+    case "id": {
+      const id = Number(value);
+      if (!Number.isInteger(id) || id <= 0) {
+        errors[path] = "must be a positive integer id";
+        return undefined;
+      }
+      return id;
+    }
+    case "integer": {
+      const integer = Number(value);
+      if (!Number.isInteger(integer) || integer < 0) {
+        errors[path] = "must be a non-negative integer";
+        return undefined;
+      }
+      return integer;
+    }
+    case "number": {
+      const number = Number(value);
+      if (rule.min !== undefined) {
+        if (!Number.isFinite(number) || number < rule.min) {
+          errors[path] = `must be a number of at least ${rule.min}`;
+          return undefined;
+        }
+        return number;
+      }
+      if (!Number.isFinite(number) || number <= 0) {
+        errors[path] = "must be a positive number";
+        return undefined;
+      }
+      return number;
+    }
+    case "string": {
+      if (typeof value !== "string" || !value.trim()) {
+        errors[path] = "must be a non-empty string";
+        return undefined;
+      }
+      if (rule.enum && !rule.enum.includes(value)) {
+        errors[path] = `must be one of: ${rule.enum.join(", ")}`;
+        return undefined;
+      }
+      return value.trim();
+    }
+    case "object": {
+      if (typeof value !== "object" || value === null || Array.isArray(value)) {
+        errors[path] = "must be an object";
+        return undefined;
+      }
+      // Unknown keys pass through untouched; only described fields are checked
+      return rule.fields ? { ...value, ...checkFields(rule.fields, value, `${path}.`, errors) } : value;
+    }
+    default:
+      throw new Error(`Unknown schema type "${rule.type}" for ${path}`);
+  }
+};
+
+const checkFields = (schema, payload, prefix, errors) => {
+  const output = {};
+  for (const [field, rule] of Object.entries(schema)) {
+    const value = payload[field];
+    const path = `${prefix}${field}`;
+
+    if (value === undefined || value === null || value === "") {
+      if (rule.required) errors[path] = "is required";
+      continue;
+    }
+    const checked = checkValue(rule, value, path, errors);
+    if (checked !== undefined) output[field] = checked;
+  }
+  return output;
+};
+
+/**
+ * @param {Object} schema - Field name -> rule
+ * @param {*} payload - Whatever the client sent
+ * @returns {{ value: Object, errors: Object|null }} errors maps field paths
+ *   ("paymentDetails.amount") to a message
+ */
+export const validate = (schema, payload) => {
+  const errors = {};
+  if (typeof payload !== "object" || payload === null || Array.isArray(payload)) {
+    return { value: {}, errors: { payload: "must be an object" } };
+  }
+
+  const value = { ...payload, ...checkFields(schema, payload, "", errors) };
+  return { value, errors: Object.keys(errors).length > 0 ? errors : null };
+};
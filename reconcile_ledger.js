@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+/**
+ * LEDGER RECONCILIATION
+ * Recomputes every wallet balance from the double-entry ledger and reports
+ * drift against the cached users.balance column.
+ *
+ * Usage:
+ *   node reconcile_ledger.js                    # report only
+ *   node reconcile_ledger.js --fix              # overwrite drifted caches with ledger balances
+ *   node reconcile_ledger.js --opening-balances # book existing balances as opening entries first
+ */
+
+import pool from './config/database.js';
+import ledgerService from './services/ledgerService.js';
+
+async function reconcileLedger() {
+  const args = process.argv.slice(2);
+  const fix = args.includes('--fix');
+  const seedOpening = args.includes('--opening-balances');
+
+  console.log(`🔄 [LEDGER] Starting reconciliation${fix ? ' (fix mode)' : ''}...`);
+
+  try {
+    if (seedOpening) {
+      await ledgerService.seedOpeningBalances();
+    }
+
+    const report = await ledgerService.reconcile({ fix });
+
+    if (report.driftCount === 0) {
+      console.log('✅ [LEDGER] All cached balances match the ledger');
+    } else {
+      console.log(`⚠️ [LEDGER] ${report.driftCount} users have balance drift:`);
+      report.drift.forEach((row) => {
+        console.log(
+          `  - user ${row.userId} (${row.username}): cached ${row.cachedBalance} | ledger ${row.ledgerBalance} | diff ${row.difference}`
+        );
+      });
+      if (fix) {
+        console.log(`🔧 [LEDGER] Rewrote ${report.fixed} cached balances from the ledger`);
+      }
+    }
+
+    if (report.unbalancedEntries.length > 0) {
+      console.error(`❌ [LEDGER] ${report.unbalancedEntries.length} unbalanced entries:`);
+      report.unbalancedEntries.forEach((row) => {
+        console.error(`  - entry ${row.entryId} (${row.reference}): imbalance ${row.imbalance}`);
+      });
+    }
+
+    if (report.negativeEscrows.length > 0) {
+      console.warn(`⚠️ [LEDGER] ${report.negativeEscrows.length} escrow accounts are negative:`);
+      report.negativeEscrows.forEach((row) => {
+        console.warn(`  - challenge ${row.challengeId}: ${row.balance}`);
+      });
+    }
+
+    const clean =
+      report.driftCount === 0 || fix
+        ? report.unbalancedEntries.length === 0
+        : false;
+    return clean;
+  } finally {
+    await pool.end();
+  }
+}
+
+reconcileLedger()
+  .then((clean) => {
+    console.log('🎉 [LEDGER] Reconciliation finished');
+    process.exit(clean ? 0 : 1);
+  })
+  .catch((error) => {
+    console.error('💥 [LEDGER] Reconciliation failed:', error);
+    process.exit(1);
+  });
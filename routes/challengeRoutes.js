@@ -9,15 +9,16 @@ import {
   deleteChallenge,
 } from "../controllers/challengeController.js";
 import { validatePhone } from "../middleware/phoneValidation.js";
+import { protect } from "../middleware/auth.js";
 
 const router = express.Router();
 
-router.post("/", createMatch);
+router.post("/", protect, createMatch);
 router.get("/:userId", getChallenges);
-router.post("/:challengeId/accept", validatePhone, acceptChallenge);
-router.post("/:challengeId/decline", declineChallenge);
-router.post("/:challengeId/cancel", cancelChallenge);
-router.post("/:challengeId/postpone", postponeChallenge);
+router.post("/:challengeId/accept", protect, validatePhone, acceptChallenge);
+router.post("/:challengeId/decline", protect, declineChallenge);
+router.post("/:challengeId/cancel", protect, cancelChallenge);
+router.post("/:challengeId/postpone", protect, postponeChallenge);
 router.delete("/:challengeId", deleteChallenge);
 
 export default router;
@@ -1,5 +1,7 @@
 import express from 'express';
 import pool from '../config/database.js';
+import ledgerService from '../services/ledgerService.js';
+import escrowService from '../services/escrowService.js';
 
 const router = express.Router();
 
@@ -145,6 +147,16 @@ router.post('/payments/:paymentId/force-complete', async (req, res) => {
     
     const payment = result.rows[0];
     
+    // Book the completion in the ledger exactly like a provider callback
+    // would, funding the escrow side in the same transaction
+    const stakeDeposit = await ledgerService.withTransaction(async (tx) => {
+      const booked = await ledgerService.recordCompletedPayment(payment, tx);
+      if (payment.transaction_type !== 'deposit' || !payment.challenge_id || booked.duplicate) {
+        return null;
+      }
+      return escrowService.recordDeposit(payment, tx);
+    });
+    
     // Manually trigger the same logic as callback handler
     const io = req.app.get('socketio');
     
@@ -161,19 +173,10 @@ router.post('/payments/:paymentId/force-complete', async (req, res) => {
         });
       }
       
-      // Check if both deposits are now complete
-      const depositQuery = `
-        SELECT COUNT(*) as deposit_count
-        FROM payments 
-        WHERE challenge_id = $1 
-        AND transaction_type = 'deposit' 
-        AND status = 'completed';
-      `;
-      
-      const depositResult = await pool.query(depositQuery, [payment.challenge_id]);
-      const depositCount = parseInt(depositResult.rows[0].deposit_count);
+      // The escrow reports when the pot is complete
+      const becameFunded = stakeDeposit?.becameFunded || false;
       
-      if (depositCount >= 2) {
+      if (becameFunded) {
         console.log(`🎉 [PAYMENT_DEBUG] Both deposits complete for challenge ${payment.challenge_id}`);
         
         // Update challenge status
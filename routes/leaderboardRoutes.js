@@ -0,0 +1,13 @@
+import express from "express";
+import {
+  listLeaderboards,
+  getLeaderboard,
+} from "../controllers/leaderboardController.js";
+import { protect } from "../middleware/auth.js";
+
+const router = express.Router();
+
+router.get("/", protect, listLeaderboards);
+router.get("/:board", protect, getLeaderboard);
+
+export default router;
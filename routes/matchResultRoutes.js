@@ -1,15 +1,27 @@
 import express from "express";
-import pool from "../config/database.js";
-import OngoingMatch from "../models/OngoingMatch.js";
-import https from "https";
-import paymentController from "../controllers/paymentController.js";
+import gameArchiveService from "../services/gameArchiveService.js";
+import gameVerificationService from "../services/gameVerificationService.js";
+import { protect, admin } from "../middleware/auth.js";
+import {
+  openDispute,
+  addDisputeEvidence,
+  getDispute,
+  listDisputes,
+  resolveDispute,
+  escalateFlaggedMatch,
+} from "../controllers/disputeController.js";
+import manualResultService, {
+  ManualResultError,
+} from "../services/manualResultService.js";
 
 const router = express.Router();
 
-// Report match result endpoint
-router.post("/report-result", async (req, res) => {
+// Report match result endpoint. The reporter comes from the token; the
+// result only settles once the opponent confirms it or the game URL proves it
+router.post("/report-result", protect, async (req, res) => {
   try {
-    const { challengeId, result, gameUrl, reporterId } = req.body;
+    const { challengeId, result, gameUrl } = req.body;
+    const reporterId = req.user.id;
 
     console.log(`🎯 [${new Date().toISOString()}] Match result reported:`, {
       challengeId,
@@ -18,119 +30,54 @@ router.post("/report-result", async (req, res) => {
       reporterId,
     });
 
-    // 1. Find the ongoing match
-    const ongoingMatch = await OngoingMatch.findByChallenge(challengeId);
-    if (!ongoingMatch) {
-      return res.status(404).json({ error: "Match not found" });
-    }
-
-    // 2. Verify the reporter is part of this match
-    if (
-      reporterId !== ongoingMatch.challenger_id &&
-      reporterId !== ongoingMatch.opponent_id
-    ) {
-      return res
-        .status(403)
-        .json({ error: "Not authorized to report this match result" });
-    }
-
-    // 3. Determine winner/loser based on who reported
-    let winnerId = null;
-    let loserId = null;
-    let winnerUsername = null;
-    let loserUsername = null;
+    const outcome = await manualResultService.submitReport({
+      challengeId,
+      reporterId,
+      result,
+      gameUrl,
+    });
 
-    if (result === "win") {
-      winnerId = reporterId;
-      winnerUsername =
-        reporterId === ongoingMatch.challenger_id
-          ? ongoingMatch.challenger_username
-          : ongoingMatch.opponent_username;
-      loserId =
-        reporterId === ongoingMatch.challenger_id
-          ? ongoingMatch.opponent_id
-          : ongoingMatch.challenger_id;
-      loserUsername =
-        reporterId === ongoingMatch.challenger_id
-          ? ongoingMatch.opponent_username
-          : ongoingMatch.challenger_username;
-    } else if (result === "loss") {
-      loserId = reporterId;
-      winnerId =
-        reporterId === ongoingMatch.challenger_id
-          ? ongoingMatch.opponent_id
-          : ongoingMatch.challenger_id;
-      winnerUsername =
-        reporterId === ongoingMatch.challenger_id
-          ? ongoingMatch.opponent_username
-          : ongoingMatch.challenger_username;
-      loserUsername =
-        reporterId === ongoingMatch.challenger_id
-          ? ongoingMatch.challenger_username
-          : ongoingMatch.opponent_username;
+    if (outcome.status === "awaiting_confirmation") {
+      return res.status(202).json({
+        success: true,
+        status: outcome.status,
+        report: outcome.report,
+        message: "Result recorded. Waiting for your opponent to confirm it.",
+      });
     }
-    // For draw, both winner and loser remain null
 
-    // 4. Verify game URL if provided
-    let gameUrlVerified = false;
-    if (gameUrl) {
-      gameUrlVerified = await verifyGameUrl(
-        gameUrl,
-        ongoingMatch.challenger_username,
-        ongoingMatch.opponent_username
-      );
-      console.log(
-        `🔍 Game URL verification: ${gameUrlVerified ? "PASSED" : "FAILED"}`
-      );
+    if (outcome.status === "disputed") {
+      return res.status(202).json({
+        success: true,
+        status: outcome.status,
+        dispute: outcome.dispute,
+        message: "Your report conflicts with your opponent's. An admin will review the match.",
+      });
     }
 
-    // 5. Save match result to database
-    const insertResult = await pool.query(
-      `
-      INSERT INTO match_results (
-        challenge_id, winner_id, loser_id, result, platform, 
-        game_url, match_date, reported_by, url_verified
-      ) VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP, $7, $8)
-      RETURNING *
-    `,
-      [
-        challengeId,
-        winnerId,
-        loserId,
-        result,
-        ongoingMatch.platform,
-        gameUrl || null,
-        reporterId,
-        gameUrlVerified,
-      ]
-    );
-
-    // 6. Mark ongoing match as checked
-    await OngoingMatch.markResultChecked(ongoingMatch.id, winnerId, result);
-
-    // 7. Update challenge status
-    await pool.query(
-      `UPDATE challenges SET status = 'completed' WHERE id = $1`,
-      [challengeId]
-    );
-
-    // 8. Process payment payout if this is a payment challenge
-    await processPaymentForManualResult(challengeId, result, ongoingMatch);
-
-    // 9. Send victory notification if there's a winner
-    if (winnerId && result !== "draw") {
+    // Send victory notification if there's a winner
+    const { ongoingMatch, matchResult } = outcome;
+    if (matchResult.winner_id) {
       const io = req.app.get("io");
+      const winnerIsChallenger =
+        Number(matchResult.winner_id) === Number(ongoingMatch.challenger_id);
+      const winnerUsername = winnerIsChallenger
+        ? ongoingMatch.challenger_username
+        : ongoingMatch.opponent_username;
+      const loserUsername = winnerIsChallenger
+        ? ongoingMatch.opponent_username
+        : ongoingMatch.challenger_username;
       const notificationData = {
         message: `Chequemate! You won against ${loserUsername}!`,
         opponent: loserUsername,
         platform: ongoingMatch.platform,
-        gameUrl: gameUrl || null,
+        gameUrl: matchResult.game_url || null,
       };
 
-      io.to(winnerId.toString()).emit("victory-notification", notificationData);
+      io.to(matchResult.winner_id.toString()).emit("victory-notification", notificationData);
 
       console.log(
-        `🎉 Victory notification sent to ${winnerUsername} (ID: ${winnerId})`
+        `🎉 Victory notification sent to ${winnerUsername} (ID: ${matchResult.winner_id})`
       );
     }
 
@@ -138,194 +85,71 @@ router.post("/report-result", async (req, res) => {
 
     res.json({
       success: true,
-      result: insertResult.rows[0],
+      status: outcome.status,
+      result: matchResult,
       message: "Match result recorded successfully!",
-      verified: gameUrlVerified,
+      verified: matchResult.url_verified,
     });
   } catch (error) {
+    if (error instanceof ManualResultError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     console.error("❌ Error reporting match result:", error);
     res.status(500).json({ error: "Failed to report match result" });
   }
 });
 
-// Verify game URL contains both players
-async function verifyGameUrl(gameUrl, player1, player2) {
-  return new Promise((resolve) => {
-    try {
-      // Extract game info from URL
-      let apiUrl = null;
-
-      if (gameUrl.includes("chess.com")) {
-        // Extract game ID from Chess.com URL
-        const gameIdMatch = gameUrl.match(/chess\.com\/game\/live\/(\d+)/);
-        if (gameIdMatch) {
-          apiUrl = `https://api.chess.com/pub/game/${gameIdMatch[1]}`;
-        }
-      } else if (gameUrl.includes("lichess.org")) {
-        // Extract game ID from Lichess URL
-        const gameIdMatch = gameUrl.match(/lichess\.org\/(\w+)/);
-        if (gameIdMatch) {
-          apiUrl = `https://lichess.org/api/game/${gameIdMatch[1]}`;
-        }
-      }
-
-      if (!apiUrl) {
-        console.log("🔍 Could not extract game ID from URL");
-        resolve(false);
-        return;
-      }
-
-      // Make API request to verify
-      const req = https.request(apiUrl, (res) => {
-        let data = "";
-        res.on("data", (chunk) => (data += chunk));
-        res.on("end", () => {
-          try {
-            const gameData = JSON.parse(data);
-
-            // Check if both players are in the game
-            let foundPlayer1 = false;
-            let foundPlayer2 = false;
-
-            if (gameUrl.includes("chess.com")) {
-              foundPlayer1 =
-                gameData.white?.username?.toLowerCase() ===
-                  player1.toLowerCase() ||
-                gameData.black?.username?.toLowerCase() ===
-                  player1.toLowerCase();
-              foundPlayer2 =
-                gameData.white?.username?.toLowerCase() ===
-                  player2.toLowerCase() ||
-                gameData.black?.username?.toLowerCase() ===
-                  player2.toLowerCase();
-            } else if (gameUrl.includes("lichess.org")) {
-              foundPlayer1 =
-                gameData.players?.white?.user?.name?.toLowerCase() ===
-                  player1.toLowerCase() ||
-                gameData.players?.black?.user?.name?.toLowerCase() ===
-                  player1.toLowerCase();
-              foundPlayer2 =
-                gameData.players?.white?.user?.name?.toLowerCase() ===
-                  player2.toLowerCase() ||
-                gameData.players?.black?.user?.name?.toLowerCase() ===
-                  player2.toLowerCase();
-            }
-
-            resolve(foundPlayer1 && foundPlayer2);
-          } catch (e) {
-            console.log("🔍 Error parsing game data for verification");
-            resolve(false);
-          }
-        });
-      });
-
-      req.on("error", () => resolve(false));
-      req.setTimeout(5000, () => {
-        req.destroy();
-        resolve(false);
-      });
-      req.end();
-    } catch (error) {
-      resolve(false);
-    }
-  });
-}
-
-// Process payment for manually reported results
-async function processPaymentForManualResult(
-  challengeId,
-  result,
-  ongoingMatch
-) {
+// Games that failed verification against the challenge terms (admin only)
+router.get("/flagged", protect, admin, async (req, res) => {
   try {
-    console.log(
-      `💰 Processing payment for manually reported result: ${result}`
-    );
-
-    // Get challenge details including payment info
-    const challengeQuery = await pool.query(
-      `
-      SELECT c.*, 
-             CASE 
-               WHEN c.platform = 'chess.com' THEN challenger_user.chess_com_username 
-               WHEN c.platform = 'lichess' THEN challenger_user.lichess_username 
-               ELSE challenger_user.username 
-             END as challenger_username, 
-             challenger_user.phone as challenger_phone,
-             CASE 
-               WHEN c.platform = 'chess.com' THEN opponent_user.chess_com_username 
-               WHEN c.platform = 'lichess' THEN opponent_user.lichess_username 
-               ELSE opponent_user.username 
-             END as opponent_username, 
-             opponent_user.phone as opponent_phone
-      FROM challenges c
-      JOIN users challenger_user ON c.challenger = challenger_user.id
-      JOIN users opponent_user ON c.opponent = opponent_user.id
-      WHERE c.id = $1
-    `,
-      [challengeId]
-    );
-
-    if (challengeQuery.rows.length === 0) {
-      console.log(`Challenge ${challengeId} not found for payment processing`);
-      return;
-    }
-
-    const challenge = challengeQuery.rows[0];
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const matches = await gameVerificationService.getFlaggedMatches({ limit });
+    res.json({ success: true, matches });
+  } catch (error) {
+    console.error("Error fetching flagged matches:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch flagged matches",
+      error: error.message,
+    });
+  }
+});
 
-    if (!challenge.bet_amount || challenge.bet_amount <= 0) {
-      console.log(
-        `No payment amount for challenge ${challengeId}, skipping payment processing`
-      );
-      return;
+// Matches flagged before they were escalated automatically can be handed to
+// the dispute flow by hand, where an admin pays out or refunds the stakes
+router.post("/flagged/:matchId/escalate", protect, admin, escalateFlaggedMatch);
+
+// Disputes: either player can contest a result during the dispute window,
+// admins resolve with a payout or a refund
+router.post("/:challengeId/disputes", protect, openDispute);
+router.get("/disputes", protect, admin, listDisputes);
+router.get("/disputes/:disputeId", protect, getDispute);
+router.post("/disputes/:disputeId/evidence", protect, addDisputeEvidence);
+router.post("/disputes/:disputeId/resolve", protect, admin, resolveDispute);
+
+// Full record of a completed match - result plus the archived game (PGN,
+// opening, clocks, termination) for review and analysis tooling
+router.get("/:challengeId", protect, async (req, res) => {
+  try {
+    const challengeId = parseInt(req.params.challengeId);
+    if (!challengeId) {
+      return res.status(400).json({ error: "Invalid challenge id" });
     }
 
-    console.log(
-      `Processing payment for challenge ${challengeId} with bet amount: ${challenge.bet_amount}`
-    );
-
-    // Prepare challenger and opponent data
-    const challengerData = {
-      id: challenge.challenger,
-      username: challenge.challenger_username,
-      phone: challenge.challenger_phone,
-    };
-
-    const opponentData = {
-      id: challenge.opponent,
-      username: challenge.opponent_username,
-      phone: challenge.opponent_phone,
-    };
-
-    // Convert manual result format to payment system format
-    let paymentResult = result;
-    if (result === "loss") {
-      // If reporter reported loss, they lost, so opponent won
-      paymentResult = "resigned";
-    } else if (result === "win") {
-      // If reporter reported win, they won
-      paymentResult = "win";
-    } else if (result === "draw") {
-      paymentResult = "stalemate";
+    const archive = await gameArchiveService.getMatchArchive(challengeId);
+    if (!archive) {
+      return res.status(404).json({ error: "Challenge not found" });
     }
 
-    console.log(`Initiating payment payout with result: ${paymentResult}`);
-
-    // Process the game payout
-    await paymentController.processGamePayout(
-      ongoingMatch.id, // gameId
-      paymentResult,
-      challengerData,
-      opponentData
-    );
-
-    console.log(
-      `Payment payout processing completed for challenge ${challengeId}`
-    );
+    res.json({ success: true, ...archive });
   } catch (error) {
-    console.error(`Error processing payment for manual result:`, error);
-    // Don't throw - continue with result processing even if payment fails
+    console.error("Error fetching match record:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch match record",
+      error: error.message,
+    });
   }
-}
+});
 
 export default router;
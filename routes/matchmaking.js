@@ -1,7 +1,8 @@
 import express from "express";
 import User from "../models/User.js";
 import { protect } from "../middleware/auth.js";
-import https from "https";
+import { getPlatform, getPlatformUsername } from "../services/platforms/index.js";
+import presenceService from "../services/presenceService.js";
 
 const router = express.Router();
 
@@ -9,100 +10,43 @@ const router = express.Router();
 const ratingCache = new Map();
 const CACHE_DURATION = 30 * 60 * 1000; // 30 minutes
 
-// Function to fetch real rating from chess APIs
+// Fetch a player's rating through the platform adapter (rapid, then blitz, then bullet)
 async function fetchChessRating(platform, username) {
-  return new Promise((resolve) => {
-    if (!username) {
-      console.log("No username provided, returning default rating");
-      resolve(1200); // Default rating
-      return;
-    }
+  if (!username) {
+    console.log("No username provided, returning default rating");
+    return 1200; // Default rating
+  }
 
-    // Check cache first
-    const cacheKey = `${platform}:${username.toLowerCase()}`;
-    const cached = ratingCache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-      resolve(cached.rating);
-      return;
-    }
+  // Check cache first
+  const cacheKey = `${platform}:${username.toLowerCase()}`;
+  const cached = ratingCache.get(cacheKey);
+  if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
+    return cached.rating;
+  }
 
-    const hostname = platform === "chess.com" ? "api.chess.com" : "lichess.org";
-    const path =
-      platform === "chess.com"
-        ? `/pub/player/${username.toLowerCase()}/stats`
-        : `/api/user/${username}`;
-
-    const options = {
-      hostname,
-      path,
-      method: "GET",
-      timeout: 8000, // Increased timeout to 8 seconds
-      headers: {
-        "User-Agent":
-          "jkuat-university-chess-club-tool/0.1 (username: rookwitdahooks; contact: rolljoe42@gmail.com)",
-        Accept: "application/json",
-      },
-    };
-
-    const req = https.request(options, (res) => {
-      let data = "";
-      res.on("data", (chunk) => (data += chunk));
-      res.on("end", () => {
-        try {
-          if (res.statusCode !== 200) {
-            resolve(1200);
-            return;
-          }
-
-          const parsed = JSON.parse(data);
-          let rating = 1200; // Default
-
-          if (platform === "chess.com") {
-            // Try different rating types in order of preference
-            if (parsed.chess_rapid?.last?.rating) {
-              rating = parsed.chess_rapid.last.rating;
-            } else if (parsed.chess_blitz?.last?.rating) {
-              rating = parsed.chess_blitz.last.rating;
-            } else if (parsed.chess_bullet?.last?.rating) {
-              rating = parsed.chess_bullet.last.rating;
-            }
-          } else if (platform === "lichess.org") {
-            // Try different rating types in order of preference
-            if (parsed.perfs?.rapid?.rating) {
-              rating = parsed.perfs.rapid.rating;
-            } else if (parsed.perfs?.blitz?.rating) {
-              rating = parsed.perfs.blitz.rating;
-            } else if (parsed.perfs?.bullet?.rating) {
-              rating = parsed.perfs.bullet.rating;
-            }
-          }
-
-          // Cache the rating before resolving
-          ratingCache.set(cacheKey, {
-            rating,
-            timestamp: Date.now(),
-          });
-
-          resolve(rating);
-        } catch (e) {
-          console.error(`Error parsing response for ${username}:`, e.message);
-          resolve(1200); // Default on error
-        }
-      });
-    });
+  const chessPlatform = getPlatform(platform);
+  if (!chessPlatform) {
+    return 1200;
+  }
 
-    req.on("error", (error) => {
-      console.error(`Request error for ${username}:`, error.message);
-      resolve(1200); // Default on error
-    });
+  try {
+    const ratings = await chessPlatform.getRatings(username);
+    if (!ratings) {
+      return 1200;
+    }
+
+    const rating = ratings.rapid || ratings.blitz || ratings.bullet || 1200;
 
-    req.on("timeout", () => {
-      req.destroy();
-      resolve(1200); // Default on timeout
+    ratingCache.set(cacheKey, {
+      rating,
+      timestamp: Date.now(),
     });
 
-    req.end();
-  });
+    return rating;
+  } catch (error) {
+    console.error(`Error fetching rating for ${username}:`, error.message);
+    return 1200; // Default on error
+  }
 }
 
 // Get suggested opponents for matchmaking
@@ -117,13 +61,8 @@ router.get("/suggested", protect, async (req, res) => {
       });
     }
 
-    // Get online users from the socket.io server
-    // Access the onlineUsers from the app module (we'll need to pass this)
-    const io = req.app.get("io");
-    const onlineUsers = req.app.get("onlineUsers") || {};
-
-    // Get list of online user IDs
-    const onlineUserIds = Object.values(onlineUsers).map((user) => user.id);
+    // Get list of online user IDs (across all app instances)
+    const onlineUserIds = await presenceService.getOnlineUserIds();
     console.log("Online user IDs:", onlineUserIds);
 
     // Get available opponents with same preferred platform
@@ -157,10 +96,10 @@ router.get("/suggested", protect, async (req, res) => {
       }
 
       // Must have platform username
-      const platformUsername =
-        currentUser.preferred_platform === "chess.com"
-          ? user.chess_com_username
-          : user.lichess_username;
+      const platformUsername = getPlatformUsername(
+        user,
+        currentUser.preferred_platform
+      );
 
       if (!platformUsername) {
         continue;
@@ -1,7 +1,9 @@
 import express from "express";
 import paymentController from "../controllers/paymentController.js";
-import { protect } from "../middleware/auth.js";
+import paymentReconciler from "../services/PaymentReconciler.js";
+import { protect, admin } from "../middleware/auth.js";
 import { validatePhone } from "../middleware/phoneValidation.js";
+import { verifyOnitCallback } from "../middleware/callbackAuth.js";
 
 const router = express.Router();
 
@@ -21,12 +23,76 @@ router.post(
   paymentController.initiateWithdrawal
 );
 
-// Payment callback (webhook from payment provider - no auth required)
-router.post("/callback", (req, res) =>
+// Payment callback (webhook from payment provider - authenticated by HMAC signature)
+router.post("/callback", verifyOnitCallback, (req, res) =>
   paymentController.handleCallback(req, res)
 );
 
 // Get payment status (requires authentication)
 router.get("/status", protect, paymentController.getPaymentStatus);
 
+// Reconcile stale pending payments against the provider now (admin only)
+// Body (optional): { requestIds: [...], olderThanMinutes, limit }
+router.post("/reconcile", protect, admin, async (req, res) => {
+  try {
+    const { requestIds, olderThanMinutes, limit } = req.body || {};
+    const summary = await paymentReconciler.run({
+      trigger: "manual",
+      triggeredBy: req.user.id,
+      requestIds: Array.isArray(requestIds) ? requestIds : null,
+      olderThanMinutes: Number.isInteger(parseInt(olderThanMinutes))
+        ? Math.max(parseInt(olderThanMinutes), 0)
+        : undefined,
+      limit: parseInt(limit) > 0 ? Math.min(parseInt(limit), 500) : undefined,
+    });
+
+    if (summary.skipped) {
+      return res.status(409).json({ success: false, message: summary.reason });
+    }
+
+    res.json({ success: true, ...summary });
+  } catch (error) {
+    console.error("Error running payment reconciliation:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to reconcile payments",
+      error: error.message,
+    });
+  }
+});
+
+// Recent reconciliation runs (admin only)
+router.get("/reconcile/runs", protect, admin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const runs = await paymentReconciler.getRecentRuns(limit);
+    res.json({ success: true, runs });
+  } catch (error) {
+    console.error("Error fetching reconciliation runs:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch reconciliation runs",
+      error: error.message,
+    });
+  }
+});
+
+// One run with every payment it checked and what changed (admin only)
+router.get("/reconcile/runs/:runId", protect, admin, async (req, res) => {
+  try {
+    const run = await paymentReconciler.getRun(req.params.runId);
+    if (!run) {
+      return res.status(404).json({ success: false, message: "Run not found" });
+    }
+    res.json({ success: true, run });
+  } catch (error) {
+    console.error("Error fetching reconciliation run:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch reconciliation run",
+      error: error.message,
+    });
+  }
+});
+
 export default router;
@@ -5,7 +5,7 @@
 
 import express from 'express';
 import queueMonitorController from '../controllers/queueMonitorController.js';
-import { protect } from '../middleware/auth.js';
+import { protect, admin } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -16,4 +16,13 @@ router.get('/health', queueMonitorController.healthCheck);
 router.get('/stats', protect, queueMonitorController.getQueueStats);
 router.get('/failures', protect, queueMonitorController.getRecentFailures);
 
+// Dead-letter inspection and recovery (admin only)
+router.get('/dead-letters', protect, admin, queueMonitorController.listDeadLetters);
+router.get('/dead-letters/audit', protect, admin, queueMonitorController.getDeadLetterAudit);
+router.post('/dead-letters/replay', protect, admin, queueMonitorController.replayDeadLetters);
+router.post('/dead-letters/resolve', protect, admin, queueMonitorController.resolveDeadLetters);
+router.get('/dead-letters/:jobId', protect, admin, queueMonitorController.getDeadLetter);
+router.post('/dead-letters/:jobId/replay', protect, admin, queueMonitorController.replayDeadLetter);
+router.post('/dead-letters/:jobId/resolve', protect, admin, queueMonitorController.resolveDeadLetter);
+
 export default router;
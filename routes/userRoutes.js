@@ -5,7 +5,9 @@ import {
   getUserProfile,
   getUserByUsername,
   getUserRecentMatches,
-  getUserStats
+  getUserStats,
+  getUserRatings,
+  getHeadToHead
 } from '../controllers/userController.js';
 import { protect } from '../middleware/auth.js';
 
@@ -17,5 +19,7 @@ router.get('/profile', protect, getUserProfile);
 router.get('/profile/:username', protect, getUserByUsername);
 router.get('/profile/:username/matches', protect, getUserRecentMatches);
 router.get('/profile/:username/stats', protect, getUserStats);
+router.get('/profile/:username/ratings', protect, getUserRatings);
+router.get('/profile/:username/head-to-head', protect, getHeadToHead);
 
 export default router;
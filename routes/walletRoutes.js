@@ -3,15 +3,22 @@ import {
   getWallet,
   depositFunds,
   withdrawFunds,
+  adjustWallet,
+  getWalletAdjustments,
 } from "../controllers/walletController.js";
-import { protect } from "../middleware/auth.js";
+import { protect, admin } from "../middleware/auth.js";
+import { validatePhone } from "../middleware/phoneValidation.js";
 
 const router = express.Router();
 
 router.use(protect); // All wallet routes require authentication
 
 router.get("/", getWallet);
-router.post("/deposit", depositFunds);
-router.post("/withdraw", withdrawFunds);
+router.post("/deposit", validatePhone, depositFunds);
+router.post("/withdraw", validatePhone, withdrawFunds);
+
+// Manual balance corrections (admin only, audited)
+router.get("/admin/adjustments", admin, getWalletAdjustments);
+router.post("/admin/adjustments", admin, adjustWallet);
 
 export default router;
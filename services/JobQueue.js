@@ -0,0 +1,432 @@
+/**
+ * Durable job queue backed by the job_queue table
+ * Jobs survive restarts: workers claim them with FOR UPDATE SKIP LOCKED,
+ * keep them invisible for a visibility timeout while they run, retry
+ * failures with exponential backoff and move jobs that run out of attempts
+ * to the dead-letter ('dead') state.
+ *
+ * Handlers are plain functions registered by name, since only the name
+ * can be stored with the job.
+ */
+
+import os from 'os';
+import pool from '../config/database.js';
+import jobQueueConfig from '../config/jobQueue.js';
+
+// One error_history entry per failed attempt ($2 = worker, $3 = error)
+const ERROR_ENTRY_SQL = `jsonb_build_array(jsonb_build_object(
+  'attempt', attempts, 'error', $3::text, 'worker', $2::text, 'failed_at', NOW()))`;
+
+class JobQueue {
+  constructor(name, options = {}, config = jobQueueConfig) {
+    this.name = name;
+    this.maxConcurrent = options.maxConcurrent || 10;
+    this.maxQueueSize = options.maxQueueSize || 1000;
+    this.retryAttempts = options.retryAttempts || 3;
+    this.retryDelay = options.retryDelay || 2000; // First retry delay, doubled per attempt
+
+    this.pollInterval = config.pollIntervalMs;
+    this.visibilityTimeout = config.visibilityTimeoutSeconds;
+    this.maxBackoff = config.maxBackoffMs;
+    this.completedRetentionDays = config.completedRetentionDays;
+
+    this.handlers = new Map();
+    this.inFlight = new Set();
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.intervalId = null;
+    this.pruneIntervalId = null;
+    this.polling = false;
+
+    // Only dropped jobs never reach the table, so they're counted here
+    this.dropped = 0;
+
+    console.log(`🚀 [${this.name}] Queue initialized - Max concurrent: ${this.maxConcurrent}, Max queue size: ${this.maxQueueSize}`);
+  }
+
+  /**
+   * Register a job handler under its function name
+   */
+  register(handler, name = handler.name) {
+    if (!name) {
+      throw new Error(`[${this.name}] Job handlers must be named functions`);
+    }
+    this.handlers.set(name, handler);
+    return this;
+  }
+
+  /**
+   * Start polling for jobs (including ones left over from before a restart)
+   */
+  start() {
+    if (this.intervalId) return;
+
+    this.intervalId = setInterval(() => this.process(), this.pollInterval);
+    this.process();
+  }
+
+  stop() {
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+    this.stopPruning();
+  }
+
+  /**
+   * Prune completed jobs hourly. Workers run on every instance, pruning
+   * only needs to run on one of them.
+   */
+  startPruning() {
+    if (this.pruneIntervalId) return;
+
+    this.pruneIntervalId = setInterval(
+      () => this.pruneCompleted().catch((error) =>
+        console.error(`❌ [${this.name}] Failed to prune completed jobs:`, error.message)
+      ),
+      60 * 60 * 1000
+    );
+  }
+
+  stopPruning() {
+    clearInterval(this.pruneIntervalId);
+    this.pruneIntervalId = null;
+  }
+
+  /**
+   * Add a job to the queue. Adding a job id that is already queued is a no-op.
+   */
+  async add(jobId, handler, data = {}, options = {}) {
+    const handlerName = typeof handler === 'string' ? handler : handler?.name;
+    if (!this.handlers.has(handlerName)) {
+      throw new Error(`[${this.name}] No handler registered as "${handlerName}"`);
+    }
+
+    // Check queue size limit
+    const backlog = await pool.query(
+      `SELECT COUNT(*)::int AS size FROM job_queue
+       WHERE queue = $1 AND status IN ('pending', 'processing')`,
+      [this.name]
+    );
+    if (backlog.rows[0].size >= this.maxQueueSize) {
+      this.dropped++;
+      console.error(
+        `❌ [${this.name}] Queue full! Dropped job ${jobId}. Current size: ${backlog.rows[0].size}`
+      );
+      throw new Error(`Queue ${this.name} is full`);
+    }
+
+    const inserted = await pool.query(
+      `INSERT INTO job_queue (queue, job_id, handler, data, priority, max_attempts, run_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW() + ($7 || ' milliseconds')::interval)
+       ON CONFLICT (queue, job_id) DO NOTHING
+       RETURNING *`,
+      [
+        this.name,
+        jobId,
+        handlerName,
+        JSON.stringify(data),
+        options.priority || 1,
+        options.maxAttempts || this.retryAttempts,
+        String(options.delay || 0),
+      ]
+    );
+
+    if (inserted.rows.length === 0) {
+      console.log(`ℹ️ [${this.name}] Job ${jobId} already queued, skipping`);
+      const existing = await this.getJob(jobId);
+      return { jobId, status: existing?.status || 'queued', duplicate: true };
+    }
+
+    console.log(
+      `📥 [${this.name}] Job ${jobId} queued. Queue size: ${backlog.rows[0].size + 1}, Processing: ${this.inFlight.size}`
+    );
+
+    // Process queue
+    this.process();
+
+    return {
+      jobId,
+      queuePosition: backlog.rows[0].size + 1,
+      status: 'queued',
+    };
+  }
+
+  /**
+   * Claim ready jobs up to the free concurrency and run them
+   */
+  async process() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      const free = this.maxConcurrent - this.inFlight.size;
+      if (free <= 0) return;
+
+      // Pending jobs that are due, plus jobs whose worker stopped renewing
+      // their lease (crash, deploy) once the visibility timeout has passed
+      const claimed = await pool.query(
+        `UPDATE job_queue
+         SET status = 'processing', attempts = attempts + 1, locked_by = $2,
+             locked_until = NOW() + ($3 || ' seconds')::interval, updated_at = NOW()
+         WHERE id IN (
+           SELECT id FROM job_queue
+           WHERE queue = $1
+             AND ((status = 'pending' AND run_at <= NOW())
+               OR (status = 'processing' AND locked_until < NOW()))
+           ORDER BY priority DESC, run_at ASC, id ASC
+           LIMIT $4
+           FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [this.name, this.workerId, String(this.visibilityTimeout), free]
+      );
+
+      for (const job of claimed.rows) {
+        this.inFlight.add(job.id);
+        this.run(job)
+          .catch((error) =>
+            console.error(`❌ [${this.name}] Failed to record outcome of job ${job.job_id}:`, error.message)
+          )
+          .finally(() => {
+            this.inFlight.delete(job.id);
+            setImmediate(() => this.process());
+          });
+      }
+    } catch (error) {
+      console.error(`❌ [${this.name}] Failed to claim jobs:`, error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Run one claimed job and record the outcome
+   */
+  async run(job) {
+    // Claimed again after its worker vanished on the last allowed attempt
+    if (job.attempts > job.max_attempts) {
+      await this.deadLetter(job, job.last_error || 'Visibility timeout expired on final attempt');
+      return;
+    }
+
+    const handler = this.handlers.get(job.handler);
+    if (!handler) {
+      await this.deadLetter(job, `No handler registered as "${job.handler}"`);
+      return;
+    }
+
+    console.log(
+      `🔄 [${this.name}] Processing job ${job.job_id} (attempt ${job.attempts}/${job.max_attempts})`
+    );
+
+    let result;
+    const stopRenewing = this.renewLease(job);
+    try {
+      result = await handler(job.data);
+    } catch (error) {
+      console.error(
+        `❌ [${this.name}] Job ${job.job_id} failed (attempt ${job.attempts}/${job.max_attempts}):`,
+        error.message
+      );
+
+      if (job.attempts >= job.max_attempts) {
+        await this.deadLetter(job, error.message);
+        return;
+      }
+
+      const backoff = Math.min(this.retryDelay * 2 ** (job.attempts - 1), this.maxBackoff);
+      console.log(`🔄 [${this.name}] Retrying job ${job.job_id} in ${backoff}ms...`);
+
+      await pool.query(
+        `UPDATE job_queue
+         SET status = 'pending', last_error = $3, locked_until = NULL, locked_by = NULL,
+             run_at = NOW() + ($4 || ' milliseconds')::interval, updated_at = NOW(),
+             error_history = error_history || ${ERROR_ENTRY_SQL}
+         WHERE id = $1 AND locked_by = $2`,
+        [job.id, this.workerId, error.message, String(backoff)]
+      );
+      return;
+    } finally {
+      stopRenewing();
+    }
+
+    // Outside the handler's try: the work is done, so a failed write here
+    // must not count as a failed attempt and run the handler again
+    await this.markCompleted(job, result);
+
+    console.log(
+      `✅ [${this.name}] Job ${job.job_id} completed in ${Date.now() - new Date(job.created_at).getTime()}ms. Processing: ${this.inFlight.size}`
+    );
+  }
+
+  /**
+   * Keep a running job's lease ahead of the visibility timeout so slow
+   * handlers (a provider call that hangs) aren't claimed and run a second
+   * time by another worker. Returns a function that stops renewing.
+   */
+  renewLease(job) {
+    const intervalId = setInterval(async () => {
+      try {
+        const renewed = await pool.query(
+          `UPDATE job_queue
+           SET locked_until = NOW() + ($3 || ' seconds')::interval, updated_at = NOW()
+           WHERE id = $1 AND locked_by = $2 AND status = 'processing'`,
+          [job.id, this.workerId, String(this.visibilityTimeout)]
+        );
+        if (renewed.rowCount === 0) {
+          console.warn(`⚠️ [${this.name}] Lost the lease on job ${job.job_id} - no longer renewing`);
+          clearInterval(intervalId);
+        }
+      } catch (error) {
+        console.error(`❌ [${this.name}] Failed to renew lease on job ${job.job_id}:`, error.message);
+      }
+    }, (this.visibilityTimeout * 1000) / 3);
+
+    return () => clearInterval(intervalId);
+  }
+
+  /**
+   * Record a successful run. Retried a few times before giving up, since a
+   * job left 'processing' is claimed again once its visibility timeout passes.
+   */
+  async markCompleted(job, result, attempts = 3) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await pool.query(
+          `UPDATE job_queue
+           SET status = 'completed', result = $3, completed_at = NOW(),
+               locked_until = NULL, updated_at = NOW()
+           WHERE id = $1 AND locked_by = $2`,
+          [job.id, this.workerId, JSON.stringify(result ?? null)]
+        );
+        return;
+      } catch (error) {
+        if (attempt >= attempts) throw error;
+        console.warn(
+          `⚠️ [${this.name}] Failed to mark job ${job.job_id} completed (attempt ${attempt}/${attempts}):`,
+          error.message
+        );
+        await new Promise((resolve) => setTimeout(resolve, this.retryDelay * attempt));
+      }
+    }
+  }
+
+  async deadLetter(job, errorMessage) {
+    await pool.query(
+      `UPDATE job_queue
+       SET status = 'dead', last_error = $3, locked_until = NULL, updated_at = NOW(),
+           error_history = error_history || ${ERROR_ENTRY_SQL}
+       WHERE id = $1`,
+      [job.id, this.workerId, errorMessage]
+    );
+
+    console.error(
+      `💀 [${this.name}] Job ${job.job_id} permanently failed after ${job.attempts} attempts`
+    );
+  }
+
+  async getJob(jobId) {
+    const result = await pool.query(
+      'SELECT * FROM job_queue WHERE queue = $1 AND job_id = $2',
+      [this.name, jobId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Get queue statistics
+   */
+  async getStats() {
+    const result = await pool.query(
+      `SELECT
+         COUNT(*)::int AS total,
+         COUNT(*) FILTER (WHERE status = 'pending')::int AS pending,
+         COUNT(*) FILTER (WHERE status = 'pending' AND run_at > NOW())::int AS delayed,
+         COUNT(*) FILTER (WHERE status = 'processing')::int AS processing,
+         COUNT(*) FILTER (WHERE status = 'completed')::int AS completed,
+         COUNT(*) FILTER (WHERE status = 'dead')::int AS dead
+       FROM job_queue
+       WHERE queue = $1`,
+      [this.name]
+    );
+    const counts = result.rows[0];
+    const queueSize = counts.pending + counts.processing;
+
+    return {
+      name: this.name,
+      queueSize,
+      processing: counts.processing,
+      completed: counts.completed,
+      failed: counts.dead,
+      queue: {
+        size: queueSize,
+        pending: counts.pending,
+        delayed: counts.delayed,
+        processing: counts.processing,
+        processingHere: this.inFlight.size,
+      },
+      stats: {
+        totalQueued: counts.total,
+        totalProcessed: counts.completed,
+        totalFailed: counts.dead,
+        totalDropped: this.dropped,
+        processed: counts.completed,
+        failed: counts.dead,
+        dropped: this.dropped,
+      },
+      capacity: {
+        maxConcurrent: this.maxConcurrent,
+        maxQueueSize: this.maxQueueSize,
+        utilizationPercent: Math.round((this.inFlight.size / this.maxConcurrent) * 100),
+        queueFullnessPercent: Math.round((queueSize / this.maxQueueSize) * 100),
+      },
+    };
+  }
+
+  /**
+   * Get recent failed (dead-lettered) jobs
+   */
+  async getRecentFailures(limit = 10) {
+    const result = await pool.query(
+      `SELECT job_id, updated_at, last_error, attempts
+       FROM job_queue
+       WHERE queue = $1 AND status = 'dead'
+       ORDER BY updated_at DESC
+       LIMIT $2`,
+      [this.name, limit]
+    );
+
+    return result.rows.map((job) => ({
+      id: job.job_id,
+      failedAt: new Date(job.updated_at).getTime(),
+      error: job.last_error,
+      attempts: job.attempts,
+    }));
+  }
+
+  /**
+   * Drop completed jobs past the retention period
+   */
+  async pruneCompleted() {
+    const result = await pool.query(
+      `DELETE FROM job_queue
+       WHERE queue = $1 AND status = 'completed'
+         AND completed_at < NOW() - ($2 || ' days')::interval`,
+      [this.name, String(this.completedRetentionDays)]
+    );
+    if (result.rowCount > 0) {
+      console.log(`🧹 [${this.name}] Pruned ${result.rowCount} completed jobs`);
+    }
+  }
+
+  /**
+   * Clear completed and failed job history
+   */
+  async clearHistory() {
+    await pool.query(
+      `DELETE FROM job_queue WHERE queue = $1 AND status IN ('completed', 'dead')`,
+      [this.name]
+    );
+    console.log(`🧹 [${this.name}] Job history cleared`);
+  }
+}
+
+export default JobQueue;
@@ -1,8 +1,9 @@
-import https from "https";
 import OngoingMatch from "../models/OngoingMatch.js";
 import User from "../models/User.js";
 import pool from "../config/database.js";
 import paymentController from "../controllers/paymentController.js";
+import { getPlatform, platformUsernameSql } from "./platforms/index.js";
+import gameVerificationService from "./gameVerificationService.js";
 
 class MatchResultChecker {
   constructor(io) {
@@ -85,19 +86,13 @@ class MatchResultChecker {
 
       let result = null;
 
-      if (match.platform === "chess.com") {
+      const chessPlatform = getPlatform(match.platform);
+      if (chessPlatform) {
         console.log(
-          `🌐 [${new Date().toISOString()}] Checking Chess.com API for recent games...`
+          `🌐 [${new Date().toISOString()}] Checking ${chessPlatform.name} API for recent games...`
         );
-        result = await this.checkChessComMatch(
-          match.challenger_username,
-          match.opponent_username
-        );
-      } else if (match.platform === "lichess.org") {
-        console.log(
-          `🌐 [${new Date().toISOString()}] Checking Lichess API for recent games...`
-        );
-        result = await this.checkLichessMatch(
+        result = await this.checkPlatformMatch(
+          chessPlatform,
           match.challenger_username,
           match.opponent_username
         );
@@ -167,393 +162,51 @@ class MatchResultChecker {
     }
   }
 
-  async checkChessComMatch(player1, player2) {
-    return new Promise((resolve) => {
-      console.log(
-        `🔍 [${new Date().toISOString()}] Chess.com API: Checking recent games for ${player1} vs ${player2}...`
-      );
-
-      // Get recent games for player1
-      const options = {
-        hostname: "api.chess.com",
-        path: `/pub/player/${player1.toLowerCase()}/games/archives`,
-        method: "GET",
-        headers: {
-          "User-Agent": "ChessNexus/1.0 (https://chess-nexus.com)",
-        },
-      };
+  async checkPlatformMatch(chessPlatform, player1, player2) {
+    console.log(
+      `🔍 [${new Date().toISOString()}] ${chessPlatform.name} API: Checking recent games for ${player1} vs ${player2}...`
+    );
 
-      const req = https.request(options, (res) => {
-        let data = "";
-        res.on("data", (chunk) => (data += chunk));
-        res.on("end", async () => {
-          try {
-            if (res.statusCode === 200) {
-              const archives = JSON.parse(data);
-              const latestArchive =
-                archives.archives[archives.archives.length - 1];
-
-              console.log(
-                `📅 [${new Date().toISOString()}] Chess.com API: Latest archive URL: ${latestArchive}`
-              );
-
-              // Get latest month's games
-              const gamesOptions = {
-                hostname: "api.chess.com",
-                path: latestArchive.replace("https://api.chess.com", ""),
-                method: "GET",
-                headers: {
-                  "User-Agent": "ChessNexus/1.0 (https://chess-nexus.com)",
-                },
-              };
-
-              const gamesReq = https.request(gamesOptions, (gamesRes) => {
-                let gamesData = "";
-                gamesRes.on("data", (chunk) => (gamesData += chunk));
-                gamesRes.on("end", () => {
-                  try {
-                    if (gamesRes.statusCode === 200) {
-                      const gamesJson = JSON.parse(gamesData);
-                      console.log(
-                        `🎮 [${new Date().toISOString()}] Chess.com API: Found ${
-                          gamesJson.games.length
-                        } total games for ${player1}`
-                      );
-
-                      // Get last 3 games to check
-                      const recentGames = gamesJson.games.slice(-3);
-                      console.log(
-                        `🔬 [${new Date().toISOString()}] Chess.com API: Checking last 3 games for matches...`
-                      );
-
-                      // Look for a game between the two players (within reasonable time)
-                      const cutoffTime = Date.now() - 15 * 60 * 1000; // 15 minutes ago
-
-                      for (let i = recentGames.length - 1; i >= 0; i--) {
-                        const game = recentGames[i];
-                        const gameTime = game.end_time * 1000;
-                        const gameDate = new Date(gameTime);
-
-                        console.log(
-                          `⏰ [${new Date().toISOString()}] Chess.com API: Checking game from ${gameDate.toISOString()}`
-                        );
-
-                        if (gameTime < cutoffTime) {
-                          console.log(
-                            `⏳ [${new Date().toISOString()}] Chess.com API: Game too old (${gameDate.toISOString()}), skipping...`
-                          );
-                          continue;
-                        }
-
-                        const whitePlayer = game.white.username.toLowerCase();
-                        const blackPlayer = game.black.username.toLowerCase();
-                        const player1Lower = player1.toLowerCase();
-                        const player2Lower = player2.toLowerCase();
-
-                        console.log(
-                          `👥 [${new Date().toISOString()}] Chess.com API: Game players: ${whitePlayer} (white) vs ${blackPlayer} (black)`
-                        );
-                        console.log(
-                          `🎯 [${new Date().toISOString()}] Chess.com API: Looking for: ${player1Lower} vs ${player2Lower}`
-                        );
-
-                        if (
-                          (whitePlayer === player1Lower &&
-                            blackPlayer === player2Lower) ||
-                          (whitePlayer === player2Lower &&
-                            blackPlayer === player1Lower)
-                        ) {
-                          console.log(
-                            `🎯 [${new Date().toISOString()}] Chess.com API: MATCH FOUND! Game between ${player1} and ${player2}`
-                          );
-
-                          // Found the match!
-                          let winner = null;
-                          let result = "draw";
-
-                          console.log(
-                            `📊 [${new Date().toISOString()}] Chess.com API: White result: ${
-                              game.white.result
-                            }, Black result: ${game.black.result}`
-                          );
-
-                          if (game.white.result === "win") {
-                            winner = game.white.username;
-                            result = "win";
-                            console.log(
-                              `🏆 [${new Date().toISOString()}] Chess.com API: White player ${winner} won!`
-                            );
-                          } else if (game.black.result === "win") {
-                            winner = game.black.username;
-                            result = "win";
-                            console.log(
-                              `🏆 [${new Date().toISOString()}] Chess.com API: Black player ${winner} won!`
-                            );
-                          } else {
-                            console.log(
-                              `🤝 [${new Date().toISOString()}] Chess.com API: Game was a draw`
-                            );
-                          }
-
-                          const matchResult = {
-                            winner,
-                            result,
-                            gameUrl: game.url,
-                            gameDate: new Date(gameTime),
-                            whitePlayer: game.white.username,
-                            blackPlayer: game.black.username,
-                            whiteRating: game.white.rating,
-                            blackRating: game.black.rating,
-                            timeControl: game.time_class,
-                            endReason:
-                              game.white.result === "win"
-                                ? "white_wins"
-                                : game.black.result === "win"
-                                ? "black_wins"
-                                : "draw",
-                          };
-
-                          console.log(
-                            `✅ [${new Date().toISOString()}] Chess.com API: Returning match result:`,
-                            matchResult
-                          );
-                          resolve(matchResult);
-                          return;
-                        }
-                      }
-
-                      console.log(
-                        `❌ [${new Date().toISOString()}] Chess.com API: No matches found between ${player1} and ${player2} in last 3 games`
-                      );
-                      resolve(null);
-                    } else {
-                      console.log(
-                        `❌ [${new Date().toISOString()}] Chess.com API: Games request failed with status ${
-                          gamesRes.statusCode
-                        }`
-                      );
-                      resolve(null);
-                    }
-                  } catch (e) {
-                    console.error(
-                      `❌ [${new Date().toISOString()}] Chess.com API: Error parsing games:`,
-                      e
-                    );
-                    resolve(null);
-                  }
-                });
-              });
-
-              gamesReq.on("error", (error) => {
-                console.error(
-                  `❌ [${new Date().toISOString()}] Chess.com API: Games request error:`,
-                  error
-                );
-                resolve(null);
-              });
-              gamesReq.setTimeout(10000, () => {
-                console.log(
-                  `⏱️ [${new Date().toISOString()}] Chess.com API: Games request timeout`
-                );
-                gamesReq.destroy();
-                resolve(null);
-              });
-              gamesReq.end();
-            } else {
-              console.log(
-                `❌ [${new Date().toISOString()}] Chess.com API: Archives request failed with status ${
-                  res.statusCode
-                }`
-              );
-              resolve(null);
-            }
-          } catch (e) {
-            console.error(
-              `❌ [${new Date().toISOString()}] Chess.com API: Error parsing archives:`,
-              e
-            );
-            resolve(null);
-          }
-        });
+    try {
+      // Only games from the last 15 minutes count
+      const game = await chessPlatform.findGameBetween(player1, player2, {
+        since: new Date(Date.now() - 15 * 60 * 1000),
       });
 
-      req.on("error", (error) => {
-        console.error(
-          `❌ [${new Date().toISOString()}] Chess.com API: Archives request error:`,
-          error
-        );
-        resolve(null);
-      });
-      req.setTimeout(10000, () => {
+      if (!game) {
         console.log(
-          `⏱️ [${new Date().toISOString()}] Chess.com API: Archives request timeout`
+          `❌ [${new Date().toISOString()}] ${chessPlatform.name} API: No matches found between ${player1} and ${player2}`
         );
-        req.destroy();
-        resolve(null);
-      });
-      req.end();
-    });
-  }
-
-  async checkLichessMatch(player1, player2) {
-    return new Promise((resolve) => {
-      console.log(
-        `🔍 [${new Date().toISOString()}] Lichess API: Checking recent games for ${player1} vs ${player2}...`
-      );
+        return null;
+      }
 
-      const options = {
-        hostname: "lichess.org",
-        path: `/api/games/user/${player1}?max=3&rated=true&perfType=blitz,rapid,bullet&pgnInJson=false&tags=false&clocks=false&evals=false&opening=false`,
-        method: "GET",
-        headers: {
-          "User-Agent": "ChessNexus/1.0",
-          Accept: "application/x-ndjson",
-        },
+      const winner = game.winner ? game[game.winner].username : null;
+      const matchResult = {
+        winner,
+        result: winner ? "win" : "draw",
+        gameUrl: game.url,
+        gameDate: game.endedAt || game.startedAt,
+        whitePlayer: game.white.username,
+        blackPlayer: game.black.username,
+        whiteRating: game.white.rating,
+        blackRating: game.black.rating,
+        timeControl: game.speed,
+        endReason: game.winner ? `${game.winner}_wins` : "draw",
       };
 
-      const req = https.request(options, (res) => {
-        let data = "";
-        res.on("data", (chunk) => (data += chunk));
-        res.on("end", () => {
-          try {
-            if (res.statusCode === 200) {
-              const lines = data
-                .trim()
-                .split("\n")
-                .filter((line) => line.trim());
-              console.log(
-                `🎮 [${new Date().toISOString()}] Lichess API: Found ${
-                  lines.length
-                } recent games for ${player1}`
-              );
-
-              const cutoffTime = Date.now() - 15 * 60 * 1000; // 15 minutes ago
-
-              for (const line of lines) {
-                const game = JSON.parse(line);
-                const gameTime = new Date(game.createdAt).getTime();
-                const gameDate = new Date(gameTime);
-
-                console.log(
-                  `⏰ [${new Date().toISOString()}] Lichess API: Checking game from ${gameDate.toISOString()}`
-                );
-
-                if (gameTime < cutoffTime) {
-                  console.log(
-                    `⏳ [${new Date().toISOString()}] Lichess API: Game too old (${gameDate.toISOString()}), skipping...`
-                  );
-                  continue;
-                }
-
-                const whitePlayer = game.players.white.user.name.toLowerCase();
-                const blackPlayer = game.players.black.user.name.toLowerCase();
-                const player1Lower = player1.toLowerCase();
-                const player2Lower = player2.toLowerCase();
-
-                console.log(
-                  `👥 [${new Date().toISOString()}] Lichess API: Game players: ${whitePlayer} (white) vs ${blackPlayer} (black)`
-                );
-                console.log(
-                  `🎯 [${new Date().toISOString()}] Lichess API: Looking for: ${player1Lower} vs ${player2Lower}`
-                );
-
-                if (
-                  (whitePlayer === player1Lower &&
-                    blackPlayer === player2Lower) ||
-                  (whitePlayer === player2Lower && blackPlayer === player1Lower)
-                ) {
-                  console.log(
-                    `🎯 [${new Date().toISOString()}] Lichess API: MATCH FOUND! Game between ${player1} and ${player2}`
-                  );
-
-                  // Found the match!
-                  let winner = null;
-                  let result = "draw";
-
-                  console.log(
-                    `📊 [${new Date().toISOString()}] Lichess API: Game winner: ${
-                      game.winner || "none (draw)"
-                    }, Status: ${game.status}`
-                  );
-
-                  if (game.winner === "white") {
-                    winner = game.players.white.user.name;
-                    result = "win";
-                    console.log(
-                      `🏆 [${new Date().toISOString()}] Lichess API: White player ${winner} won!`
-                    );
-                  } else if (game.winner === "black") {
-                    winner = game.players.black.user.name;
-                    result = "win";
-                    console.log(
-                      `🏆 [${new Date().toISOString()}] Lichess API: Black player ${winner} won!`
-                    );
-                  } else {
-                    console.log(
-                      `🤝 [${new Date().toISOString()}] Lichess API: Game was a draw`
-                    );
-                  }
-
-                  const matchResult = {
-                    winner,
-                    result,
-                    gameUrl: `https://lichess.org/${game.id}`,
-                    gameDate: new Date(game.createdAt),
-                    whitePlayer: game.players.white.user.name,
-                    blackPlayer: game.players.black.user.name,
-                    whiteRating: game.players.white.rating,
-                    blackRating: game.players.black.rating,
-                    timeControl: game.perf,
-                    endReason: game.status,
-                  };
-
-                  console.log(
-                    `✅ [${new Date().toISOString()}] Lichess API: Returning match result:`,
-                    matchResult
-                  );
-                  resolve(matchResult);
-                  return;
-                }
-              }
-
-              console.log(
-                `❌ [${new Date().toISOString()}] Lichess API: No matches found between ${player1} and ${player2} in last 3 games`
-              );
-              resolve(null);
-            } else {
-              console.log(
-                `❌ [${new Date().toISOString()}] Lichess API: Request failed with status ${
-                  res.statusCode
-                }`
-              );
-              resolve(null);
-            }
-          } catch (e) {
-            console.error(
-              `❌ [${new Date().toISOString()}] Lichess API: Error parsing games:`,
-              e
-            );
-            resolve(null);
-          }
-        });
-      });
-
-      req.on("error", (error) => {
-        console.error(
-          `❌ [${new Date().toISOString()}] Lichess API: Request error:`,
-          error
-        );
-        resolve(null);
-      });
-      req.setTimeout(10000, () => {
-        console.log(
-          `⏱️ [${new Date().toISOString()}] Lichess API: Request timeout`
-        );
-        req.destroy();
-        resolve(null);
-      });
-      req.end();
-    });
+      console.log(
+        `✅ [${new Date().toISOString()}] ${chessPlatform.name} API: Returning match result:`,
+        matchResult
+      );
+      // The normalized game goes along for verification against the challenge
+      return { ...matchResult, game };
+    } catch (error) {
+      console.error(
+        `❌ [${new Date().toISOString()}] ${chessPlatform.name} API: Error searching games:`,
+        error.message
+      );
+      return null;
+    }
   }
 
   async processMatchResult(match, gameResult) {
@@ -570,6 +223,30 @@ class MatchResultChecker {
         }
       );
 
+      // Make sure this is the game the challenge was for before any payout
+      if (gameResult.game) {
+        const challengeTerms = await pool.query(
+          "SELECT time_control, rules FROM challenges WHERE id = $1",
+          [match.challenge_id]
+        );
+        const verification = gameVerificationService.verify(gameResult.game, {
+          timeControl: challengeTerms.rows[0]?.time_control,
+          rules: challengeTerms.rows[0]?.rules,
+          matchStartedAt: match.match_started_at,
+        });
+
+        if (!verification.passed) {
+          const { game, ...matchResult } = gameResult;
+          await gameVerificationService.flagForReview(match.id, {
+            matchResult,
+            failures: verification.failures,
+          });
+          return;
+        }
+
+        await gameVerificationService.markPassed(match.id);
+      }
+
       // Determine winner and loser IDs
       let winnerId = null;
       let loserId = null;
@@ -732,17 +409,9 @@ class MatchResultChecker {
       const challengeQuery = await pool.query(
         `
         SELECT c.*, 
-               CASE 
-                 WHEN c.platform = 'chess.com' THEN challenger_user.chess_com_username 
-                 WHEN c.platform = 'lichess' THEN challenger_user.lichess_username 
-                 ELSE challenger_user.username 
-               END as challenger_username, 
+               ${platformUsernameSql("c.platform", "challenger_user")} as challenger_username, 
                challenger_user.phone as challenger_phone,
-               CASE 
-                 WHEN c.platform = 'chess.com' THEN opponent_user.chess_com_username 
-                 WHEN c.platform = 'lichess' THEN opponent_user.lichess_username 
-                 ELSE opponent_user.username 
-               END as opponent_username, 
+               ${platformUsernameSql("c.platform", "opponent_user")} as opponent_username, 
                opponent_user.phone as opponent_phone
         FROM challenges c
         JOIN users challenger_user ON c.challenger = challenger_user.id
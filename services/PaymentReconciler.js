@@ -0,0 +1,249 @@
+import pool from "../config/database.js";
+import paymentService from "./paymentService.js";
+import paymentController from "../controllers/paymentController.js";
+
+// Payment types that go out to the provider and wait for a callback
+const PROVIDER_TRANSACTION_TYPES = ["deposit", "withdrawal", "payout", "refund"];
+
+/**
+ * Payment reconciler
+ * Callbacks get lost (ngrok down, ONIT outage, deploy mid-request). Instead of
+ * leaving those payments pending forever, ask the provider what happened and
+ * apply the answer through the same path as a real callback.
+ */
+class PaymentReconciler {
+  constructor() {
+    this.checkInterval =
+      (parseInt(process.env.PAYMENT_RECONCILE_INTERVAL_MINUTES) || 5) * 60 * 1000;
+    this.staleAfterMinutes = parseInt(process.env.PAYMENT_RECONCILE_STALE_MINUTES) || 10;
+    this.batchSize = parseInt(process.env.PAYMENT_RECONCILE_BATCH_SIZE) || 50;
+    this.running = false;
+    this.intervalId = null;
+  }
+
+  start() {
+    console.log("🔁 [RECONCILER] Starting payment reconciler...");
+    console.log(
+      `⏰ [RECONCILER] Checking every ${this.checkInterval / 1000 / 60} minutes for payments pending > ${this.staleAfterMinutes} minutes`
+    );
+
+    this.intervalId = setInterval(() => {
+      this.run({ trigger: "schedule" }).catch((error) =>
+        console.error("❌ [RECONCILER] Scheduled run failed:", error.message)
+      );
+    }, this.checkInterval);
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  async findStalePayments({ requestIds = null, olderThanMinutes, limit }) {
+    if (requestIds && requestIds.length > 0) {
+      const result = await pool.query(
+        `SELECT * FROM payments
+         WHERE request_id = ANY($1)
+         AND status IN ('pending', 'processing')`,
+        [requestIds]
+      );
+      return result.rows;
+    }
+
+    // Oldest first; payments we already asked about recently wait a full interval
+    const result = await pool.query(
+      `SELECT * FROM payments
+       WHERE status IN ('pending', 'processing')
+       AND transaction_type = ANY($1)
+       AND request_id IS NOT NULL
+       AND created_at < NOW() - ($2 || ' minutes')::INTERVAL
+       AND (last_reconciled_at IS NULL OR last_reconciled_at < NOW() - ($2 || ' minutes')::INTERVAL)
+       ORDER BY created_at ASC
+       LIMIT $3`,
+      [PROVIDER_TRANSACTION_TYPES, String(olderThanMinutes), limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Reconcile stale payments against the provider.
+   * @param {Object} options
+   * @param {'schedule'|'manual'} options.trigger
+   * @param {number} [options.triggeredBy] - Admin user id for manual runs
+   * @param {string[]} [options.requestIds] - Only these payments
+   * @param {number} [options.olderThanMinutes]
+   * @param {number} [options.limit]
+   */
+  async run({
+    trigger = "manual",
+    triggeredBy = null,
+    requestIds = null,
+    olderThanMinutes = this.staleAfterMinutes,
+    limit = this.batchSize,
+  } = {}) {
+    if (this.running) {
+      console.log("⏭️ [RECONCILER] Previous run still in progress, skipping");
+      return { skipped: true, reason: "Reconciliation already in progress" };
+    }
+
+    this.running = true;
+    let run = null;
+    const summary = { runId: null, checked: 0, updated: 0, errors: 0, changes: [] };
+
+    try {
+      const runResult = await pool.query(
+        `INSERT INTO payment_reconciliation_runs (trigger_type, triggered_by)
+         VALUES ($1, $2) RETURNING *`,
+        [trigger, triggeredBy]
+      );
+      run = runResult.rows[0];
+      summary.runId = run.id;
+
+      const payments = await this.findStalePayments({ requestIds, olderThanMinutes, limit });
+      console.log(
+        `🔍 [RECONCILER] Run ${run.id} (${trigger}): ${payments.length} stale payment(s) to check`
+      );
+
+      for (const payment of payments) {
+        summary.checked++;
+        const entry = await this.reconcilePayment(payment, run.id);
+
+        if (entry.action === "updated") {
+          summary.updated++;
+          summary.changes.push(entry);
+        } else if (entry.action === "error") {
+          summary.errors++;
+        }
+      }
+
+      await pool.query(
+        `UPDATE payment_reconciliation_runs
+         SET status = 'completed', checked_count = $1, updated_count = $2,
+             error_count = $3, finished_at = NOW()
+         WHERE id = $4`,
+        [summary.checked, summary.updated, summary.errors, run.id]
+      );
+
+      console.log(
+        `✅ [RECONCILER] Run ${run.id} done: checked ${summary.checked}, updated ${summary.updated}, errors ${summary.errors}`
+      );
+      return summary;
+    } catch (error) {
+      if (!run) {
+        console.error("❌ [RECONCILER] Could not start run:", error.message);
+        throw error;
+      }
+
+      console.error(`❌ [RECONCILER] Run ${run.id} failed:`, error.message);
+      await pool
+        .query(
+          `UPDATE payment_reconciliation_runs
+           SET status = 'failed', checked_count = $1, updated_count = $2,
+               error_count = $3, error = $4, finished_at = NOW()
+           WHERE id = $5`,
+          [summary.checked, summary.updated, summary.errors, error.message, run.id]
+        )
+        .catch((updateError) =>
+          console.error(`❌ [RECONCILER] Failed to record run ${run.id} failure:`, updateError.message)
+        );
+      throw error;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async reconcilePayment(payment, runId) {
+    const entry = {
+      paymentId: payment.id,
+      requestId: payment.request_id,
+      previousStatus: payment.status,
+      providerStatus: null,
+      newStatus: payment.status,
+      action: "unchanged",
+      error: null,
+    };
+    let providerResponse = null;
+
+    try {
+      const parsed = await paymentService.provider.queryStatus(payment.request_id);
+      providerResponse = parsed.raw;
+      entry.providerStatus = parsed.providerStatus;
+
+      // Only move forward - never put a processing payment back to pending
+      const moved =
+        ["completed", "failed"].includes(parsed.status) ||
+        (parsed.status === "processing" && payment.status === "pending");
+
+      if (moved) {
+        // Same path a real callback takes: ledger, escrow, socket notifications
+        const outcome = await paymentController.applyCallbackResult(
+          { ...parsed, requestId: payment.request_id },
+          { source: "reconciler" }
+        );
+        entry.newStatus = outcome.status || parsed.status;
+        entry.action = "updated";
+        console.log(
+          `🔧 [RECONCILER] ${payment.request_id}: ${payment.status} → ${entry.newStatus}`
+        );
+      }
+    } catch (error) {
+      entry.action = "error";
+      entry.error = error.response?.data
+        ? JSON.stringify(error.response.data)
+        : error.message;
+      console.error(`❌ [RECONCILER] ${payment.request_id}: ${entry.error}`);
+    }
+
+    await pool.query(
+      `UPDATE payments
+       SET last_reconciled_at = NOW(), reconcile_attempts = COALESCE(reconcile_attempts, 0) + 1
+       WHERE id = $1`,
+      [payment.id]
+    );
+
+    await pool.query(
+      `INSERT INTO payment_reconciliation_log
+         (run_id, payment_id, request_id, previous_status, provider_status, new_status, action, error, provider_response)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [
+        runId,
+        payment.id,
+        payment.request_id,
+        entry.previousStatus,
+        entry.providerStatus,
+        entry.newStatus,
+        entry.action,
+        entry.error,
+        providerResponse ? JSON.stringify(providerResponse) : null,
+      ]
+    );
+
+    return entry;
+  }
+
+  async getRecentRuns(limit = 20) {
+    const result = await pool.query(
+      `SELECT * FROM payment_reconciliation_runs ORDER BY started_at DESC LIMIT $1`,
+      [limit]
+    );
+    return result.rows;
+  }
+
+  async getRun(runId) {
+    const runResult = await pool.query(
+      `SELECT * FROM payment_reconciliation_runs WHERE id = $1`,
+      [runId]
+    );
+    if (runResult.rows.length === 0) return null;
+
+    const logResult = await pool.query(
+      `SELECT * FROM payment_reconciliation_log WHERE run_id = $1 ORDER BY id ASC`,
+      [runId]
+    );
+    return { ...runResult.rows[0], entries: logResult.rows };
+  }
+}
+
+export default new PaymentReconciler();
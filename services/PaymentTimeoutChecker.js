@@ -1,5 +1,9 @@
 import pool from "../config/database.js";
 import paymentService from "./paymentService.js";
+import ledgerService from "./ledgerService.js";
+import escrowService from "./escrowService.js";
+import idempotencyService from "./idempotencyService.js";
+import walletHoldService from "./walletHoldService.js";
 
 // Socket.IO instance (set from app.js)
 let io = null;
@@ -33,11 +37,18 @@ class PaymentTimeoutChecker {
     await this.checkExpiredPayments();
 
     // Then run periodically
-    setInterval(() => {
+    this.intervalId = setInterval(() => {
       this.checkExpiredPayments();
     }, this.checkInterval);
   }
 
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
   async checkExpiredPayments() {
     try {
       console.log("🔍 [PAYMENT_TIMEOUT] Checking for expired payments...");
@@ -82,37 +93,30 @@ class PaymentTimeoutChecker {
     const acceptedAt = new Date(challenge.updated_at);
     const timeSinceAccepted = now - acceptedAt;
 
-    // Check payment status for both users
-    const paymentsQuery = `
-      SELECT user_id, status, amount
-      FROM payments
-      WHERE challenge_id = $1
-      AND transaction_type = 'deposit'
-      ORDER BY created_at DESC
-    `;
-
-    const payments = await pool.query(paymentsQuery, [challenge.id]);
-    const completedPayments = payments.rows.filter((p) => p.status === "completed");
-    const pendingPayments = payments.rows.filter((p) => p.status === "pending");
+    // Funding state comes from the challenge escrow
+    const funding = await escrowService.getFundingStatus(challenge.id);
 
     console.log(
-      `📊 [PAYMENT_TIMEOUT] Challenge ${challenge.id}: ${completedPayments.length}/2 payments completed, time elapsed: ${Math.round(timeSinceAccepted / 1000 / 60)} minutes`
+      `📊 [PAYMENT_TIMEOUT] Challenge ${challenge.id}: ${funding.fundedCount}/2 payments completed (escrow ${funding.state || "missing"}), time elapsed: ${Math.round(timeSinceAccepted / 1000 / 60)} minutes`
     );
 
     // Case 1: One user paid, other didn't (partial payment) - after 15 minutes
     if (
-      completedPayments.length === 1 &&
+      funding.fundedCount === 1 &&
       timeSinceAccepted > this.partialPaymentTimeout
     ) {
       console.log(
         `⚠️ [PAYMENT_TIMEOUT] Partial payment timeout for challenge ${challenge.id} - refunding paying user`
       );
-      await this.handlePartialPaymentTimeout(challenge, completedPayments[0]);
+      await this.handlePartialPaymentTimeout(challenge, {
+        user_id: funding.fundedUserIds[0],
+        amount: funding.stakeAmount,
+      });
     }
 
     // Case 2: Neither user paid - after 30 minutes
     else if (
-      completedPayments.length === 0 &&
+      funding.fundedCount === 0 &&
       timeSinceAccepted > this.fullExpiryTimeout
     ) {
       console.log(
@@ -122,7 +126,7 @@ class PaymentTimeoutChecker {
     }
 
     // Case 3: Both users paid - this shouldn't happen but handle it
-    else if (completedPayments.length === 2) {
+    else if (funding.isFunded) {
       console.log(
         `✅ [PAYMENT_TIMEOUT] Challenge ${challenge.id} has both payments - updating status`
       );
@@ -135,6 +139,17 @@ class PaymentTimeoutChecker {
 
   async handlePartialPaymentTimeout(challenge, payment) {
     try {
+      // Claim the escrow first so a late deposit or a second checker run can't refund twice
+      const claimed = await escrowService.claimRefund(challenge.id, {
+        reason: "partial_payment_timeout",
+      });
+      if (!claimed) {
+        console.warn(
+          `⚠️ [PAYMENT_TIMEOUT] Escrow for challenge ${challenge.id} not refundable - skipping`
+        );
+        return;
+      }
+
       // Determine opponent
       const opponentId = challenge.challenger === payment.user_id 
         ? challenge.opponent 
@@ -149,6 +164,9 @@ class PaymentTimeoutChecker {
         opponentId
       );
 
+      // Give back any wallet stake still on hold
+      await walletHoldService.releaseChallengeHolds(challenge.id, "payment_timeout");
+
       // Cancel the challenge
       await pool.query(
         `UPDATE challenges 
@@ -205,6 +223,12 @@ class PaymentTimeoutChecker {
 
   async handleFullExpiry(challenge) {
     try {
+      // Nothing was deposited, but close the escrow so late deposits are not accepted
+      await escrowService.claimRefund(challenge.id, { reason: "full_expiry" });
+
+      // Give back any wallet stake still on hold
+      await walletHoldService.releaseChallengeHolds(challenge.id, "payment_timeout");
+
       // Cancel the challenge
       await pool.query(
         `UPDATE challenges 
@@ -253,20 +277,37 @@ class PaymentTimeoutChecker {
         `💰 [REFUND] Processing refund: ${numericAmount} KES to user ${userId}`
       );
 
-      // Smart refund logic
-      if (numericAmount >= this.minWithdrawalAmount) {
-        // M-Pesa withdrawal for amounts >= 10 KES
-        console.log(
-          `📱 [REFUND] Amount >= ${this.minWithdrawalAmount} KES - initiating M-Pesa withdrawal`
-        );
-        await this.initiateWithdrawal(userId, numericAmount, challengeId, reason, opponentId);
-      } else {
-        // Add to wallet for amounts < 10 KES
+      // Keyed per challenge and user so a second checker run returns the
+      // original outcome instead of refunding again
+      const result = await idempotencyService.execute(
+        idempotencyService.challengeKey(challengeId, "refund", userId),
+        "refund",
+        async () => {
+          // Smart refund logic
+          if (numericAmount >= this.minWithdrawalAmount) {
+            // M-Pesa withdrawal for amounts >= 10 KES
+            console.log(
+              `📱 [REFUND] Amount >= ${this.minWithdrawalAmount} KES - initiating M-Pesa withdrawal`
+            );
+            return this.initiateWithdrawal(userId, numericAmount, challengeId, reason, opponentId);
+          }
+
+          // Add to wallet for amounts < 10 KES
+          console.log(
+            `💼 [REFUND] Amount < ${this.minWithdrawalAmount} KES - adding to wallet`
+          );
+          return this.addToWallet(userId, numericAmount, challengeId, reason, opponentId);
+        },
+        { userId, amount: numericAmount, challengeId, reason }
+      );
+
+      if (result?.duplicate) {
         console.log(
-          `💼 [REFUND] Amount < ${this.minWithdrawalAmount} KES - adding to wallet`
+          `🔁 [REFUND] Refund for user ${userId} on challenge ${challengeId} already processed - skipping`
         );
-        await this.addToWallet(userId, numericAmount, challengeId, reason, opponentId);
       }
+
+      return result;
     } catch (error) {
       console.error(`❌ [REFUND] Error processing refund:`, error);
       throw error;
@@ -291,39 +332,22 @@ class PaymentTimeoutChecker {
         console.warn(
           `⚠️ [REFUND] No phone number for user ${userId}, adding to wallet instead`
         );
-        await this.addToWallet(userId, amount, challengeId, reason, opponentId);
-        return;
+        return this.addToWallet(userId, amount, challengeId, reason, opponentId);
       }
 
-      // Create withdrawal payment record
-      const requestId = `REF_${challengeId}_${userId}_${Date.now()}`;
-
-      const insertQuery = `
-        INSERT INTO payments (
-          user_id, challenge_id, phone_number, amount, 
-          transaction_type, request_id, status, opponent_id
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-        RETURNING *
-      `;
-
-      await pool.query(insertQuery, [
-        userId,
-        challengeId,
-        phoneNumber,
-        amount,
-        "withdrawal",
-        requestId,
-        "pending",
-        opponentId,
-      ]);
-
-      // Initiate M-Pesa withdrawal via payment service
+      // Initiate M-Pesa withdrawal via payment service (records the payment row)
       const withdrawalResult = await paymentService.initiateWithdrawal(
         phoneNumber,
         amount,
-        requestId
+        userId,
+        challengeId,
+        true
       );
 
+      if (!withdrawalResult.success) {
+        throw new Error(withdrawalResult.error || "Withdrawal failed");
+      }
+
       // Notify user
       if (io) {
         io.to(userId.toString()).emit("refund-initiated", {
@@ -337,11 +361,12 @@ class PaymentTimeoutChecker {
       console.log(
         `✅ [REFUND] M-Pesa withdrawal initiated for user ${userId}: ${amount} KES`
       );
+      return { success: true, method: "mpesa", data: withdrawalResult.data };
     } catch (error) {
       console.error(`❌ [REFUND] Withdrawal failed:`, error);
       // Fallback to wallet
       console.log(`🔄 [REFUND] Falling back to wallet credit`);
-      await this.addToWallet(userId, amount, challengeId, reason, opponentId);
+      return this.addToWallet(userId, amount, challengeId, reason, opponentId);
     }
   }
 
@@ -354,99 +379,29 @@ class PaymentTimeoutChecker {
       
       const phoneNumber = userQuery.rows[0]?.phone || null;
 
-      // Update user's wallet balance with column existence check
-      let newBalance = 0;
-      try {
-        const updateQuery = `
-          UPDATE users 
-          SET balance = COALESCE(balance, 0) + $1
-          WHERE id = $2
-          RETURNING balance
-        `;
-
-        const result = await pool.query(updateQuery, [amount, userId]);
-        newBalance = result.rows[0]?.balance || 0;
-      } catch (balanceError) {
-        if (balanceError.message.includes('column "balance" does not exist')) {
-          console.warn(`⚠️ [REFUND] Balance column missing - will create it. Error: ${balanceError.message}`);
-          // Try to add the column
-          try {
-            await pool.query(`
-              ALTER TABLE users 
-              ADD COLUMN IF NOT EXISTS balance DECIMAL(10, 2) DEFAULT 0.00
-            `);
-            // Retry the balance update
-            const updateQuery = `
-              UPDATE users 
-              SET balance = COALESCE(balance, 0) + $1
-              WHERE id = $2
-              RETURNING balance
-            `;
-            const result = await pool.query(updateQuery, [amount, userId]);
-            newBalance = result.rows[0]?.balance || 0;
-            console.log(`✅ [REFUND] Balance column created and updated successfully`);
-          } catch (retryError) {
-            console.error(`❌ [REFUND] Failed to create/update balance column:`, retryError.message);
-            throw balanceError; // Throw original error
-          }
-        } else {
-          throw balanceError; // Re-throw if not a column missing error
-        }
-      }
-
-      // Record the wallet transaction
-      const transactionQuery = `
-        INSERT INTO payments (
-          user_id, challenge_id, phone_number, amount, 
-          transaction_type, status, opponent_id, request_id
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-      `;
-
-      try {
-        await pool.query(transactionQuery, [
-          userId,
-          challengeId,
-          phoneNumber,
-          amount,
-          "balance_credit",
-          "completed",
-          opponentId,
-          `WALLET_CREDIT_${Date.now()}_${userId}`,
-        ]);
-      } catch (constraintError) {
-        if (constraintError.message.includes('payments_transaction_type_check')) {
-          console.warn(`⚠️ [REFUND] Transaction type constraint missing balance_credit - fixing...`);
-          try {
-            // Drop and recreate the constraint with all needed types
-            await pool.query(`
-              ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_transaction_type_check;
-              ALTER TABLE payments ADD CONSTRAINT payments_transaction_type_check 
-                CHECK (transaction_type IN (
-                  'deposit', 'withdrawal', 'payout', 'refund', 
-                  'balance_credit', 'bet', 'stake'
-                ));
-            `);
-            console.log(`✅ [REFUND] Transaction type constraint updated with balance_credit`);
-            
-            // Retry the insert
-            await pool.query(transactionQuery, [
-              userId,
-              challengeId,
-              phoneNumber,
-              amount,
-              "balance_credit",
-              "completed",
-              opponentId,
-              `WALLET_CREDIT_${Date.now()}_${userId}`,
-            ]);
-          } catch (retryError) {
-            console.error(`❌ [REFUND] Failed to fix transaction type constraint:`, retryError.message);
-            throw constraintError;
-          }
-        } else {
-          throw constraintError;
-        }
-      }
+      // Record the wallet credit and book escrow -> wallet in the ledger;
+      // the ledger refreshes the cached users.balance in the same transaction
+      const newBalance = await ledgerService.withTransaction(async (client) => {
+        const inserted = await client.query(
+          `INSERT INTO payments (
+            user_id, challenge_id, phone_number, amount, 
+            transaction_type, status, opponent_id, request_id
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          RETURNING *`,
+          [
+            userId,
+            challengeId,
+            phoneNumber,
+            amount,
+            "balance_credit",
+            "completed",
+            opponentId,
+            `WALLET_CREDIT_${Date.now()}_${userId}`,
+          ]
+        );
+        await ledgerService.recordWalletCredit(inserted.rows[0], client);
+        return ledgerService.getUserBalance(userId, client);
+      });
 
       // Notify user
       if (io) {
@@ -460,6 +415,7 @@ class PaymentTimeoutChecker {
       console.log(
         `✅ [REFUND] Added ${amount} KES to wallet for user ${userId}. New balance: ${newBalance} KES`
       );
+      return { success: true, method: "wallet", newBalance };
     } catch (error) {
       console.error(`❌ [REFUND] Failed to add to wallet:`, error);
       throw error;
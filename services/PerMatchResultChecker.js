@@ -1,17 +1,25 @@
-import axios from "axios";
 import pool from "../config/database.js";
 import paymentService from "./paymentService.js";
-import chessComApiQueue from "./ChessComApiQueue.js";
+import settlementScheduler from "./SettlementScheduler.js";
+import ledgerService from "./ledgerService.js";
+import escrowService from "./escrowService.js";
+import idempotencyService from "./idempotencyService.js";
 import userStatsCache from "./UserStatsCache.js";
+import gameVerificationService from "./gameVerificationService.js";
+import disputeService from "./disputeService.js";
+import gameArchiveService from "./gameArchiveService.js";
+import { getPlatform, platformUsernameSql } from "./platforms/index.js";
 
 class PerMatchResultChecker {
   constructor() {
-    this.activeCheckers = new Map(); // matchId -> { timeoutId, checkCount }
+    this.activeCheckers = new Map(); // matchId -> { timeoutId, checkCount, nextCheckAt }
     this.maxChecksPerMatch = 4; // Stop after ~8 minutes of checking (4 * 2 minutes)
     this.checkInterval = 2 * 60 * 1000; // 2 minutes in milliseconds
     this.rateLimitedUntil = null; // Timestamp when rate limiting expires
     this.rateLimitDuration = 5 * 60 * 1000; // 5 minutes in milliseconds
     this.io = null; // Socket.IO instance for notifications
+    this.running = false; // Only the leader instance arms check timers
+    this.pickupIntervalId = null;
     console.log(
       "🎯 [PER_MATCH_CHECKER] Initialized - Per-match dynamic checking system ready"
     );
@@ -23,6 +31,22 @@ class PerMatchResultChecker {
     console.log("🔌 [PER_MATCH_CHECKER] Socket.IO instance set");
   }
 
+  // Run checks on this instance: resume persisted schedules now and keep
+  // picking up matches that other instances scheduled
+  start() {
+    this.running = true;
+    if (!this.pickupIntervalId) {
+      this.pickupIntervalId = setInterval(
+        () =>
+          this.resumePendingChecks().catch((error) =>
+            console.error("❌ [PER_MATCH_CHECKER] Failed to pick up scheduled checks:", error.message)
+          ),
+        this.checkInterval
+      );
+    }
+    return this.resumePendingChecks();
+  }
+
   // Start checking a specific match after calculated delay
   startCheckingMatch(matchData) {
     const { matchId, timeControl, startedAt, challenger, opponent, platform } =
@@ -40,11 +64,133 @@ class PerMatchResultChecker {
     );
 
     // Start checking after estimated match duration
-    const timeoutId = setTimeout(() => {
-      this.checkMatchResult(matchId, { challenger, opponent, platform }, 0);
-    }, checkDelay);
+    this.scheduleCheck(
+      matchId,
+      { challenger, opponent, platform, startedAt },
+      0,
+      checkDelay
+    );
+  }
+
+  // Arm the timer for a match's next check and persist the schedule on
+  // ongoing_matches so a restart can resume it (see resumePendingChecks)
+  scheduleCheck(matchId, players, checkCount, delayMs) {
+    const existing = this.activeCheckers.get(matchId);
+    if (existing) clearTimeout(existing.timeoutId);
+
+    const nextCheckAt = new Date(Date.now() + delayMs);
+
+    // Instances that aren't running checks (not the leader, or no longer)
+    // only persist the schedule, for the leader to pick up
+    if (this.running) {
+      const timeoutId = setTimeout(() => {
+        this.checkMatchResult(matchId, players, checkCount);
+      }, delayMs);
+
+      this.activeCheckers.set(matchId, { timeoutId, checkCount, nextCheckAt });
+    }
+
+    pool
+      .query(
+        `UPDATE ongoing_matches
+         SET next_check_at = $2, check_count = $3
+         WHERE id = $1`,
+        [matchId, nextCheckAt, checkCount]
+      )
+      .catch((error) =>
+        console.error(
+          `❌ [PER_MATCH_CHECKER] Failed to persist schedule for match ${matchId}:`,
+          error.message
+        )
+      );
+  }
+
+  // Record the outcome of a check attempt (null error = API call succeeded)
+  async recordCheckAttempt(matchId, error = null) {
+    try {
+      await pool.query(
+        `UPDATE ongoing_matches
+         SET last_checked_at = NOW(), last_error = $2
+         WHERE id = $1`,
+        [matchId, error]
+      );
+    } catch (dbError) {
+      console.error(
+        `❌ [PER_MATCH_CHECKER] Failed to record check for match ${matchId}:`,
+        dbError.message
+      );
+    }
+  }
+
+  // Rebuild timers from the persisted schedules after a restart. Check counts
+  // carry over, so the auto-refund still happens after maxChecksPerMatch
+  // attempts in total rather than per process lifetime.
+  async resumePendingChecks() {
+    const pending = await pool.query(`
+      SELECT 
+        om.id as match_id,
+        om.match_started_at,
+        om.next_check_at,
+        COALESCE(om.check_count, 0) as check_count,
+        c.platform,
+        c.time_control,
+        ${platformUsernameSql("c.platform", "cu")} as challenger_username,
+        ${platformUsernameSql("c.platform", "ou")} as opponent_username
+      FROM ongoing_matches om
+      JOIN challenges c ON om.challenge_id = c.id
+      JOIN users cu ON c.challenger = cu.id
+      JOIN users ou ON c.opponent = ou.id
+      WHERE om.both_redirected = true 
+        AND om.result_checked = false
+        AND om.match_started_at IS NOT NULL
+    `);
+
+    let resumed = 0;
+    for (const match of pending.rows) {
+      // Already armed on this instance
+      if (this.activeCheckers.has(match.match_id)) continue;
+
+      // Checks were stopped by hand - don't bring them back
+      if (!match.next_check_at && match.check_count > 0) {
+        console.log(
+          `⏭️ [PER_MATCH_CHECKER] Match ${match.match_id} was stopped after ${match.check_count} checks, not resuming`
+        );
+        continue;
+      }
+
+      // Matches tracked before schedules were persisted start from their
+      // estimated end, like startCheckingMatch would have
+      const nextCheckAt = match.next_check_at
+        ? new Date(match.next_check_at)
+        : new Date(
+            new Date(match.match_started_at).getTime() +
+              this.calculateMatchDuration(match.time_control) * 1000
+          );
+
+      // Overdue checks run shortly after boot rather than all at once
+      const delayMs = Math.max(nextCheckAt.getTime() - Date.now(), 1000 + resumed * 2000);
+
+      console.log(
+        `⚡ [PER_MATCH_CHECKER] Resuming match ${match.match_id} (${match.challenger_username} vs ${match.opponent_username}) at check #${
+          match.check_count + 1
+        } in ${Math.round(delayMs / 1000)}s`
+      );
+
+      this.scheduleCheck(
+        match.match_id,
+        {
+          challenger: match.challenger_username,
+          opponent: match.opponent_username,
+          platform: match.platform,
+          startedAt: match.match_started_at,
+        },
+        match.check_count,
+        delayMs
+      );
+      resumed++;
+    }
 
-    this.activeCheckers.set(matchId, { timeoutId, checkCount: 0 });
+    return resumed;
   }
 
   // Calculate estimated match duration (in seconds)
@@ -99,6 +245,8 @@ class PerMatchResultChecker {
 
   // Recursively check match result every 2 minutes (with complete pause during rate limiting)
   async checkMatchResult(matchId, players, checkCount) {
+    if (this.isStopped(matchId)) return;
+
     if (checkCount >= this.maxChecksPerMatch) {
       console.log(
         `⏰ [PER_MATCH_CHECKER] Max checks (${this.maxChecksPerMatch}) reached for match ${matchId}, initiating auto-refund`
@@ -119,11 +267,12 @@ class PerMatchResultChecker {
       );
 
       // Schedule next check AFTER the rate limit expires (no intermediate checks)
-      const timeoutId = setTimeout(() => {
-        this.checkMatchResult(matchId, players, checkCount);
-      }, this.rateLimitedUntil - Date.now() + 1000); // +1 second buffer
-
-      this.activeCheckers.set(matchId, { timeoutId, checkCount });
+      this.scheduleCheck(
+        matchId,
+        players,
+        checkCount,
+        this.rateLimitedUntil - Date.now() + 1000 // +1 second buffer
+      );
       return;
     }
 
@@ -135,18 +284,25 @@ class PerMatchResultChecker {
       );
 
       // Check if match result exists
-      const result = await this.checkChessComResult(
+      const found = await this.checkPlatformResult(
         players.challenger,
         players.opponent,
-        players.platform
+        players.platform,
+        players.startedAt
       );
 
-      if (result) {
+      // The platform call can be slow; leadership may have moved meanwhile
+      if (this.isStopped(matchId)) return;
+
+      await this.recordCheckAttempt(matchId);
+
+      if (found) {
+        const { game, ...result } = found;
         console.log(
           `🏆 [PER_MATCH_CHECKER] Match ${matchId} result found:`,
           result
         );
-        await this.processMatchResult(matchId, result);
+        await this.processMatchResult(matchId, result, game);
         this.stopCheckingMatch(matchId);
         return;
       }
@@ -156,20 +312,13 @@ class PerMatchResultChecker {
       );
 
       // Schedule next check in 2 minutes
-      const timeoutId = setTimeout(() => {
-        this.checkMatchResult(matchId, players, checkCount + 1);
-      }, this.checkInterval);
-
-      // Update timeout ID for this match
-      this.activeCheckers.set(matchId, {
-        timeoutId,
-        checkCount: checkCount + 1,
-      });
+      this.scheduleCheck(matchId, players, checkCount + 1, this.checkInterval);
     } catch (error) {
       console.error(
         `❌ [PER_MATCH_CHECKER] Error checking match ${matchId}:`,
         error.message
       );
+      await this.recordCheckAttempt(matchId, error.message);
 
       // Check if this is a rate limiting error - improved detection
       const isRateLimitError =
@@ -187,210 +336,80 @@ class PerMatchResultChecker {
         this.setRateLimit();
 
         // Schedule next check AFTER the full rate limit period (no checks during rate limit)
-        const timeoutId = setTimeout(() => {
-          this.checkMatchResult(matchId, players, checkCount + 1);
-        }, this.rateLimitDuration + 1000); // +1 second buffer
-
-        this.activeCheckers.set(matchId, {
-          timeoutId,
-          checkCount: checkCount + 1,
-        });
+        this.scheduleCheck(
+          matchId,
+          players,
+          checkCount + 1,
+          this.rateLimitDuration + 1000 // +1 second buffer
+        );
         return;
       }
 
       // Continue checking even on other errors (might be temporary API issues)
-      const timeoutId = setTimeout(() => {
-        this.checkMatchResult(matchId, players, checkCount + 1);
-      }, this.checkInterval);
-
-      this.activeCheckers.set(matchId, {
-        timeoutId,
-        checkCount: checkCount + 1,
-      });
+      this.scheduleCheck(matchId, players, checkCount + 1, this.checkInterval);
     }
   }
 
-  // Check chess.com API for match result
-  async checkChessComResult(challenger, opponent, platform) {
-    if (platform !== "chess.com") {
+  // Checks that were already running when cleanup() stopped this instance
+  // drop out here and leave the match to the new leader
+  isStopped(matchId) {
+    if (this.running) return false;
+    console.log(
+      `⏹️ [PER_MATCH_CHECKER] No longer running checks - leaving match ${matchId} to the leader instance`
+    );
+    return true;
+  }
+
+  // Look up a finished game between the players through the platform adapter
+  async checkPlatformResult(challenger, opponent, platform, startedAt) {
+    const chessPlatform = getPlatform(platform);
+    if (!chessPlatform) {
       console.log(
         `⚠️ [PER_MATCH_CHECKER] Platform ${platform} not supported for automatic checking`
       );
       return null;
     }
 
-    try {
-      // Use queue for API requests instead of axios directly
-      console.log(
-        `🔍 [PER_MATCH_CHECKER] Fetching game archives for ${challenger}`
-      );
-      const response = await chessComApiQueue.request(
-        {
-          method: "get",
-          url: `https://api.chess.com/pub/player/${challenger.toLowerCase()}/games/archives`,
-        },
-        "gameArchives"
-      );
-
-      const archives = response.data.archives;
-
-      if (archives.length === 0) return null;
-
-      // Get latest archive (current month)
-      const latestArchive = archives[archives.length - 1];
-
-      // Fix the URL to use correct username casing (Chess.com API returns lowercase URLs)
-      const correctedArchiveUrl = latestArchive.replace(
-        `/player/${challenger.toLowerCase()}/`,
-        `/player/${challenger}/`
-      );
-
-      console.log(
-        `🔍 [PER_MATCH_CHECKER] Fetching games from latest archive: ${correctedArchiveUrl}`
-      );
-
-      const gamesResponse = await chessComApiQueue.request(
-        {
-          method: "get",
-          url: correctedArchiveUrl,
-        },
-        "monthlyGames"
-      );
-
-      const games = gamesResponse.data.games;
-
-      // Look for recent game between these players
-      const cutoffTime = Date.now() - 30 * 60 * 1000; // Last 30 minutes
-
-      for (const game of games.reverse()) {
-        // Check newest first
-        const gameTime = game.end_time * 1000;
-        if (gameTime < cutoffTime) continue;
-
-        const whitePlayer = game.white.username.toLowerCase();
-        const blackPlayer = game.black.username.toLowerCase();
-
-        if (
-          (whitePlayer === challenger.toLowerCase() &&
-            blackPlayer === opponent.toLowerCase()) ||
-          (whitePlayer === opponent.toLowerCase() &&
-            blackPlayer === challenger.toLowerCase())
-        ) {
-          return {
-            winner: this.determineWinner(game, challenger, opponent),
-            result: this.determineGameResult(game),
-            gameUrl: game.url,
-            endTime: new Date(gameTime),
-            gameData: {
-              white: game.white.username,
-              black: game.black.username,
-              whiteResult: game.white.result,
-              blackResult: game.black.result,
-            },
-          };
-        }
-      }
-
-      return null;
-    } catch (error) {
-      // Check if this is a rate limiting error that should be thrown up
-      const isRateLimitError =
-        (error.response &&
-          (error.response.status === 410 || error.response.status === 429)) ||
-        (error.code === "ERR_BAD_REQUEST" && error.message.includes("410")) ||
-        (error.message && error.message.includes("status code 410")) ||
-        (error.message && error.message.includes("status code 429")) ||
-        (error.message && error.message.includes("rate limited"));
-
-      if (isRateLimitError) {
-        console.error(
-          "❌ [PER_MATCH_CHECKER] Chess.com API error:",
-          error.message
-        );
-        // Throw rate limiting errors so they can be handled by main checkMatchResult method
-        throw error;
-      }
-
-      // For other errors, log and return null
-      console.error(
-        "❌ [PER_MATCH_CHECKER] Chess.com API error:",
-        error.message
-      );
-      return null;
-    }
-  }
+    // Rate limit errors propagate to checkMatchResult's back-off
+    const game = await chessPlatform.findGameBetween(challenger, opponent, {
+      since: startedAt,
+    });
+    if (!game) return null;
 
-  determineWinner(game, challenger, opponent) {
-    const challengerColor =
-      game.white.username.toLowerCase() === challenger.toLowerCase()
-        ? "white"
-        : "black";
-    const challengerResult =
-      challengerColor === "white" ? game.white.result : game.black.result;
-    const opponentResult =
-      challengerColor === "white" ? game.black.result : game.white.result;
+    const challengerColor = chessPlatform.sameUser(game.white.username, challenger)
+      ? "white"
+      : "black";
 
-    console.log(
-      `🎯 [WINNER_DEBUG] Challenger: ${challenger} (${challengerColor}) = ${challengerResult}`
-    );
-    console.log(`🎯 [WINNER_DEBUG] Opponent: ${opponent} = ${opponentResult}`);
-
-    if (challengerResult === "win") return challenger;
-    if (opponentResult === "win") return opponent;
-
-    // Check for draw conditions
-    if (
-      (challengerResult === "agreed" && opponentResult === "agreed") ||
-      challengerResult === "stalemate" ||
-      opponentResult === "stalemate" ||
-      challengerResult === "repetition" ||
-      opponentResult === "repetition" ||
-      challengerResult === "insufficient" ||
-      opponentResult === "insufficient"
-    ) {
-      return "draw";
+    // Report the winner with our stored usernames so convertResultForPayment can map them
+    let winner = "draw";
+    if (game.winner) {
+      winner = game.winner === challengerColor ? challenger : opponent;
     }
 
-    // If someone has 'lose', the other should have 'win'
-    if (challengerResult === "lose") return opponent;
-    if (opponentResult === "lose") return challenger;
-
     console.log(
-      `⚠️ [WINNER_DEBUG] Unclear result: challenger=${challengerResult}, opponent=${opponentResult}`
+      `🎯 [WINNER_DEBUG] Challenger: ${challenger} (${challengerColor}), winner: ${winner}, result: ${game.result}`
     );
-    return "draw";
-  }
 
-  determineGameResult(game) {
-    // Determine the primary result type based on how the game ended
-    const whiteResult = game.white.result;
-    const blackResult = game.black.result;
-
-    // If someone won by timeout, resignation, etc., use that as the result
-    if (whiteResult === "timeout" || blackResult === "timeout")
-      return "timeout";
-    if (whiteResult === "resigned" || blackResult === "resigned")
-      return "resigned";
-    if (whiteResult === "checkmated" || blackResult === "checkmated")
-      return "checkmated";
-    if (whiteResult === "abandoned" || blackResult === "abandoned")
-      return "abandoned";
-    if (whiteResult === "agreed" && blackResult === "agreed") return "agreed";
-    if (whiteResult === "stalemate" || blackResult === "stalemate")
-      return "stalemate";
-    if (whiteResult === "repetition" || blackResult === "repetition")
-      return "repetition";
-    if (whiteResult === "insufficient" || blackResult === "insufficient")
-      return "insufficient";
-
-    // Default to 'win' if someone actually won
-    if (whiteResult === "win" || blackResult === "win") return "win";
-
-    // Fallback
-    return "unknown";
+    return {
+      winner,
+      result: game.result,
+      gameUrl: game.url,
+      endTime: game.endedAt,
+      gameData: {
+        platform: game.platform,
+        white: game.white.username,
+        black: game.black.username,
+        whiteResult: game.white.result,
+        blackResult: game.black.result,
+        status: game.status,
+        speed: game.speed,
+        rated: game.rated,
+      },
+      game, // Normalized game, checked against the challenge terms before payout
+    };
   }
 
-  async processMatchResult(matchId, result) {
+  async processMatchResult(matchId, result, game = null) {
     try {
       console.log(
         `💰 [PER_MATCH_CHECKER] Processing result for match ${matchId}:`,
@@ -401,16 +420,9 @@ class PerMatchResultChecker {
       const matchQuery = await pool.query(
         `
         SELECT om.*, c.bet_amount, c.challenger_phone, c.opponent_phone, c.challenger, c.opponent, c.platform,
-               CASE 
-                 WHEN c.platform = 'chess.com' THEN cu.chess_com_username 
-                 WHEN c.platform = 'lichess' THEN cu.lichess_username 
-                 ELSE cu.username 
-               END as challenger_username,
-               CASE 
-                 WHEN c.platform = 'chess.com' THEN ou.chess_com_username 
-                 WHEN c.platform = 'lichess' THEN ou.lichess_username 
-                 ELSE ou.username 
-               END as opponent_username
+               c.time_control, c.rules,
+               ${platformUsernameSql("c.platform", "cu")} as challenger_username,
+               ${platformUsernameSql("c.platform", "ou")} as opponent_username
         FROM ongoing_matches om
         JOIN challenges c ON om.challenge_id = c.id
         JOIN users cu ON c.challenger = cu.id
@@ -429,20 +441,78 @@ class PerMatchResultChecker {
 
       const match = matchQuery.rows[0];
 
+      // Keep the full game record for review whatever happens to the payout
+      if (game) {
+        gameArchiveService
+          .archiveGame(match.challenge_id, game, { ongoingMatchId: matchId })
+          .catch((error) =>
+            console.error(
+              `❌ [PER_MATCH_CHECKER] Failed to archive game for match ${matchId}:`,
+              error.message
+            )
+          );
+      }
+
+      // Make sure this is the game the challenge was for before any payout
+      if (game) {
+        const verification = gameVerificationService.verify(game, {
+          timeControl: match.time_control,
+          rules: match.rules,
+          matchStartedAt: match.match_started_at,
+        });
+
+        if (!verification.passed) {
+          await gameVerificationService.flagForReview(matchId, {
+            matchResult: result,
+            failures: verification.failures,
+          });
+          this.notifyFlaggedForReview(match, matchId, verification.failures);
+
+          // Staked matches go to the dispute queue so an admin can settle the pot
+          if (match.bet_amount && match.bet_amount > 0) {
+            try {
+              await disputeService.escalateFlaggedMatch(
+                matchId,
+                this.convertResultForPayment(result, match)
+              );
+            } catch (error) {
+              console.error(
+                `❌ [PER_MATCH_CHECKER] Failed to escalate flagged match ${matchId}:`,
+                error.message
+              );
+            }
+          }
+          return;
+        }
+
+        await gameVerificationService.markPassed(matchId);
+      }
+
       // Convert result format to get winner_id
       const paymentResult = this.convertResultForPayment(result, match);
 
       // Process payment if it's a bet match
       if (match.bet_amount && match.bet_amount > 0) {
         console.log(
-          `💳 [PER_MATCH_CHECKER] Processing payment for bet match ${matchId} (amount: ${match.bet_amount})`
+          `💳 [PER_MATCH_CHECKER] Scheduling payment for bet match ${matchId} (amount: ${match.bet_amount})`
         );
 
-        await paymentService.processMatchResult(paymentResult, match);
+        // Held for the dispute window before the pot is paid out
+        const settlement = await settlementScheduler.scheduleResult(
+          match.challenge_id,
+          paymentResult
+        );
+        if (settlement.scheduled) {
+          console.log(
+            `⏳ [PER_MATCH_CHECKER] Match ${matchId} payout due at ${settlement.dueAt.toISOString()}`
+          );
+        }
       } else {
         console.log(
           `ℹ️ [PER_MATCH_CHECKER] Match ${matchId} has no bet amount, result logged but no payment processing`
         );
+        // Free games still count towards the internal rating
+        await paymentService.recordRating(paymentResult, match);
       }
 
       // Mark match as completed with winner_id and result
@@ -464,6 +534,20 @@ class PerMatchResultChecker {
         ]
       );
 
+      // Same record manual reports leave, so leaderboards see every game
+      await pool.query(
+        `INSERT INTO match_results (challenge_id, winner_id, loser_id, result, platform, game_url)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [
+          match.challenge_id,
+          paymentResult.winner_id || null,
+          paymentResult.loser_id || null,
+          paymentResult.result,
+          match.platform,
+          paymentResult.game_url || null,
+        ]
+      );
+
       // Invalidate cache for both players (match completed, need fresh stats)
       userStatsCache.invalidateOngoingMatchCache(
         match.challenger_username,
@@ -485,6 +569,23 @@ class PerMatchResultChecker {
     }
   }
 
+  // Tell both players their game is waiting for review instead of a payout
+  notifyFlaggedForReview(match, matchId, failures) {
+    if (!this.io) return;
+
+    const payload = {
+      matchId,
+      challengeId: match.challenge_id,
+      reasons: failures.map((f) => f.message),
+      message:
+        "Your game didn't match the challenge terms and is being reviewed. Stakes stay in escrow until then.",
+      timestamp: new Date().toISOString(),
+    };
+
+    this.io.to(match.challenger.toString()).emit("match-under-review", payload);
+    this.io.to(match.opponent.toString()).emit("match-under-review", payload);
+  }
+
   // Convert chess.com result format to payment service format
   convertResultForPayment(chessResult, match) {
     const { winner, result: gameResult, gameData } = chessResult;
@@ -521,6 +622,18 @@ class PerMatchResultChecker {
       this.activeCheckers.delete(matchId);
       console.log(`🛑 [PER_MATCH_CHECKER] Stopped checking match ${matchId}`);
     }
+
+    // No next check - keeps resumePendingChecks from picking the match up again
+    pool
+      .query(`UPDATE ongoing_matches SET next_check_at = NULL WHERE id = $1`, [
+        matchId,
+      ])
+      .catch((error) =>
+        console.error(
+          `❌ [PER_MATCH_CHECKER] Failed to clear schedule for match ${matchId}:`,
+          error.message
+        )
+      );
   }
 
   // Manual stop for specific match (can be called from API)
@@ -537,6 +650,7 @@ class PerMatchResultChecker {
       ([matchId, data]) => ({
         matchId,
         checkCount: data.checkCount,
+        nextCheckAt: data.nextCheckAt,
         maxChecks: this.maxChecksPerMatch,
         remainingChecks: this.maxChecksPerMatch - data.checkCount,
       })
@@ -549,8 +663,11 @@ class PerMatchResultChecker {
     };
   }
 
-  // Clean up all checkers (for shutdown)
+  // Clean up all checkers (for shutdown, or when this instance stops being leader)
   cleanup() {
+    this.running = false;
+    clearInterval(this.pickupIntervalId);
+    this.pickupIntervalId = null;
     console.log(
       `🧹 [PER_MATCH_CHECKER] Cleaning up ${this.activeCheckers.size} active checkers`
     );
@@ -608,6 +725,25 @@ class PerMatchResultChecker {
         return;
       }
 
+      // Only refund if we win the escrow claim - a result may already have paid this pot out
+      const claimed = await escrowService.claimRefund(match.challenge_id, {
+        reason: "no_result_found",
+      });
+
+      if (!claimed) {
+        console.warn(
+          `⚠️ [PER_MATCH_CHECKER] Escrow for challenge ${match.challenge_id} already settled - skipping auto-refund`
+        );
+        await pool.query(
+          `UPDATE ongoing_matches 
+           SET result_checked = TRUE, 
+               completed_at = COALESCE(completed_at, NOW())
+           WHERE id = $1`,
+          [matchId]
+        );
+        return;
+      }
+
       console.log(
         `💵 [PER_MATCH_CHECKER] Refunding ${betAmount} KSH to each player`
       );
@@ -624,7 +760,8 @@ class PerMatchResultChecker {
           betAmount,
           match.challenger,
           match.challenge_id,
-          true // isRefund = true
+          true, // isRefund = true
+          { idempotencyKey: idempotencyService.challengeKey(match.challenge_id, "refund", match.challenger) }
         );
 
         await paymentService.initiateWithdrawal(
@@ -632,7 +769,8 @@ class PerMatchResultChecker {
           betAmount,
           match.opponent,
           match.challenge_id,
-          true // isRefund = true
+          true, // isRefund = true
+          { idempotencyKey: idempotencyService.challengeKey(match.challenge_id, "refund", match.opponent) }
         );
 
         console.log(
@@ -644,47 +782,37 @@ class PerMatchResultChecker {
           `💰 [PER_MATCH_CHECKER] Amount ≤ 10 KSH, crediting to wallets`
         );
 
-        // Credit challenger's wallet
-        await pool.query(
-          `UPDATE users 
-           SET balance = balance + $1, 
-               updated_at = NOW() 
-           WHERE id = $2`,
-          [betAmount, match.challenger]
-        );
-
-        // Credit opponent's wallet
-        await pool.query(
-          `UPDATE users 
-           SET balance = balance + $1, 
-               updated_at = NOW() 
-           WHERE id = $2`,
-          [betAmount, match.opponent]
-        );
-
-        // Record wallet credits in payments table
-        await pool.query(
-          `INSERT INTO payments 
-           (user_id, challenge_id, phone_number, amount, transaction_type, status, request_id, notes) 
-           VALUES 
-           ($1, $2, $3, $4, 'refund', 'completed', $5, $6),
-           ($7, $2, $8, $4, 'refund', 'completed', $9, $6)`,
-          [
-            match.challenger,
-            match.challenge_id,
-            match.challenger_phone,
-            betAmount,
-            `REFUND_WALLET_${match.challenge_id}_${
-              match.challenger
-            }_${Date.now()}`,
-            `No result found after ${this.maxChecksPerMatch} attempts. Amount credited to wallet.`,
-            match.opponent,
-            match.opponent_phone,
-            `REFUND_WALLET_${match.challenge_id}_${
-              match.opponent
-            }_${Date.now()}`,
-          ]
-        );
+        // Record the wallet credits and book escrow -> wallet in the ledger
+        const note = `No result found after ${this.maxChecksPerMatch} attempts. Amount credited to wallet.`;
+        for (const [userId, phone] of [
+          [match.challenger, match.challenger_phone],
+          [match.opponent, match.opponent_phone],
+        ]) {
+          await idempotencyService.execute(
+            idempotencyService.challengeKey(match.challenge_id, "refund", userId),
+            "refund",
+            () =>
+              ledgerService.withTransaction(async (client) => {
+                const inserted = await client.query(
+                  `INSERT INTO payments 
+                   (user_id, challenge_id, phone_number, amount, transaction_type, status, request_id, notes) 
+                   VALUES ($1, $2, $3, $4, 'refund', 'completed', $5, $6)
+                   RETURNING *`,
+                  [
+                    userId,
+                    match.challenge_id,
+                    phone,
+                    betAmount,
+                    `REFUND_WALLET_${match.challenge_id}_${userId}_${Date.now()}`,
+                    note,
+                  ]
+                );
+                await ledgerService.recordWalletCredit(inserted.rows[0], client);
+                return { success: true, data: inserted.rows[0], credited_to_balance: true };
+              }),
+            { userId, challengeId: match.challenge_id, amount: betAmount }
+          );
+        }
 
         console.log(
           `✅ [PER_MATCH_CHECKER] Wallet credits completed for both players`
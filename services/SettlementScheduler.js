@@ -0,0 +1,136 @@
+import pool from "../config/database.js";
+import disputeConfig from "../config/disputes.js";
+import escrowService from "./escrowService.js";
+import paymentService from "./paymentService.js";
+
+/**
+ * Settlement scheduler
+ * Match results (automatic or player-reported) are parked on the challenge
+ * escrow for the dispute window instead of paying out immediately. Once the
+ * window closes without a dispute this pays out or refunds the pot through
+ * paymentService.processMatchResult. A dispute moves the escrow out of
+ * 'funded', so a frozen pot is never picked up here.
+ */
+class SettlementScheduler {
+  constructor(config = disputeConfig) {
+    this.windowMinutes = config.windowMinutes;
+    this.checkInterval = config.settlementIntervalSeconds * 1000;
+    this.batchSize = 50;
+    this.running = false;
+    this.intervalId = null;
+  }
+
+  start() {
+    console.log(
+      `⏳ [SETTLEMENT] Starting settlement scheduler (dispute window ${this.windowMinutes} minutes)`
+    );
+
+    this.intervalId = setInterval(() => {
+      this.settleDue().catch((error) =>
+        console.error("❌ [SETTLEMENT] Scheduled run failed:", error.message)
+      );
+    }, this.checkInterval);
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  /**
+   * Hold a match result for the dispute window.
+   * @param {number} challengeId
+   * @param {Object} matchResult - { result, winner_id, loser_id, ... } as
+   *   paymentService.processMatchResult expects it
+   * @returns {Promise<{ scheduled: boolean, dueAt?: Date, settlement?: Object }>}
+   */
+  async scheduleResult(challengeId, matchResult) {
+    const dueAt = new Date(Date.now() + this.windowMinutes * 60 * 1000);
+    const escrow = await escrowService.schedulePayout(challengeId, matchResult, dueAt);
+
+    if (escrow) {
+      return { scheduled: true, dueAt };
+    }
+
+    // Nothing funded to hold (free game, pot already settled) - settle now
+    // so processMatchResult can log and skip as it always has
+    console.log(
+      `ℹ️ [SETTLEMENT] Challenge ${challengeId} has no funded escrow, settling immediately`
+    );
+    const settlement = await this.settle(challengeId, matchResult);
+    return { scheduled: false, settlement };
+  }
+
+  async loadChallenge(challengeId, client = pool) {
+    const result = await client.query(
+      `SELECT c.*, c.id AS challenge_id,
+              COALESCE(c.challenger_phone, cu.phone) AS challenger_phone,
+              COALESCE(c.opponent_phone, ou.phone) AS opponent_phone
+       FROM challenges c
+       JOIN users cu ON cu.id = c.challenger
+       JOIN users ou ON ou.id = c.opponent
+       WHERE c.id = $1`,
+      [challengeId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Pay out or refund a pot now. fromDispute settles a frozen escrow.
+  async settle(challengeId, matchResult, { fromDispute = false } = {}) {
+    const challenge = await this.loadChallenge(challengeId);
+    if (!challenge) {
+      return { success: false, error: `Challenge ${challengeId} not found` };
+    }
+
+    return paymentService.processMatchResult(matchResult, challenge, { fromDispute });
+  }
+
+  // Settle every result whose dispute window has closed
+  async settleDue() {
+    if (this.running) {
+      console.log("⏳ [SETTLEMENT] Previous run still in progress, skipping");
+      return { settled: 0, failed: 0 };
+    }
+
+    this.running = true;
+    let settled = 0;
+    let failed = 0;
+
+    try {
+      const due = await escrowService.findDuePayouts(this.batchSize);
+
+      for (const escrow of due) {
+        try {
+          const outcome = await this.settle(escrow.challenge_id, escrow.pending_result);
+          if (outcome?.success) {
+            settled++;
+            console.log(
+              `✅ [SETTLEMENT] Challenge ${escrow.challenge_id} settled: ${outcome.message}`
+            );
+          } else {
+            failed++;
+            console.warn(
+              `⚠️ [SETTLEMENT] Challenge ${escrow.challenge_id} not settled: ${
+                outcome?.error || outcome?.message
+              }`
+            );
+          }
+        } catch (error) {
+          failed++;
+          console.error(
+            `❌ [SETTLEMENT] Error settling challenge ${escrow.challenge_id}:`,
+            error.message
+          );
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return { settled, failed };
+  }
+}
+
+export default new SettlementScheduler();
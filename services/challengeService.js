@@ -0,0 +1,590 @@
+// Challenge lifecycle shared by the REST routes (challengeController) and
+// the realtime gateway, so a challenge behaves the same whichever transport
+// the client uses. Every action takes the authenticated actor and checks
+// they are a player in the challenge; players are notified over Socket.IO.
+import pool from "../config/database.js";
+import Challenge from "../models/Challenge.js";
+import OngoingMatch from "../models/OngoingMatch.js";
+import User from "../models/User.js";
+import paymentController from "../controllers/paymentController.js";
+import paymentService from "./paymentService.js";
+import escrowService from "./escrowService.js";
+import idempotencyService from "./idempotencyService.js";
+import ledgerService from "./ledgerService.js";
+import walletHoldService, { FUNDING_SOURCES } from "./walletHoldService.js";
+import headToHeadService from "./headToHeadService.js";
+import PerMatchResultChecker from "./PerMatchResultChecker.js";
+import { getPlatform, platformUsernameSql } from "./platforms/index.js";
+
+export class ChallengeError extends Error {
+  /**
+   * @param {string} message - Safe to show to the player
+   * @param {number} [statusCode] - HTTP status for REST callers
+   * @param {string} [code] - Machine-readable reason for realtime acks
+   * @param {Object} [details]
+   */
+  constructor(message, statusCode = 400, code = null, details = null) {
+    super(message);
+    this.name = "ChallengeError";
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const isSameUser = (a, b) => a != null && b != null && String(a) === String(b);
+
+// Statuses each action may move a challenge out of. Anything later belongs
+// to the result/dispute flow, so e.g. a started game can't be cancelled.
+const ALLOWED_FROM = {
+  accepted: ["pending"],
+  declined: ["pending"],
+  cancelled: ["pending", "accepted"],
+  postponed: ["pending"],
+  started: ["accepted", "deposits_complete"],
+};
+
+// Display fields sent to the other player
+const publicProfile = (user) => ({
+  id: user.id,
+  username: user.username,
+  name: user.name,
+  preferred_platform: user.preferred_platform,
+});
+
+class ChallengeService {
+  constructor() {
+    this.io = null;
+  }
+
+  setSocketIO(io) {
+    this.io = io;
+  }
+
+  notify(userIds, event, data) {
+    if (!this.io) return;
+    for (const userId of new Set(userIds.map(String))) {
+      this.io.to(userId).emit(event, data);
+    }
+  }
+
+  /**
+   * The challenge with both players' platform usernames and phones, if the
+   * actor is one of its players.
+   */
+  async loadForPlayer(challengeId, actorId) {
+    const result = await pool.query(
+      `SELECT c.*,
+              ${platformUsernameSql("c.platform", "challenger_user")} as challenger_username,
+              challenger_user.phone as challenger_user_phone,
+              ${platformUsernameSql("c.platform", "opponent_user")} as opponent_username,
+              opponent_user.phone as opponent_user_phone
+       FROM challenges c
+       JOIN users challenger_user ON c.challenger = challenger_user.id
+       JOIN users opponent_user ON c.opponent = opponent_user.id
+       WHERE c.id = $1`,
+      [challengeId]
+    );
+
+    const challenge = result.rows[0];
+    if (!challenge) {
+      throw new ChallengeError("Challenge not found", 404, "NOT_FOUND");
+    }
+    if (!isSameUser(challenge.challenger, actorId) && !isSameUser(challenge.opponent, actorId)) {
+      throw new ChallengeError("You are not a player in this challenge", 403, "FORBIDDEN");
+    }
+    return challenge;
+  }
+
+  /**
+   * Move a challenge to status if it is still in one of the allowed
+   * statuses. The check and the update are one statement, so two actions
+   * racing on the same challenge can't both win.
+   */
+  async transitionStatus(challenge, status, client = pool) {
+    const result = await client.query(
+      `UPDATE challenges
+       SET status = $2, updated_at = NOW()
+       WHERE id = $1 AND status = ANY($3)
+       RETURNING *`,
+      [challenge.id, status, ALLOWED_FROM[status]]
+    );
+    if (result.rows.length === 0) {
+      const current = await client.query("SELECT status FROM challenges WHERE id = $1", [challenge.id]);
+      throw new ChallengeError(
+        `Challenge is already ${current.rows[0]?.status || challenge.status}`,
+        409,
+        "INVALID_STATE"
+      );
+    }
+    return result.rows[0];
+  }
+
+  // Latest pending challenge between two players, for clients that identify
+  // the challenge by its players rather than its id
+  async findPendingChallengeId(challengerId, opponentId) {
+    const result = await pool.query(
+      `SELECT id FROM challenges
+       WHERE challenger = $1 AND opponent = $2 AND status = 'pending'
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [challengerId, opponentId]
+    );
+    if (result.rows.length === 0) {
+      throw new ChallengeError("No pending challenge found", 404, "NOT_FOUND");
+    }
+    return result.rows[0].id;
+  }
+
+  /**
+   * Send a challenge from the actor to another player.
+   * @param {Object} challenger - Authenticated user
+   * @param {Object} params
+   * @param {number} params.opponentId
+   * @param {string} [params.platform]
+   * @param {string} [params.timeControl] - e.g. "10+0"
+   * @param {string} [params.rules]
+   * @param {Object} [params.paymentDetails] - { amount, phoneNumber, fundingSource }
+   * @param {Object} [params.timeConfig] - Passed through to the frontend
+   * @param {string} [params.challengeUrl] - Passed through to the frontend
+   * @returns {Promise<Object>} The challenge as sent to both players
+   */
+  async createChallenge(
+    challenger,
+    { opponentId, platform = "chess.com", timeControl = "10+0", rules = "chess", paymentDetails = null, timeConfig, challengeUrl }
+  ) {
+    if (isSameUser(challenger.id, opponentId)) {
+      throw new ChallengeError("Challenger and opponent must be different", 400, "INVALID_OPPONENT");
+    }
+    if (!getPlatform(platform)) {
+      throw new ChallengeError("Invalid platform", 400, "INVALID_PLATFORM");
+    }
+
+    const opponent = await User.findById(opponentId);
+    if (!opponent) {
+      throw new ChallengeError("Opponent not found", 404, "NOT_FOUND");
+    }
+
+    const challengeData = {
+      challenger: challenger.id,
+      opponent: opponent.id,
+      platform,
+      time_control: timeControl,
+      rules,
+    };
+
+    if (paymentDetails && paymentDetails.amount > 0) {
+      challengeData.bet_amount = paymentDetails.amount;
+      challengeData.payment_status = "pending";
+      challengeData.challenger_phone = paymentDetails.phoneNumber;
+      challengeData.challenger_funding_source = walletHoldService.normalizeFundingSource(
+        paymentDetails.fundingSource
+      );
+
+      // The hold itself is placed at accept time, but don't send a
+      // wallet-funded challenge the challenger can't cover today
+      if (challengeData.challenger_funding_source === FUNDING_SOURCES.WALLET) {
+        const available = await walletHoldService.getAvailableBalance(challenger.id);
+        if (available < Number(paymentDetails.amount)) {
+          throw new ChallengeError(
+            `Insufficient wallet balance: ${available} KES available, ${paymentDetails.amount} KES required`,
+            400,
+            "INSUFFICIENT_BALANCE"
+          );
+        }
+      }
+      console.log(`💰 [CHALLENGE] Payment challenge created:`, {
+        amount: paymentDetails.amount,
+        challengerPhone: paymentDetails.phoneNumber,
+      });
+    }
+
+    const challenge = await Challenge.create(challengeData);
+
+    // Format challenge object to match frontend expectations
+    const challengeForFrontend = {
+      id: challenge.id,
+      challenger: publicProfile(challenger),
+      opponent: publicProfile(opponent),
+      platform: challenge.platform,
+      time_control: challenge.time_control,
+      rules: challenge.rules,
+      status: challenge.status,
+      createdAt: challenge.created_at,
+      // Pass through additional time configuration data for frontend
+      timeConfig,
+      challengeUrl,
+      paymentDetails,
+    };
+
+    // The opponent's record against the challenger, to decide on accepting
+    const headToHead = await headToHeadService
+      .getSummary(opponent.id, challenger.id)
+      .catch((error) => {
+        console.error("❌ [CHALLENGE] Failed to load head-to-head:", error.message);
+        return null;
+      });
+
+    this.notify([opponent.id], "newChallenge", { ...challengeForFrontend, headToHead });
+    this.notify([challenger.id], "challengeSent", challengeForFrontend);
+
+    console.log(`✅ [CHALLENGE] Challenge ${challenge.id} sent: user ${challenger.id} → user ${opponent.id}`);
+    return challengeForFrontend;
+  }
+
+  /**
+   * Accept a pending challenge as its opponent. The status change, wallet
+   * stake holds and escrow share one transaction, so a player who can't
+   * cover the bet never gets an accepted challenge, and a challenge declined
+   * or cancelled in the meantime is never accepted or left holding stakes.
+   * @returns {Promise<{ challenge, hasPayment, paymentAmount, fundedFromWallet }>}
+   */
+  async acceptChallenge(challengeId, actor, { opponentPhoneNumber = null, fundingSource = null } = {}) {
+    const challenge = await this.loadForPlayer(challengeId, actor.id);
+
+    if (!isSameUser(challenge.opponent, actor.id)) {
+      throw new ChallengeError("Only the challenged player can accept this challenge", 403, "FORBIDDEN");
+    }
+    if (challenge.status !== "pending") {
+      throw new ChallengeError(`Challenge is already ${challenge.status}`, 409, "INVALID_STATE");
+    }
+
+    const isPaid = challenge.bet_amount && challenge.bet_amount > 0;
+
+    // Use provided phone number or fall back to the opponent's profile phone
+    const opponentPhone = opponentPhoneNumber || challenge.opponent_phone || challenge.opponent_user_phone;
+
+    const { updatedChallenge, walletHolds } = await ledgerService.withTransaction(async (client) => {
+      // Throws INVALID_STATE if the challenge left pending since it was loaded
+      await this.transitionStatus(challenge, "accepted", client);
+
+      if (isPaid) {
+        challenge.opponent_funding_source = walletHoldService.normalizeFundingSource(fundingSource);
+      }
+      const updateResult = await client.query(
+        `UPDATE challenges
+         SET opponent_phone = COALESCE($2, opponent_phone),
+             opponent_funding_source = COALESCE($3, opponent_funding_source),
+             payment_status = CASE WHEN $4 THEN 'pending' ELSE payment_status END
+         WHERE id = $1
+         RETURNING *`,
+        [challenge.id, opponentPhone || null, isPaid ? challenge.opponent_funding_source : null, Boolean(isPaid)]
+      );
+
+      let holds = [];
+      if (isPaid) {
+        // InsufficientBalanceError propagates to the caller and rolls the accept back
+        holds = await walletHoldService.placeChallengeHolds(challenge, client);
+        // Open the escrow that will hold both stakes
+        await escrowService.openForChallenge(challenge.id, client);
+      }
+
+      return { updatedChallenge: updateResult.rows[0], walletHolds: holds };
+    });
+
+    if (opponentPhone) {
+      console.log(`📱 [CHALLENGE_ACCEPT] Saved opponent phone ${opponentPhone} for challenge ${challenge.id}`);
+    } else if (isPaid) {
+      console.log(`⚠️ [CHALLENGE_ACCEPT] No opponent phone available for payment challenge ${challenge.id}`);
+    }
+
+    if (isPaid) {
+      console.log(
+        `💳 [CHALLENGE_ACCEPT] Payment challenge ${challenge.id} (${challenge.bet_amount} KES) - both players pay via initiate-payment`
+      );
+    }
+
+    const notificationData = {
+      challengeId: challenge.id,
+      challengerId: challenge.challenger,
+      opponentId: challenge.opponent,
+      challengerUsername: challenge.challenger_username,
+      accepterUsername: challenge.opponent_username,
+      opponentUsername: challenge.opponent_username,
+      challenge: updatedChallenge,
+      hasPayment: challenge.bet_amount > 0,
+      paymentAmount: challenge.bet_amount,
+      platform: challenge.platform,
+      challengerFundingSource: challenge.challenger_funding_source,
+      opponentFundingSource: challenge.opponent_funding_source,
+    };
+
+    // Notify BOTH the challenger and opponent
+    this.notify([challenge.challenger, challenge.opponent], "challengeAccepted", notificationData);
+    console.log(`✅ [CHALLENGE_ACCEPT] Challenge ${challenge.id} accepted by user ${actor.id}`);
+
+    // Wallet-only challenges are funded right away (emits both-payments-completed)
+    let fundedFromWallet = false;
+    if (walletHolds.length > 0) {
+      ({ becameFunded: fundedFromWallet } = await paymentController.fundFromWalletHolds(challenge.id));
+    }
+
+    return {
+      challenge: updatedChallenge,
+      hasPayment: challenge.bet_amount > 0,
+      paymentAmount: challenge.bet_amount,
+      fundedFromWallet,
+    };
+  }
+
+  async declineChallenge(challengeId, actor) {
+    const challenge = await this.loadForPlayer(challengeId, actor.id);
+    const updatedChallenge = await this.transitionStatus(challenge, "declined");
+
+    this.notify([challenge.challenger], "challenge-declined", {
+      challengeId: challenge.id,
+      challengerId: challenge.challenger,
+      challengedId: challenge.opponent,
+    });
+    console.log(`🙅 [CHALLENGE] Challenge ${challenge.id} declined by user ${actor.id}`);
+    return updatedChallenge;
+  }
+
+  /**
+   * Cancel a challenge before the game starts. Stakes already in escrow are
+   * refunded (M-Pesa or wallet, the way they were paid) and wallet stakes
+   * still on hold are released.
+   */
+  async cancelChallenge(challengeId, actor) {
+    const challenge = await this.loadForPlayer(challengeId, actor.id);
+
+    const updatedChallenge = await this.transitionStatus(challenge, "cancelled");
+
+    if (challenge.bet_amount > 0 && challenge.status === "accepted") {
+      await this.refundStakes(challenge, "challenge_cancelled");
+    }
+
+    // Give back any wallet stake reserved at accept time
+    await walletHoldService.releaseChallengeHolds(challenge.id, "challenge_cancelled");
+
+    this.notify([challenge.challenger, challenge.opponent], "challenge-cancelled", {
+      challengeId: challenge.id,
+      challengerId: challenge.challenger,
+      challengedId: challenge.opponent,
+    });
+    console.log(`🚫 [CHALLENGE] Challenge ${challenge.id} cancelled by user ${actor.id}`);
+    return updatedChallenge;
+  }
+
+  // Claim the escrow for a refund and pay back every side that was funded
+  async refundStakes(challenge, reason) {
+    const funding = await escrowService.getFundingStatus(challenge.id);
+    if (!funding.exists) return;
+
+    const claimed = await escrowService.claimRefund(challenge.id, { reason });
+    if (!claimed) {
+      console.warn(
+        `⚠️ [CHALLENGE] Escrow for challenge ${challenge.id} is ${funding.state} - nothing refunded on cancel`
+      );
+      return;
+    }
+
+    for (const userId of funding.fundedUserIds) {
+      const isChallenger = isSameUser(challenge.challenger, userId);
+      const phone = isChallenger
+        ? challenge.challenger_phone || challenge.challenger_user_phone
+        : challenge.opponent_phone || challenge.opponent_user_phone;
+
+      // Wallet stakes are credited back to the wallet, M-Pesa stakes go back to the phone
+      const refund = await paymentService.initiateWithdrawal(
+        phone,
+        funding.stakeAmount,
+        userId,
+        challenge.id,
+        true,
+        { idempotencyKey: idempotencyService.challengeKey(challenge.id, "refund", userId) }
+      );
+      if (!refund?.success) {
+        console.error(
+          `❌ [CHALLENGE] Refund to user ${userId} for cancelled challenge ${challenge.id} failed:`,
+          refund?.error
+        );
+      }
+    }
+  }
+
+  async postponeChallenge(challengeId, actor) {
+    const challenge = await this.loadForPlayer(challengeId, actor.id);
+
+    const updatedChallenge = await this.transitionStatus(challenge, "postponed");
+    await pool.query(
+      "INSERT INTO postponed_challenges (challenge_id, postponed_by) VALUES ($1, $2)",
+      [challenge.id, actor.id]
+    );
+
+    this.notify([challenge.challenger, challenge.opponent], "challenge-postponed", {
+      challengeId: challenge.id,
+      challengerId: challenge.challenger,
+      challengedId: challenge.opponent,
+      postponedBy: actor.id,
+    });
+    console.log(`⏸️ [CHALLENGE] Challenge ${challenge.id} postponed by user ${actor.id}`);
+    return updatedChallenge;
+  }
+
+  async startGame(challengeId, actor, { platform } = {}) {
+    const challenge = await this.loadForPlayer(challengeId, actor.id);
+
+    if (challenge.bet_amount > 0 && !(await escrowService.isFunded(challenge.id))) {
+      throw new ChallengeError(
+        "Both players must complete payment before starting the game",
+        409,
+        "PAYMENT_INCOMPLETE"
+      );
+    }
+
+    const updatedChallenge = await this.transitionStatus(challenge, "started");
+
+    this.notify([challenge.challenger, challenge.opponent], "game-started", {
+      challengeId: challenge.id,
+      platform: platform || challenge.platform,
+    });
+    console.log(`🎮 [CHALLENGE] Game started for challenge ${challenge.id} by user ${actor.id}`);
+    return updatedChallenge;
+  }
+
+  /**
+   * Send an M-Pesa STK push for the actor's stake. The amount is always the
+   * challenge's bet, whatever the client asked for.
+   * @returns {Promise<Object>} The pending payment
+   */
+  async payStake(challengeId, actor, { phoneNumber }) {
+    const challenge = await this.loadForPlayer(challengeId, actor.id);
+
+    if (challenge.status !== "accepted") {
+      throw new ChallengeError(
+        `Stakes can only be paid on an accepted challenge (this one is ${challenge.status})`,
+        409,
+        "INVALID_STATE"
+      );
+    }
+    if (!(challenge.bet_amount > 0)) {
+      throw new ChallengeError("This challenge has no stake to pay", 400, "NO_STAKE");
+    }
+
+    const funding = await escrowService.getFundingStatus(challenge.id);
+    if (funding.fundedUserIds.some((userId) => isSameUser(userId, actor.id))) {
+      throw new ChallengeError("You have already paid your stake", 409, "ALREADY_FUNDED");
+    }
+    const amount = Number(challenge.bet_amount);
+
+    // Players staking from their wallet already have their stake reserved
+    if (await walletHoldService.isWalletStake(challenge.id, actor.id)) {
+      throw new ChallengeError(
+        "Your stake for this challenge is already covered by your wallet",
+        409,
+        "ALREADY_FUNDED"
+      );
+    }
+
+    const paymentResult = await paymentService.initiateDeposit(phoneNumber, amount, actor.id, challenge.id);
+    if (!paymentResult.success) {
+      throw new ChallengeError(paymentResult.error || "Failed to initiate payment", 502, "PAYMENT_FAILED");
+    }
+
+    console.log(`✅ [INITIATE_PAYMENT] STK push sent to ${phoneNumber}, awaiting callback`);
+    this.notify([actor.id], "payment-initiated", {
+      userId: actor.id,
+      challengeId: challenge.id,
+      amount,
+      phoneNumber,
+      message: "STK push sent. Please check your phone to complete payment.",
+    });
+
+    return paymentResult.data;
+  }
+
+  /**
+   * Record that the actor left for the chess platform. Paid challenges need
+   * both stakes in escrow first. Once both players have redirected, result
+   * checking starts.
+   */
+  async redirectToGame(challengeId, actor, { platform } = {}) {
+    const challenge = await this.loadForPlayer(challengeId, actor.id);
+
+    // 🔒 CRITICAL: Verify both players have paid before allowing redirect
+    if (challenge.bet_amount > 0) {
+      const funding = await escrowService.getFundingStatus(challenge.id);
+      if (!funding.isFunded) {
+        console.error(
+          `❌ [GAME_REDIRECT] BLOCKED: User ${actor.id} tried to redirect but both payments not complete (${funding.fundedCount}/2 paid)`,
+          { paidUsers: funding.fundedUserIds }
+        );
+        throw new ChallengeError(
+          "Both players must complete payment before starting the game",
+          409,
+          "PAYMENT_INCOMPLETE",
+          { completedPayments: funding.fundedCount, requiredPayments: 2 }
+        );
+      }
+    }
+
+    const isChallenger = isSameUser(challenge.challenger, actor.id);
+    const redirectedUser = isChallenger ? challenge.challenger_username : challenge.opponent_username;
+    const otherUserId = isChallenger ? challenge.opponent : challenge.challenger;
+
+    const redirectData = {
+      challengeId: challenge.id,
+      challengerId: challenge.challenger,
+      challengedId: challenge.opponent,
+      redirectedBy: actor.id,
+      redirectedUser,
+      platform: platform || challenge.platform,
+      timeConfig: null,
+      challengeUrl: null,
+      time_control: challenge.time_control || null,
+    };
+
+    // Notify specifically the other user that someone has redirected to the platform
+    this.notify([otherUserId], "player-redirected", redirectData);
+    console.log(`👤 [GAME_REDIRECT] User ${redirectedUser} (ID: ${actor.id}) redirected to ${redirectData.platform}`);
+
+    // Create or update ongoing match tracking (async without blocking)
+    setImmediate(() =>
+      this.trackRedirect(challenge, actor.id, isChallenger, redirectData.platform).catch((error) =>
+        console.error(`❌ [GAME_REDIRECT] Error tracking match for challenge ${challenge.id}:`, error)
+      )
+    );
+
+    return redirectData;
+  }
+
+  async trackRedirect(challenge, userId, isChallenger, platform) {
+    let match = await OngoingMatch.findByChallenge(challenge.id);
+
+    if (!match) {
+      match = await OngoingMatch.create({
+        challengeId: parseInt(challenge.id),
+        challengerId: challenge.challenger,
+        opponentId: challenge.opponent,
+        platform,
+        challengerUsername: challenge.challenger_username,
+        opponentUsername: challenge.opponent_username,
+      });
+      console.log(`🆕 [GAME_REDIRECT] Created ongoing match ${match.id} for challenge ${challenge.id}`);
+    }
+
+    const updatedMatch = await OngoingMatch.updateRedirection(challenge.id, userId, isChallenger);
+    console.log(`✅ [GAME_REDIRECT] Updated redirection for match ${match.id}:`, {
+      challengerRedirected: updatedMatch.challenger_redirected,
+      opponentRedirected: updatedMatch.opponent_redirected,
+      bothRedirected: updatedMatch.both_redirected,
+      matchStartedAt: updatedMatch.match_started_at,
+    });
+
+    // 🎯 START PER-MATCH RESULT CHECKING - If both players have redirected
+    if (updatedMatch.both_redirected) {
+      console.log(`🚀 [PER_MATCH_CHECKER] Both players redirected for match ${match.id}, starting per-match checker`);
+      PerMatchResultChecker.startCheckingMatch({
+        matchId: match.id,
+        timeControl: challenge.time_control,
+        startedAt: updatedMatch.match_started_at || new Date(),
+        challenger: challenge.challenger_username,
+        opponent: challenge.opponent_username,
+        platform: challenge.platform,
+      });
+    }
+  }
+}
+
+export default new ChallengeService();
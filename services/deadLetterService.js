@@ -0,0 +1,263 @@
+/**
+ * Dead-letter management for the payment job queues
+ * Lets admins inspect jobs that ran out of attempts, replay them or close
+ * them as manually resolved. Every action leaves a job_queue_audit row.
+ *
+ * Replaying a withdrawal is safe: the job reuses its challenge idempotency
+ * key, so a payout that did go through is not sent twice. A key whose stored
+ * outcome is 'failed' is cleared on replay so the payout is attempted again.
+ * Replayed callbacks are applied like a fresh provider callback (ledger,
+ * escrow, wallet holds); a replayed deposit sends a new STK push.
+ */
+
+import { randomUUID } from 'crypto';
+import pool from '../config/database.js';
+import ledgerService from './ledgerService.js';
+import idempotencyService from './idempotencyService.js';
+import { QUEUE_NAMES, withdrawalIdempotencyKey } from './paymentQueueManager.js';
+
+const MAX_BATCH_SIZE = 100;
+const MAX_PAGE_SIZE = 200;
+
+export class DeadLetterError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'DeadLetterError';
+    this.statusCode = statusCode;
+  }
+}
+
+class DeadLetterService {
+  /**
+   * Resolve a queue filter given as a stats key (payments) or the stored
+   * queue name (PAYMENT_QUEUE)
+   */
+  queueName(queue) {
+    if (!queue) return null;
+    if (Object.hasOwn(QUEUE_NAMES, queue)) return QUEUE_NAMES[queue];
+    if (Object.values(QUEUE_NAMES).includes(queue)) return queue;
+    throw new DeadLetterError(
+      `Queue must be one of: ${Object.keys(QUEUE_NAMES).join(', ')}`
+    );
+  }
+
+  parseDate(value, field) {
+    if (!value) return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new DeadLetterError(`${field} must be a valid date`);
+    }
+    return date;
+  }
+
+  /**
+   * Build the WHERE clause shared by listing and batch actions.
+   * @param {Object} filters
+   * @param {Array<number>} [filters.ids] - job_queue ids
+   * @param {string} [filters.queue]
+   * @param {string} [filters.handler] - e.g. processWithdrawal
+   * @param {string} [filters.since] - Dead-lettered at or after
+   * @param {string} [filters.until] - Dead-lettered before
+   * @param {string} [filters.search] - Substring of the last error
+   */
+  buildFilter({ ids, queue, handler, since, until, search } = {}) {
+    const ownIds = ids?.length ? ids.map((id) => parseInt(id)) : null;
+    if (ownIds?.some((id) => !Number.isInteger(id))) {
+      throw new DeadLetterError('ids must be job ids');
+    }
+
+    return {
+      sql: `status = 'dead'
+        AND ($1::bigint[] IS NULL OR id = ANY($1::bigint[]))
+        AND ($2::text IS NULL OR queue = $2)
+        AND ($3::text IS NULL OR handler = $3)
+        AND ($4::timestamptz IS NULL OR updated_at >= $4)
+        AND ($5::timestamptz IS NULL OR updated_at < $5)
+        AND ($6::text IS NULL OR last_error ILIKE '%' || $6 || '%')`,
+      params: [
+        ownIds,
+        this.queueName(queue),
+        handler || null,
+        this.parseDate(since, 'since'),
+        this.parseDate(until, 'until'),
+        search || null,
+      ],
+    };
+  }
+
+  /**
+   * Dead-lettered jobs with their payload and error history, newest first
+   */
+  async listDeadLetters(filters = {}, { limit = 50, offset = 0 } = {}) {
+    const { sql, params } = this.buildFilter(filters);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE);
+    const skip = Math.max(parseInt(offset) || 0, 0);
+
+    const [jobs, total] = await Promise.all([
+      pool.query(
+        `SELECT id, queue, job_id, handler, data, priority, attempts, max_attempts,
+                last_error, error_history, created_at, updated_at AS failed_at
+         FROM job_queue
+         WHERE ${sql}
+         ORDER BY updated_at DESC, id DESC
+         LIMIT $7 OFFSET $8`,
+        [...params, pageSize, skip]
+      ),
+      pool.query(`SELECT COUNT(*)::int AS total FROM job_queue WHERE ${sql}`, params),
+    ]);
+
+    return {
+      jobs: jobs.rows,
+      total: total.rows[0].total,
+      limit: pageSize,
+      offset: skip,
+    };
+  }
+
+  /**
+   * Any job (dead, replayed or resolved) with its audit trail
+   */
+  async getJob(id) {
+    const result = await pool.query('SELECT * FROM job_queue WHERE id = $1', [id]);
+    if (result.rows.length === 0) return null;
+
+    const audit = await pool.query(
+      `SELECT a.id, a.action, a.admin_id, u.username AS admin_username, a.note,
+              a.previous_status, a.attempts, a.last_error, a.batch_id, a.created_at
+       FROM job_queue_audit a
+       LEFT JOIN users u ON u.id = a.admin_id
+       WHERE a.job_queue_id = $1
+       ORDER BY a.created_at DESC`,
+      [id]
+    );
+
+    return { ...result.rows[0], audit: audit.rows };
+  }
+
+  /**
+   * Lock the dead jobs an action applies to. A batch needs at least one
+   * filter so an empty request can't sweep every queue.
+   */
+  async claimDeadJobs(filters, client) {
+    const hasFilter = ['ids', 'queue', 'handler', 'since', 'until', 'search'].some(
+      (key) => (Array.isArray(filters[key]) ? filters[key].length > 0 : filters[key])
+    );
+    if (!hasFilter) {
+      throw new DeadLetterError('At least one filter (ids, queue, handler, since, until, search) is required');
+    }
+
+    const { sql, params } = this.buildFilter(filters);
+    const limit = Math.min(Math.max(parseInt(filters.limit) || MAX_BATCH_SIZE, 1), MAX_BATCH_SIZE);
+
+    const result = await client.query(
+      `SELECT * FROM job_queue
+       WHERE ${sql}
+       ORDER BY updated_at ASC, id ASC
+       LIMIT $7
+       FOR UPDATE SKIP LOCKED`,
+      [...params, limit]
+    );
+    return result.rows;
+  }
+
+  async recordAudit(job, { action, adminId, note, batchId }, client) {
+    await client.query(
+      `INSERT INTO job_queue_audit
+         (job_queue_id, queue, job_id, action, admin_id, note, previous_status,
+          attempts, last_error, batch_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [job.id, job.queue, job.job_id, action, adminId, note, job.status, job.attempts, job.last_error, batchId]
+    );
+  }
+
+  /**
+   * Put dead jobs back on their queue with a fresh set of attempts.
+   * Error history is kept so earlier failures stay visible.
+   * @returns {Promise<{ batchId, replayed: Array<Object> }>}
+   */
+  async replay(filters, { adminId, note = null }) {
+    const batchId = randomUUID();
+
+    const replayed = await ledgerService.withTransaction(async (client) => {
+      const jobs = await this.claimDeadJobs(filters, client);
+      const updated = [];
+
+      for (const job of jobs) {
+        await this.recordAudit(job, { action: 'replay', adminId, note, batchId }, client);
+        if (job.handler === 'processWithdrawal') {
+          await idempotencyService.resetFailed(withdrawalIdempotencyKey(job.data), client);
+        }
+        const result = await client.query(
+          `UPDATE job_queue
+           SET status = 'pending', attempts = 0, run_at = NOW(),
+               locked_until = NULL, locked_by = NULL, updated_at = NOW()
+           WHERE id = $1
+           RETURNING id, queue, job_id, handler, status`,
+          [job.id]
+        );
+        updated.push(result.rows[0]);
+      }
+      return updated;
+    });
+
+    console.log(
+      `🔁 [DEAD_LETTER] Admin ${adminId} replayed ${replayed.length} job(s) (batch ${batchId})`
+    );
+    return { batchId, replayed };
+  }
+
+  /**
+   * Close dead jobs without running them again, e.g. after a payment was
+   * completed by hand. A note is required.
+   * @returns {Promise<{ batchId, resolved: Array<Object> }>}
+   */
+  async resolve(filters, { adminId, note }) {
+    if (!note || !note.trim()) {
+      throw new DeadLetterError('A note is required to resolve a job');
+    }
+    const batchId = randomUUID();
+
+    const resolved = await ledgerService.withTransaction(async (client) => {
+      const jobs = await this.claimDeadJobs(filters, client);
+      const updated = [];
+
+      for (const job of jobs) {
+        await this.recordAudit(job, { action: 'resolve', adminId, note: note.trim(), batchId }, client);
+        const result = await client.query(
+          `UPDATE job_queue
+           SET status = 'resolved', resolved_by = $2, resolved_at = NOW(),
+               resolution_note = $3, updated_at = NOW()
+           WHERE id = $1
+           RETURNING id, queue, job_id, handler, status, resolved_at`,
+          [job.id, adminId, note.trim()]
+        );
+        updated.push(result.rows[0]);
+      }
+      return updated;
+    });
+
+    console.log(
+      `🗂️ [DEAD_LETTER] Admin ${adminId} resolved ${resolved.length} job(s) (batch ${batchId}): ${note.trim()}`
+    );
+    return { batchId, resolved };
+  }
+
+  /**
+   * Audit trail across all jobs, newest first
+   */
+  async getAuditTrail({ queue = null, adminId = null, limit = 50 } = {}) {
+    const result = await pool.query(
+      `SELECT a.*, u.username AS admin_username
+       FROM job_queue_audit a
+       LEFT JOIN users u ON u.id = a.admin_id
+       WHERE ($1::text IS NULL OR a.queue = $1)
+         AND ($2::int IS NULL OR a.admin_id = $2)
+       ORDER BY a.created_at DESC
+       LIMIT $3`,
+      [this.queueName(queue), adminId, Math.min(Math.max(parseInt(limit) || 50, 1), MAX_PAGE_SIZE)]
+    );
+    return result.rows;
+  }
+}
+
+export default new DeadLetterService();
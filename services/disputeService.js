@@ -0,0 +1,406 @@
+// Contested match results. Either player can open a dispute while a result
+// is held for the dispute window; that freezes the escrow ('disputed') so
+// the settlement scheduler skips it. An admin then decides between paying
+// out a winner and refunding both stakes.
+import pool from "../config/database.js";
+import escrowService, { ESCROW_STATES } from "./escrowService.js";
+import ledgerService from "./ledgerService.js";
+import settlementScheduler from "./SettlementScheduler.js";
+
+export class DisputeError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "DisputeError";
+    this.statusCode = statusCode;
+  }
+}
+
+const DECISIONS = ["payout", "refund"];
+
+class DisputeService {
+  async getChallengePlayers(challengeId, client = pool) {
+    const result = await client.query(
+      "SELECT id, challenger, opponent FROM challenges WHERE id = $1",
+      [challengeId]
+    );
+    return result.rows[0] || null;
+  }
+
+  isParticipant(challenge, userId) {
+    return (
+      !!challenge &&
+      (Number(challenge.challenger) === Number(userId) ||
+        Number(challenge.opponent) === Number(userId))
+    );
+  }
+
+  async insertEvidence(disputeId, userId, { gameUrl = null, comment = null }, client = pool) {
+    if (!gameUrl && !comment) return null;
+
+    const result = await client.query(
+      `INSERT INTO match_dispute_evidence (dispute_id, user_id, game_url, comment)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [disputeId, userId, gameUrl || null, comment || null]
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Contest a result that is still inside its dispute window.
+   * @param {Object} params
+   * @param {number} params.challengeId
+   * @param {number} params.userId - Player opening the dispute
+   * @param {string} params.reason
+   * @param {string} [params.gameUrl] - Evidence: link to the game in question
+   * @param {string} [params.comment] - Evidence: free-text comment
+   * @returns {Promise<Object>} The match_disputes row
+   */
+  async openDispute({ challengeId, userId, reason, gameUrl = null, comment = null }) {
+    const challenge = await this.getChallengePlayers(challengeId);
+    if (!challenge) {
+      throw new DisputeError("Challenge not found", 404);
+    }
+    if (!this.isParticipant(challenge, userId)) {
+      throw new DisputeError("Only players in this match can dispute its result", 403);
+    }
+
+    const dispute = await ledgerService.withTransaction(async (client) => {
+      const escrow = await escrowService.lockEscrow(challengeId, client);
+      if (escrow?.state === ESCROW_STATES.DISPUTED) {
+        throw new DisputeError("This result is already under dispute", 409);
+      }
+      if (!escrow || escrow.state !== ESCROW_STATES.FUNDED || !escrow.payout_due_at) {
+        throw new DisputeError("No result to dispute for this challenge");
+      }
+
+      const windowOpen = await client.query(
+        "SELECT NOW() <= payout_due_at AS open FROM challenge_escrows WHERE challenge_id = $1",
+        [challengeId]
+      );
+      if (!windowOpen.rows[0].open) {
+        throw new DisputeError("Dispute window has closed");
+      }
+
+      if (!(await escrowService.markDisputed(challengeId, reason, client))) {
+        throw new DisputeError("This result can no longer be disputed", 409);
+      }
+
+      const inserted = await client.query(
+        `INSERT INTO match_disputes (challenge_id, opened_by, reason, disputed_result)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [challengeId, userId, reason, JSON.stringify(escrow.pending_result)]
+      );
+      const row = inserted.rows[0];
+
+      await this.insertEvidence(row.id, userId, { gameUrl, comment }, client);
+      return row;
+    });
+
+    console.log(
+      `⚖️ [DISPUTE] User ${userId} opened dispute ${dispute.id} on challenge ${challengeId}: ${reason}`
+    );
+    return dispute;
+  }
+
+  /**
+   * Open a dispute on the system's behalf, e.g. when the players' manual
+   * reports contradict each other. Freezes a funded pot; a paid challenge
+   * whose escrow isn't funded (partially funded, already released or
+   * refunded) has nothing an admin could settle and is rejected. Free
+   * challenges have no escrow and are adjudicated without money moving.
+   * @param {Object} params
+   * @param {number} params.challengeId
+   * @param {number} params.openedBy - Player the dispute is attributed to
+   * @param {string} params.reason
+   * @param {Object} [params.disputedResult] - What was claimed, kept for the admin
+   * @param {Array<{ userId: number, gameUrl?: string, comment?: string }>} [params.evidence]
+   * @returns {Promise<Object>} The match_disputes row
+   */
+  async escalate({ challengeId, openedBy, reason, disputedResult = null, evidence = [] }, client = null) {
+    const dispute = await ledgerService.withTransaction(async (tx) => {
+      const escrow = await escrowService.lockEscrow(challengeId, tx);
+      if (escrow?.state === ESCROW_STATES.DISPUTED) {
+        throw new DisputeError("This result is already under dispute", 409);
+      }
+      if (escrow) {
+        if (escrow.state !== ESCROW_STATES.FUNDED) {
+          throw new DisputeError(`Stakes are ${escrow.state} - there is no pot to dispute`, 409);
+        }
+        await escrowService.markDisputed(challengeId, reason, tx);
+      }
+
+      const inserted = await tx.query(
+        `INSERT INTO match_disputes (challenge_id, opened_by, reason, disputed_result)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [challengeId, openedBy, reason, JSON.stringify(disputedResult)]
+      );
+      const row = inserted.rows[0];
+
+      for (const item of evidence) {
+        await this.insertEvidence(row.id, item.userId, item, tx);
+      }
+      return row;
+    }, client);
+
+    console.log(
+      `⚖️ [DISPUTE] Dispute ${dispute.id} opened on challenge ${challengeId}: ${reason}`
+    );
+    return dispute;
+  }
+
+  /**
+   * Hand a match whose game failed verification to an admin as a dispute,
+   * so its stakes are paid out or refunded through resolveDispute instead of
+   * sitting in escrow with nothing scheduled.
+   * @param {number} matchId - ongoing_matches id
+   * @param {Object} [matchResult] - { result, winner_id, loser_id } the game
+   *   implied; the winner is the default for a payout decision
+   * @returns {Promise<Object>} The match_disputes row
+   */
+  async escalateFlaggedMatch(matchId, matchResult = null) {
+    const result = await pool.query(
+      `SELECT om.id, om.challenge_id, om.verification_status, om.verification_failures,
+              om.verification_game, c.challenger
+       FROM ongoing_matches om
+       JOIN challenges c ON c.id = om.challenge_id
+       WHERE om.id = $1`,
+      [matchId]
+    );
+    const match = result.rows[0];
+    if (!match) {
+      throw new DisputeError("Match not found", 404);
+    }
+    if (match.verification_status !== "flagged") {
+      throw new DisputeError("Match is not flagged for review", 409);
+    }
+
+    const failures = match.verification_failures || [];
+    const gameUrl = match.verification_game?.gameUrl || null;
+
+    return ledgerService.withTransaction(async (client) => {
+      const dispute = await this.escalate(
+        {
+          challengeId: match.challenge_id,
+          openedBy: match.challenger,
+          reason: `Game failed verification: ${failures.map((f) => f.code).join(", ") || "unknown"}`,
+          disputedResult: {
+            source: "verification",
+            result: matchResult?.result ?? null,
+            winner_id: matchResult?.winner_id ?? null,
+            loser_id: matchResult?.loser_id ?? null,
+            game_url: gameUrl,
+            failures,
+          },
+          evidence: gameUrl ? [{ userId: match.challenger, gameUrl }] : [],
+        },
+        client
+      );
+
+      await client.query(
+        "UPDATE ongoing_matches SET verification_status = 'escalated' WHERE id = $1",
+        [matchId]
+      );
+      return dispute;
+    });
+  }
+
+  async addEvidence(disputeId, user, { gameUrl = null, comment = null }, { asAdmin = false } = {}) {
+    if (!gameUrl && !comment) {
+      throw new DisputeError("Provide a game URL or a comment");
+    }
+
+    const dispute = await this.getDisputeRow(disputeId);
+    if (!dispute) {
+      throw new DisputeError("Dispute not found", 404);
+    }
+
+    const challenge = await this.getChallengePlayers(dispute.challenge_id);
+    if (!asAdmin && !this.isParticipant(challenge, user.id)) {
+      throw new DisputeError("Not authorized to add evidence to this dispute", 403);
+    }
+    if (dispute.status !== "open") {
+      throw new DisputeError("Dispute is already resolved", 409);
+    }
+
+    const evidence = await this.insertEvidence(disputeId, user.id, { gameUrl, comment });
+    console.log(`📎 [DISPUTE] User ${user.id} added evidence to dispute ${disputeId}`);
+    return evidence;
+  }
+
+  /**
+   * Settle a disputed pot.
+   * @param {number} disputeId
+   * @param {number} adminId
+   * @param {Object} params
+   * @param {'payout'|'refund'} params.decision
+   * @param {number} [params.winnerId] - For payouts; defaults to the winner
+   *   of the disputed result
+   * @param {string} [params.notes]
+   * @returns {Promise<{ dispute: Object, settlement: Object }>}
+   */
+  async resolveDispute(disputeId, adminId, { decision, winnerId = null, notes = null }) {
+    if (!DECISIONS.includes(decision)) {
+      throw new DisputeError(`Decision must be one of: ${DECISIONS.join(", ")}`);
+    }
+
+    const existing = await this.getDisputeRow(disputeId);
+    if (!existing) {
+      throw new DisputeError("Dispute not found", 404);
+    }
+
+    const challenge = await this.getChallengePlayers(existing.challenge_id);
+    let matchResult = { result: "void" };
+    let resolvedWinner = null;
+
+    if (decision === "payout") {
+      resolvedWinner = winnerId || existing.disputed_result?.winner_id || null;
+      if (!resolvedWinner || !this.isParticipant(challenge, resolvedWinner)) {
+        throw new DisputeError("A payout needs a winner who played in this match");
+      }
+      const loserId =
+        Number(resolvedWinner) === Number(challenge.challenger)
+          ? challenge.opponent
+          : challenge.challenger;
+      matchResult = {
+        result: "adjudication",
+        winner_id: Number(resolvedWinner),
+        loser_id: loserId,
+      };
+    }
+
+    // Claim the dispute first so two admins can't settle it twice
+    const claimed = await pool.query(
+      `UPDATE match_disputes
+       SET status = 'resolved', decision = $2, winner_id = $3, resolved_by = $4,
+           resolution_notes = $5, resolved_at = NOW()
+       WHERE id = $1 AND status = 'open'
+       RETURNING *`,
+      [disputeId, decision, resolvedWinner, adminId, notes]
+    );
+    if (claimed.rows.length === 0) {
+      throw new DisputeError("Dispute is already resolved", 409);
+    }
+
+    let settlement;
+    try {
+      settlement = await settlementScheduler.settle(existing.challenge_id, matchResult, {
+        fromDispute: true,
+      });
+    } catch (error) {
+      settlement = { success: false, error: error.message };
+    }
+
+    const escrow = await escrowService.getEscrow(existing.challenge_id);
+    if (!settlement?.success && escrow?.state === ESCROW_STATES.DISPUTED) {
+      // The pot never left escrow - reopen so the decision can be retried
+      await pool.query(
+        `UPDATE match_disputes
+         SET status = 'open', decision = NULL, winner_id = NULL, resolved_by = NULL,
+             resolution_notes = NULL, resolved_at = NULL
+         WHERE id = $1`,
+        [disputeId]
+      );
+      console.error(
+        `❌ [DISPUTE] Settling dispute ${disputeId} failed:`,
+        settlement?.error || settlement?.message
+      );
+      throw new Error(
+        `Failed to settle dispute: ${settlement?.error || settlement?.message}`
+      );
+    }
+
+    if (!settlement?.success) {
+      // Escrow was already claimed so the decision stands - the failed
+      // transfer has to be followed up like any other failed payout
+      console.error(
+        `❌ [DISPUTE] Dispute ${disputeId} resolved but settlement reported:`,
+        settlement?.error || settlement?.message
+      );
+    }
+
+    await this.recordDecision(existing.challenge_id, matchResult);
+
+    console.log(
+      `⚖️ [DISPUTE] Admin ${adminId} resolved dispute ${disputeId} with ${decision}${
+        resolvedWinner ? ` to user ${resolvedWinner}` : ""
+      }`
+    );
+    return { dispute: claimed.rows[0], settlement };
+  }
+
+  // The admin's decision replaces whatever result was reported for the
+  // challenge; a refund leaves no result at all
+  async recordDecision(challengeId, matchResult) {
+    await ledgerService.withTransaction(async (client) => {
+      await client.query("DELETE FROM match_results WHERE challenge_id = $1", [challengeId]);
+      if (matchResult.winner_id) {
+        await client.query(
+          `INSERT INTO match_results
+             (challenge_id, winner_id, loser_id, result, platform,
+              rating_change_winner, rating_change_loser)
+           SELECT c.id, $2, $3, $4, c.platform,
+                  COALESCE((SELECT rating_change FROM rating_history
+                            WHERE challenge_id = c.id AND user_id = $2), 0),
+                  COALESCE((SELECT rating_change FROM rating_history
+                            WHERE challenge_id = c.id AND user_id = $3), 0)
+           FROM challenges c WHERE c.id = $1`,
+          [challengeId, matchResult.winner_id, matchResult.loser_id, matchResult.result]
+        );
+      }
+    });
+  }
+
+  async getDisputeRow(disputeId, client = pool) {
+    const result = await client.query("SELECT * FROM match_disputes WHERE id = $1", [
+      disputeId,
+    ]);
+    return result.rows[0] || null;
+  }
+
+  // Dispute with its challenge players and evidence, oldest evidence first
+  async getDispute(disputeId) {
+    const dispute = await this.getDisputeRow(disputeId);
+    if (!dispute) return null;
+
+    const [challenge, evidence] = await Promise.all([
+      this.getChallengePlayers(dispute.challenge_id),
+      pool.query(
+        `SELECT e.*, u.username
+         FROM match_dispute_evidence e
+         JOIN users u ON u.id = e.user_id
+         WHERE e.dispute_id = $1
+         ORDER BY e.created_at ASC`,
+        [disputeId]
+      ),
+    ]);
+
+    return {
+      ...dispute,
+      challenger_id: challenge?.challenger,
+      opponent_id: challenge?.opponent,
+      evidence: evidence.rows,
+    };
+  }
+
+  async listDisputes({ status = "open", limit = 50 } = {}) {
+    const result = await pool.query(
+      `SELECT d.*, c.bet_amount, c.platform, c.challenger, c.opponent,
+              u.username AS opened_by_username,
+              (SELECT COUNT(*) FROM match_dispute_evidence e WHERE e.dispute_id = d.id)::int
+                AS evidence_count
+       FROM match_disputes d
+       JOIN challenges c ON c.id = d.challenge_id
+       JOIN users u ON u.id = d.opened_by
+       WHERE ($1::text IS NULL OR d.status = $1)
+       ORDER BY d.created_at DESC
+       LIMIT $2`,
+      [status, limit]
+    );
+    return result.rows;
+  }
+}
+
+export default new DisputeService();
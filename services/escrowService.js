@@ -0,0 +1,339 @@
+// Per-challenge escrow: the single owner of stake lifecycle transitions.
+// Every caller that wants to pay out or refund a pot must first win the
+// matching claim here, so the same pot can never be released twice.
+import pool from "../config/database.js";
+import ledgerService from "./ledgerService.js";
+
+export const ESCROW_STATES = {
+  OPEN: "open",
+  PARTIALLY_FUNDED: "partially_funded",
+  FUNDED: "funded",
+  RELEASED: "released",
+  REFUNDED: "refunded",
+  DISPUTED: "disputed",
+};
+
+const SETTLED_STATES = [ESCROW_STATES.RELEASED, ESCROW_STATES.REFUNDED];
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+// Why (part of) a deposit went back to the payer, as shown in the ledger
+const RETURN_REASONS = {
+  shortfall: "Short stake deposit",
+  overpayment: "Stake overpayment",
+  no_escrow: "Deposit for a challenge without stakes",
+  late_deposit: "Late stake deposit",
+  not_participant: "Deposit from a non-participant",
+  already_funded: "Second stake deposit",
+};
+
+class EscrowService {
+  // Create the escrow for a paid challenge (no-op if it already exists)
+  async openForChallenge(challengeId, client = pool) {
+    const result = await client.query(
+      `INSERT INTO challenge_escrows (challenge_id, stake_amount, challenger_id, opponent_id)
+       SELECT id, bet_amount, challenger, opponent
+       FROM challenges
+       WHERE id = $1 AND bet_amount > 0 AND opponent IS NOT NULL
+       ON CONFLICT (challenge_id) DO NOTHING
+       RETURNING *`,
+      [challengeId]
+    );
+
+    if (result.rows.length > 0) {
+      console.log(
+        `🔐 [ESCROW] Opened escrow for challenge ${challengeId} (stake ${result.rows[0].stake_amount} KES each)`
+      );
+      return result.rows[0];
+    }
+
+    return this.getEscrow(challengeId, client);
+  }
+
+  async getEscrow(challengeId, client = pool) {
+    const result = await client.query(
+      "SELECT * FROM challenge_escrows WHERE challenge_id = $1",
+      [challengeId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Lock the escrow row for the rest of the caller's transaction
+  async lockEscrow(challengeId, client) {
+    await this.openForChallenge(challengeId, client);
+    const result = await client.query(
+      "SELECT * FROM challenge_escrows WHERE challenge_id = $1 FOR UPDATE",
+      [challengeId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Summary used wherever code used to count completed deposit rows
+  async getFundingStatus(challengeId, client = pool) {
+    const escrow = await this.getEscrow(challengeId, client);
+
+    if (!escrow) {
+      return {
+        exists: false,
+        state: null,
+        isFunded: false,
+        fundedCount: 0,
+        requiredCount: 2,
+        fundedUserIds: [],
+      };
+    }
+
+    const fundedUserIds = [];
+    if (escrow.challenger_funded) fundedUserIds.push(escrow.challenger_id);
+    if (escrow.opponent_funded) fundedUserIds.push(escrow.opponent_id);
+
+    return {
+      exists: true,
+      state: escrow.state,
+      isFunded: escrow.state === ESCROW_STATES.FUNDED,
+      fundedCount: fundedUserIds.length,
+      requiredCount: 2,
+      fundedUserIds,
+      stakeAmount: parseFloat(escrow.stake_amount),
+      escrow,
+    };
+  }
+
+  async isFunded(challengeId, client = pool) {
+    const status = await this.getFundingStatus(challengeId, client);
+    return status.isFunded;
+  }
+
+  // Move part of a booked deposit back out of the escrow to the payer's wallet
+  async returnToWallet(payment, amount, reason, client) {
+    return ledgerService.transfer(
+      {
+        from: ledgerService.escrow(payment.challenge_id),
+        to: ledgerService.userWallet(payment.user_id),
+        amount,
+        entryType: "deposit_return",
+        reference: `payment:${payment.request_id}:${reason}`,
+        description: `${RETURN_REASONS[reason] || "Stake deposit"} returned to wallet for challenge ${payment.challenge_id}`,
+        challengeId: payment.challenge_id,
+        paymentId: payment.id,
+        metadata: { userId: payment.user_id, reason },
+      },
+      client
+    );
+  }
+
+  // Return a whole deposit the escrow can't take and report why
+  async rejectDeposit(payment, escrow, reason, client) {
+    await this.returnToWallet(payment, payment.amount, reason, client);
+    console.warn(
+      `⚠️ [ESCROW] Challenge ${payment.challenge_id}: deposit ${payment.request_id} of ${payment.amount} KES not applied (${reason}) - returned to user ${payment.user_id}'s wallet`
+    );
+    return { escrow, becameFunded: false, rejected: reason };
+  }
+
+  /**
+   * Mark one side of the escrow as funded after its deposit is confirmed.
+   * Call it once per payment, in the transaction that booked the deposit into
+   * the escrow account, so the money and the escrow state can't drift apart.
+   * Anything the escrow can't take goes back to the payer's wallet: the whole
+   * deposit when it is below the stake, comes in after the escrow stopped
+   * taking deposits, is from a non-participant or funds a side twice; only
+   * the excess when it is above the stake.
+   * Returns { escrow, becameFunded, rejected } - becameFunded is true only
+   * for the deposit that completed the pot.
+   */
+  async recordDeposit(payment, client = null) {
+    if (!payment?.challenge_id) {
+      return { escrow: null, becameFunded: false };
+    }
+
+    return ledgerService.withTransaction(async (tx) => {
+      const escrow = await this.lockEscrow(payment.challenge_id, tx);
+
+      if (!escrow) {
+        return this.rejectDeposit(payment, null, "no_escrow", tx);
+      }
+
+      if (![ESCROW_STATES.OPEN, ESCROW_STATES.PARTIALLY_FUNDED].includes(escrow.state)) {
+        return this.rejectDeposit(payment, escrow, "late_deposit", tx);
+      }
+
+      const isChallenger = Number(payment.user_id) === escrow.challenger_id;
+      const isOpponent = Number(payment.user_id) === escrow.opponent_id;
+      if (!isChallenger && !isOpponent) {
+        return this.rejectDeposit(payment, escrow, "not_participant", tx);
+      }
+
+      if ((isChallenger && escrow.challenger_funded) || (isOpponent && escrow.opponent_funded)) {
+        return this.rejectDeposit(payment, escrow, "already_funded", tx);
+      }
+
+      const stake = toCents(escrow.stake_amount);
+      const paid = toCents(payment.amount);
+
+      if (paid < stake) {
+        return this.rejectDeposit(payment, escrow, "shortfall", tx);
+      }
+
+      if (paid > stake) {
+        await this.returnToWallet(payment, (paid - stake) / 100, "overpayment", tx);
+        console.log(
+          `↩️ [ESCROW] Challenge ${payment.challenge_id}: credited ${(paid - stake) / 100} KES overpayment to user ${payment.user_id}'s wallet`
+        );
+      }
+
+      const challengerFunded = escrow.challenger_funded || isChallenger;
+      const opponentFunded = escrow.opponent_funded || isOpponent;
+      const nextState =
+        challengerFunded && opponentFunded
+          ? ESCROW_STATES.FUNDED
+          : ESCROW_STATES.PARTIALLY_FUNDED;
+
+      const updated = await tx.query(
+        `UPDATE challenge_escrows
+         SET challenger_funded = $2,
+             opponent_funded = $3,
+             state = $4,
+             funded_at = CASE WHEN $4 = 'funded' THEN NOW() ELSE funded_at END,
+             updated_at = NOW()
+         WHERE challenge_id = $1
+         RETURNING *`,
+        [payment.challenge_id, challengerFunded, opponentFunded, nextState]
+      );
+
+      console.log(
+        `🔐 [ESCROW] Challenge ${payment.challenge_id}: ${escrow.state} → ${nextState} (deposit by user ${payment.user_id})`
+      );
+
+      return {
+        escrow: updated.rows[0],
+        becameFunded: nextState === ESCROW_STATES.FUNDED,
+      };
+    }, client);
+  }
+
+  // Atomically move the escrow into a settled/disputed state.
+  // Returns the updated row, or null if another caller already moved it.
+  async transition(challengeId, fromStates, toState, { settlement = null, disputeReason = null } = {}, client = pool) {
+    await this.openForChallenge(challengeId, client);
+
+    const result = await client.query(
+      `UPDATE challenge_escrows
+       SET state = $3,
+           settlement = COALESCE($4, settlement),
+           dispute_reason = COALESCE($5, dispute_reason),
+           settled_at = CASE WHEN $3 IN ('released', 'refunded') THEN NOW() ELSE settled_at END,
+           updated_at = NOW()
+       WHERE challenge_id = $1 AND state = ANY($2)
+       RETURNING *`,
+      [
+        challengeId,
+        fromStates,
+        toState,
+        settlement ? JSON.stringify(settlement) : null,
+        disputeReason,
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      const current = await this.getEscrow(challengeId, client);
+      console.warn(
+        `⚠️ [ESCROW] Challenge ${challengeId}: cannot move to ${toState} from ${current?.state || "missing"}`
+      );
+      return null;
+    }
+
+    console.log(`🔐 [ESCROW] Challenge ${challengeId} → ${toState}`);
+    return result.rows[0];
+  }
+
+  /**
+   * Claim the pot for a winner. Only a funded (or dispute-resolved) escrow
+   * can be released, and only once.
+   */
+  async claimRelease(challengeId, { winnerId, reason, fromDispute = false } = {}, client = pool) {
+    const fromStates = fromDispute
+      ? [ESCROW_STATES.DISPUTED]
+      : [ESCROW_STATES.FUNDED];
+
+    return this.transition(
+      challengeId,
+      fromStates,
+      ESCROW_STATES.RELEASED,
+      { settlement: { type: "payout", winnerId, reason, at: new Date().toISOString() } },
+      client
+    );
+  }
+
+  /**
+   * Claim the stakes for refunding. Works for partially funded pots
+   * (payment timeout) as well as funded ones (draw / no result).
+   */
+  async claimRefund(challengeId, { reason, fromDispute = false } = {}, client = pool) {
+    const fromStates = fromDispute
+      ? [ESCROW_STATES.DISPUTED]
+      : [ESCROW_STATES.OPEN, ESCROW_STATES.PARTIALLY_FUNDED, ESCROW_STATES.FUNDED];
+
+    return this.transition(
+      challengeId,
+      fromStates,
+      ESCROW_STATES.REFUNDED,
+      { settlement: { type: "refund", reason, at: new Date().toISOString() } },
+      client
+    );
+  }
+
+  // Freeze a funded pot until someone resolves it
+  async markDisputed(challengeId, reason, client = pool) {
+    return this.transition(
+      challengeId,
+      [ESCROW_STATES.FUNDED],
+      ESCROW_STATES.DISPUTED,
+      { disputeReason: reason },
+      client
+    );
+  }
+
+  /**
+   * Park a match result on a funded escrow until the dispute window closes.
+   * Returns the updated row, or null when the pot isn't funded (no bet,
+   * already settled, disputed).
+   */
+  async schedulePayout(challengeId, pendingResult, dueAt, client = pool) {
+    await this.openForChallenge(challengeId, client);
+
+    const result = await client.query(
+      `UPDATE challenge_escrows
+       SET pending_result = $2, payout_due_at = $3, updated_at = NOW()
+       WHERE challenge_id = $1 AND state = $4
+       RETURNING *`,
+      [challengeId, JSON.stringify(pendingResult), dueAt, ESCROW_STATES.FUNDED]
+    );
+
+    if (result.rows.length > 0) {
+      console.log(
+        `⏳ [ESCROW] Challenge ${challengeId} payout scheduled for ${new Date(dueAt).toISOString()}`
+      );
+    }
+    return result.rows[0] || null;
+  }
+
+  // Funded escrows whose dispute window has closed, oldest first
+  async findDuePayouts(limit = 50, client = pool) {
+    const result = await client.query(
+      `SELECT * FROM challenge_escrows
+       WHERE state = $1 AND payout_due_at IS NOT NULL AND payout_due_at <= NOW()
+       ORDER BY payout_due_at ASC
+       LIMIT $2`,
+      [ESCROW_STATES.FUNDED, limit]
+    );
+    return result.rows;
+  }
+
+  isSettled(escrow) {
+    return !!escrow && SETTLED_STATES.includes(escrow.state);
+  }
+}
+
+const escrowService = new EscrowService();
+export default escrowService;
@@ -0,0 +1,148 @@
+import feeConfig from "../config/fees.js";
+import ledgerService from "./ledgerService.js";
+
+const roundKes = (amount) => Math.round(Number(amount) * 100) / 100;
+
+/**
+ * Platform fee (rake) applied when a pot is paid out.
+ * The fee stays in the house account; the winner receives the rest.
+ */
+export class FeeService {
+  constructor(config = feeConfig) {
+    this.config = config;
+  }
+
+  // 'lichess.org' and 'lichess' are both stored on challenges
+  normalizePlatform(platform) {
+    const value = String(platform || "").toLowerCase();
+    return value === "lichess.org" ? "lichess" : value;
+  }
+
+  // Merge base → platform → tier, keeping track of which layers applied
+  resolveRule({ betAmount, platform }) {
+    const normalizedPlatform = this.normalizePlatform(platform);
+    const rule = { ...this.config.base };
+    const sources = ["base"];
+
+    const platformOverride = this.config.platforms[normalizedPlatform];
+    if (platformOverride) {
+      Object.assign(rule, platformOverride);
+      sources.push(`platform:${normalizedPlatform}`);
+    }
+
+    const bet = Number(betAmount) || 0;
+    const tier = this.config.tiers.find(
+      (t) =>
+        bet >= (t.minBet || 0) &&
+        (t.maxBet === undefined || t.maxBet === null || bet <= t.maxBet) &&
+        (!t.platform || this.normalizePlatform(t.platform) === normalizedPlatform)
+    );
+    if (tier) {
+      const { minBet, maxBet, platform: _platform, ...tierRule } = tier;
+      Object.assign(rule, tierRule);
+      sources.push(`tier:${minBet || 0}`);
+    }
+
+    return { ...rule, source: sources.join(" > ") };
+  }
+
+  /**
+   * Work out the fee on an amount about to be paid out.
+   * @param {Object} params
+   * @param {number} params.amount - Gross amount leaving escrow (pot for a win, own stake for a draw)
+   * @param {number} params.betAmount - Per-player stake, used for tier matching
+   * @param {string} params.platform - Challenge platform
+   * @param {'win'|'draw'} [params.outcome]
+   * @returns {{ gross: number, fee: number, net: number, rule: Object|null }}
+   */
+  calculateFee({ amount, betAmount, platform, outcome = "win" }) {
+    const gross = roundKes(amount);
+
+    if (!this.config.enabled || (outcome === "draw" && !this.config.applyToDraws)) {
+      return { gross, fee: 0, net: gross, rule: null };
+    }
+
+    const rule = this.resolveRule({ betAmount, platform });
+    let fee = (gross * (Number(rule.percent) || 0)) / 100 + (Number(rule.flat) || 0);
+
+    if (rule.minimum) {
+      fee = Math.max(fee, Number(rule.minimum));
+    }
+    if (rule.maximum !== null && rule.maximum !== undefined) {
+      fee = Math.min(fee, Number(rule.maximum));
+    }
+    // Never take more than the pot
+    fee = roundKes(Math.min(Math.max(fee, 0), gross));
+
+    return { gross, fee, net: roundKes(gross - fee), rule };
+  }
+
+  feeRequestId(challengeId, userId) {
+    return `FEE_${challengeId}_${userId}`;
+  }
+
+  /**
+   * Take the fee out of the escrow before a payout or refund is sent.
+   * Safe to call twice for the same challenge/user: the second call returns
+   * the fee that was already booked.
+   * @returns {Promise<{ gross: number, fee: number, net: number, rule: Object|null, duplicate: boolean }>}
+   */
+  async applyPayoutFee({
+    challengeId,
+    userId,
+    opponentId = null,
+    phoneNumber,
+    amount,
+    betAmount,
+    platform,
+    outcome = "win",
+  }) {
+    const calculation = this.calculateFee({ amount, betAmount, platform, outcome });
+    if (calculation.fee <= 0) {
+      return { ...calculation, duplicate: false };
+    }
+
+    const requestId = this.feeRequestId(challengeId, userId);
+    const percentLabel = calculation.rule.percent ? `${calculation.rule.percent}%` : "flat";
+    const notes = `Platform fee (${percentLabel}) - ${calculation.fee} KSH of ${calculation.gross} KSH ${
+      outcome === "draw" ? "refund" : "winnings"
+    }`;
+
+    return ledgerService.withTransaction(async (client) => {
+      const inserted = await client.query(
+        `INSERT INTO payments
+           (user_id, challenge_id, phone_number, amount, transaction_type, status, request_id, notes, opponent_id)
+         VALUES ($1, $2, $3, $4, 'fee', 'completed', $5, $6, $7)
+         ON CONFLICT (request_id) DO NOTHING
+         RETURNING *`,
+        [userId, challengeId, phoneNumber || "", calculation.fee, requestId, notes, opponentId]
+      );
+
+      if (inserted.rows.length === 0) {
+        const existing = await client.query(
+          `SELECT amount FROM payments WHERE request_id = $1`,
+          [requestId]
+        );
+        const bookedFee = roundKes(existing.rows[0]?.amount || 0);
+        console.log(
+          `ℹ️ [FEES] Fee for challenge ${challengeId} (user ${userId}) already booked: ${bookedFee} KSH`
+        );
+        return {
+          ...calculation,
+          fee: bookedFee,
+          net: roundKes(calculation.gross - bookedFee),
+          duplicate: true,
+        };
+      }
+
+      await ledgerService.recordPlatformFee(inserted.rows[0], client);
+
+      console.log(
+        `🏦 [FEES] Took ${calculation.fee} KSH fee from ${calculation.gross} KSH for challenge ${challengeId} (${calculation.rule.source})`
+      );
+      return { ...calculation, duplicate: false };
+    });
+  }
+}
+
+export default new FeeService();
@@ -0,0 +1,199 @@
+// Keeps the full platform record (PGN, opening, clocks, termination...) of
+// the game each completed challenge was settled on. Games found by result
+// checking are often partial (Lichess exports without PGN), so the archive
+// re-fetches the full game by URL when it needs to.
+import pool from "../config/database.js";
+import { getPlatform, getPlatformForUrl } from "./platforms/index.js";
+
+class GameArchiveService {
+  // Fill in PGN, clocks and opening if the game came from a light-weight listing
+  async loadFullGame(game) {
+    if (game.pgn || !game.url) return game;
+
+    const chessPlatform = getPlatformForUrl(game.url) || getPlatform(game.platform);
+    const full = await chessPlatform?.getGameByUrl(game.url, {
+      username: game.white.username,
+      since: game.startedAt,
+    });
+    return full || game;
+  }
+
+  /**
+   * Store (or replace) the game record for a challenge.
+   * @param {number} challengeId
+   * @param {Object} game - Normalized game from a ChessPlatform adapter
+   * @param {Object} [options]
+   * @param {number} [options.ongoingMatchId]
+   * @returns {Promise<Object>} The match_game_records row
+   */
+  async archiveGame(challengeId, game, { ongoingMatchId = null } = {}) {
+    const full = await this.loadFullGame(game);
+
+    const result = await pool.query(
+      `INSERT INTO match_game_records (
+         challenge_id, ongoing_match_id, platform, game_id, game_url, pgn, eco,
+         opening_name, plies, move_count, clocks, initial_seconds, increment_seconds,
+         termination, result, winner_color, rated, variant, speed, white_username,
+         black_username, white_rating, black_rating, started_at, ended_at
+       ) VALUES (
+         $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13,
+         $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25
+       )
+       ON CONFLICT (challenge_id) DO UPDATE SET
+         ongoing_match_id = COALESCE(EXCLUDED.ongoing_match_id, match_game_records.ongoing_match_id),
+         platform = EXCLUDED.platform, game_id = EXCLUDED.game_id,
+         game_url = EXCLUDED.game_url, pgn = EXCLUDED.pgn, eco = EXCLUDED.eco,
+         opening_name = EXCLUDED.opening_name, plies = EXCLUDED.plies,
+         move_count = EXCLUDED.move_count, clocks = EXCLUDED.clocks,
+         initial_seconds = EXCLUDED.initial_seconds,
+         increment_seconds = EXCLUDED.increment_seconds,
+         termination = EXCLUDED.termination, result = EXCLUDED.result,
+         winner_color = EXCLUDED.winner_color, rated = EXCLUDED.rated,
+         variant = EXCLUDED.variant, speed = EXCLUDED.speed,
+         white_username = EXCLUDED.white_username, black_username = EXCLUDED.black_username,
+         white_rating = EXCLUDED.white_rating, black_rating = EXCLUDED.black_rating,
+         started_at = EXCLUDED.started_at, ended_at = EXCLUDED.ended_at,
+         fetched_at = NOW()
+       RETURNING *`,
+      [
+        challengeId,
+        ongoingMatchId,
+        full.platform,
+        full.id ? String(full.id) : null,
+        full.url || null,
+        full.pgn || null,
+        full.opening?.eco || null,
+        full.opening?.name || null,
+        full.plies ?? null,
+        typeof full.plies === "number" ? Math.ceil(full.plies / 2) : null,
+        full.clocks ? JSON.stringify(full.clocks) : null,
+        full.clock?.initial ?? null,
+        full.clock?.increment ?? null,
+        full.termination || full.status || null,
+        full.result || null,
+        full.winner || null,
+        typeof full.rated === "boolean" ? full.rated : null,
+        full.variant || null,
+        full.speed || null,
+        full.white?.username || null,
+        full.black?.username || null,
+        full.white?.rating ?? null,
+        full.black?.rating ?? null,
+        full.startedAt || null,
+        full.endedAt || null,
+      ]
+    );
+
+    console.log(
+      `📚 [GAME_ARCHIVE] Archived ${full.platform} game ${full.id} for challenge ${challengeId}${
+        full.pgn ? "" : " (no PGN available)"
+      }`
+    );
+    return result.rows[0];
+  }
+
+  // Archive from a reported game URL
+  async archiveFromUrl(challengeId, gameUrl, ongoingMatch) {
+    const chessPlatform = getPlatformForUrl(gameUrl);
+    if (!chessPlatform) return null;
+
+    const game = await chessPlatform.getGameByUrl(gameUrl, {
+      username: ongoingMatch.challenger_username,
+      since: ongoingMatch.match_started_at,
+    });
+    if (!game) return null;
+
+    return this.archiveGame(challengeId, game, { ongoingMatchId: ongoingMatch.id });
+  }
+
+  // Look the game up on the platform when all we have is the match
+  async archiveForMatch(ongoingMatch) {
+    const chessPlatform = getPlatform(ongoingMatch.platform);
+    if (!chessPlatform) return null;
+
+    const game = await chessPlatform.findGameBetween(
+      ongoingMatch.challenger_username,
+      ongoingMatch.opponent_username,
+      { since: ongoingMatch.match_started_at }
+    );
+    if (!game) {
+      console.log(
+        `📚 [GAME_ARCHIVE] No game found to archive for challenge ${ongoingMatch.challenge_id}`
+      );
+      return null;
+    }
+
+    return this.archiveGame(ongoingMatch.challenge_id, game, {
+      ongoingMatchId: ongoingMatch.id,
+    });
+  }
+
+  /**
+   * Everything recorded about a completed challenge: the challenge, how the
+   * match ended, the reported result (manual reports only) and the archived
+   * game. Archives the game on the spot if completion didn't manage to.
+   * @returns {Promise<Object|null>} null for unknown challenges
+   */
+  async getMatchArchive(challengeId) {
+    const challengeResult = await pool.query(
+      `SELECT c.id, c.platform, c.time_control, c.rules, c.bet_amount, c.status,
+              c.challenger, c.opponent, c.created_at,
+              cu.username AS challenger_username, ou.username AS opponent_username
+       FROM challenges c
+       JOIN users cu ON cu.id = c.challenger
+       JOIN users ou ON ou.id = c.opponent
+       WHERE c.id = $1`,
+      [challengeId]
+    );
+    const challenge = challengeResult.rows[0];
+    if (!challenge) return null;
+
+    const [matchQuery, reportedQuery] = await Promise.all([
+      pool.query(
+        `SELECT id, challenge_id, challenger_id, opponent_id, challenger_username,
+                opponent_username, platform, match_started_at, completed_at,
+                result_checked, result, winner_id, verification_status
+         FROM ongoing_matches WHERE challenge_id = $1`,
+        [challengeId]
+      ),
+      pool.query(
+        `SELECT * FROM match_results WHERE challenge_id = $1
+         ORDER BY match_date DESC LIMIT 1`,
+        [challengeId]
+      ),
+    ]);
+    const match = matchQuery.rows[0] || null;
+
+    let game = await this.getRecord(challengeId);
+    if (!game && match?.result_checked) {
+      try {
+        const reportedUrl = reportedQuery.rows[0]?.game_url;
+        game = reportedUrl
+          ? await this.archiveFromUrl(challengeId, reportedUrl, match)
+          : await this.archiveForMatch(match);
+      } catch (error) {
+        console.error(
+          `❌ [GAME_ARCHIVE] Could not archive game for challenge ${challengeId}:`,
+          error.message
+        );
+      }
+    }
+
+    return {
+      challenge,
+      match,
+      reportedResult: reportedQuery.rows[0] || null,
+      game: game || null,
+    };
+  }
+
+  async getRecord(challengeId) {
+    const result = await pool.query(
+      "SELECT * FROM match_game_records WHERE challenge_id = $1",
+      [challengeId]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+export default new GameArchiveService();
@@ -0,0 +1,135 @@
+// Checks that the game a result checker found is the game the challenge was
+// for before any money moves. Games that don't match the challenge terms
+// are parked on ongoing_matches as 'flagged_for_review' and the stakes stay
+// in escrow; staked matches are escalated to a dispute for an admin to settle.
+import pool from "../config/database.js";
+import matchVerificationConfig from "../config/matchVerification.js";
+
+class GameVerificationService {
+  constructor(config = matchVerificationConfig) {
+    this.config = config;
+  }
+
+  // Challenge time controls are "minutes+increment" ("10+0", "3+2")
+  parseTimeControl(timeControl) {
+    const match = String(timeControl || "").match(/^\s*(\d+)\s*[+|]\s*(\d+)\s*$/);
+    if (!match) return null;
+    return { initial: Number(match[1]) * 60, increment: Number(match[2]) };
+  }
+
+  /**
+   * Compare a normalized platform game with the challenge terms.
+   * @param {Object} game - Normalized game from a ChessPlatform adapter
+   * @param {Object} terms
+   * @param {string} terms.timeControl - challenges.time_control
+   * @param {string} terms.rules - challenges.rules
+   * @param {Date|string} terms.matchStartedAt - ongoing_matches.match_started_at
+   * @returns {{ passed: boolean, failures: Array<{ code: string, message: string }> }}
+   */
+  verify(game, { timeControl, rules, matchStartedAt }) {
+    const failures = [];
+    const fail = (code, message) => failures.push({ code, message });
+
+    const expectedClock = this.parseTimeControl(timeControl);
+    if (expectedClock) {
+      if (!game.clock) {
+        fail("time_control_mismatch", `Expected ${timeControl}, game has no clock`);
+      } else if (
+        game.clock.initial !== expectedClock.initial ||
+        game.clock.increment !== expectedClock.increment
+      ) {
+        fail(
+          "time_control_mismatch",
+          `Expected ${timeControl}, game was ${game.clock.initial / 60}+${game.clock.increment}`
+        );
+      }
+    }
+
+    if (matchStartedAt && game.startedAt) {
+      const earliest =
+        new Date(matchStartedAt).getTime() - this.config.startToleranceSeconds * 1000;
+      if (game.startedAt.getTime() < earliest) {
+        fail(
+          "started_before_match",
+          `Game started ${game.startedAt.toISOString()}, match started ${new Date(
+            matchStartedAt
+          ).toISOString()}`
+        );
+      }
+    }
+
+    if ((rules || "chess") === "chess") {
+      if (!game.rated) {
+        fail("unrated", "Standard challenges must be played as rated games");
+      }
+      if (game.variant !== "standard") {
+        fail("variant_mismatch", `Expected standard chess, game was ${game.variant}`);
+      }
+    }
+
+    if (game.result === "aborted") {
+      fail("aborted", `Game was aborted (${game.status})`);
+    } else if (game.plies !== null && game.plies !== undefined && game.plies < this.config.minPlies) {
+      fail(
+        "too_few_moves",
+        `Game ended after ${game.plies} half-moves (minimum ${this.config.minPlies})`
+      );
+    }
+
+    return { passed: failures.length === 0, failures };
+  }
+
+  /**
+   * Stop an ongoing match from paying out: record what was found and why it
+   * failed, and take it out of result checking.
+   */
+  async flagForReview(matchId, { matchResult, failures }) {
+    const result = await pool.query(
+      `UPDATE ongoing_matches
+       SET result_checked = TRUE,
+           result = 'flagged_for_review',
+           verification_status = 'flagged',
+           verification_failures = $2,
+           verification_game = $3,
+           flagged_at = NOW(),
+           next_check_at = NULL
+       WHERE id = $1
+       RETURNING *`,
+      [matchId, JSON.stringify(failures), JSON.stringify(matchResult)]
+    );
+
+    console.log(
+      `🚩 [GAME_VERIFY] Match ${matchId} flagged for review: ${failures
+        .map((f) => f.code)
+        .join(", ")}`
+    );
+    return result.rows[0];
+  }
+
+  async markPassed(matchId) {
+    await pool.query(
+      `UPDATE ongoing_matches
+       SET verification_status = 'passed', verification_failures = NULL
+       WHERE id = $1`,
+      [matchId]
+    );
+  }
+
+  async getFlaggedMatches({ limit = 50 } = {}) {
+    const result = await pool.query(
+      `SELECT om.id, om.challenge_id, om.challenger_id, om.opponent_id,
+              om.challenger_username, om.opponent_username, om.platform,
+              om.match_started_at, om.verification_game, om.verification_failures,
+              om.flagged_at, c.bet_amount, c.time_control, c.rules
+       FROM ongoing_matches om
+       JOIN challenges c ON c.id = om.challenge_id
+       WHERE om.verification_status = 'flagged'
+       ORDER BY om.flagged_at DESC
+       LIMIT $1`,
+      [limit]
+    );
+    return result.rows;
+  }
+}
+
+export default new GameVerificationService();
@@ -0,0 +1,94 @@
+// Record between two players across their settled challenges: results from
+// match_results, money from the challenge payments.
+import pool from "../config/database.js";
+import { NOT_PLAYED_RESULTS } from "./leaderboardService.js";
+
+class HeadToHeadService {
+  /**
+   * Head-to-head from `userId`'s point of view.
+   * @param {number} userId
+   * @param {number} opponentId
+   * @param {Object} [options]
+   * @param {number} [options.limit] - How many recent games to include
+   * @returns {Promise<{ games, wins, draws, losses, moneyWon, moneyLost, net, recentGames }>}
+   */
+  async getHeadToHead(userId, opponentId, { limit = 10 } = {}) {
+    const [record, money, recent] = await Promise.all([
+      pool.query(
+        `WITH latest_results AS (
+           SELECT DISTINCT ON (mr.challenge_id) mr.*
+           FROM match_results mr
+           JOIN challenges c ON c.id = mr.challenge_id
+           WHERE ((c.challenger = $1 AND c.opponent = $2) OR (c.challenger = $2 AND c.opponent = $1))
+             AND mr.result <> ALL($3::text[])
+           ORDER BY mr.challenge_id, mr.match_date DESC
+         )
+         SELECT COUNT(*)::int AS games,
+                COUNT(*) FILTER (WHERE winner_id = $1)::int AS wins,
+                COUNT(*) FILTER (WHERE winner_id IS NULL)::int AS draws,
+                COUNT(*) FILTER (WHERE winner_id = $2)::int AS losses,
+                MAX(match_date) AS last_played_at
+         FROM latest_results`,
+        [userId, opponentId, NOT_PLAYED_RESULTS]
+      ),
+      pool.query(
+        `SELECT
+           COALESCE(SUM(p.amount) FILTER (
+             WHERE p.transaction_type IN ('payout', 'balance_credit', 'refund')), 0) AS credited,
+           COALESCE(SUM(p.amount) FILTER (
+             WHERE p.transaction_type IN ('deposit', 'stake')), 0) AS staked
+         FROM payments p
+         JOIN challenges c ON c.id = p.challenge_id
+         WHERE p.user_id = $1 AND p.status = 'completed'
+           AND ((c.challenger = $1 AND c.opponent = $2) OR (c.challenger = $2 AND c.opponent = $1))`,
+        [userId, opponentId]
+      ),
+      pool.query(
+        `SELECT DISTINCT ON (mr.challenge_id)
+                mr.challenge_id, mr.result, mr.winner_id, mr.match_date,
+                COALESCE(mr.game_url, g.game_url) AS game_url,
+                c.platform, c.time_control, c.bet_amount,
+                CASE WHEN mr.winner_id IS NULL THEN 'draw'
+                     WHEN mr.winner_id = $1 THEN 'win'
+                     ELSE 'loss' END AS outcome
+         FROM match_results mr
+         JOIN challenges c ON c.id = mr.challenge_id
+         LEFT JOIN match_game_records g ON g.challenge_id = mr.challenge_id
+         WHERE ((c.challenger = $1 AND c.opponent = $2) OR (c.challenger = $2 AND c.opponent = $1))
+           AND mr.result <> ALL($3::text[])
+         ORDER BY mr.challenge_id, mr.match_date DESC`,
+        [userId, opponentId, NOT_PLAYED_RESULTS]
+      ),
+    ]);
+
+    const credited = Number(money.rows[0].credited);
+    const staked = Number(money.rows[0].staked);
+    const net = Math.round((credited - staked) * 100) / 100;
+
+    return {
+      ...record.rows[0],
+      moneyWon: Math.max(net, 0),
+      moneyLost: Math.max(-net, 0),
+      net,
+      recentGames: recent.rows
+        .sort((a, b) => new Date(b.match_date) - new Date(a.match_date))
+        .slice(0, limit),
+    };
+  }
+
+  // Small enough to ride along on socket payloads
+  async getSummary(userId, opponentId) {
+    const h2h = await this.getHeadToHead(userId, opponentId, { limit: 1 });
+    return {
+      games: h2h.games,
+      wins: h2h.wins,
+      draws: h2h.draws,
+      losses: h2h.losses,
+      net: h2h.net,
+      lastOutcome: h2h.recentGames[0]?.outcome || null,
+      lastPlayedAt: h2h.last_played_at,
+    };
+  }
+}
+
+export default new HeadToHeadService();
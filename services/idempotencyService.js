@@ -0,0 +1,203 @@
+// Persisted idempotency keys for outgoing money movements.
+// The first caller for a key runs the operation; every later caller gets the
+// stored outcome back, so two checkers finding the same result can't both
+// trigger an M-Pesa withdrawal.
+import pool from "../config/database.js";
+
+class IdempotencyService {
+  constructor() {
+    // An in_progress key older than this is assumed to belong to a process
+    // that died mid-operation; the next caller settles it from the payments
+    // table or parks it for review
+    this.leaseSeconds = parseInt(process.env.IDEMPOTENCY_LEASE_SECONDS) || 600;
+  }
+
+  // Canonical key for a per-player money movement on a challenge
+  challengeKey(challengeId, action, userId) {
+    return `challenge:${challengeId}:${action}:${userId}`;
+  }
+
+  async get(key) {
+    const result = await pool.query(
+      "SELECT * FROM idempotency_keys WHERE key = $1",
+      [key]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Run fn once per key.
+   * - First call: claims the key, runs fn, stores its result.
+   * - Repeat call: returns the stored result with duplicate: true.
+   * - Call while the first is still running: returns inProgress: true.
+   * - Call after the first has sat in_progress past the lease (its process
+   *   crashed): fn is NOT run again, the provider may already have sent the
+   *   money. The payment the first run recorded settles the key; without one
+   *   the key is marked needs_review and inProgress is returned.
+   * A result with success === false is stored as failed but still returned
+   * on repeat calls - retrying a failed withdrawal is a manual decision.
+   */
+  async execute(key, operation, fn, requestData = null) {
+    const claim = await pool.query(
+      `INSERT INTO idempotency_keys (key, operation, request_data)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (key) DO NOTHING
+       RETURNING *`,
+      [key, operation, requestData ? JSON.stringify(requestData) : null]
+    );
+
+    if (claim.rows.length === 0) {
+      const expired = await this.claimExpired(key);
+      if (expired) {
+        return this.settleExpired(expired);
+      }
+
+      const existing = await this.get(key);
+      console.log(
+        `🔁 [IDEMPOTENCY] ${key} already ${existing?.status} - returning original outcome`
+      );
+
+      if (existing?.status === "in_progress" || existing?.status === "needs_review") {
+        return {
+          success: false,
+          inProgress: true,
+          duplicate: true,
+          needsReview: existing.status === "needs_review",
+          idempotencyKey: key,
+          error:
+            existing.status === "needs_review"
+              ? "Operation outcome unknown - waiting for manual review"
+              : "Operation already in progress",
+        };
+      }
+
+      return {
+        ...(existing?.response_data || {}),
+        success: existing?.status === "completed",
+        duplicate: true,
+        idempotencyKey: key,
+      };
+    }
+
+    return this.run(key, fn);
+  }
+
+  /**
+   * Forget a failed outcome so the next execute() runs the operation again.
+   * Completed and in-progress keys are left alone.
+   * @returns {Promise<boolean>} true when a failed key was removed
+   */
+  async resetFailed(key, client = pool) {
+    const result = await client.query(
+      "DELETE FROM idempotency_keys WHERE key = $1 AND status = 'failed'",
+      [key]
+    );
+    if (result.rowCount > 0) {
+      console.log(`♻️ [IDEMPOTENCY] Cleared failed outcome for ${key}`);
+    }
+    return result.rowCount > 0;
+  }
+
+  // Take an in_progress key whose lease ran out out of circulation. Only one
+  // caller wins the UPDATE; everyone after it sees needs_review.
+  async claimExpired(key) {
+    const result = await pool.query(
+      `UPDATE idempotency_keys
+       SET status = 'needs_review', updated_at = NOW()
+       WHERE key = $1 AND status = 'in_progress'
+       AND updated_at < NOW() - ($2 || ' seconds')::interval
+       RETURNING *`,
+      [key, String(this.leaseSeconds)]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Settle a key whose process died mid-operation. If it got as far as
+   * recording the payment, that row is the outcome (a pending M-Pesa payout
+   * is then finished by its callback or the reconciler). Otherwise nobody can
+   * tell whether money moved, so the key stays needs_review for an admin.
+   */
+  async settleExpired(row) {
+    const payment = await this.findRecordedPayment(row);
+
+    if (payment) {
+      const outcome = { success: true, data: payment, recovered: true };
+      await pool.query(
+        `UPDATE idempotency_keys
+         SET status = 'completed', response_data = $2, error = NULL, updated_at = NOW()
+         WHERE key = $1`,
+        [row.key, JSON.stringify(outcome)]
+      );
+      console.warn(
+        `⚠️ [IDEMPOTENCY] ${row.key} outlived its lease - settled from payment ${payment.request_id}`
+      );
+      return { ...outcome, duplicate: true, idempotencyKey: row.key };
+    }
+
+    await pool.query(
+      "UPDATE idempotency_keys SET error = $2 WHERE key = $1",
+      [row.key, `In progress for over ${this.leaseSeconds}s with no payment recorded`]
+    );
+    console.error(
+      `🚨 [IDEMPOTENCY] ${row.key} outlived its lease with no payment recorded - needs review`
+    );
+    return {
+      success: false,
+      inProgress: true,
+      duplicate: true,
+      needsReview: true,
+      idempotencyKey: row.key,
+      error: "Operation outcome unknown - waiting for manual review",
+    };
+  }
+
+  // The payment a challenge key's operation recorded after the key was
+  // claimed (PAY_/BAL_/REF_ rows from executeWithdrawal, wallet refunds)
+  async findRecordedPayment(row) {
+    const match = String(row.key).match(/^challenge:(\d+):(payout|refund):(\d+)$/);
+    if (!match) return null;
+
+    const [, challengeId, action, userId] = match;
+    const types = action === "refund" ? ["refund"] : ["payout", "balance_credit"];
+    const result = await pool.query(
+      `SELECT * FROM payments
+       WHERE challenge_id = $1 AND user_id = $2
+         AND transaction_type = ANY($3)
+         AND created_at >= (SELECT created_at FROM idempotency_keys WHERE key = $4)
+       ORDER BY created_at ASC
+       LIMIT 1`,
+      [challengeId, userId, types, row.key]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Run fn for a claimed key and store its outcome
+  async run(key, fn) {
+    try {
+      const result = await fn();
+      const status = result && result.success === false ? "failed" : "completed";
+
+      await pool.query(
+        `UPDATE idempotency_keys
+         SET status = $2, response_data = $3, error = $4, updated_at = NOW()
+         WHERE key = $1`,
+        [key, status, JSON.stringify(result ?? null), result?.error || null]
+      );
+
+      return result;
+    } catch (error) {
+      await pool.query(
+        `UPDATE idempotency_keys
+         SET status = 'failed', error = $2, updated_at = NOW()
+         WHERE key = $1`,
+        [key, error.message]
+      );
+      throw error;
+    }
+  }
+}
+
+const idempotencyService = new IdempotencyService();
+export default idempotencyService;
@@ -0,0 +1,121 @@
+// Runs the app's singleton background work (payment timeouts, reconciler,
+// settlement, result checkers, manual-result escalation, queue pruning) on
+// one instance at a time. The instance whose session holds a Postgres
+// advisory lock is the leader; the others keep trying and take over when
+// the leader's connection goes away, since the lock goes with it.
+//
+// A leader only notices it lost its session when the connection reports an
+// error or ends, or at the next health check - by then another instance may
+// already be leading. Two leaders can overlap briefly, so singleton jobs must
+// stay idempotent: money moves only through escrow claims and idempotency
+// keys, never on the strength of holding this lock.
+import pool from "../config/database.js";
+import realtimeConfig from "../config/realtime.js";
+
+// Arbitrary app-wide key for pg_try_advisory_lock
+const LEADER_LOCK_KEY = 727_001;
+
+class LeaderLock {
+  constructor(config = realtimeConfig) {
+    this.retryMs = config.leaderRetrySeconds * 1000;
+    this.client = null;
+    this.isLeader = false;
+    this.acquiring = false;
+    this.intervalId = null;
+    this.callbacks = {};
+  }
+
+  /**
+   * Start competing for leadership.
+   * @param {Object} callbacks
+   * @param {() => void} callbacks.onAcquire - Start the singleton work
+   * @param {() => void} callbacks.onRelease - Stop it again (lost the lock)
+   */
+  start(callbacks) {
+    if (this.intervalId) return;
+    this.callbacks = callbacks;
+
+    const tick = () =>
+      this.tick().catch((error) =>
+        console.error("❌ [LEADER] Leadership check failed:", error.message)
+      );
+    this.intervalId = setInterval(tick, this.retryMs);
+    tick();
+  }
+
+  // Followers try to take the lock; the leader checks it still has its session
+  async tick() {
+    if (this.isLeader) {
+      const client = this.client;
+      try {
+        await client.query("SELECT 1");
+      } catch (error) {
+        this.lose(error.message, client);
+      }
+      return;
+    }
+    await this.tryAcquire();
+  }
+
+  async tryAcquire() {
+    if (this.acquiring) return;
+    this.acquiring = true;
+
+    let client = null;
+    try {
+      client = await pool.connect();
+      const result = await client.query("SELECT pg_try_advisory_lock($1) AS acquired", [
+        LEADER_LOCK_KEY,
+      ]);
+      if (!result.rows[0].acquired) {
+        client.release();
+        return;
+      }
+
+      // Either means the session, and with it the lock, is gone
+      client.on("error", (error) => this.lose(error.message, client));
+      client.on("end", () => this.lose("connection ended", client));
+      this.client = client;
+      this.isLeader = true;
+      console.log("👑 [LEADER] This instance now runs the background jobs");
+      this.callbacks.onAcquire?.();
+    } catch (error) {
+      client?.release(true);
+      throw error;
+    } finally {
+      this.acquiring = false;
+    }
+  }
+
+  lose(reason, client) {
+    // Late events from a connection this instance no longer leads with
+    if (!this.isLeader || client !== this.client) return;
+    this.isLeader = false;
+    this.client.release(true);
+    this.client = null;
+
+    console.warn(`⚠️ [LEADER] Lost leadership (${reason}) - stopping background jobs`);
+    this.callbacks.onRelease?.();
+  }
+
+  /**
+   * Stop competing and hand the lock to another instance. The caller stops
+   * its own background work on shutdown.
+   */
+  async stop() {
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+    if (!this.isLeader) return;
+
+    this.isLeader = false;
+    try {
+      await this.client.query("SELECT pg_advisory_unlock($1)", [LEADER_LOCK_KEY]);
+      this.client.release();
+    } catch (error) {
+      this.client.release(true);
+    }
+    this.client = null;
+  }
+}
+
+export default new LeaderLock();
@@ -0,0 +1,238 @@
+// Player rankings. Every board is a "ranked" query (user_id, rank, board
+// specific columns) built from match_results, payments or user_ratings;
+// pagination and the requester's own rank are shared on top of it.
+import pool from "../config/database.js";
+import leaderboardConfig from "../config/leaderboards.js";
+import { RATING_CATEGORIES } from "./ratingService.js";
+
+// Results that settle a challenge without a game being played
+export const NOT_PLAYED_RESULTS = ["aborted", "void"];
+
+export class LeaderboardError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "LeaderboardError";
+  }
+}
+
+class LeaderboardService {
+  constructor(config = leaderboardConfig) {
+    this.config = config;
+    this.boards = {
+      rating: (options) => this.ratingBoard(options),
+      winnings: (options) => this.winningsBoard(options),
+      winrate: (options) => this.winRateBoard(options),
+      streak: (options) => this.streakBoard(options),
+    };
+  }
+
+  getBoards() {
+    return Object.keys(this.boards);
+  }
+
+  getWindows() {
+    return Object.keys(this.config.windows);
+  }
+
+  // One row per player per played game in the window, oldest first.
+  // Only the latest result of each challenge counts.
+  playerGamesSql() {
+    return `
+      latest_results AS (
+        SELECT DISTINCT ON (mr.challenge_id) mr.challenge_id, mr.winner_id, mr.match_date
+        FROM match_results mr
+        WHERE mr.result <> ALL($2::text[])
+          AND ($1::interval IS NULL OR mr.match_date >= NOW() - $1::interval)
+        ORDER BY mr.challenge_id, mr.match_date DESC
+      ),
+      player_games AS (
+        SELECT p.user_id, lr.match_date,
+               CASE WHEN lr.winner_id IS NULL THEN 'draw'
+                    WHEN lr.winner_id = p.user_id THEN 'win'
+                    ELSE 'loss' END AS outcome
+        FROM latest_results lr
+        JOIN challenges c ON c.id = lr.challenge_id
+        CROSS JOIN LATERAL (VALUES (c.challenger), (c.opponent)) AS p(user_id)
+      )`;
+  }
+
+  // Current internal rating (best category unless one is asked for),
+  // limited to players who played a rated game in the window
+  ratingBoard({ interval, category }) {
+    return {
+      sql: `
+        WITH best AS (
+          SELECT DISTINCT ON (ur.user_id) ur.user_id, ur.category, ur.rating,
+                 ur.peak_rating, ur.games_played
+          FROM user_ratings ur
+          WHERE ($2::text IS NULL OR ur.category = $2)
+            AND ($1::interval IS NULL OR EXISTS (
+              SELECT 1 FROM rating_history h
+              WHERE h.user_id = ur.user_id AND h.category = ur.category
+                AND h.created_at >= NOW() - $1::interval))
+          ORDER BY ur.user_id, ur.rating DESC
+        ),
+        ranked AS (
+          SELECT best.*, RANK() OVER (ORDER BY rating DESC) AS rank FROM best
+        )`,
+      params: [interval, category],
+    };
+  }
+
+  // Money won minus stakes put in, over settled challenges
+  winningsBoard({ interval }) {
+    return {
+      sql: `
+        WITH totals AS (
+          SELECT p.user_id,
+                 COALESCE(SUM(p.amount) FILTER (
+                   WHERE p.transaction_type IN ('payout', 'balance_credit', 'refund')), 0)
+                 - COALESCE(SUM(p.amount) FILTER (
+                   WHERE p.transaction_type IN ('deposit', 'stake')), 0) AS net_winnings,
+                 COUNT(DISTINCT p.challenge_id) AS challenges
+          FROM payments p
+          WHERE p.challenge_id IS NOT NULL
+            AND p.status = 'completed'
+            AND ($1::interval IS NULL OR p.created_at >= NOW() - $1::interval)
+          GROUP BY p.user_id
+        ),
+        ranked AS (
+          SELECT totals.*, RANK() OVER (ORDER BY net_winnings DESC) AS rank FROM totals
+        )`,
+      params: [interval],
+    };
+  }
+
+  winRateBoard({ interval, minGames }) {
+    return {
+      sql: `
+        WITH ${this.playerGamesSql()},
+        records AS (
+          SELECT user_id,
+                 COUNT(*) AS games,
+                 COUNT(*) FILTER (WHERE outcome = 'win') AS wins,
+                 COUNT(*) FILTER (WHERE outcome = 'loss') AS losses,
+                 COUNT(*) FILTER (WHERE outcome = 'draw') AS draws
+          FROM player_games
+          GROUP BY user_id
+          HAVING COUNT(*) >= $3
+        ),
+        ranked AS (
+          SELECT records.*, ROUND(100.0 * wins / games, 1) AS win_rate,
+                 RANK() OVER (ORDER BY 1.0 * wins / games DESC, games DESC) AS rank
+          FROM records
+        )`,
+      params: [interval, NOT_PLAYED_RESULTS, minGames],
+    };
+  }
+
+  // Longest run of consecutive wins inside the window
+  streakBoard({ interval }) {
+    return {
+      sql: `
+        WITH ${this.playerGamesSql()},
+        runs AS (
+          SELECT user_id, outcome, match_date,
+                 ROW_NUMBER() OVER (PARTITION BY user_id ORDER BY match_date)
+                 - ROW_NUMBER() OVER (PARTITION BY user_id, outcome ORDER BY match_date) AS run
+          FROM player_games
+        ),
+        streaks AS (
+          SELECT user_id, COUNT(*) AS streak, MAX(match_date) AS streak_ended_at
+          FROM runs
+          WHERE outcome = 'win'
+          GROUP BY user_id, run
+        ),
+        best AS (
+          SELECT DISTINCT ON (user_id) user_id, streak AS longest_streak, streak_ended_at
+          FROM streaks
+          ORDER BY user_id, streak DESC, streak_ended_at DESC
+        ),
+        ranked AS (
+          SELECT best.*, RANK() OVER (ORDER BY longest_streak DESC) AS rank FROM best
+        )`,
+      params: [interval, NOT_PLAYED_RESULTS],
+    };
+  }
+
+  /**
+   * One page of a leaderboard.
+   * @param {string} board - rating | winnings | winrate | streak
+   * @param {Object} options
+   * @param {string} [options.window] - daily | weekly | monthly | all
+   * @param {number} [options.page] - 1-based
+   * @param {number} [options.limit]
+   * @param {number} [options.userId] - Requester, whose own rank is returned
+   * @param {string} [options.category] - Rating board only
+   * @param {number} [options.minGames] - Win-rate board only
+   * @returns {Promise<{ board, window, page, limit, total, entries, me }>}
+   */
+  async getLeaderboard(
+    board,
+    { window = "all", page = 1, limit, userId = null, category = null, minGames } = {}
+  ) {
+    if (!Object.hasOwn(this.boards, board)) {
+      throw new LeaderboardError(`Leaderboard must be one of: ${this.getBoards().join(", ")}`);
+    }
+    if (!Object.hasOwn(this.config.windows, window)) {
+      throw new LeaderboardError(`Window must be one of: ${this.getWindows().join(", ")}`);
+    }
+    if (category && !RATING_CATEGORIES.includes(category)) {
+      throw new LeaderboardError(`Category must be one of: ${RATING_CATEGORIES.join(", ")}`);
+    }
+
+    const pageSize = Math.min(
+      Math.max(parseInt(limit) || this.config.defaultPageSize, 1),
+      this.config.maxPageSize
+    );
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const threshold = Math.max(
+      parseInt(minGames) || this.config.minGamesForWinRate,
+      this.config.minGamesForWinRate
+    );
+
+    const { sql, params } = this.boards[board]({
+      interval: this.config.windows[window],
+      category: category || null,
+      minGames: threshold,
+    });
+    const next = params.length;
+
+    const [entries, total, me] = await Promise.all([
+      pool.query(
+        `${sql}
+         SELECT ranked.*, u.username
+         FROM ranked
+         JOIN users u ON u.id = ranked.user_id
+         ORDER BY ranked.rank, u.username
+         LIMIT $${next + 1} OFFSET $${next + 2}`,
+        [...params, pageSize, (pageNumber - 1) * pageSize]
+      ),
+      pool.query(`${sql} SELECT COUNT(*)::int AS total FROM ranked`, params),
+      userId
+        ? pool.query(
+            `${sql}
+             SELECT ranked.*, u.username
+             FROM ranked
+             JOIN users u ON u.id = ranked.user_id
+             WHERE ranked.user_id = $${next + 1}`,
+            [...params, userId]
+          )
+        : Promise.resolve({ rows: [] }),
+    ]);
+
+    return {
+      board,
+      window,
+      page: pageNumber,
+      limit: pageSize,
+      total: total.rows[0].total,
+      ...(board === "winrate" && { minGames: threshold }),
+      ...(board === "rating" && { category: category || "best" }),
+      entries: entries.rows,
+      me: me.rows[0] || null,
+    };
+  }
+}
+
+export default new LeaderboardService();
@@ -0,0 +1,521 @@
+// Double-entry ledger for every movement of money on the platform.
+// Each balance change is a journal entry whose postings sum to zero;
+// users.balance is only a cache of the user's wallet account.
+import pool from "../config/database.js";
+
+// Wallet, escrow and house accounts hold money owed to someone (credit-normal).
+// The M-Pesa clearing account mirrors cash held at the provider (debit-normal).
+const DEBIT_NORMAL_TYPES = ["mpesa_clearing"];
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+class LedgerService {
+  // ---- Account helpers ----------------------------------------------------
+
+  userWallet(userId) {
+    return {
+      code: `user:${userId}`,
+      type: "user_wallet",
+      userId: Number(userId),
+    };
+  }
+
+  escrow(challengeId) {
+    return {
+      code: `escrow:${challengeId}`,
+      type: "escrow",
+      challengeId: Number(challengeId),
+    };
+  }
+
+  house(name = "fees") {
+    return { code: `house:${name}`, type: "house" };
+  }
+
+  mpesaClearing() {
+    return { code: "clearing:mpesa", type: "mpesa_clearing" };
+  }
+
+  // Run fn inside a transaction, reusing the caller's client if one is passed
+  async withTransaction(fn, client = null) {
+    if (client) {
+      return fn(client);
+    }
+
+    const ownClient = await pool.connect();
+    try {
+      await ownClient.query("BEGIN");
+      const result = await fn(ownClient);
+      await ownClient.query("COMMIT");
+      return result;
+    } catch (error) {
+      await ownClient.query("ROLLBACK");
+      throw error;
+    } finally {
+      ownClient.release();
+    }
+  }
+
+  async ensureAccount(account, client = pool) {
+    const result = await client.query(
+      `INSERT INTO ledger_accounts (code, account_type, user_id, challenge_id)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (code) DO UPDATE SET code = EXCLUDED.code
+       RETURNING *`,
+      [account.code, account.type, account.userId || null, account.challengeId || null]
+    );
+    return result.rows[0];
+  }
+
+  // ---- Posting -------------------------------------------------------------
+
+  /**
+   * Book a balanced journal entry.
+   * postings: [{ account, direction: 'debit' | 'credit', amount }]
+   * Returns { entry, duplicate } - duplicate is true when the reference was
+   * already booked, in which case nothing is written.
+   */
+  async postEntry(
+    { entryType, reference, description, challengeId, paymentId, metadata, postings },
+    client = null
+  ) {
+    if (!reference) {
+      throw new Error("Ledger entry requires a reference");
+    }
+    if (!Array.isArray(postings) || postings.length < 2) {
+      throw new Error(`Ledger entry ${reference} needs at least two postings`);
+    }
+
+    let debits = 0;
+    let credits = 0;
+    for (const posting of postings) {
+      const cents = toCents(posting.amount);
+      if (!Number.isFinite(cents) || cents <= 0) {
+        throw new Error(
+          `Ledger entry ${reference} has an invalid amount: ${posting.amount}`
+        );
+      }
+      if (posting.direction === "debit") debits += cents;
+      else if (posting.direction === "credit") credits += cents;
+      else throw new Error(`Invalid posting direction: ${posting.direction}`);
+    }
+
+    if (debits !== credits) {
+      throw new Error(
+        `Unbalanced ledger entry ${reference}: debits ${debits / 100} != credits ${credits / 100}`
+      );
+    }
+
+    return this.withTransaction(async (tx) => {
+      const entryResult = await tx.query(
+        `INSERT INTO ledger_entries
+           (entry_type, reference, description, challenge_id, payment_id, metadata)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (reference) DO NOTHING
+         RETURNING *`,
+        [
+          entryType,
+          reference,
+          description || null,
+          challengeId || null,
+          paymentId || null,
+          metadata ? JSON.stringify(metadata) : null,
+        ]
+      );
+
+      if (entryResult.rows.length === 0) {
+        console.log(`⏭️ [LEDGER] Entry ${reference} already booked - skipping`);
+        return { entry: null, duplicate: true };
+      }
+
+      const entry = entryResult.rows[0];
+      const touchedUsers = new Set();
+
+      for (const posting of postings) {
+        const account = await this.ensureAccount(posting.account, tx);
+        await tx.query(
+          `INSERT INTO ledger_postings (entry_id, account_id, direction, amount)
+           VALUES ($1, $2, $3, $4)`,
+          [entry.id, account.id, posting.direction, Number(posting.amount).toFixed(2)]
+        );
+        if (account.account_type === "user_wallet" && account.user_id) {
+          touchedUsers.add(account.user_id);
+        }
+      }
+
+      for (const userId of touchedUsers) {
+        await this.refreshUserBalanceCache(userId, tx);
+      }
+
+      console.log(
+        `📒 [LEDGER] Booked ${entryType} entry ${reference} (${debits / 100} KES)`
+      );
+      return { entry, duplicate: false };
+    }, client);
+  }
+
+  // Move amount from one account to another (debit source, credit destination)
+  async transfer({ from, to, amount, ...entry }, client = null) {
+    return this.postEntry(
+      {
+        ...entry,
+        postings: [
+          { account: from, direction: "debit", amount },
+          { account: to, direction: "credit", amount },
+        ],
+      },
+      client
+    );
+  }
+
+  // ---- Payment-driven entries ---------------------------------------------
+
+  // Cash arrived at M-Pesa: credit the challenge escrow (stake) or the wallet (top-up)
+  async recordDeposit(payment, client = null) {
+    return this.transfer(
+      {
+        from: this.mpesaClearing(),
+        to: payment.challenge_id
+          ? this.escrow(payment.challenge_id)
+          : this.userWallet(payment.user_id),
+        amount: payment.amount,
+        entryType: "deposit",
+        reference: `payment:${payment.request_id}`,
+        description: payment.challenge_id
+          ? `Stake deposit for challenge ${payment.challenge_id}`
+          : "Wallet deposit",
+        challengeId: payment.challenge_id,
+        paymentId: payment.id,
+        metadata: { userId: payment.user_id },
+      },
+      client
+    );
+  }
+
+  // Winnings or refund kept on the platform: escrow -> user wallet
+  async recordWalletCredit(payment, client = null) {
+    return this.transfer(
+      {
+        from: this.escrow(payment.challenge_id),
+        to: this.userWallet(payment.user_id),
+        amount: payment.amount,
+        entryType: payment.transaction_type,
+        reference: `payment:${payment.request_id}`,
+        description: payment.notes || `Credited to wallet for challenge ${payment.challenge_id}`,
+        challengeId: payment.challenge_id,
+        paymentId: payment.id,
+        metadata: { userId: payment.user_id },
+      },
+      client
+    );
+  }
+
+  // Money left through M-Pesa: escrow (challenge payout/refund) or wallet (withdrawal) -> clearing
+  async recordMpesaDisbursement(payment, client = null) {
+    return this.transfer(
+      {
+        from: payment.challenge_id
+          ? this.escrow(payment.challenge_id)
+          : this.userWallet(payment.user_id),
+        to: this.mpesaClearing(),
+        amount: payment.amount,
+        entryType: payment.transaction_type,
+        reference: `payment:${payment.request_id}`,
+        description: payment.notes || `M-Pesa ${payment.transaction_type}`,
+        challengeId: payment.challenge_id,
+        paymentId: payment.id,
+        metadata: { userId: payment.user_id },
+      },
+      client
+    );
+  }
+
+  // Platform fee (rake) taken out of the pot before payout: escrow -> house
+  async recordPlatformFee(payment, client = null) {
+    return this.transfer(
+      {
+        from: this.escrow(payment.challenge_id),
+        to: this.house("fees"),
+        amount: payment.amount,
+        entryType: "platform_fee",
+        reference: `payment:${payment.request_id}`,
+        description: payment.notes || `Platform fee for challenge ${payment.challenge_id}`,
+        challengeId: payment.challenge_id,
+        paymentId: payment.id,
+        metadata: { userId: payment.user_id },
+      },
+      client
+    );
+  }
+
+  // Book a payment that the provider has just confirmed as completed
+  async recordCompletedPayment(payment, client = null) {
+    if (!payment?.request_id) {
+      return { entry: null, duplicate: false, skipped: true };
+    }
+
+    if (payment.transaction_type === "deposit") {
+      return this.recordDeposit(payment, client);
+    }
+
+    if (["payout", "refund", "withdrawal"].includes(payment.transaction_type)) {
+      return this.recordMpesaDisbursement(payment, client);
+    }
+
+    console.warn(
+      `⚠️ [LEDGER] No ledger mapping for completed ${payment.transaction_type} payment ${payment.request_id}`
+    );
+    return { entry: null, duplicate: false, skipped: true };
+  }
+
+  // ---- Balances ------------------------------------------------------------
+
+  async getAccountBalance(code, client = pool) {
+    const result = await client.query(
+      `SELECT
+         la.account_type,
+         COALESCE(SUM(CASE WHEN lp.direction = 'credit' THEN lp.amount ELSE 0 END), 0) AS credits,
+         COALESCE(SUM(CASE WHEN lp.direction = 'debit' THEN lp.amount ELSE 0 END), 0) AS debits
+       FROM ledger_accounts la
+       LEFT JOIN ledger_postings lp ON lp.account_id = la.id
+       WHERE la.code = $1
+       GROUP BY la.id`,
+      [code]
+    );
+
+    if (result.rows.length === 0) return 0;
+
+    const { account_type, credits, debits } = result.rows[0];
+    const balance = DEBIT_NORMAL_TYPES.includes(account_type)
+      ? parseFloat(debits) - parseFloat(credits)
+      : parseFloat(credits) - parseFloat(debits);
+    return Math.round(balance * 100) / 100;
+  }
+
+  async getUserBalance(userId, client = pool) {
+    return this.getAccountBalance(this.userWallet(userId).code, client);
+  }
+
+  async getEscrowBalance(challengeId, client = pool) {
+    return this.getAccountBalance(this.escrow(challengeId).code, client);
+  }
+
+  // users.balance is derived from the ledger - never update it any other way
+  async refreshUserBalanceCache(userId, client = pool) {
+    const balance = await this.getUserBalance(userId, client);
+    await client.query(
+      `UPDATE users SET balance = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+      [balance, userId]
+    );
+    return balance;
+  }
+
+  // ---- Reconciliation ------------------------------------------------------
+
+  /**
+   * Book the current users.balance as an opening entry for users with no
+   * ledger history, and the stakes of backfilled escrows (see
+   * seedOpeningEscrowBalances). The first posting to a wallet rewrites
+   * users.balance from the ledger, so this has to run before anything posts
+   * (app startup does). Safe to run repeatedly: accounts that already have
+   * postings are skipped and the entry reference is unique per account.
+   */
+  async seedOpeningBalances() {
+    const result = await pool.query(`
+      SELECT u.id
+      FROM users u
+      WHERE COALESCE(u.balance, 0) <> 0
+      AND NOT EXISTS (
+        SELECT 1 FROM ledger_accounts la
+        JOIN ledger_postings lp ON lp.account_id = la.id
+        WHERE la.code = 'user:' || u.id
+      )
+    `);
+
+    let seeded = 0;
+    for (const { id } of result.rows) {
+      const booked = await this.withTransaction(async (client) => {
+        // Lock the user and re-check, another instance may have seeded or
+        // posted since the scan above
+        const userResult = await client.query(
+          `SELECT u.balance,
+                  EXISTS (
+                    SELECT 1 FROM ledger_accounts la
+                    JOIN ledger_postings lp ON lp.account_id = la.id
+                    WHERE la.code = 'user:' || u.id
+                  ) AS has_postings
+           FROM users u WHERE u.id = $1 FOR UPDATE`,
+          [id]
+        );
+        const user = userResult.rows[0];
+        const amount = parseFloat(user?.balance || 0);
+        if (!user || user.has_postings || amount === 0) return false;
+
+        const wallet = this.userWallet(id);
+        const opening = this.house("opening_balances");
+        const { duplicate } = await this.transfer(
+          {
+            from: amount > 0 ? opening : wallet,
+            to: amount > 0 ? wallet : opening,
+            amount: Math.abs(amount),
+            entryType: "opening_balance",
+            reference: `opening:user:${id}`,
+            description: "Opening balance carried over from users.balance",
+          },
+          client
+        );
+        return !duplicate;
+      });
+      if (booked) seeded++;
+    }
+
+    console.log(`📒 [LEDGER] Seeded opening balances for ${seeded} users`);
+
+    await this.seedOpeningEscrowBalances();
+    return seeded;
+  }
+
+  /**
+   * Escrows backfilled from completed deposits made before the ledger existed
+   * hold stakes that were never booked into escrow:<challengeId>. Book the
+   * funded sides' stakes from the opening account so payouts and refunds
+   * don't drive the escrow account negative.
+   */
+  async seedOpeningEscrowBalances() {
+    const result = await pool.query(`
+      SELECT ce.challenge_id
+      FROM challenge_escrows ce
+      WHERE ce.state IN ('partially_funded', 'funded', 'disputed')
+      AND NOT EXISTS (
+        SELECT 1 FROM ledger_accounts la
+        JOIN ledger_postings lp ON lp.account_id = la.id
+        WHERE la.code = 'escrow:' || ce.challenge_id
+      )
+    `);
+
+    let seeded = 0;
+    for (const { challenge_id: challengeId } of result.rows) {
+      const booked = await this.withTransaction(async (client) => {
+        // Same lock recordDeposit takes, then re-check for postings
+        const escrowResult = await client.query(
+          `SELECT ce.stake_amount, ce.challenger_funded, ce.opponent_funded,
+                  EXISTS (
+                    SELECT 1 FROM ledger_accounts la
+                    JOIN ledger_postings lp ON lp.account_id = la.id
+                    WHERE la.code = 'escrow:' || ce.challenge_id
+                  ) AS has_postings
+           FROM challenge_escrows ce WHERE ce.challenge_id = $1 FOR UPDATE`,
+          [challengeId]
+        );
+        const escrow = escrowResult.rows[0];
+        if (!escrow || escrow.has_postings) return false;
+
+        const sides = Number(escrow.challenger_funded) + Number(escrow.opponent_funded);
+        const amount = Math.round(parseFloat(escrow.stake_amount) * 100 * sides) / 100;
+        if (amount <= 0) return false;
+
+        const { duplicate } = await this.transfer(
+          {
+            from: this.house("opening_balances"),
+            to: this.escrow(challengeId),
+            amount,
+            entryType: "opening_balance",
+            reference: `opening:escrow:${challengeId}`,
+            description: "Opening balance for stakes deposited before the ledger",
+            challengeId,
+          },
+          client
+        );
+        return !duplicate;
+      });
+      if (booked) seeded++;
+    }
+
+    console.log(`📒 [LEDGER] Seeded opening balances for ${seeded} escrows`);
+    return seeded;
+  }
+
+  /**
+   * Recompute every user's balance from the ledger and compare it with the
+   * cached users.balance. With fix=true the cache is overwritten.
+   */
+  async reconcile({ fix = false } = {}) {
+    const driftResult = await pool.query(`
+      SELECT
+        u.id AS user_id,
+        u.username,
+        COALESCE(u.balance, 0) AS cached_balance,
+        COALESCE(SUM(
+          CASE WHEN lp.direction = 'credit' THEN lp.amount
+               WHEN lp.direction = 'debit' THEN -lp.amount
+               ELSE 0 END
+        ), 0) AS ledger_balance
+      FROM users u
+      LEFT JOIN ledger_accounts la ON la.code = 'user:' || u.id
+      LEFT JOIN ledger_postings lp ON lp.account_id = la.id
+      GROUP BY u.id, u.username, u.balance
+      HAVING COALESCE(u.balance, 0) <> COALESCE(SUM(
+          CASE WHEN lp.direction = 'credit' THEN lp.amount
+               WHEN lp.direction = 'debit' THEN -lp.amount
+               ELSE 0 END
+        ), 0)
+      ORDER BY u.id
+    `);
+
+    const drift = driftResult.rows.map((row) => ({
+      userId: row.user_id,
+      username: row.username,
+      cachedBalance: parseFloat(row.cached_balance),
+      ledgerBalance: parseFloat(row.ledger_balance),
+      difference:
+        Math.round(
+          (parseFloat(row.cached_balance) - parseFloat(row.ledger_balance)) * 100
+        ) / 100,
+    }));
+
+    // Any entry whose postings do not net to zero is a bug, not drift
+    const unbalancedResult = await pool.query(`
+      SELECT le.id, le.reference,
+             SUM(CASE WHEN lp.direction = 'debit' THEN lp.amount ELSE -lp.amount END) AS imbalance
+      FROM ledger_entries le
+      JOIN ledger_postings lp ON lp.entry_id = le.id
+      GROUP BY le.id, le.reference
+      HAVING SUM(CASE WHEN lp.direction = 'debit' THEN lp.amount ELSE -lp.amount END) <> 0
+    `);
+
+    const negativeEscrowResult = await pool.query(`
+      SELECT la.challenge_id,
+             SUM(CASE WHEN lp.direction = 'credit' THEN lp.amount ELSE -lp.amount END) AS balance
+      FROM ledger_accounts la
+      JOIN ledger_postings lp ON lp.account_id = la.id
+      WHERE la.account_type = 'escrow'
+      GROUP BY la.challenge_id
+      HAVING SUM(CASE WHEN lp.direction = 'credit' THEN lp.amount ELSE -lp.amount END) < 0
+    `);
+
+    if (fix) {
+      for (const row of drift) {
+        await this.refreshUserBalanceCache(row.userId);
+      }
+    }
+
+    return {
+      checkedAt: new Date().toISOString(),
+      driftCount: drift.length,
+      drift,
+      fixed: fix ? drift.length : 0,
+      unbalancedEntries: unbalancedResult.rows.map((row) => ({
+        entryId: row.id,
+        reference: row.reference,
+        imbalance: parseFloat(row.imbalance),
+      })),
+      negativeEscrows: negativeEscrowResult.rows.map((row) => ({
+        challengeId: row.challenge_id,
+        balance: parseFloat(row.balance),
+      })),
+    };
+  }
+}
+
+const ledgerService = new LedgerService();
+export default ledgerService;
@@ -0,0 +1,472 @@
+// Manually reported match results. A single report no longer settles a
+// match: the opponent has to confirm it with a matching report, or the
+// reporter has to link a game that proves it. Reports that contradict each
+// other, or that nobody confirms in time, become a match dispute instead.
+import pool from "../config/database.js";
+import disputeConfig from "../config/disputes.js";
+import OngoingMatch from "../models/OngoingMatch.js";
+import disputeService, { DisputeError } from "./disputeService.js";
+import gameArchiveService from "./gameArchiveService.js";
+import gameVerificationService from "./gameVerificationService.js";
+import ledgerService from "./ledgerService.js";
+import PerMatchResultChecker from "./PerMatchResultChecker.js";
+import settlementScheduler from "./SettlementScheduler.js";
+import { getPlatformForUrl } from "./platforms/index.js";
+
+export class ManualResultError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = "ManualResultError";
+    this.statusCode = statusCode;
+  }
+}
+
+const RESULTS = ["win", "loss", "draw"];
+
+class ManualResultService {
+  constructor(config = disputeConfig) {
+    this.confirmationMinutes = config.reportConfirmationMinutes;
+    this.checkInterval = config.settlementIntervalSeconds * 1000;
+    this.running = false;
+    this.intervalId = null;
+    this.io = null; // Socket.IO instance for notifications
+  }
+
+  setSocketIO(io) {
+    this.io = io;
+  }
+
+  start() {
+    console.log(
+      `📝 [MANUAL_RESULT] Escalating manual reports unconfirmed after ${this.confirmationMinutes} minutes`
+    );
+
+    this.intervalId = setInterval(() => {
+      this.escalateExpiredReports().catch((error) =>
+        console.error("❌ [MANUAL_RESULT] Expiry run failed:", error.message)
+      );
+    }, this.checkInterval);
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  // Winner and loser a player's report claims (both null for a draw)
+  claimedOutcome(ongoingMatch, reporterId, result) {
+    const isChallenger = Number(reporterId) === Number(ongoingMatch.challenger_id);
+    const otherId = isChallenger ? ongoingMatch.opponent_id : ongoingMatch.challenger_id;
+
+    if (result === "win") return { winnerId: reporterId, loserId: otherId };
+    if (result === "loss") return { winnerId: otherId, loserId: reporterId };
+    return { winnerId: null, loserId: null };
+  }
+
+  /**
+   * Check a reported game URL actually proves the claimed outcome: it has to
+   * be a finished game between the two players, started after the match,
+   * played on the challenge terms, and won by the claimed winner.
+   */
+  async verifyGameUrl(gameUrl, ongoingMatch, claimedWinnerId) {
+    const chessPlatform = getPlatformForUrl(gameUrl);
+    if (!chessPlatform) {
+      console.log("🔍 Could not extract game ID from URL");
+      return false;
+    }
+
+    try {
+      const game = await chessPlatform.getGameByUrl(gameUrl, {
+        username: ongoingMatch.challenger_username,
+        since: ongoingMatch.match_started_at,
+      });
+      if (
+        !game ||
+        !game.finished ||
+        !chessPlatform.isBetween(
+          game,
+          ongoingMatch.challenger_username,
+          ongoingMatch.opponent_username
+        )
+      ) {
+        return false;
+      }
+
+      const terms = await pool.query(
+        "SELECT time_control, rules FROM challenges WHERE id = $1",
+        [ongoingMatch.challenge_id]
+      );
+      const verification = gameVerificationService.verify(game, {
+        timeControl: terms.rows[0]?.time_control,
+        rules: terms.rows[0]?.rules,
+        matchStartedAt: ongoingMatch.match_started_at,
+      });
+      if (!verification.passed) {
+        console.log(
+          `🔍 Game URL failed verification: ${verification.failures.map((f) => f.code).join(", ")}`
+        );
+        return false;
+      }
+
+      let gameWinnerId = null;
+      if (game.winner) {
+        const winnerName = game[game.winner].username;
+        gameWinnerId = chessPlatform.sameUser(winnerName, ongoingMatch.challenger_username)
+          ? ongoingMatch.challenger_id
+          : ongoingMatch.opponent_id;
+      }
+      return Number(gameWinnerId) === Number(claimedWinnerId) || (!gameWinnerId && !claimedWinnerId);
+    } catch (error) {
+      console.log("🔍 Error fetching game data for verification");
+      return false;
+    }
+  }
+
+  /**
+   * Record a player's result report and settle, wait or escalate.
+   * @param {Object} params
+   * @param {number} params.challengeId
+   * @param {number} params.reporterId - Authenticated user making the report
+   * @param {'win'|'loss'|'draw'} params.result - From the reporter's point of view
+   * @param {string} [params.gameUrl]
+   * @returns {Promise<{ status: 'settled'|'awaiting_confirmation'|'disputed',
+   *   report: Object, matchResult?: Object, dispute?: Object, ongoingMatch: Object }>}
+   */
+  async submitReport({ challengeId, reporterId, result, gameUrl = null }) {
+    if (!RESULTS.includes(result)) {
+      throw new ManualResultError(`Result must be one of: ${RESULTS.join(", ")}`);
+    }
+
+    const ongoingMatch = await OngoingMatch.findByChallenge(challengeId);
+    if (!ongoingMatch) {
+      throw new ManualResultError("Match not found", 404);
+    }
+    if (
+      Number(reporterId) !== Number(ongoingMatch.challenger_id) &&
+      Number(reporterId) !== Number(ongoingMatch.opponent_id)
+    ) {
+      throw new ManualResultError("Not authorized to report this match result", 403);
+    }
+    if (ongoingMatch.result_checked) {
+      throw new ManualResultError("A result has already been recorded for this match", 409);
+    }
+
+    const { winnerId, loserId } = this.claimedOutcome(ongoingMatch, reporterId, result);
+
+    let urlVerified = false;
+    if (gameUrl) {
+      urlVerified = await this.verifyGameUrl(gameUrl, ongoingMatch, winnerId);
+      console.log(`🔍 Game URL verification: ${urlVerified ? "PASSED" : "FAILED"}`);
+    }
+
+    // Lock the match so two reports arriving together see each other
+    const outcome = await ledgerService.withTransaction(async (client) => {
+      const locked = await client.query(
+        "SELECT result_checked FROM ongoing_matches WHERE id = $1 FOR UPDATE",
+        [ongoingMatch.id]
+      );
+      if (locked.rows[0]?.result_checked) {
+        throw new ManualResultError("A result has already been recorded for this match", 409);
+      }
+
+      const upserted = await client.query(
+        `INSERT INTO manual_result_reports
+           (challenge_id, ongoing_match_id, reporter_id, result, claimed_winner_id,
+            game_url, url_verified, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, NOW() + ($8 || ' minutes')::interval)
+         ON CONFLICT (challenge_id, reporter_id) DO UPDATE
+         SET result = EXCLUDED.result, claimed_winner_id = EXCLUDED.claimed_winner_id,
+             game_url = EXCLUDED.game_url, url_verified = EXCLUDED.url_verified,
+             updated_at = NOW()
+         WHERE manual_result_reports.status = 'pending'
+         RETURNING *`,
+        [
+          challengeId,
+          ongoingMatch.id,
+          reporterId,
+          result,
+          winnerId,
+          gameUrl,
+          urlVerified,
+          String(this.confirmationMinutes),
+        ]
+      );
+      if (upserted.rows.length === 0) {
+        throw new ManualResultError("Your report for this match has already been processed", 409);
+      }
+      const report = upserted.rows[0];
+
+      const agreed = { winnerId, loserId, result, gameUrl, reporterId, urlVerified };
+
+      if (urlVerified) {
+        await this.closeReports(challengeId, "verified", client);
+        const matchResult = await this.recordResult(ongoingMatch, agreed, client);
+        return { status: "settled", report, matchResult };
+      }
+
+      const other = await client.query(
+        `SELECT * FROM manual_result_reports
+         WHERE challenge_id = $1 AND reporter_id <> $2 AND status = 'pending'`,
+        [challengeId, reporterId]
+      );
+      const otherReport = other.rows[0];
+
+      if (!otherReport) {
+        return { status: "awaiting_confirmation", report };
+      }
+
+      if (Number(otherReport.claimed_winner_id) === Number(report.claimed_winner_id) ||
+          (!otherReport.claimed_winner_id && !report.claimed_winner_id)) {
+        await this.closeReports(challengeId, "confirmed", client);
+        const matchResult = await this.recordResult(ongoingMatch, agreed, client);
+        return { status: "settled", report, matchResult };
+      }
+
+      return { status: "disputed", report, reports: [otherReport, report] };
+    });
+
+    if (outcome.status === "settled") {
+      await this.afterSettle(ongoingMatch, { winnerId, loserId, gameUrl });
+      return { ...outcome, ongoingMatch };
+    }
+
+    if (outcome.status === "disputed") {
+      const dispute = await this.escalate(
+        ongoingMatch,
+        outcome.reports,
+        "Players reported conflicting results",
+        reporterId
+      );
+      return { status: "disputed", report: outcome.report, dispute, ongoingMatch };
+    }
+
+    this.notifyPlayer(
+      Number(reporterId) === Number(ongoingMatch.challenger_id)
+        ? ongoingMatch.opponent_id
+        : ongoingMatch.challenger_id,
+      "result-confirmation-requested",
+      {
+        challengeId,
+        reportedBy: reporterId,
+        claimedWinnerId: winnerId,
+        expiresAt: outcome.report.expires_at,
+        message: "Your opponent reported the result. Confirm it by reporting the same result.",
+      }
+    );
+    return { ...outcome, ongoingMatch };
+  }
+
+  async closeReports(challengeId, status, client = pool, disputeId = null) {
+    await client.query(
+      `UPDATE manual_result_reports
+       SET status = $2, dispute_id = $3, resolved_at = NOW(), updated_at = NOW()
+       WHERE challenge_id = $1 AND status = 'pending'`,
+      [challengeId, status, disputeId]
+    );
+  }
+
+  // Record an agreed (or proven) result. Runs in the transaction that closes
+  // the reports, so closed reports always come with a recorded result.
+  async recordResult(ongoingMatch, { winnerId, loserId, result, gameUrl, reporterId, urlVerified }, client) {
+    const challengeId = ongoingMatch.challenge_id;
+
+    const insertResult = await client.query(
+      `
+      INSERT INTO match_results (
+        challenge_id, winner_id, loser_id, result, platform,
+        game_url, match_date, reported_by, url_verified
+      ) VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP, $7, $8)
+      RETURNING *
+    `,
+      [
+        challengeId,
+        winnerId,
+        loserId,
+        result,
+        ongoingMatch.platform,
+        gameUrl || null,
+        reporterId,
+        urlVerified,
+      ]
+    );
+
+    await OngoingMatch.markResultChecked(ongoingMatch.id, winnerId, result, client);
+
+    await client.query(`UPDATE challenges SET status = 'completed' WHERE id = $1`, [
+      challengeId,
+    ]);
+
+    return insertResult.rows[0];
+  }
+
+  // Once the result is committed: stop checking, hold the payout for the
+  // dispute window and archive the game
+  async afterSettle(ongoingMatch, { winnerId, loserId, gameUrl }) {
+    const challengeId = ongoingMatch.challenge_id;
+
+    PerMatchResultChecker.stopCheckingMatch(ongoingMatch.id);
+
+    await this.schedulePayment(challengeId, winnerId, loserId);
+
+    // Pull the full game record in the background
+    (gameUrl
+      ? gameArchiveService.archiveFromUrl(challengeId, gameUrl, ongoingMatch)
+      : gameArchiveService.archiveForMatch(ongoingMatch)
+    ).catch((error) =>
+      console.error(
+        `❌ [MANUAL_RESULT] Failed to archive game for challenge ${challengeId}:`,
+        error.message
+      )
+    );
+  }
+
+  async schedulePayment(challengeId, winnerId, loserId) {
+    try {
+      const paymentResult = winnerId
+        ? { result: "win", winner_id: winnerId, loser_id: loserId }
+        : { result: "agreed" };
+
+      console.log(
+        `💰 Scheduling payment for manually reported result: ${paymentResult.result}`
+      );
+
+      const settlement = await settlementScheduler.scheduleResult(challengeId, paymentResult);
+
+      if (settlement.scheduled) {
+        console.log(
+          `Payout for challenge ${challengeId} due at ${settlement.dueAt.toISOString()}`
+        );
+      } else {
+        console.log(
+          `Payment processing completed for challenge ${challengeId}:`,
+          settlement.settlement
+        );
+      }
+    } catch (error) {
+      console.error(`Error processing payment for manual result:`, error);
+      // Don't throw - the result is recorded even if payment scheduling fails
+    }
+  }
+
+  // Hand contradicting or unconfirmed reports to an admin as a dispute
+  async escalate(ongoingMatch, reports, reason, openedBy) {
+    const challengeId = ongoingMatch.challenge_id;
+
+    let dispute;
+    try {
+      dispute = await this.openEscalation(ongoingMatch, reports, reason, openedBy);
+    } catch (error) {
+      if (!(error instanceof DisputeError)) throw error;
+      // Already disputed, or the stakes were settled (or never funded) some
+      // other way - the reports have nothing left to decide
+      await this.closeReports(challengeId, "superseded");
+      throw new ManualResultError(error.message, error.statusCode);
+    }
+
+    PerMatchResultChecker.stopCheckingMatch(ongoingMatch.id);
+
+    const payload = { disputeId: dispute.id, challengeId, reason };
+    this.notifyPlayer(ongoingMatch.challenger_id, "dispute-opened", payload);
+    this.notifyPlayer(ongoingMatch.opponent_id, "dispute-opened", payload);
+
+    return dispute;
+  }
+
+  // The dispute, closed reports and completed match in one transaction
+  async openEscalation(ongoingMatch, reports, reason, openedBy) {
+    const challengeId = ongoingMatch.challenge_id;
+    const single = reports.length === 1 ? reports[0] : null;
+
+    return ledgerService.withTransaction(async (client) => {
+      const row = await disputeService.escalate(
+        {
+          challengeId,
+          openedBy,
+          reason,
+          disputedResult: {
+            source: "manual_report",
+            winner_id: single?.claimed_winner_id ?? null,
+            reports: reports.map((r) => ({
+              reporterId: r.reporter_id,
+              result: r.result,
+              claimedWinnerId: r.claimed_winner_id,
+            })),
+          },
+          evidence: reports
+            .filter((r) => r.game_url)
+            .map((r) => ({ userId: r.reporter_id, gameUrl: r.game_url })),
+        },
+        client
+      );
+      await this.closeReports(challengeId, "disputed", client, row.id);
+      await client.query(
+        `UPDATE ongoing_matches
+         SET result_checked = TRUE, result = 'disputed', completed_at = COALESCE(completed_at, NOW())
+         WHERE id = $1`,
+        [ongoingMatch.id]
+      );
+      await client.query(`UPDATE challenges SET status = 'completed' WHERE id = $1`, [
+        challengeId,
+      ]);
+      return row;
+    });
+  }
+
+  // Reports the opponent never confirmed become disputes rather than payouts
+  async escalateExpiredReports() {
+    if (this.running) return { escalated: 0 };
+    this.running = true;
+    let escalated = 0;
+
+    try {
+      const expired = await pool.query(
+        `SELECT r.*, om.result_checked
+         FROM manual_result_reports r
+         JOIN ongoing_matches om ON om.challenge_id = r.challenge_id
+         WHERE r.status = 'pending' AND r.expires_at <= NOW()
+         ORDER BY r.expires_at ASC
+         LIMIT 50`
+      );
+
+      for (const report of expired.rows) {
+        try {
+          // The result checker found the game in the meantime
+          if (report.result_checked) {
+            await this.closeReports(report.challenge_id, "superseded");
+            continue;
+          }
+
+          const ongoingMatch = await OngoingMatch.findByChallenge(report.challenge_id);
+          await this.escalate(
+            ongoingMatch,
+            [report],
+            `Result not confirmed by opponent within ${this.confirmationMinutes} minutes`,
+            report.reporter_id
+          );
+          escalated++;
+        } catch (error) {
+          console.error(
+            `❌ [MANUAL_RESULT] Failed to escalate report ${report.id}:`,
+            error.message
+          );
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    if (escalated > 0) {
+      console.log(`⚖️ [MANUAL_RESULT] Escalated ${escalated} unconfirmed reports to disputes`);
+    }
+    return { escalated };
+  }
+
+  notifyPlayer(userId, event, data) {
+    if (!this.io || !userId) return;
+    this.io.to(userId.toString()).emit(event, data);
+  }
+}
+
+export default new ManualResultService();
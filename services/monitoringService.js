@@ -134,7 +134,7 @@ class MonitoringService {
           level: "warning",
           message: `${stuckCount} payment(s) stuck in pending state for >${this.thresholds.stuckPaymentMinutes} minutes`,
           value: stuckCount,
-          action: "Investigate payment callback issues or ONIT API status",
+          action: "Check the payment reconciler runs (POST /api/payments/reconcile to force one) and ONIT API status",
         });
       }
 
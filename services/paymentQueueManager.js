@@ -1,28 +1,37 @@
 /**
  * Payment queue manager
- * Handles concurrent payment requests and callbacks
+ * Handles concurrent payment requests and callbacks. Jobs are stored in
+ * Postgres (see JobQueue), so queued work survives a restart.
  */
 
-import RequestQueue from './RequestQueue.js';
+import JobQueue from './JobQueue.js';
 import paymentService from './paymentService.js';
-import pool from '../config/database.js';
+import paymentController from '../controllers/paymentController.js';
+import idempotencyService from './idempotencyService.js';
+
+// Queue names as stored in job_queue.queue, keyed the way stats are reported
+export const QUEUE_NAMES = {
+  payments: 'PAYMENT_QUEUE',
+  callbacks: 'CALLBACK_QUEUE',
+  withdrawals: 'WITHDRAWAL_QUEUE',
+};
 
 // Create separate queues for different operations
-const paymentQueue = new RequestQueue('PAYMENT_QUEUE', {
+const paymentQueue = new JobQueue(QUEUE_NAMES.payments, {
   maxConcurrent: 10, // Process 10 payment requests simultaneously
   maxQueueSize: 500,
   retryAttempts: 3,
   retryDelay: 2000,
 });
 
-const callbackQueue = new RequestQueue('CALLBACK_QUEUE', {
+const callbackQueue = new JobQueue(QUEUE_NAMES.callbacks, {
   maxConcurrent: 15, // Callbacks are critical, process more simultaneously
   maxQueueSize: 1000,
   retryAttempts: 5,
   retryDelay: 1000,
 });
 
-const withdrawalQueue = new RequestQueue('WITHDRAWAL_QUEUE', {
+const withdrawalQueue = new JobQueue(QUEUE_NAMES.withdrawals, {
   maxConcurrent: 8,
   maxQueueSize: 300,
   retryAttempts: 3,
@@ -38,65 +47,46 @@ async function processDeposit(data) {
   console.log(`💳 [PAYMENT_WORKER] Processing deposit: ${requestId}`);
   
   const result = await paymentService.initiateDeposit(
-    userId,
-    challengeId,
+    phone,
     amount,
-    phone
+    userId,
+    challengeId
   );
+
+  // A deposit the provider didn't accept must fail the job
+  if (!result?.success) {
+    throw new Error(result?.error || 'Deposit initiation failed');
+  }
   
   return result;
 }
 
 /**
- * Process payment callback
+ * Process payment callback. Goes through the same path as the HTTP callback
+ * route so the ledger, escrow and wallet holds are updated with the status.
  */
 async function processCallback(data) {
   const { callbackData } = data;
   
   console.log(`📞 [CALLBACK_WORKER] Processing callback: ${callbackData.originatorRequestId}`);
   
-  // Extract request ID
-  let requestId = callbackData.originatorRequestId || 
-                  callbackData.message?.split(':')[1]?.trim() ||
-                  callbackData.description;
-  
-  // Strip ONIT prefix if present
-  const prefixMatch = requestId?.match(/^\d+\|(.+)$/);
-  if (prefixMatch && prefixMatch[1]) {
-    requestId = prefixMatch[1];
-  }
-  
-  if (!requestId) {
-    throw new Error('No request ID found in callback data');
-  }
-  
-  // Update payment record
-  const query = `
-    UPDATE payments 
-    SET status = $1,
-        transaction_reference = $2,
-        callback_data = $3,
-        updated_at = NOW()
-    WHERE request_id = $4
-    RETURNING *
-  `;
-  
-  const status = callbackData.statusCode === '0' ? 'completed' : 'failed';
-  
-  const result = await pool.query(query, [
-    status,
-    callbackData.transactionReference,
-    JSON.stringify(callbackData),
-    requestId,
-  ]);
-  
-  if (result.rows.length === 0) {
-    throw new Error(`Payment record not found for request ID: ${requestId}`);
+  const outcome = await paymentController.applyCallbackResult(
+    paymentService.provider.parseCallback(callbackData),
+    { source: 'queue' }
+  );
+
+  if (!outcome.success) {
+    throw new Error(outcome.message || 'Callback could not be applied');
   }
   
-  console.log(`✅ [CALLBACK_WORKER] Updated payment ${result.rows[0].id}: ${requestId} → ${status}`);
-  
-  return result.rows[0];
+  return outcome;
+}
+
+/**
+ * Idempotency key a withdrawal job pays out under
+ */
+export function withdrawalIdempotencyKey({ challengeId, userId, isRefund }) {
+  return idempotencyService.challengeKey(challengeId, isRefund ? 'refund' : 'payout', userId);
 }
 
 /**
@@ -107,17 +97,55 @@ async function processWithdrawal(data) {
   
   console.log(`💰 [WITHDRAWAL_WORKER] Processing withdrawal: User ${userId}, Amount ${amount}`);
   
+  // Retries of this job reuse the same key, so they can never send the money
+  // twice. A failed outcome is stored under the key, so automatic retries
+  // fail fast until the job is dead-lettered; an admin replay clears it.
   const result = await paymentService.initiateWithdrawal(
+    phone,
+    amount,
     userId,
     challengeId,
-    amount,
-    phone,
-    isRefund
+    isRefund,
+    { idempotencyKey: withdrawalIdempotencyKey(data) }
   );
+
+  // Failed payouts must fail the job so they are retried or dead-lettered
+  if (!result?.success) {
+    throw new Error(result?.error || 'Withdrawal failed');
+  }
   
   return result;
 }
 
+paymentQueue.register(processDeposit);
+callbackQueue.register(processCallback);
+withdrawalQueue.register(processWithdrawal);
+
+const queues = [paymentQueue, callbackQueue, withdrawalQueue];
+
+/**
+ * Start the workers for every queue. Jobs left pending or abandoned by a
+ * previous process are picked up on the first poll.
+ */
+export function startQueues() {
+  queues.forEach((queue) => queue.start());
+}
+
+export function stopQueues() {
+  queues.forEach((queue) => queue.stop());
+}
+
+/**
+ * Prune completed job history. Only one instance needs to run this.
+ */
+export function startQueuePruning() {
+  queues.forEach((queue) => queue.startPruning());
+}
+
+export function stopQueuePruning() {
+  queues.forEach((queue) => queue.stopPruning());
+}
+
 /**
  * Queue a deposit payment
  */
@@ -163,11 +191,15 @@ export async function queueWithdrawal(userId, challengeId, amount, phone, isRefu
 /**
  * Get all queue statistics
  */
-export function getQueueStats() {
+export async function getQueueStats() {
+  const [payments, callbacks, withdrawals] = await Promise.all(
+    queues.map((queue) => queue.getStats())
+  );
+
   return {
-    payments: paymentQueue.getStats(),
-    callbacks: callbackQueue.getStats(),
-    withdrawals: withdrawalQueue.getStats(),
+    payments,
+    callbacks,
+    withdrawals,
     timestamp: new Date().toISOString(),
   };
 }
@@ -175,25 +207,32 @@ export function getQueueStats() {
 /**
  * Get recent failures across all queues
  */
-export function getRecentFailures() {
-  return {
-    payments: paymentQueue.getRecentFailures(5),
-    callbacks: callbackQueue.getRecentFailures(10),
-    withdrawals: withdrawalQueue.getRecentFailures(5),
-  };
+export async function getRecentFailures() {
+  const [payments, callbacks, withdrawals] = await Promise.all([
+    paymentQueue.getRecentFailures(5),
+    callbackQueue.getRecentFailures(10),
+    withdrawalQueue.getRecentFailures(5),
+  ]);
+
+  return { payments, callbacks, withdrawals };
 }
 
 // Log queue stats every 30 seconds in production
 if (process.env.NODE_ENV === 'production') {
   setInterval(() => {
-    const stats = getQueueStats();
-    console.log('📊 [QUEUE_STATS]', JSON.stringify(stats, null, 2));
+    getQueueStats()
+      .then((stats) => console.log('📊 [QUEUE_STATS]', JSON.stringify(stats, null, 2)))
+      .catch((error) => console.error('❌ [QUEUE_STATS] Failed to read queue stats:', error.message));
   }, 30000);
 }
 
 console.log('🚀 [PAYMENT_QUEUES] All payment queues initialized');
 
 export default {
+  startQueues,
+  stopQueues,
+  startQueuePruning,
+  stopQueuePruning,
   queueDeposit,
   queueCallback,
   queueWithdrawal,
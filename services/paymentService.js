@@ -1,15 +1,40 @@
-import axios from "axios";
 import pool from "../config/database.js";
-import tokenManager from "./tokenManager.js";
+import ledgerService from "./ledgerService.js";
+import escrowService from "./escrowService.js";
+import idempotencyService from "./idempotencyService.js";
+import feeService from "./feeService.js";
+import walletHoldService from "./walletHoldService.js";
+import ratingService from "./ratingService.js";
+import { getPaymentProvider } from "./providers/index.js";
 import dotenv from "dotenv";
 
 dotenv.config();
 
-// Constants from .env
-const DEFAULT_DESTINATION_ACCOUNT = process.env.ONIT_ACCOUNT || "0001650000002";
-const CHANNEL = process.env.CHANNEL || "MPESA";
-const PRODUCT = process.env.PRODUCT || "CA05";
-const HOST = process.env.ONIT_HOST || "api.onitmfbank.com";
+// Results that refund both players
+const DRAW_RESULTS = [
+  "insufficient",
+  "timevsinsufficient",
+  "repetition",
+  "threefold_repetition",
+  "stalemate",
+  "agreed",
+  "fifty_move",
+  "aborted",
+  "void", // Game voided by an admin resolving a dispute
+];
+
+// Results named after how the loser lost - the winner is the other player
+const LOSS_RESULTS = [
+  "resigned",
+  "timeout",
+  "checkmated",
+  "abandoned",
+  "adjudication",
+  "rule_violation",
+];
+
+// Settled but not a game that counts towards the internal rating
+const UNRATED_RESULTS = ["aborted", "void"];
 
 // Helper function to normalize phone numbers to +254 format
 function normalizePhoneNumber(phone) {
@@ -45,57 +70,20 @@ function normalizePhoneNumber(phone) {
 
 class PaymentService {
   constructor() {
-    this.initialized = false;
-    // Simple in-memory request queue to serialize payment API calls
-    this.queue = [];
-    this.processing = false;
-    this.initializeToken();
+    // ONIT in production, the in-process sandbox locally (PAYMENT_PROVIDER)
+    this.provider = getPaymentProvider();
   }
 
-  async initializeToken() {
-    try {
-      this.initialized = await tokenManager.initialize();
-      console.log(
-        `💰 Payment service ${
-          this.initialized ? "initialized successfully" : "failed to initialize"
-        }`
-      );
-    } catch (error) {
-      console.error("Payment service initialization error:", error);
-      this.initialized = false;
-    }
-  }
-
-  // Enqueue a task that will run with a fresh auth token; tasks are processed sequentially
-  enqueueRequest(taskName, taskFn) {
-    return new Promise((resolve, reject) => {
-      const job = { taskName, taskFn, resolve, reject };
-      this.queue.push(job);
-      this._processQueue();
-    });
-  }
-
-  async _processQueue() {
-    if (this.processing) return;
-    this.processing = true;
-
-    while (this.queue.length > 0) {
-      const { taskName, taskFn, resolve, reject } = this.queue.shift();
-      try {
-        // Always fetch a fresh token for each queued request
-        const accessToken = await tokenManager.refreshToken();
-        const result = await taskFn(accessToken);
-        resolve(result);
-      } catch (err) {
-        console.error(`❌ [QUEUE] Task failed (${taskName}):`, err?.response?.data || err?.message || err);
-        reject(err);
-      }
-    }
-
-    this.processing = false;
+  // Providers that deliver callbacks in-process hand them to this handler
+  setCallbackHandler(handler) {
+    this.provider.setCallbackHandler(handler);
   }
 
-  async initiateDeposit(phoneNumber, amount, userId, challengeId) {
+  // STK push for a challenge stake, or a wallet top-up when challengeId is
+  // null. Nothing is credited here - the verified callback books the money.
+  async initiateDeposit(phoneNumber, amount, userId, challengeId = null) {
+    let requestId = null;
+    const isTopUp = challengeId === null || challengeId === undefined;
     try {
       // Normalize phone number to +254 format
       const normalizedPhone = normalizePhoneNumber(phoneNumber);
@@ -119,24 +107,26 @@ class PaymentService {
 
       // Convert to proper types safely
       const numericUserId = Number(userId);
-      const numericChallengeId = Number(challengeId);
+      const numericChallengeId = isTopUp ? null : Number(challengeId);
       const numericAmount = Number(amount);
       
       // Get opponent information from challenge
       let opponentId = null;
-      try {
-        const challengeQuery = await pool.query(
-          'SELECT challenger, opponent FROM challenges WHERE id = $1',
-          [numericChallengeId]
-        );
-        if (challengeQuery.rows.length > 0) {
-          const challenge = challengeQuery.rows[0];
-          opponentId = challenge.challenger === numericUserId 
-            ? challenge.opponent 
-            : challenge.challenger;
+      if (!isTopUp) {
+        try {
+          const challengeQuery = await pool.query(
+            'SELECT challenger, opponent FROM challenges WHERE id = $1',
+            [numericChallengeId]
+          );
+          if (challengeQuery.rows.length > 0) {
+            const challenge = challengeQuery.rows[0];
+            opponentId = challenge.challenger === numericUserId 
+              ? challenge.opponent 
+              : challenge.challenger;
+          }
+        } catch (err) {
+          console.warn('⚠️ [DEPOSIT] Could not fetch opponent info:', err.message);
         }
-      } catch (err) {
-        console.warn('⚠️ [DEPOSIT] Could not fetch opponent info:', err.message);
       }
 
       console.log("🔢 [DEPOSIT] Converted values:", {
@@ -152,7 +142,7 @@ class PaymentService {
       if (isNaN(numericUserId)) {
         throw new Error(`Invalid userId: ${userId}`);
       }
-      if (isNaN(numericChallengeId)) {
+      if (!isTopUp && isNaN(numericChallengeId)) {
         throw new Error(`Invalid challengeId: ${challengeId}`);
       }
       if (isNaN(numericAmount)) {
@@ -160,7 +150,9 @@ class PaymentService {
       }
 
       // Generate unique request ID
-      const requestId = `DEP_${numericChallengeId}_${numericUserId}_${Date.now()}`;
+      requestId = isTopUp
+        ? `TOP_${numericUserId}_${Date.now()}`
+        : `DEP_${numericChallengeId}_${numericUserId}_${Date.now()}`;
       console.log("🆔 [DEPOSIT] Generated request ID:", requestId);
 
       // First record in database
@@ -173,13 +165,14 @@ class PaymentService {
         status: "pending",
         request_id: requestId,
         opponent_id: opponentId,
+        notes: isTopUp ? `Wallet top-up via M-PESA (${numericAmount} KSH)` : null,
       };
 
       console.log(`💾 [DEPOSIT] Payment data to insert:`, paymentData);
 
       const query = `INSERT INTO payments 
-        (user_id, challenge_id, phone_number, amount, transaction_type, status, request_id, opponent_id) 
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`;
+        (user_id, challenge_id, phone_number, amount, transaction_type, status, request_id, opponent_id, notes) 
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`;
 
       const result = await pool.query(query, [
         paymentData.user_id,
@@ -190,48 +183,28 @@ class PaymentService {
         paymentData.status,
         paymentData.request_id,
         paymentData.opponent_id,
+        paymentData.notes,
       ]);
 
-      // CRITICAL NEW PART: Make the actual API call via serialized queue with fresh auth
-      const apiData = await this.enqueueRequest("deposit", async (accessToken) => {
-        const url = `https://${HOST}/api/v1/transaction/deposit`;
-        console.log(`🔗 Deposit URL: ${url}`);
-
-        const apiResponse = await axios.post(
-          url,
-          {
-            originatorRequestId: requestId,
-            destinationAccount: DEFAULT_DESTINATION_ACCOUNT,
-            sourceAccount: normalizedPhone,
-            amount: Math.round(numericAmount),
-            channel: CHANNEL,
-            product: PRODUCT,
-            event: "",
-            narration: `Get a cheque, mate ${numericChallengeId}`,
-            callbackUrl:
-              process.env.ONIT_CALLBACK_URL ||
-              "https://chequemate-backend-n13g.onrender.com/api/payments/callback",
-          },
-          {
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${accessToken}`,
-            },
-          }
-        );
-
-        console.log(`✅ [DEPOSIT] API Response:`, apiResponse.data);
+      // Hand the STK push to the payment provider
+      const apiResult = await this.provider.initiateDeposit({
+        requestId,
+        phoneNumber: normalizedPhone,
+        amount: numericAmount,
+        narration: isTopUp
+          ? "Get a cheque, mate wallet top-up"
+          : `Get a cheque, mate ${numericChallengeId}`,
+      });
 
-        // Update payment record with transaction ID if provided by API
-        if (apiResponse.data && apiResponse.data.transactionId) {
-          await pool.query(
-            `UPDATE payments SET transaction_id = $1 WHERE request_id = $2`,
-            [apiResponse.data.transactionId, requestId]
-          );
-        }
+      // Update payment record with transaction ID if provided by the provider
+      if (apiResult.transactionId) {
+        await pool.query(
+          `UPDATE payments SET transaction_id = $1 WHERE request_id = $2`,
+          [apiResult.transactionId, requestId]
+        );
+      }
 
-        return apiResponse.data;
-      });
+      const apiData = apiResult.raw;
 
       return {
         success: true,
@@ -245,7 +218,7 @@ class PaymentService {
       );
 
       // Update payment record to failed if API call failed
-      if (error.response) {
+      if (error.response && requestId) {
         try {
           await pool.query(
             `UPDATE payments SET status = 'failed', notes = $1 WHERE request_id = $2`,
@@ -260,7 +233,30 @@ class PaymentService {
     }
   }
 
+  // Outgoing money movement. Pass options.idempotencyKey (e.g.
+  // challenge:<id>:payout:<userId>) so a repeated call returns the original
+  // outcome instead of sending a second withdrawal.
   async initiateWithdrawal(
+    phoneNumber,
+    amount,
+    userId,
+    challengeId,
+    isRefund = false,
+    options = {}
+  ) {
+    if (!options.idempotencyKey) {
+      return this.executeWithdrawal(phoneNumber, amount, userId, challengeId, isRefund);
+    }
+
+    return idempotencyService.execute(
+      options.idempotencyKey,
+      isRefund ? "refund" : "payout",
+      () => this.executeWithdrawal(phoneNumber, amount, userId, challengeId, isRefund),
+      { phoneNumber, amount, userId, challengeId, isRefund }
+    );
+  }
+
+  async executeWithdrawal(
     phoneNumber,
     amount,
     userId,
@@ -309,15 +305,24 @@ class PaymentService {
         throw new Error(`Invalid amount: ${amount}`);
       }
 
-      if (!normalizedPhone) {
+      // Stakes that came from the wallet go back to the wallet - no M-Pesa
+      // round trip, and the player can rematch straight away
+      const walletStake = await walletHoldService.isWalletStake(
+        numericChallengeId,
+        numericUserId
+      );
+
+      if (!normalizedPhone && !walletStake) {
         throw new Error(`Invalid phone number: ${phoneNumber}`);
       }
 
       // Check minimum payout amount for M-Pesa (KES 10)
       const MINIMUM_PAYOUT = 10;
-      if (numericAmount < MINIMUM_PAYOUT) {
+      if (walletStake || numericAmount < MINIMUM_PAYOUT) {
         console.log(
-          `⚠️ [WITHDRAW] Amount ${numericAmount} is below minimum ${MINIMUM_PAYOUT}, crediting to user balance instead`
+          walletStake
+            ? `💼 [WITHDRAW] Challenge ${numericChallengeId} was wallet-funded by user ${numericUserId}, crediting ${numericAmount} to user balance`
+            : `⚠️ [WITHDRAW] Amount ${numericAmount} is below minimum ${MINIMUM_PAYOUT}, crediting to user balance instead`
         );
 
         // Instead of M-Pesa withdrawal, credit to user's platform balance
@@ -329,13 +334,17 @@ class PaymentService {
         const paymentData = {
           user_id: numericUserId,
           challenge_id: numericChallengeId,
-          phone_number: normalizedPhone,
+          phone_number: normalizedPhone || "",
           amount: numericAmount,
           transaction_type: isRefund ? "refund" : "balance_credit", // GREEN: money going INTO wallet
           status: "completed",
           request_id: requestId,
           opponent_id: opponentId,
-          notes: isRefund
+          notes: walletStake
+            ? isRefund
+              ? `Wallet stake refunded to balance (${numericAmount} KSH)`
+              : `Winnings credited to balance (${numericAmount} KSH)`
+            : isRefund
             ? `Refund credited to balance (below ${MINIMUM_PAYOUT} KSH minimum)`
             : `Winnings credited to balance (below ${MINIMUM_PAYOUT} KSH minimum)`,
         };
@@ -344,25 +353,22 @@ class PaymentService {
           (user_id, challenge_id, phone_number, amount, transaction_type, status, request_id, notes, opponent_id) 
           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`;
 
-        const result = await pool.query(query, [
-          paymentData.user_id,
-          paymentData.challenge_id,
-          paymentData.phone_number,
-          paymentData.amount,
-          paymentData.transaction_type,
-          paymentData.status,
-          paymentData.request_id,
-          paymentData.notes,
-          paymentData.opponent_id,
-        ]);
-
-        // Actually credit the user's balance
-        await pool.query(
-          `UPDATE users 
-           SET balance = balance + $1, updated_at = CURRENT_TIMESTAMP 
-           WHERE id = $2`,
-          [numericAmount, numericUserId]
-        );
+        // Record the payment and move the money escrow -> wallet atomically
+        const result = await ledgerService.withTransaction(async (client) => {
+          const inserted = await client.query(query, [
+            paymentData.user_id,
+            paymentData.challenge_id,
+            paymentData.phone_number,
+            paymentData.amount,
+            paymentData.transaction_type,
+            paymentData.status,
+            paymentData.request_id,
+            paymentData.notes,
+            paymentData.opponent_id,
+          ]);
+          await ledgerService.recordWalletCredit(inserted.rows[0], client);
+          return inserted;
+        });
 
         console.log(
           `✅ [WITHDRAW] Small amount credited to user balance: ${numericAmount} KSH (User ID: ${numericUserId})`
@@ -410,48 +416,23 @@ class PaymentService {
         paymentData.opponent_id,
       ]);
 
-      // Make the actual API call via serialized queue with fresh auth
-      const apiData = await this.enqueueRequest("withdraw", async (accessToken) => {
-        const url = `https://${HOST}/api/v1/transaction/withdraw`;
-        console.log(`🔗 Withdraw URL: ${url}`);
-
-        const apiResponse = await axios.post(
-          url,
-          {
-            originatorRequestId: requestId,
-            sourceAccount: DEFAULT_DESTINATION_ACCOUNT,
-            destinationAccount: normalizedPhone,
-            amount: Math.round(Number(amount)), // Convert to integer as specified
-            channel: CHANNEL,
-            channelType: "MOBILE",
-            product: "CA04",
-            narration: `Chess Nexus ${
-              isRefund ? "refund" : "winnings"
-            } - Game ${challengeId}`,
-            callbackUrl:
-              process.env.ONIT_CALLBACK_URL ||
-              "https://chequemate-backend-n13g.onrender.com/api/payments/callback",
-          },
-          {
-            headers: {
-              "Content-Type": "application/json",
-              Authorization: `Bearer ${accessToken}`,
-            },
-          }
-        );
-
-        console.log(`✅ [WITHDRAW] API Response:`, apiResponse.data);
+      // Send the money through the payment provider
+      const apiResult = await this.provider.initiateWithdrawal({
+        requestId,
+        phoneNumber: normalizedPhone,
+        amount: numericAmount,
+        narration: `Chess Nexus ${isRefund ? "refund" : "winnings"} - Game ${challengeId}`,
+      });
 
-        // Update payment record with transaction ID
-        if (apiResponse.data && apiResponse.data.transactionId) {
-          await pool.query(
-            `UPDATE payments SET transaction_id = $1 WHERE request_id = $2`,
-            [apiResponse.data.transactionId, requestId]
-          );
-        }
+      // Update payment record with transaction ID
+      if (apiResult.transactionId) {
+        await pool.query(
+          `UPDATE payments SET transaction_id = $1 WHERE request_id = $2`,
+          [apiResult.transactionId, requestId]
+        );
+      }
 
-        return apiResponse.data;
-      });
+      const apiData = apiResult.raw;
 
       return {
         success: true,
@@ -467,8 +448,152 @@ class PaymentService {
     }
   }
 
-  // Process match result and handle payouts
-  async processMatchResult(matchResult, challenge) {
+  /**
+   * Cash out part of a user's wallet to M-Pesa. The amount is held (not
+   * debited) until the provider confirms: the callback books the ledger
+   * debit and captures the hold, a failure releases it.
+   * Throws InsufficientBalanceError before anything is sent.
+   */
+  async initiateWalletWithdrawal(phoneNumber, amount, userId) {
+    const normalizedPhone = normalizePhoneNumber(phoneNumber);
+    const numericUserId = parseInt(userId);
+    const numericAmount = Number(amount);
+
+    if (!normalizedPhone) {
+      throw new Error(`Invalid phone number: ${phoneNumber}`);
+    }
+
+    const requestId = `WDR_${numericUserId}_${Date.now()}`;
+
+    console.log(
+      `💰 [WALLET_WITHDRAW] User ${numericUserId} withdrawing KSH ${numericAmount} to ${normalizedPhone}`
+    );
+
+    // Payment row and hold are created together so the balance can't be
+    // spent twice while the transfer is in flight
+    const { payment, hold } = await ledgerService.withTransaction(async (client) => {
+      await client.query("SELECT id FROM users WHERE id = $1 FOR UPDATE", [
+        numericUserId,
+      ]);
+
+      const inserted = await client.query(
+        `INSERT INTO payments
+           (user_id, challenge_id, phone_number, amount, transaction_type, status, request_id, notes)
+         VALUES ($1, NULL, $2, $3, 'withdrawal', 'pending', $4, $5)
+         RETURNING *`,
+        [
+          numericUserId,
+          normalizedPhone,
+          numericAmount,
+          requestId,
+          `Withdrawal to M-PESA (${numericAmount} KSH)`,
+        ]
+      );
+
+      const placedHold = await walletHoldService.placeWithdrawalHold(
+        { userId: numericUserId, amount: numericAmount, paymentId: inserted.rows[0].id },
+        client
+      );
+      return { payment: inserted.rows[0], hold: placedHold };
+    });
+
+    try {
+      const apiResult = await this.provider.initiateWithdrawal({
+        requestId,
+        phoneNumber: normalizedPhone,
+        amount: numericAmount,
+        narration: "Chess Nexus wallet withdrawal",
+      });
+
+      if (apiResult.transactionId) {
+        await pool.query(
+          `UPDATE payments SET transaction_id = $1 WHERE request_id = $2`,
+          [apiResult.transactionId, requestId]
+        );
+      }
+
+      return {
+        success: true,
+        data: payment,
+        hold,
+        apiResponse: apiResult.raw,
+      };
+    } catch (error) {
+      console.error(
+        "❌ [WALLET_WITHDRAW] Provider rejected withdrawal:",
+        error.response?.data || error.message || error
+      );
+
+      // Without a provider response (timeout, dropped connection) the
+      // transfer may still go through - keep the hold and let the
+      // reconciler settle it
+      if (!error.response) {
+        return {
+          success: true,
+          data: payment,
+          hold,
+          uncertain: true,
+          error: error.message,
+        };
+      }
+
+      // The provider refused it, nothing was sent - give the money back
+      const failed = await pool.query(
+        `UPDATE payments
+         SET status = 'failed', notes = $2, updated_at = NOW()
+         WHERE id = $1 AND status = 'pending'
+         RETURNING *`,
+        [payment.id, `Withdrawal failed: ${error.message}`]
+      );
+      await walletHoldService.settleWithdrawalHold(payment.id, "failed", "provider_rejected");
+
+      return {
+        success: false,
+        data: failed.rows[0] || payment,
+        error: error.response?.data?.message || error.message,
+      };
+    }
+  }
+
+  // Winner of a settled result for rating purposes: a user id, null for a
+  // draw, undefined when the result doesn't count
+  ratedWinner(matchResult, challenge) {
+    const { result, winner_id, loser_id } = matchResult;
+    if (UNRATED_RESULTS.includes(result)) return undefined;
+    if (DRAW_RESULTS.includes(result)) return null;
+    if (result === "win" && winner_id) return winner_id;
+    if (LOSS_RESULTS.includes(result) && loser_id) {
+      return loser_id === challenge.challenger ? challenge.opponent : challenge.challenger;
+    }
+    return undefined;
+  }
+
+  // Internal rating follows the settlement but never holds up the payout
+  async recordRating(matchResult, challenge) {
+    const winnerId = this.ratedWinner(matchResult, challenge);
+    if (winnerId === undefined) return;
+
+    try {
+      await ratingService.recordResult({
+        challengeId: challenge.challenge_id || challenge.id,
+        challenger: challenge.challenger,
+        opponent: challenge.opponent,
+        timeControl: challenge.time_control,
+        winnerId,
+      });
+    } catch (error) {
+      console.error("❌ [RATING] Failed to update ratings:", error.message);
+    }
+  }
+
+  /**
+   * Pay out or refund a challenge pot for a match result.
+   * @param {Object} matchResult - { result, winner_id, loser_id }
+   * @param {Object} challenge - Challenge row with phones
+   * @param {Object} [options]
+   * @param {boolean} [options.fromDispute] - Settle an escrow frozen by a dispute
+   */
+  async processMatchResult(matchResult, challenge, { fromDispute = false } = {}) {
     try {
       // Get challenger and opponent info
       const { challenger, opponent, bet_amount, challenge_id } = challenge;
@@ -477,53 +602,66 @@ class PaymentService {
         console.log(
           "No bet amount for this challenge, skipping payment processing"
         );
+        await this.recordRating(matchResult, challenge);
         return { success: true, message: "No payment to process" };
       }
 
-      if (!challenge.challenger_phone || !challenge.opponent_phone) {
+      // Use the correct challenge_id from the match data
+      const actualChallengeId = challenge_id || challenge.id;
+
+      // Wallet-funded players are paid back into their wallet and need no phone
+      const missingPhone = async (phone, userId) =>
+        !phone && !(await walletHoldService.isWalletStake(actualChallengeId, userId));
+      if (
+        (await missingPhone(challenge.challenger_phone, challenger)) ||
+        (await missingPhone(challenge.opponent_phone, opponent))
+      ) {
         console.error("Missing phone numbers for payment processing");
         return { success: false, error: "Missing phone numbers" };
       }
 
-      // Use the correct challenge_id from the match data
-      const actualChallengeId = challenge_id || challenge.id;
-
       // Logic based on result type
       const resultType = matchResult.result;
       const winnerId = matchResult.winner_id;
 
       // Draw cases - refund both players
-      const drawResults = [
-        "insufficient",
-        "timevsinsufficient",
-        "repetition",
-        "threefold_repetition",
-        "stalemate",
-        "agreed",
-        "fifty_move",
-        "aborted",
-      ];
-
-      if (drawResults.includes(resultType)) {
+      if (DRAW_RESULTS.includes(resultType)) {
         console.log(
           `🤝 Match ended in draw (${resultType}), refunding both players`
         );
 
-        // Refund both players
-        await this.initiateWithdrawal(
-          challenge.challenger_phone,
-          bet_amount,
-          challenger,
-          actualChallengeId,
-          true
-        );
-        await this.initiateWithdrawal(
-          challenge.opponent_phone,
-          bet_amount,
-          opponent,
-          actualChallengeId,
-          true
-        );
+        if (!(await escrowService.claimRefund(actualChallengeId, {
+            reason: `draw_${resultType}`,
+            fromDispute,
+          }))) {
+          return { success: false, message: "Escrow already settled" };
+        }
+        await this.recordRating(matchResult, challenge);
+
+        // Refund both players (minus the draw fee when PLATFORM_FEE_APPLY_TO_DRAWS is on)
+        for (const [userId, phone, otherId] of [
+          [challenger, challenge.challenger_phone, opponent],
+          [opponent, challenge.opponent_phone, challenger],
+        ]) {
+          const { net: refundAmount } = await feeService.applyPayoutFee({
+            challengeId: actualChallengeId,
+            userId,
+            opponentId: otherId,
+            phoneNumber: phone,
+            amount: bet_amount,
+            betAmount: bet_amount,
+            platform: challenge.platform,
+            outcome: "draw",
+          });
+          await this.initiateWithdrawal(
+            phone,
+            refundAmount,
+            userId,
+            actualChallengeId,
+            true,
+            { idempotencyKey: idempotencyService.challengeKey(actualChallengeId, "refund", userId) }
+          );
+        }
 
         return { success: true, message: "Both players refunded" };
       }
@@ -538,16 +676,7 @@ class PaymentService {
             ? challenge.challenger_phone
             : challenge.opponent_phone;
         winnerUserId = matchResult.winner_id;
-      } else if (
-        [
-          "resigned",
-          "timeout",
-          "checkmated",
-          "abandoned",
-          "adjudication",
-          "rule_violation",
-        ].includes(resultType)
-      ) {
+      } else if (LOSS_RESULTS.includes(resultType)) {
         // Determine winner by who didn't lose
         const loserId = matchResult.loser_id;
         winnerPhone =
@@ -558,19 +687,27 @@ class PaymentService {
       } else {
         // Unknown result - treat as draw
         console.log(`🤔 Unknown result type "${resultType}", treating as draw`);
+        if (!(await escrowService.claimRefund(actualChallengeId, {
+            reason: `unknown_${resultType}`,
+            fromDispute,
+          }))) {
+          return { success: false, message: "Escrow already settled" };
+        }
         await this.initiateWithdrawal(
           challenge.challenger_phone,
           bet_amount,
           challenger,
           actualChallengeId,
-          true
+          true,
+          { idempotencyKey: idempotencyService.challengeKey(actualChallengeId, "refund", challenger) }
         );
         await this.initiateWithdrawal(
           challenge.opponent_phone,
           bet_amount,
           opponent,
           actualChallengeId,
-          true
+          true,
+          { idempotencyKey: idempotencyService.challengeKey(actualChallengeId, "refund", opponent) }
         );
         return {
           success: true,
@@ -578,17 +715,37 @@ class PaymentService {
         };
       }
 
-      // Pay double the bet amount to winner (their bet + opponent's bet)
-      const winAmount = bet_amount * 2;
+      if (
+        !(await escrowService.claimRelease(actualChallengeId, {
+          winnerId: winnerUserId,
+          reason: resultType,
+          fromDispute,
+        }))
+      ) {
+        return { success: false, message: "Escrow already settled" };
+      }
+      await this.recordRating(matchResult, challenge);
+
+      // Winner gets the pot (their bet + opponent's bet) minus the platform fee
+      const { fee, net: winAmount } = await feeService.applyPayoutFee({
+        challengeId: actualChallengeId,
+        userId: winnerUserId,
+        opponentId: winnerUserId === challenger ? opponent : challenger,
+        phoneNumber: winnerPhone,
+        amount: bet_amount * 2,
+        betAmount: bet_amount,
+        platform: challenge.platform,
+      });
       console.log(
-        `🏆 Winner determined: ${winnerUserId}, paying out ${winAmount}`
+        `🏆 Winner determined: ${winnerUserId}, paying out ${winAmount} (fee ${fee})`
       );
       await this.initiateWithdrawal(
         winnerPhone,
         winAmount,
         winnerUserId,
         actualChallengeId,
-        false
+        false,
+        { idempotencyKey: idempotencyService.challengeKey(actualChallengeId, "payout", winnerUserId) }
       );
 
       return { success: true, message: `Winner paid out: ${winAmount}` };
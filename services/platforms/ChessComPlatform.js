@@ -0,0 +1,251 @@
+import ChessPlatform from "./ChessPlatform.js";
+import chessComApiQueue from "../ChessComApiQueue.js";
+
+const CHESS_COM_API = "https://api.chess.com/pub";
+
+// Draw results chess.com reports on both sides → processMatchResult names
+const DRAW_RESULTS = {
+  agreed: "agreed",
+  stalemate: "stalemate",
+  repetition: "repetition",
+  insufficient: "insufficient",
+  timevsinsufficient: "timevsinsufficient",
+  "50move": "fifty_move",
+};
+
+// How the loser's game ended
+const LOSS_RESULTS = ["checkmated", "resigned", "timeout", "abandoned"];
+
+// Read a tag such as [UTCDate "2024.05.01"] out of a PGN header
+function pgnTag(pgn, tag) {
+  const match = pgn?.match(new RegExp(`\\[${tag} "([^"]*)"\\]`));
+  return match ? match[1] : null;
+}
+
+// Half-moves in a PGN movetext: drop headers, comments, variations, move
+// numbers and the result token, then count what's left
+function countPlies(pgn) {
+  if (!pgn) return null;
+  const movetext = pgn
+    .replace(/\[[^\]]*\]/g, " ")
+    .replace(/\{[^}]*\}/g, " ")
+    .replace(/\([^)]*\)/g, " ")
+    .replace(/\d+\.(\.\.)?/g, " ")
+    .replace(/(1-0|0-1|1\/2-1\/2|\*)\s*$/, " ");
+  return movetext.split(/\s+/).filter(Boolean).length;
+}
+
+// Clock left after each half-move, from {[%clk 0:02:59.9]} comments, in seconds
+function pgnClocks(pgn) {
+  const clocks = [...String(pgn || "").matchAll(/\[%clk (\d+):(\d+):(\d+(?:\.\d+)?)\]/g)].map(
+    ([, h, m, sec]) => Number(h) * 3600 + Number(m) * 60 + Number(sec)
+  );
+  return clocks.length > 0 ? clocks : null;
+}
+
+// "https://www.chess.com/openings/Scandinavian-Defense-Mieses-Kotrc" -> "Scandinavian Defense Mieses Kotrc"
+function openingFromPgn(pgn) {
+  const eco = pgnTag(pgn, "ECO");
+  const ecoUrl = pgnTag(pgn, "ECOUrl");
+  if (!eco && !ecoUrl) return null;
+  const name = ecoUrl ? decodeURIComponent(ecoUrl.split("/").pop()).replace(/-/g, " ") : null;
+  return { eco, name };
+}
+
+class ChessComPlatform extends ChessPlatform {
+  constructor() {
+    super({
+      id: "chess.com",
+      name: "Chess.com",
+      aliases: ["chesscom", "chess_com"],
+      usernameColumn: "chess_com_username",
+      hosts: ["chess.com"],
+    });
+  }
+
+  // All chess.com traffic goes through the shared rate-limited queue
+  async get(path, cacheType) {
+    const response = await chessComApiQueue.request(
+      { method: "get", url: `${CHESS_COM_API}${path}` },
+      cacheType
+    );
+    return response.data;
+  }
+
+  async getProfile(username) {
+    return this.get(`/player/${username.toLowerCase()}`, "playerProfile");
+  }
+
+  async getStats(username) {
+    try {
+      const parsed = await this.get(`/player/${username.toLowerCase()}/stats`, "playerStats");
+      const speed = (key) => ({
+        rating: parsed[key]?.last?.rating || 0,
+        wins: parsed[key]?.record?.win || 0,
+        losses: parsed[key]?.record?.loss || 0,
+        draws: parsed[key]?.record?.draw || 0,
+      });
+      return {
+        blitz: speed("chess_blitz"),
+        rapid: speed("chess_rapid"),
+        bullet: speed("chess_bullet"),
+      };
+    } catch (error) {
+      console.error(`❌ [CHESS_COM] Error fetching stats for ${username}:`, error.message);
+      return null;
+    }
+  }
+
+  async getArchives(username) {
+    const data = await this.get(`/player/${username.toLowerCase()}/games/archives`, "gameArchives");
+    return data.archives || [];
+  }
+
+  // Monthly archive games, newest first
+  async getArchiveGames(archiveUrl) {
+    const response = await chessComApiQueue.request(
+      { method: "get", url: archiveUrl },
+      "monthlyGames"
+    );
+    return (response.data.games || []).slice().reverse();
+  }
+
+  // Archives that can hold games ending on or after `since`, newest first
+  async archivesSince(username, since, maxArchives = 2) {
+    const archives = (await this.getArchives(username)).slice().reverse();
+    if (!since) return archives.slice(0, 1);
+
+    const sinceDate = new Date(since);
+    return archives
+      .filter((url) => {
+        const [, year, month] = url.match(/\/games\/(\d{4})\/(\d{2})$/) || [];
+        if (!year) return false;
+        // Archive month ends on the first day of the next month
+        return new Date(Date.UTC(Number(year), Number(month), 1)) >= sinceDate;
+      })
+      .slice(0, maxArchives);
+  }
+
+  async fetchRecentGames(username, { limit = 10 } = {}) {
+    try {
+      const [latestArchive] = await this.archivesSince(username, null);
+      if (!latestArchive) return [];
+
+      const games = await this.getArchiveGames(latestArchive);
+      return games.slice(0, limit).map((game) => this.normalizeGame(game));
+    } catch (error) {
+      console.error(`❌ [CHESS_COM] Error fetching games for ${username}:`, error.message);
+      return [];
+    }
+  }
+
+  async findGameBetween(playerA, playerB, { since = null } = {}) {
+    // Without a start time only look at the last 30 minutes
+    const cutoff = since ? new Date(since).getTime() : Date.now() - 30 * 60 * 1000;
+
+    try {
+      const archives = await this.archivesSince(playerA, new Date(cutoff));
+
+      for (const archiveUrl of archives) {
+        console.log(`🔍 [CHESS_COM] Searching ${archiveUrl} for ${playerA} vs ${playerB}`);
+        const games = await this.getArchiveGames(archiveUrl);
+
+        for (const raw of games) {
+          if (raw.end_time * 1000 < cutoff) break; // Archive is oldest → newest, we walk it backwards
+
+          const game = this.normalizeGame(raw);
+          if (this.isBetween(game, playerA, playerB)) {
+            return game;
+          }
+        }
+      }
+
+      return null;
+    } catch (error) {
+      if (this.isRateLimitError(error)) {
+        console.error("❌ [CHESS_COM] Rate limited while searching games:", error.message);
+        throw error;
+      }
+      console.error("❌ [CHESS_COM] Error searching games:", error.message);
+      return null;
+    }
+  }
+
+  // chess.com has no single-game endpoint: the game is looked up in the
+  // archives of one of its players
+  async getGameByUrl(url, { username = null, since = null } = {}) {
+    const gameId = String(url).split("?")[0].split("/").filter(Boolean).pop();
+    if (!gameId || !username) {
+      console.warn(`⚠️ [CHESS_COM] Need a game id and a player to look up ${url}`);
+      return null;
+    }
+
+    try {
+      const archives = since
+        ? await this.archivesSince(username, since, 3)
+        : (await this.getArchives(username)).slice(-3).reverse();
+
+      for (const archiveUrl of archives) {
+        const games = await this.getArchiveGames(archiveUrl);
+        const raw = games.find((g) => String(g.url || "").endsWith(`/${gameId}`));
+        if (raw) return this.normalizeGame(raw);
+      }
+      return null;
+    } catch (error) {
+      console.error(`❌ [CHESS_COM] Error fetching game ${url}:`, error.message);
+      return null;
+    }
+  }
+
+  normalizeGame(game) {
+    const { white, black } = game;
+
+    let winner = null;
+    if (white.result === "win") winner = "white";
+    else if (black.result === "win") winner = "black";
+
+    let result = "unknown";
+    if (winner) {
+      const loserResult = winner === "white" ? black.result : white.result;
+      result = LOSS_RESULTS.includes(loserResult) ? loserResult : "win";
+    } else {
+      result = DRAW_RESULTS[white.result] || DRAW_RESULTS[black.result] || "unknown";
+    }
+
+    const [, initial, increment] = String(game.time_control || "").match(/^(\d+)(?:\+(\d+))?$/) || [];
+
+    // Live games only carry their start time in the PGN header
+    const utcDate = pgnTag(game.pgn, "UTCDate");
+    const utcTime = pgnTag(game.pgn, "UTCTime");
+    let startedAt = game.start_time ? new Date(game.start_time * 1000) : null;
+    if (!startedAt && utcDate && utcTime) {
+      startedAt = new Date(`${utcDate.replace(/\./g, "-")}T${utcTime}Z`);
+    }
+
+    return {
+      platform: this.id,
+      id: game.url ? game.url.split("/").pop() : game.uuid,
+      url: game.url,
+      white: { username: white.username, rating: white.rating, result: white.result },
+      black: { username: black.username, rating: black.rating, result: black.result },
+      winner,
+      result,
+      status: winner ? (winner === "white" ? black.result : white.result) : white.result,
+      finished: true, // Archives only contain finished games
+      rated: game.rated !== false,
+      variant: game.rules === "chess" || !game.rules ? "standard" : game.rules,
+      speed: game.time_class,
+      clock: initial ? { initial: Number(initial), increment: Number(increment || 0) } : null,
+      plies: countPlies(game.pgn),
+      clocks: pgnClocks(game.pgn),
+      opening: openingFromPgn(game.pgn),
+      termination: pgnTag(game.pgn, "Termination"),
+      startedAt: startedAt && !isNaN(startedAt) ? startedAt : null,
+      endedAt: game.end_time ? new Date(game.end_time * 1000) : null,
+      pgn: game.pgn || null,
+      raw: game,
+    };
+  }
+}
+
+export default new ChessComPlatform();
@@ -0,0 +1,191 @@
+/**
+ * Base class for chess platform adapters (chess.com, Lichess, ...).
+ *
+ * Every adapter normalizes platform games into one shape so result checking,
+ * profiles and matchmaking never look at platform-specific JSON:
+ *
+ * {
+ *   platform: "chess.com",
+ *   id: "123456789",
+ *   url: "https://www.chess.com/game/live/123456789",
+ *   white: { username, rating, result, ratingDiff },
+ *   black: { username, rating, result, ratingDiff },
+ *   winner: "white" | "black" | null,
+ *   result: "checkmated" | "resigned" | "timeout" | "abandoned" | "agreed" |
+ *           "stalemate" | "repetition" | "insufficient" | "timevsinsufficient" |
+ *           "fifty_move" | "aborted" | "win" | "unknown",
+ *   status: platform-native termination,
+ *   finished: boolean,
+ *   rated: boolean,
+ *   variant: "standard" | "chess960" | ...,
+ *   speed: "bullet" | "blitz" | "rapid" | "classical" | "daily",
+ *   clock: { initial, increment } | null,   // seconds
+ *   plies: number | null,                   // half-moves played, when known
+ *   clocks: number[] | null,                // seconds left after each half-move
+ *   opening: { eco, name } | null,
+ *   termination: string | null,             // platform's own wording
+ *   startedAt: Date | null,
+ *   endedAt: Date | null,
+ *   pgn: string | null,
+ *   raw: original platform payload
+ * }
+ *
+ * `result` uses the names paymentService.processMatchResult understands.
+ */
+export default class ChessPlatform {
+  constructor({ id, name, aliases = [], usernameColumn, hosts = [] }) {
+    this.id = id; // Value stored in challenges.platform / users.preferred_platform
+    this.name = name; // Display name
+    this.aliases = aliases; // Other spellings found in the database
+    this.usernameColumn = usernameColumn; // users column holding the platform username
+    this.hosts = hosts; // Hostnames used in game URLs
+  }
+
+  matches(value) {
+    const lower = String(value || "").toLowerCase();
+    return lower === this.id || this.aliases.includes(lower);
+  }
+
+  ownsUrl(url) {
+    try {
+      const { hostname } = new URL(url);
+      return this.hosts.some((host) => hostname === host || hostname.endsWith(`.${host}`));
+    } catch {
+      return false;
+    }
+  }
+
+  usernameFor(user) {
+    return user?.[this.usernameColumn] || null;
+  }
+
+  // ---- Methods every adapter implements ---------------------------------
+
+  /** Raw profile JSON. Rejects with error.response.status 404 for unknown players. */
+  async getProfile(username) {
+    throw new Error(`${this.name}: getProfile not implemented`);
+  }
+
+  /**
+   * Per speed ratings and records, or null when unavailable.
+   * @returns {Promise<{ blitz, rapid, bullet }|null>} each { rating, wins, losses, draws }
+   */
+  async getStats(username) {
+    throw new Error(`${this.name}: getStats not implemented`);
+  }
+
+  /** Latest finished games of a player as normalized games, newest first. */
+  async fetchRecentGames(username, { limit = 10 } = {}) {
+    throw new Error(`${this.name}: fetchRecentGames not implemented`);
+  }
+
+  /**
+   * Newest finished game between two players that ended after `since`.
+   * Rejects on rate limiting (status 410/429) so callers can back off;
+   * resolves null for anything else.
+   */
+  async findGameBetween(playerA, playerB, { since = null } = {}) {
+    throw new Error(`${this.name}: findGameBetween not implemented`);
+  }
+
+  /** Full normalized game (with PGN) for a game URL, or null. */
+  async getGameByUrl(url, options = {}) {
+    throw new Error(`${this.name}: getGameByUrl not implemented`);
+  }
+
+  // ---- Shared behaviour ----------------------------------------------------
+
+  async validateUser(username) {
+    try {
+      const data = await this.getProfile(username);
+      return { valid: true, data };
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return {
+          valid: false,
+          error: `Player "${username}" not found on ${this.name}`,
+        };
+      }
+      return {
+        valid: false,
+        error: `Error checking "${username}" on ${this.name}: ${error.message}`,
+      };
+    }
+  }
+
+  /** { blitz, rapid, bullet, highest } ratings, or null when unavailable. */
+  async getRatings(username) {
+    if (!username) return null;
+
+    const stats = await this.getStats(username);
+    if (!stats) return null;
+
+    const ratings = {
+      blitz: stats.blitz?.rating || 0,
+      rapid: stats.rapid?.rating || 0,
+      bullet: stats.bullet?.rating || 0,
+    };
+    return { ...ratings, highest: Math.max(ratings.blitz, ratings.rapid, ratings.bullet) };
+  }
+
+  /** Recent games from the player's point of view, as shown on profiles. */
+  async getRecentGames(username, { limit = 10 } = {}) {
+    if (!username) return [];
+
+    const games = await this.fetchRecentGames(username, { limit });
+    return games.map((game) => this.summarizeForPlayer(game, username));
+  }
+
+  summarizeForPlayer(game, username) {
+    const isWhite = this.sameUser(game.white.username, username);
+    const player = isWhite ? game.white : game.black;
+    const opponent = isWhite ? game.black : game.white;
+
+    let result = "Draw";
+    if (game.winner) {
+      result = (game.winner === "white") === isWhite ? "Win" : "Loss";
+    }
+
+    let ratingChange = "";
+    if (typeof player.ratingDiff === "number") {
+      ratingChange = player.ratingDiff > 0 ? `+${player.ratingDiff}` : `${player.ratingDiff}`;
+    }
+
+    const playedAt = game.endedAt || game.startedAt;
+    return {
+      id: game.id,
+      opponent: opponent.username,
+      opponentRating: opponent.rating,
+      result,
+      userRating: player.rating,
+      ratingChange,
+      timeControl: this.formatClock(game.clock) || game.speed,
+      gameUrl: game.url,
+      date: playedAt ? playedAt.toISOString().split("T")[0] : null,
+    };
+  }
+
+  // "180+2" - seconds plus increment, the same format chess.com uses
+  formatClock(clock) {
+    if (!clock) return null;
+    return `${clock.initial}+${clock.increment}`;
+  }
+
+  sameUser(a, b) {
+    return String(a || "").toLowerCase() === String(b || "").toLowerCase();
+  }
+
+  isBetween(game, playerA, playerB) {
+    return (
+      (this.sameUser(game.white.username, playerA) && this.sameUser(game.black.username, playerB)) ||
+      (this.sameUser(game.white.username, playerB) && this.sameUser(game.black.username, playerA))
+    );
+  }
+
+  isRateLimitError(error) {
+    return (
+      [410, 429].includes(error.response?.status) ||
+      (error.message && /status code (410|429)|rate limited/.test(error.message))
+    );
+  }
+}
@@ -0,0 +1,207 @@
+import axios from "axios";
+import ChessPlatform from "./ChessPlatform.js";
+
+const LICHESS_URL = "https://lichess.org";
+
+const HEADERS = {
+  "User-Agent": "ChessNexus/1.0 (https://chess-nexus.com)",
+};
+
+// Games that haven't finished yet
+const UNFINISHED_STATUSES = ["created", "started"];
+
+class LichessPlatform extends ChessPlatform {
+  constructor() {
+    super({
+      id: "lichess.org",
+      name: "Lichess.org",
+      aliases: ["lichess"],
+      usernameColumn: "lichess_username",
+      hosts: ["lichess.org"],
+    });
+  }
+
+  async getProfile(username) {
+    const response = await axios.get(`${LICHESS_URL}/api/user/${encodeURIComponent(username)}`, {
+      headers: { ...HEADERS, Accept: "application/json" },
+      timeout: 8000,
+    });
+    return response.data;
+  }
+
+  async getStats(username) {
+    try {
+      const perfs = (await this.getProfile(username)).perfs || {};
+      const speed = (key) => ({
+        rating: perfs[key]?.rating || 0,
+        wins: perfs[key]?.wins || 0,
+        losses: perfs[key]?.losses || 0,
+        draws: perfs[key]?.draws || 0,
+      });
+      return {
+        blitz: speed("blitz"),
+        rapid: speed("rapid"),
+        bullet: speed("bullet"),
+      };
+    } catch (error) {
+      console.error(`❌ [LICHESS] Error fetching stats for ${username}:`, error.message);
+      return null;
+    }
+  }
+
+  // Games export streams NDJSON, newest first
+  async exportGames(username, params) {
+    const response = await axios.get(
+      `${LICHESS_URL}/api/games/user/${encodeURIComponent(username)}`,
+      {
+        params: {
+          moves: false,
+          pgnInJson: false,
+          tags: false,
+          clocks: false,
+          evals: false,
+          opening: false,
+          ...params,
+        },
+        headers: { ...HEADERS, Accept: "application/x-ndjson" },
+        responseType: "text",
+        timeout: 10000,
+      }
+    );
+
+    return String(response.data || "")
+      .trim()
+      .split("\n")
+      .filter((line) => line.trim())
+      .map((line) => this.normalizeGame(JSON.parse(line)));
+  }
+
+  async fetchRecentGames(username, { limit = 10 } = {}) {
+    try {
+      return await this.exportGames(username, {
+        max: limit,
+        rated: true,
+        perfType: "blitz,rapid,bullet",
+      });
+    } catch (error) {
+      console.error(`❌ [LICHESS] Error fetching games for ${username}:`, error.message);
+      return [];
+    }
+  }
+
+  async findGameBetween(playerA, playerB, { since = null } = {}) {
+    // Without a start time only look at the last 30 minutes
+    const sinceMs = since ? new Date(since).getTime() : Date.now() - 30 * 60 * 1000;
+
+    try {
+      console.log(
+        `🔍 [LICHESS] Fetching games for ${playerA} vs ${playerB} since ${new Date(sinceMs).toISOString()}`
+      );
+      // Moves are needed to tell games aborted after a move or two
+      const games = await this.exportGames(playerA, {
+        vs: playerB,
+        since: sinceMs,
+        max: 5,
+        moves: true,
+      });
+
+      // Skip games that are still being played
+      return games.find((game) => game.finished) || null;
+    } catch (error) {
+      if (this.isRateLimitError(error)) {
+        console.error("❌ [LICHESS] Rate limited while searching games:", error.message);
+        throw error;
+      }
+      console.error("❌ [LICHESS] Error searching games:", error.message);
+      return null;
+    }
+  }
+
+  async getGameByUrl(url) {
+    // https://lichess.org/abcdefgh or /abcdefghWXYZ (player view) or /abcdefgh/black
+    let gameId = null;
+    try {
+      gameId = new URL(url).pathname.split("/").filter(Boolean)[0]?.slice(0, 8);
+    } catch {
+      return null;
+    }
+    if (!gameId) return null;
+
+    try {
+      const response = await axios.get(`${LICHESS_URL}/game/export/${gameId}`, {
+        params: { pgnInJson: true, clocks: true, opening: true },
+        headers: { ...HEADERS, Accept: "application/json" },
+        timeout: 10000,
+      });
+      return this.normalizeGame(response.data);
+    } catch (error) {
+      console.error(`❌ [LICHESS] Error fetching game ${url}:`, error.message);
+      return null;
+    }
+  }
+
+  // Map Lichess game status onto the result names processMatchResult understands
+  mapResult(game) {
+    switch (game.status) {
+      case "mate":
+        return "checkmated";
+      case "resign":
+        return "resigned";
+      case "outoftime":
+        // Flagged against a lone king is a draw on Lichess
+        return game.winner ? "timeout" : "timevsinsufficient";
+      case "timeout":
+        // Opponent left the game and the win was claimed
+        return game.winner ? "abandoned" : "agreed";
+      case "stalemate":
+        return "stalemate";
+      case "draw":
+        return "agreed";
+      case "aborted":
+      case "noStart":
+        return "aborted";
+      default:
+        // cheat, variantEnd, unknownFinish...
+        return game.winner ? "win" : "unknown";
+    }
+  }
+
+  normalizeGame(game) {
+    const player = (color) => {
+      const data = game.players?.[color] || {};
+      return {
+        username: data.user?.name || "",
+        rating: data.rating,
+        result: game.winner ? (game.winner === color ? "win" : game.status) : game.status,
+        ratingDiff: data.ratingDiff,
+      };
+    };
+
+    return {
+      platform: this.id,
+      id: game.id,
+      url: `${LICHESS_URL}/${game.id}`,
+      white: player("white"),
+      black: player("black"),
+      winner: game.winner || null,
+      result: this.mapResult(game),
+      status: game.status,
+      finished: !UNFINISHED_STATUSES.includes(game.status),
+      rated: Boolean(game.rated),
+      variant: game.variant || "standard",
+      speed: game.speed,
+      clock: game.clock ? { initial: game.clock.initial, increment: game.clock.increment } : null,
+      plies: typeof game.moves === "string" ? game.moves.split(" ").filter(Boolean).length : null,
+      // Exported in centiseconds when asked for with clocks=true
+      clocks: Array.isArray(game.clocks) ? game.clocks.map((cs) => cs / 100) : null,
+      opening: game.opening ? { eco: game.opening.eco || null, name: game.opening.name || null } : null,
+      termination: game.status || null,
+      startedAt: game.createdAt ? new Date(game.createdAt) : null,
+      endedAt: game.lastMoveAt ? new Date(game.lastMoveAt) : null,
+      pgn: game.pgn || null,
+      raw: game,
+    };
+  }
+}
+
+export default new LichessPlatform();
@@ -0,0 +1,51 @@
+// Registry of supported chess platforms. Adding a platform means writing a
+// ChessPlatform subclass and registering it here - lookups, username
+// columns and the platform-username SQL all come from this list.
+import chessComPlatform from "./ChessComPlatform.js";
+import lichessPlatform from "./LichessPlatform.js";
+
+const platforms = [];
+
+export function registerPlatform(platform) {
+  if (platforms.some((p) => p.id === platform.id)) {
+    throw new Error(`Chess platform ${platform.id} is already registered`);
+  }
+  platforms.push(platform);
+}
+
+export function getPlatforms() {
+  return [...platforms];
+}
+
+/** Adapter for a platform id or alias ('lichess' → Lichess), or null. */
+export function getPlatform(value) {
+  return platforms.find((p) => p.matches(value)) || null;
+}
+
+/** Adapter that owns a game URL, or null. */
+export function getPlatformForUrl(url) {
+  return platforms.find((p) => p.ownsUrl(url)) || null;
+}
+
+/** The user's username on a platform (users row), or null. */
+export function getPlatformUsername(user, platformValue) {
+  return getPlatform(platformValue)?.usernameFor(user) || null;
+}
+
+/**
+ * SQL expression picking a user's username on a challenge's platform, e.g.
+ * `${platformUsernameSql("c.platform", "cu")} AS challenger_username`.
+ * Falls back to the Chequemate username for unknown platforms.
+ */
+export function platformUsernameSql(platformColumn, userAlias) {
+  const branches = platforms
+    .map((p) => {
+      const values = [p.id, ...p.aliases].map((v) => `'${v}'`).join(", ");
+      return `WHEN ${platformColumn} IN (${values}) THEN ${userAlias}.${p.usernameColumn}`;
+    })
+    .join(" ");
+  return `CASE ${branches} ELSE ${userAlias}.username END`;
+}
+
+registerPlatform(chessComPlatform);
+registerPlatform(lichessPlatform);
@@ -0,0 +1,118 @@
+// Who is online, across every app instance. Each connected socket has a
+// socket_presence row owned by the instance holding it; instances refresh
+// their rows on a heartbeat and sweep rows other instances stopped
+// refreshing, so a crashed process doesn't leave its users online forever.
+// "online-users" broadcasts go through io.emit, which the Postgres adapter
+// relays to the other instances.
+import os from "os";
+import { randomUUID } from "crypto";
+import pool from "../config/database.js";
+import realtimeConfig from "../config/realtime.js";
+
+class PresenceService {
+  constructor(config = realtimeConfig) {
+    this.config = config;
+    this.instanceId = `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+    this.io = null;
+    this.intervalId = null;
+  }
+
+  setSocketIO(io) {
+    this.io = io;
+  }
+
+  start() {
+    if (this.intervalId) return;
+
+    this.intervalId = setInterval(
+      () =>
+        this.heartbeat().catch((error) =>
+          console.error("❌ [PRESENCE] Heartbeat failed:", error.message)
+        ),
+      this.config.presenceHeartbeatSeconds * 1000
+    );
+    console.log(
+      `💓 [PRESENCE] Heartbeat every ${this.config.presenceHeartbeatSeconds}s (instance ${this.instanceId})`
+    );
+  }
+
+  /**
+   * Stop the heartbeat and drop this instance's sockets
+   */
+  async stop() {
+    clearInterval(this.intervalId);
+    this.intervalId = null;
+
+    try {
+      await pool.query("DELETE FROM socket_presence WHERE instance_id = $1", [this.instanceId]);
+    } catch (error) {
+      console.error("❌ [PRESENCE] Failed to clear presence on shutdown:", error.message);
+    }
+  }
+
+  /**
+   * Mark a socket online.
+   * @param {string} socketId
+   * @param {Object} user - Authenticated user
+   * @param {Object} [profile] - Display fields shown in the online list
+   */
+  async connect(socketId, user, profile = {}) {
+    await pool.query(
+      `INSERT INTO socket_presence (socket_id, user_id, instance_id, profile)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (socket_id) DO UPDATE
+       SET profile = EXCLUDED.profile, instance_id = EXCLUDED.instance_id, last_seen_at = NOW()`,
+      [socketId, user.id, this.instanceId, JSON.stringify({ ...profile, id: user.id, username: user.username })]
+    );
+    await this.broadcast();
+  }
+
+  async disconnect(socketId) {
+    await pool.query("DELETE FROM socket_presence WHERE socket_id = $1", [socketId]);
+    await this.broadcast();
+  }
+
+  async heartbeat() {
+    await pool.query(
+      "UPDATE socket_presence SET last_seen_at = NOW() WHERE instance_id = $1",
+      [this.instanceId]
+    );
+
+    const swept = await pool.query(
+      `DELETE FROM socket_presence
+       WHERE last_seen_at < NOW() - ($1 || ' seconds')::interval`,
+      [String(this.config.presenceTtlSeconds)]
+    );
+    if (swept.rowCount > 0) {
+      console.log(`🧹 [PRESENCE] Swept ${swept.rowCount} stale socket(s)`);
+      await this.broadcast();
+    }
+  }
+
+  /**
+   * Online users, one entry per user (their most recently seen socket)
+   * @returns {Promise<Array<Object>>} Profile fields plus id and socketId
+   */
+  async getOnlineUsers() {
+    const result = await pool.query(
+      `SELECT DISTINCT ON (user_id) user_id, socket_id, profile
+       FROM socket_presence
+       WHERE last_seen_at >= NOW() - ($1 || ' seconds')::interval
+       ORDER BY user_id, last_seen_at DESC`,
+      [String(this.config.presenceTtlSeconds)]
+    );
+    return result.rows.map((row) => ({ ...row.profile, id: row.user_id, socketId: row.socket_id }));
+  }
+
+  async getOnlineUserIds() {
+    const users = await this.getOnlineUsers();
+    return users.map((user) => user.id);
+  }
+
+  async broadcast() {
+    if (!this.io) return;
+    this.io.emit("online-users", await this.getOnlineUsers());
+  }
+}
+
+export default new PresenceService();
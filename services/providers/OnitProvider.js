@@ -0,0 +1,273 @@
+import axios from "axios";
+import dotenv from "dotenv";
+import PaymentProvider from "./PaymentProvider.js";
+import tokenManager from "../tokenManager.js";
+
+dotenv.config();
+
+// Constants from .env
+const DEFAULT_DESTINATION_ACCOUNT = process.env.ONIT_ACCOUNT || "0001650000002";
+const CHANNEL = process.env.CHANNEL || "MPESA";
+const PRODUCT = process.env.PRODUCT || "CA05";
+const WITHDRAW_PRODUCT = process.env.ONIT_WITHDRAW_PRODUCT || "CA04";
+const HOST = process.env.ONIT_HOST || "api.onitmfbank.com";
+const STATUS_PATH =
+  process.env.ONIT_STATUS_PATH || "/api/v1/transaction/status/{requestId}";
+const CALLBACK_URL =
+  process.env.ONIT_CALLBACK_URL ||
+  "https://chequemate-backend-n13g.onrender.com/api/payments/callback";
+
+// ONIT bank API (M-Pesa STK push and B2C withdrawals)
+class OnitProvider extends PaymentProvider {
+  constructor() {
+    super("onit");
+    this.initialized = false;
+    // Simple in-memory request queue to serialize payment API calls
+    this.queue = [];
+    this.processing = false;
+    this.initializeToken();
+  }
+
+  async initializeToken() {
+    try {
+      this.initialized = await tokenManager.initialize();
+      console.log(
+        `💰 ONIT provider ${
+          this.initialized ? "initialized successfully" : "failed to initialize"
+        }`
+      );
+    } catch (error) {
+      console.error("ONIT provider initialization error:", error);
+      this.initialized = false;
+    }
+  }
+
+  // Enqueue a task that will run with a fresh auth token; tasks are processed sequentially
+  enqueueRequest(taskName, taskFn) {
+    return new Promise((resolve, reject) => {
+      const job = { taskName, taskFn, resolve, reject };
+      this.queue.push(job);
+      this._processQueue();
+    });
+  }
+
+  async _processQueue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    while (this.queue.length > 0) {
+      const { taskName, taskFn, resolve, reject } = this.queue.shift();
+      try {
+        // Always fetch a fresh token for each queued request
+        const accessToken = await tokenManager.refreshToken();
+        const result = await taskFn(accessToken);
+        resolve(result);
+      } catch (err) {
+        console.error(`❌ [QUEUE] Task failed (${taskName}):`, err?.response?.data || err?.message || err);
+        reject(err);
+      }
+    }
+
+    this.processing = false;
+  }
+
+  async initiateDeposit({ requestId, phoneNumber, amount, narration }) {
+    const data = await this.enqueueRequest("deposit", async (accessToken) => {
+      const url = `https://${HOST}/api/v1/transaction/deposit`;
+      console.log(`🔗 Deposit URL: ${url}`);
+
+      const apiResponse = await axios.post(
+        url,
+        {
+          originatorRequestId: requestId,
+          destinationAccount: DEFAULT_DESTINATION_ACCOUNT,
+          sourceAccount: phoneNumber,
+          amount: Math.round(Number(amount)),
+          channel: CHANNEL,
+          product: PRODUCT,
+          event: "",
+          narration,
+          callbackUrl: CALLBACK_URL,
+        },
+        {
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${accessToken}`,
+          },
+        }
+      );
+
+      console.log(`✅ [DEPOSIT] API Response:`, apiResponse.data);
+      return apiResponse.data;
+    });
+
+    return {
+      accepted: true,
+      transactionId: data?.transactionId || null,
+      raw: data,
+    };
+  }
+
+  async initiateWithdrawal({ requestId, phoneNumber, amount, narration }) {
+    const data = await this.enqueueRequest("withdraw", async (accessToken) => {
+      const url = `https://${HOST}/api/v1/transaction/withdraw`;
+      console.log(`🔗 Withdraw URL: ${url}`);
+
+      const apiResponse = await axios.post(
+        url,
+        {
+          originatorRequestId: requestId,
+          sourceAccount: DEFAULT_DESTINATION_ACCOUNT,
+          destinationAccount: phoneNumber,
+          amount: Math.round(Number(amount)), // Convert to integer as specified
+          channel: CHANNEL,
+          channelType: "MOBILE",
+          product: WITHDRAW_PRODUCT,
+          narration,
+          callbackUrl: CALLBACK_URL,
+        },
+        {
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `Bearer ${accessToken}`,
+          },
+        }
+      );
+
+      console.log(`✅ [WITHDRAW] API Response:`, apiResponse.data);
+      return apiResponse.data;
+    });
+
+    return {
+      accepted: true,
+      transactionId: data?.transactionId || null,
+      raw: data,
+    };
+  }
+
+  async queryStatus(requestId) {
+    const data = await this.enqueueRequest("status", async (accessToken) => {
+      const url = `https://${HOST}${STATUS_PATH.replace(
+        "{requestId}",
+        encodeURIComponent(requestId)
+      )}`;
+      console.log(`🔗 Status URL: ${url}`);
+
+      const apiResponse = await axios.get(url, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+      });
+      return apiResponse.data;
+    });
+
+    // Status responses share the callback shape; fall back to the id we asked about
+    const parsed = this.parseCallback({ originatorRequestId: requestId, ...data });
+    return { ...parsed, requestId: parsed.requestId || requestId };
+  }
+
+  /**
+   * Extract request ID from ONIT callback payload
+   * Handles cases where originatorRequestId is missing but embedded in error messages
+   * Example: "1003|DEP_69_8_1760555690220 : Error..." → "DEP_69_8_1760555690220"
+   */
+  extractRequestId(payload) {
+    // First try standard fields
+    let requestId = payload.originatorRequestId || payload.requestId;
+
+    if (requestId) {
+      // Strip ONIT prefix if present (e.g., "1003|DEP_72_2_1760573288599" → "DEP_72_2_1760573288599")
+      const prefixMatch = requestId.match(/^\d+\|(.+)$/);
+      if (prefixMatch && prefixMatch[1]) {
+        console.log(`🔍 [CALLBACK] Stripped prefix from request ID: "${requestId}" → "${prefixMatch[1]}"`);
+        return prefixMatch[1];
+      }
+      return requestId;
+    }
+
+    // Try to extract from message/description text using regex
+    const text =
+      payload.message || payload.description || payload.responseMessage || "";
+
+    // Pattern matches: "1003|DEP_69_8_1760555690220 :" or "WTH_123_456_789 :"
+    const patterns = [
+      /\|([A-Z]+_\d+_\d+_\d+)\s*[:]/i, // After pipe symbol
+      /([A-Z]+_\d+_\d+_\d+)/i, // Anywhere in text
+    ];
+
+    for (const pattern of patterns) {
+      const match = text.match(pattern);
+      if (match && match[1]) {
+        console.log(
+          `🔍 [CALLBACK] Extracted request ID from message: "${match[1]}"`
+        );
+        return match[1];
+      }
+    }
+
+    return null;
+  }
+
+  // Map ONIT status to our internal status
+  mapStatus(payload) {
+    const onitStatus = payload.status;
+    const message = payload.message || payload.description || "";
+    const messageLower = message.toLowerCase();
+
+    // If ONIT provides a transaction reference, payment is successful
+    // (ONIT doesn't always send the status field)
+    if (payload.transactionReference) {
+      return "completed";
+    }
+
+    if (onitStatus) {
+      const statusLower = String(onitStatus).toLowerCase();
+
+      // Check for explicit failure status codes
+      if (onitStatus === "5008" || onitStatus === "5000" || onitStatus === "5001") {
+        return "failed";
+      }
+      if (statusLower.includes("success") || statusLower.includes("complete")) {
+        return "completed";
+      }
+      if (
+        statusLower.includes("fail") ||
+        statusLower.includes("error") ||
+        messageLower.includes("cancelled") ||
+        messageLower.includes("failed") ||
+        messageLower.includes("error") ||
+        messageLower.includes("insufficient")
+      ) {
+        return "failed";
+      }
+      if (statusLower.includes("pend") || statusLower.includes("processing")) {
+        return "processing";
+      }
+      return "pending";
+    }
+
+    // If no status but we have error indicators in message
+    if (
+      messageLower.includes("cancelled") ||
+      messageLower.includes("failed") ||
+      messageLower.includes("error") ||
+      messageLower.includes("insufficient")
+    ) {
+      return "failed";
+    }
+
+    return "pending";
+  }
+
+  parseCallback(payload = {}) {
+    return {
+      requestId: this.extractRequestId(payload),
+      status: this.mapStatus(payload),
+      transactionReference: payload.transactionReference || null,
+      transactionId: payload.transactionId || null,
+      providerStatus: payload.status || null,
+      message: payload.message || payload.description || null,
+      raw: payload,
+    };
+  }
+}
+
+export default OnitProvider;
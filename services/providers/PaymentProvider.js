@@ -0,0 +1,84 @@
+/**
+ * PaymentProvider interface
+ * Every mobile-money backend (ONIT, the local sandbox, ...) implements these
+ * four methods so paymentService never talks to a bank API directly.
+ *
+ * Normalized statuses: 'pending' | 'processing' | 'completed' | 'failed'
+ */
+
+/**
+ * @typedef {Object} TransferRequest
+ * @property {string} requestId - Our originatorRequestId (DEP_/PAY_/REF_... prefix)
+ * @property {string} phoneNumber - Normalized +254 phone number
+ * @property {number} amount - Amount in KES
+ * @property {string} narration - Human-readable description
+ */
+
+/**
+ * @typedef {Object} TransferResult
+ * @property {boolean} accepted - Provider accepted the request for processing
+ * @property {string|null} transactionId - Provider transaction id, if returned
+ * @property {Object} raw - Raw provider response
+ */
+
+/**
+ * @typedef {Object} ProviderStatus
+ * @property {string|null} requestId
+ * @property {string} status - Normalized status
+ * @property {string|null} transactionReference
+ * @property {string|null} transactionId
+ * @property {string|null} providerStatus - Provider's own status code/text
+ * @property {string|null} message
+ * @property {Object} raw - Raw provider payload
+ */
+
+export default class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Start an STK push collecting money from the player's phone
+   * @param {TransferRequest} request
+   * @returns {Promise<TransferResult>}
+   */
+  async initiateDeposit(request) {
+    throw new Error(`${this.name} provider does not implement initiateDeposit`);
+  }
+
+  /**
+   * Send money from the merchant account to the player's phone
+   * @param {TransferRequest} request
+   * @returns {Promise<TransferResult>}
+   */
+  async initiateWithdrawal(request) {
+    throw new Error(`${this.name} provider does not implement initiateWithdrawal`);
+  }
+
+  /**
+   * Ask the provider for the current status of a request
+   * @param {string} requestId
+   * @returns {Promise<ProviderStatus>}
+   */
+  async queryStatus(requestId) {
+    throw new Error(`${this.name} provider does not implement queryStatus`);
+  }
+
+  /**
+   * Turn a provider callback body into a normalized status
+   * @param {Object} payload
+   * @returns {ProviderStatus}
+   */
+  parseCallback(payload) {
+    throw new Error(`${this.name} provider does not implement parseCallback`);
+  }
+
+  /**
+   * Providers that deliver callbacks in-process (the sandbox) push them here.
+   * HTTP-based providers ignore it - their callbacks arrive on the route.
+   * @param {(payload: Object) => Promise<any>} handler
+   */
+  setCallbackHandler(handler) {
+    this.callbackHandler = handler;
+  }
+}
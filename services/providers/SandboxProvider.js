@@ -0,0 +1,206 @@
+import axios from "axios";
+import dotenv from "dotenv";
+import PaymentProvider from "./PaymentProvider.js";
+import { buildSignedHeaders } from "../../utils/callbackSignature.js";
+
+dotenv.config();
+
+// Outcome is picked from the last three digits of the phone number so a
+// whole challenge flow can be scripted without touching the bank:
+//   ...000 → fails (insufficient funds)     ...111 → user cancels the STK push
+//   ...999 → times out (no callback ever)   ...888 → provider rejects the request
+//   anything else → succeeds
+const SCENARIOS = {
+  "000": "insufficient_funds",
+  "111": "cancelled",
+  "999": "timeout",
+  "888": "rejected",
+};
+
+// In-process stand-in for ONIT used locally and in automated tests
+class SandboxProvider extends PaymentProvider {
+  constructor() {
+    super("sandbox");
+    this.transactions = new Map(); // requestId -> simulated transaction
+    this.callbackDelayMs = parseInt(process.env.SANDBOX_CALLBACK_DELAY_MS) || 2000;
+    this.callbackMode = process.env.SANDBOX_CALLBACK_MODE || "inprocess"; // inprocess | http
+    this.autoCallbacks = process.env.SANDBOX_AUTO_CALLBACKS !== "false";
+    this.failureRate = parseFloat(process.env.SANDBOX_FAILURE_RATE) || 0;
+    console.log(
+      `🧪 [SANDBOX] Payment sandbox active (callbacks: ${this.autoCallbacks ? `${this.callbackMode} after ${this.callbackDelayMs}ms` : "manual"})`
+    );
+  }
+
+  pickScenario(phoneNumber) {
+    const suffix = String(phoneNumber || "").slice(-3);
+    if (SCENARIOS[suffix]) return SCENARIOS[suffix];
+    if (this.failureRate > 0 && Math.random() < this.failureRate) {
+      return "insufficient_funds";
+    }
+    return "success";
+  }
+
+  async startTransaction(type, { requestId, phoneNumber, amount, narration }) {
+    const scenario = this.pickScenario(phoneNumber);
+
+    if (scenario === "rejected") {
+      const error = new Error("Sandbox provider rejected the request");
+      error.response = {
+        status: 400,
+        data: { status: "5000", message: `${requestId} : Request rejected by sandbox` },
+      };
+      throw error;
+    }
+
+    const transactionId = `SBX_TX_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+    this.transactions.set(requestId, {
+      requestId,
+      type,
+      phoneNumber,
+      amount: Number(amount),
+      narration,
+      scenario,
+      status: "pending",
+      transactionId,
+      transactionReference: null,
+      createdAt: new Date(),
+    });
+
+    console.log(
+      `🧪 [SANDBOX] ${type} ${requestId} accepted (${amount} KES, ${phoneNumber}) → scenario "${scenario}"`
+    );
+
+    if (this.autoCallbacks && scenario !== "timeout") {
+      setTimeout(() => {
+        this.resolve(requestId, scenario === "success" ? "completed" : "failed").catch(
+          (error) => console.error(`❌ [SANDBOX] Callback for ${requestId} failed:`, error.message)
+        );
+      }, this.callbackDelayMs);
+    }
+
+    return {
+      accepted: true,
+      transactionId,
+      raw: { status: "PENDING", transactionId, originatorRequestId: requestId, sandbox: true },
+    };
+  }
+
+  async initiateDeposit(request) {
+    return this.startTransaction("deposit", request);
+  }
+
+  async initiateWithdrawal(request) {
+    return this.startTransaction("withdrawal", request);
+  }
+
+  buildCallbackPayload(transaction) {
+    const payload = {
+      originatorRequestId: transaction.requestId,
+      transactionId: transaction.transactionId,
+      timestamp: new Date().toISOString(),
+      sandbox: true,
+    };
+
+    if (transaction.status === "completed") {
+      return {
+        ...payload,
+        status: "SUCCESS",
+        transactionReference: transaction.transactionReference,
+        message: "Sandbox transaction completed",
+      };
+    }
+
+    if (transaction.status === "failed") {
+      const cancelled = transaction.scenario === "cancelled";
+      return {
+        ...payload,
+        status: cancelled ? "5008" : "FAILED",
+        message: cancelled
+          ? `${transaction.requestId} : Request cancelled by user`
+          : `${transaction.requestId} : Insufficient funds`,
+      };
+    }
+
+    return { ...payload, status: "PENDING", message: "Sandbox transaction pending" };
+  }
+
+  /**
+   * Settle a simulated transaction and deliver its callback.
+   * Tests call this directly when SANDBOX_AUTO_CALLBACKS=false.
+   */
+  async resolve(requestId, status = "completed") {
+    const transaction = this.transactions.get(requestId);
+    if (!transaction) {
+      throw new Error(`Unknown sandbox transaction: ${requestId}`);
+    }
+
+    transaction.status = status;
+    if (status === "completed") {
+      transaction.transactionReference = `SBX${Date.now()}`;
+    }
+
+    return this.deliverCallback(this.buildCallbackPayload(transaction));
+  }
+
+  async deliverCallback(payload) {
+    console.log(`🧪 [SANDBOX] Delivering ${payload.status} callback for ${payload.originatorRequestId}`);
+
+    if (this.callbackMode === "http") {
+      // Go through the real route, signed like ONIT would
+      const url =
+        process.env.ONIT_CALLBACK_URL ||
+        `http://localhost:${process.env.PORT || 3002}/api/payments/callback`;
+      const rawBody = JSON.stringify(payload);
+      const headers = process.env.ONIT_CALLBACK_SECRET
+        ? buildSignedHeaders(process.env.ONIT_CALLBACK_SECRET, rawBody)
+        : { "Content-Type": "application/json" };
+      const response = await axios.post(url, rawBody, { headers, timeout: 15000 });
+      return response.data;
+    }
+
+    if (!this.callbackHandler) {
+      console.warn("⚠️ [SANDBOX] No callback handler registered - callback dropped");
+      return null;
+    }
+
+    return this.callbackHandler(payload);
+  }
+
+  async queryStatus(requestId) {
+    const transaction = this.transactions.get(requestId);
+    if (!transaction) {
+      return {
+        requestId,
+        status: "failed",
+        transactionReference: null,
+        transactionId: null,
+        providerStatus: "NOT_FOUND",
+        message: "Transaction not found in sandbox",
+        raw: { originatorRequestId: requestId, status: "NOT_FOUND" },
+      };
+    }
+
+    return this.parseCallback(this.buildCallbackPayload(transaction));
+  }
+
+  parseCallback(payload = {}) {
+    const statusMap = {
+      SUCCESS: "completed",
+      FAILED: "failed",
+      5008: "failed",
+      PENDING: "pending",
+    };
+
+    return {
+      requestId: payload.originatorRequestId || null,
+      status: statusMap[payload.status] || "pending",
+      transactionReference: payload.transactionReference || null,
+      transactionId: payload.transactionId || null,
+      providerStatus: payload.status || null,
+      message: payload.message || null,
+      raw: payload,
+    };
+  }
+}
+
+export default SandboxProvider;
@@ -0,0 +1,30 @@
+// Payment provider registry - PAYMENT_PROVIDER selects the implementation
+import OnitProvider from "./OnitProvider.js";
+import SandboxProvider from "./SandboxProvider.js";
+
+const PROVIDERS = {
+  onit: OnitProvider,
+  sandbox: SandboxProvider,
+};
+
+let activeProvider = null;
+
+export function getPaymentProvider() {
+  if (!activeProvider) {
+    const name = (process.env.PAYMENT_PROVIDER || "onit").toLowerCase();
+    const Provider = PROVIDERS[name];
+
+    if (!Provider) {
+      throw new Error(
+        `Unknown PAYMENT_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(", ")})`
+      );
+    }
+
+    activeProvider = new Provider();
+    console.log(`💳 [PAYMENT_PROVIDER] Using ${activeProvider.name} provider`);
+  }
+
+  return activeProvider;
+}
+
+export default getPaymentProvider;
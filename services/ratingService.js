@@ -0,0 +1,171 @@
+// Chequemate's internal Elo rating. Every settled challenge moves both
+// players' rating in the challenge's time-control category and leaves a
+// rating_history row per player. Platform ratings (users.current_rating)
+// are untouched - they stay a cache of chess.com / Lichess.
+import pool from "../config/database.js";
+import ratingConfig from "../config/ratings.js";
+import gameVerificationService from "./gameVerificationService.js";
+import ledgerService from "./ledgerService.js";
+
+export const RATING_CATEGORIES = ["bullet", "blitz", "rapid", "classical", "daily"];
+
+class RatingService {
+  constructor(config = ratingConfig) {
+    this.config = config;
+  }
+
+  /**
+   * Category for a challenge time control, using Lichess' estimated game
+   * duration (initial + 40 × increment seconds).
+   */
+  categoryFor(timeControl) {
+    const clock = gameVerificationService.parseTimeControl(timeControl);
+    if (!clock) return "daily";
+
+    const estimated = clock.initial + 40 * clock.increment;
+    if (estimated < 180) return "bullet";
+    if (estimated < 480) return "blitz";
+    if (estimated < 1500) return "rapid";
+    return "classical";
+  }
+
+  expectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+  }
+
+  kFactor(gamesPlayed) {
+    return gamesPlayed < this.config.provisionalGames
+      ? this.config.provisionalKFactor
+      : this.config.kFactor;
+  }
+
+  async lockRatings(userIds, category, client) {
+    for (const userId of userIds) {
+      await client.query(
+        `INSERT INTO user_ratings (user_id, category, rating, peak_rating)
+         VALUES ($1, $2, $3, $3)
+         ON CONFLICT (user_id, category) DO NOTHING`,
+        [userId, category, this.config.initialRating]
+      );
+    }
+
+    // Fixed order so two settlements can't deadlock on each other
+    const result = await client.query(
+      `SELECT * FROM user_ratings
+       WHERE user_id = ANY($1::int[]) AND category = $2
+       ORDER BY user_id
+       FOR UPDATE`,
+      [userIds, category]
+    );
+    return new Map(result.rows.map((row) => [Number(row.user_id), row]));
+  }
+
+  /**
+   * Rate a settled challenge. Safe to call more than once per challenge.
+   * @param {Object} params
+   * @param {number} params.challengeId
+   * @param {number} params.challenger
+   * @param {number} params.opponent
+   * @param {string} params.timeControl - challenges.time_control
+   * @param {number|null} params.winnerId - null for a draw
+   * @returns {Promise<Object|null>} { category, changes: { [userId]: change } },
+   *   or null if the challenge was already rated
+   */
+  async recordResult({ challengeId, challenger, opponent, timeControl, winnerId = null }) {
+    const category = this.categoryFor(timeControl);
+    const players = [Number(challenger), Number(opponent)];
+
+    const outcome = await ledgerService.withTransaction(async (client) => {
+      const rated = await client.query(
+        "SELECT 1 FROM rating_history WHERE challenge_id = $1 LIMIT 1",
+        [challengeId]
+      );
+      if (rated.rows.length > 0) return null;
+
+      const ratings = await this.lockRatings(players, category, client);
+      const changes = {};
+
+      for (const [userId, opponentId] of [players, [...players].reverse()]) {
+        const mine = ratings.get(userId);
+        const theirs = ratings.get(opponentId);
+        const score = winnerId ? (Number(winnerId) === userId ? 1 : 0) : 0.5;
+
+        const change = Math.round(
+          this.kFactor(mine.games_played) *
+            (score - this.expectedScore(mine.rating, theirs.rating))
+        );
+        const after = mine.rating + change;
+        changes[userId] = change;
+
+        await client.query(
+          `INSERT INTO rating_history
+             (user_id, challenge_id, category, opponent_id, opponent_rating, score,
+              rating_before, rating_after, rating_change)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+          [userId, challengeId, category, opponentId, theirs.rating, score, mine.rating, after, change]
+        );
+
+        await client.query(
+          `UPDATE user_ratings
+           SET rating = $3, peak_rating = GREATEST(peak_rating, $3),
+               games_played = games_played + 1,
+               wins = wins + $4, losses = losses + $5, draws = draws + $6,
+               updated_at = NOW()
+           WHERE user_id = $1 AND category = $2`,
+          [userId, category, after, score === 1 ? 1 : 0, score === 0 ? 1 : 0, score === 0.5 ? 1 : 0]
+        );
+      }
+
+      // Fill in the columns match_results has always had for this
+      if (winnerId) {
+        const loserId = players.find((id) => id !== Number(winnerId));
+        await client.query(
+          `UPDATE match_results
+           SET rating_change_winner = $2, rating_change_loser = $3
+           WHERE challenge_id = $1`,
+          [challengeId, changes[Number(winnerId)], changes[loserId]]
+        );
+      }
+
+      return { category, changes };
+    });
+
+    if (outcome) {
+      console.log(
+        `📈 [RATING] Challenge ${challengeId} rated (${category}): ${players
+          .map((id) => `user ${id} ${outcome.changes[id] >= 0 ? "+" : ""}${outcome.changes[id]}`)
+          .join(", ")}`
+      );
+    }
+    return outcome;
+  }
+
+  // All category ratings for a user, best category first
+  async getRatings(userId) {
+    const result = await pool.query(
+      `SELECT category, rating, peak_rating, games_played, wins, losses, draws, updated_at
+       FROM user_ratings
+       WHERE user_id = $1
+       ORDER BY rating DESC`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  async getHistory(userId, { category = null, limit = 50 } = {}) {
+    const result = await pool.query(
+      `SELECT h.challenge_id, h.category, h.score, h.rating_before, h.rating_after,
+              h.rating_change, h.opponent_id, h.opponent_rating, h.created_at,
+              u.username AS opponent_username
+       FROM rating_history h
+       LEFT JOIN users u ON u.id = h.opponent_id
+       WHERE h.user_id = $1 AND ($2::text IS NULL OR h.category = $2)
+       ORDER BY h.created_at DESC
+       LIMIT $3`,
+      [userId, category, limit]
+    );
+    return result.rows;
+  }
+}
+
+export default new RatingService();
@@ -0,0 +1,97 @@
+// Manual wallet corrections by admins (goodwill credits, clawbacks, fixing
+// a top-up the provider never called back for). Each adjustment is booked
+// against the house:adjustments account and leaves an audit row.
+import pool from "../config/database.js";
+import ledgerService from "./ledgerService.js";
+import walletHoldService, { InsufficientBalanceError } from "./walletHoldService.js";
+
+const roundKes = (amount) => Math.round(Number(amount) * 100) / 100;
+
+class WalletAdjustmentService {
+  /**
+   * Credit or debit a user's wallet.
+   * @param {Object} params
+   * @param {number} params.userId - Wallet owner
+   * @param {number} params.adminId - Admin making the change
+   * @param {number} params.amount - Positive amount in KES
+   * @param {'credit'|'debit'} params.direction
+   * @param {string} params.reason - Required free-text justification
+   * @param {string} [params.externalReference] - e.g. M-Pesa receipt number
+   * @returns {Promise<Object>} The wallet_adjustments row
+   */
+  async adjust({ userId, adminId, amount, direction, reason, externalReference = null }) {
+    const value = roundKes(amount);
+
+    return ledgerService.withTransaction(async (client) => {
+      const user = await client.query("SELECT id FROM users WHERE id = $1 FOR UPDATE", [
+        userId,
+      ]);
+      if (user.rows.length === 0) {
+        throw new Error(`User ${userId} not found`);
+      }
+
+      const before = await walletHoldService.getBalanceSummary(userId, client);
+
+      // Debits can't dip into money held for stakes or in-flight withdrawals
+      if (direction === "debit" && before.available < value) {
+        throw new InsufficientBalanceError(userId, before.available, value);
+      }
+
+      const inserted = await client.query(
+        `INSERT INTO wallet_adjustments
+           (user_id, admin_id, direction, amount, reason, external_reference, balance_before)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING *`,
+        [userId, adminId, direction, value, reason, externalReference, before.balance]
+      );
+      const adjustment = inserted.rows[0];
+
+      const wallet = ledgerService.userWallet(userId);
+      const house = ledgerService.house("adjustments");
+      const { entry } = await ledgerService.transfer(
+        {
+          from: direction === "credit" ? house : wallet,
+          to: direction === "credit" ? wallet : house,
+          amount: value,
+          entryType: "wallet_adjustment",
+          reference: `wallet_adjustment:${adjustment.id}`,
+          description: reason,
+          metadata: { userId, adminId, externalReference },
+        },
+        client
+      );
+
+      const balanceAfter = await ledgerService.getUserBalance(userId, client);
+      const updated = await client.query(
+        `UPDATE wallet_adjustments
+         SET balance_after = $2, ledger_entry_id = $3
+         WHERE id = $1
+         RETURNING *`,
+        [adjustment.id, balanceAfter, entry?.id || null]
+      );
+
+      console.log(
+        `🛠️ [WALLET_ADJUST] Admin ${adminId} ${direction === "credit" ? "credited" : "debited"} ${value} KES ${
+          direction === "credit" ? "to" : "from"
+        } user ${userId}: ${reason}`
+      );
+      return updated.rows[0];
+    });
+  }
+
+  async getAdjustments({ userId = null, limit = 50 } = {}) {
+    const result = await pool.query(
+      `SELECT wa.*, u.username, a.username AS admin_username
+       FROM wallet_adjustments wa
+       JOIN users u ON u.id = wa.user_id
+       JOIN users a ON a.id = wa.admin_id
+       WHERE ($1::int IS NULL OR wa.user_id = $1)
+       ORDER BY wa.created_at DESC
+       LIMIT $2`,
+      [userId, limit]
+    );
+    return result.rows;
+  }
+}
+
+export default new WalletAdjustmentService();
@@ -0,0 +1,318 @@
+// Holds reserve part of a user's wallet balance without moving it.
+// Wallet-funded challenges place a hold per player at accept time; the holds
+// are captured into the challenge escrow once every stake is secured, or
+// released when the challenge is cancelled or times out.
+// Wallet withdrawals hold the amount while the M-Pesa transfer is in flight;
+// the hold is captured when the provider confirms and released if it fails.
+import pool from "../config/database.js";
+import ledgerService from "./ledgerService.js";
+import escrowService from "./escrowService.js";
+
+export const FUNDING_SOURCES = {
+  MPESA: "mpesa",
+  WALLET: "wallet",
+};
+
+export class InsufficientBalanceError extends Error {
+  constructor(userId, available, required) {
+    super(
+      `Insufficient wallet balance: ${available} KES available, ${required} KES required`
+    );
+    this.name = "InsufficientBalanceError";
+    this.userId = userId;
+    this.available = available;
+    this.required = required;
+  }
+}
+
+const roundKes = (amount) => Math.round(Number(amount) * 100) / 100;
+
+class WalletHoldService {
+  normalizeFundingSource(source) {
+    return source === FUNDING_SOURCES.WALLET
+      ? FUNDING_SOURCES.WALLET
+      : FUNDING_SOURCES.MPESA;
+  }
+
+  async getHeldAmount(userId, client = pool) {
+    const result = await client.query(
+      `SELECT COALESCE(SUM(amount), 0) AS held
+       FROM wallet_holds
+       WHERE user_id = $1 AND status = 'active'`,
+      [userId]
+    );
+    return roundKes(result.rows[0].held);
+  }
+
+  // Ledger balance minus everything currently on hold
+  async getAvailableBalance(userId, client = pool) {
+    const balance = await ledgerService.getUserBalance(userId, client);
+    const held = await this.getHeldAmount(userId, client);
+    return roundKes(balance - held);
+  }
+
+  async getBalanceSummary(userId, client = pool) {
+    const balance = await ledgerService.getUserBalance(userId, client);
+    const held = await this.getHeldAmount(userId, client);
+    return { balance, held, available: roundKes(balance - held) };
+  }
+
+  /**
+   * Reserve amount on the user's wallet for a challenge stake.
+   * Idempotent per (user, challenge): an existing live hold is returned.
+   * Throws InsufficientBalanceError if the available balance is too low.
+   */
+  async placeStakeHold({ userId, challengeId, amount }, client = null) {
+    return ledgerService.withTransaction(async (tx) => {
+      // Serialize against other holds/withdrawals for this user
+      await tx.query("SELECT id FROM users WHERE id = $1 FOR UPDATE", [userId]);
+
+      const existing = await tx.query(
+        `SELECT * FROM wallet_holds
+         WHERE user_id = $1 AND challenge_id = $2
+         AND reason = 'challenge_stake' AND status <> 'released'`,
+        [userId, challengeId]
+      );
+      if (existing.rows.length > 0) {
+        return existing.rows[0];
+      }
+
+      const available = await this.getAvailableBalance(userId, tx);
+      if (available < Number(amount)) {
+        throw new InsufficientBalanceError(userId, available, Number(amount));
+      }
+
+      const result = await tx.query(
+        `INSERT INTO wallet_holds (user_id, challenge_id, amount, reason)
+         VALUES ($1, $2, $3, 'challenge_stake')
+         RETURNING *`,
+        [userId, challengeId, amount]
+      );
+
+      console.log(
+        `🔒 [WALLET_HOLD] Held ${amount} KES of user ${userId}'s wallet for challenge ${challengeId}`
+      );
+      return result.rows[0];
+    }, client);
+  }
+
+  /**
+   * Place holds for every player who chose to stake from their wallet.
+   * All-or-nothing: if one player can't cover the stake, no hold is kept.
+   */
+  async placeChallengeHolds(challenge, client = null) {
+    const players = [
+      [challenge.challenger, challenge.challenger_funding_source],
+      [challenge.opponent, challenge.opponent_funding_source],
+    ].filter(([, source]) => source === FUNDING_SOURCES.WALLET);
+
+    if (players.length === 0) return [];
+
+    return ledgerService.withTransaction(async (tx) => {
+      const holds = [];
+      for (const [userId] of players) {
+        holds.push(
+          await this.placeStakeHold(
+            { userId, challengeId: challenge.id, amount: challenge.bet_amount },
+            tx
+          )
+        );
+      }
+      return holds;
+    }, client);
+  }
+
+  async getChallengeHolds(challengeId, client = pool) {
+    const result = await client.query(
+      `SELECT * FROM wallet_holds
+       WHERE challenge_id = $1 AND reason = 'challenge_stake'
+       ORDER BY id ASC`,
+      [challengeId]
+    );
+    return result.rows;
+  }
+
+  // True when the user's stake for this challenge came out of their wallet
+  async isWalletStake(challengeId, userId, client = pool) {
+    const result = await client.query(
+      `SELECT 1 FROM wallet_holds
+       WHERE challenge_id = $1 AND user_id = $2
+       AND reason = 'challenge_stake' AND status IN ('active', 'captured')
+       LIMIT 1`,
+      [challengeId, userId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Move active stake holds into the escrow once every player is covered
+   * (either funded via M-Pesa or holding wallet funds). Returns
+   * { captured, becameFunded } - becameFunded is true when this capture
+   * completed the pot.
+   */
+  async captureChallengeStakes(challengeId) {
+    return ledgerService.withTransaction(async (tx) => {
+      const escrow = await escrowService.lockEscrow(challengeId, tx);
+      if (!escrow) {
+        return { captured: [], becameFunded: false };
+      }
+
+      const holds = await tx.query(
+        `SELECT wh.*, u.phone
+         FROM wallet_holds wh
+         JOIN users u ON u.id = wh.user_id
+         WHERE wh.challenge_id = $1 AND wh.reason = 'challenge_stake' AND wh.status = 'active'
+         FOR UPDATE OF wh`,
+        [challengeId]
+      );
+      if (holds.rows.length === 0) {
+        return { captured: [], becameFunded: false };
+      }
+
+      const heldUserIds = holds.rows.map((h) => h.user_id);
+      const covered = (userId, funded) => funded || heldUserIds.includes(userId);
+      if (
+        !covered(escrow.challenger_id, escrow.challenger_funded) ||
+        !covered(escrow.opponent_id, escrow.opponent_funded)
+      ) {
+        // Still waiting for an M-Pesa stake - keep the holds in place
+        return { captured: [], becameFunded: false };
+      }
+
+      const captured = [];
+      let becameFunded = false;
+
+      for (const hold of holds.rows) {
+        const opponentId =
+          hold.user_id === escrow.challenger_id ? escrow.opponent_id : escrow.challenger_id;
+
+        const paymentResult = await tx.query(
+          `INSERT INTO payments
+             (user_id, challenge_id, phone_number, amount, transaction_type, status, request_id, notes, opponent_id)
+           VALUES ($1, $2, $3, $4, 'stake', 'completed', $5, $6, $7)
+           RETURNING *`,
+          [
+            hold.user_id,
+            challengeId,
+            hold.phone || "",
+            hold.amount,
+            `STK_${challengeId}_${hold.user_id}`,
+            `Stake from wallet for challenge ${challengeId}`,
+            opponentId,
+          ]
+        );
+        const payment = paymentResult.rows[0];
+
+        await ledgerService.transfer(
+          {
+            from: ledgerService.userWallet(hold.user_id),
+            to: ledgerService.escrow(challengeId),
+            amount: hold.amount,
+            entryType: "stake",
+            reference: `payment:${payment.request_id}`,
+            description: payment.notes,
+            challengeId,
+            paymentId: payment.id,
+            metadata: { userId: hold.user_id, holdId: hold.id },
+          },
+          tx
+        );
+
+        await tx.query(
+          `UPDATE wallet_holds
+           SET status = 'captured', payment_id = $2, captured_at = NOW(), updated_at = NOW()
+           WHERE id = $1`,
+          [hold.id, payment.id]
+        );
+
+        const deposit = await escrowService.recordDeposit(payment, tx);
+        becameFunded = becameFunded || deposit.becameFunded;
+        captured.push({ ...hold, status: "captured", payment_id: payment.id });
+      }
+
+      console.log(
+        `💼 [WALLET_HOLD] Captured ${captured.length} wallet stake(s) into escrow for challenge ${challengeId}`
+      );
+      return { captured, becameFunded };
+    });
+  }
+
+  /**
+   * Reserve amount for an M-Pesa withdrawal linked to its payments row.
+   * Must run inside the transaction that inserted the payment, after the
+   * users row has been locked. Throws InsufficientBalanceError.
+   */
+  async placeWithdrawalHold({ userId, amount, paymentId }, client) {
+    const available = await this.getAvailableBalance(userId, client);
+    if (available < Number(amount)) {
+      throw new InsufficientBalanceError(userId, available, Number(amount));
+    }
+
+    const result = await client.query(
+      `INSERT INTO wallet_holds (user_id, amount, reason, payment_id)
+       VALUES ($1, $2, 'withdrawal', $3)
+       RETURNING *`,
+      [userId, amount, paymentId]
+    );
+
+    console.log(
+      `🔒 [WALLET_HOLD] Held ${amount} KES of user ${userId}'s wallet for withdrawal payment ${paymentId}`
+    );
+    return result.rows[0];
+  }
+
+  /**
+   * Close the hold of a withdrawal once the provider has answered:
+   * captured when the money left (the ledger debit is booked separately),
+   * released when it didn't. Only active holds change, so repeated
+   * callbacks are harmless.
+   */
+  async settleWithdrawalHold(paymentId, outcome, reason = null, client = pool) {
+    const result =
+      outcome === "completed"
+        ? await client.query(
+            `UPDATE wallet_holds
+             SET status = 'captured', captured_at = NOW(), updated_at = NOW()
+             WHERE payment_id = $1 AND reason = 'withdrawal' AND status = 'active'
+             RETURNING *`,
+            [paymentId]
+          )
+        : await client.query(
+            `UPDATE wallet_holds
+             SET status = 'released', release_reason = $2, released_at = NOW(), updated_at = NOW()
+             WHERE payment_id = $1 AND reason = 'withdrawal' AND status = 'active'
+             RETURNING *`,
+            [paymentId, reason || "withdrawal_failed"]
+          );
+
+    const hold = result.rows[0] || null;
+    if (hold) {
+      console.log(
+        outcome === "completed"
+          ? `💸 [WALLET_HOLD] Withdrawal hold ${hold.id} captured for user ${hold.user_id} (${hold.amount} KES)`
+          : `🔓 [WALLET_HOLD] Withdrawal hold ${hold.id} released for user ${hold.user_id} (${hold.release_reason})`
+      );
+    }
+    return hold;
+  }
+
+  // Give back every stake hold that hasn't been captured yet
+  async releaseChallengeHolds(challengeId, reason, client = pool) {
+    const result = await client.query(
+      `UPDATE wallet_holds
+       SET status = 'released', release_reason = $2, released_at = NOW(), updated_at = NOW()
+       WHERE challenge_id = $1 AND reason = 'challenge_stake' AND status = 'active'
+       RETURNING *`,
+      [challengeId, reason]
+    );
+
+    if (result.rows.length > 0) {
+      console.log(
+        `🔓 [WALLET_HOLD] Released ${result.rows.length} hold(s) for challenge ${challengeId} (${reason})`
+      );
+    }
+    return result.rows;
+  }
+}
+
+export default new WalletHoldService();
@@ -0,0 +1,133 @@
+// verifyOnitCallback against a signed fake ONIT delivery. The receipt and
+// rejection tables are replaced with in-memory stand-ins, so no database is
+// needed.
+import test, { beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import pool from "../config/database.js";
+import { verifyOnitCallback } from "../middleware/callbackAuth.js";
+import { buildSignedHeaders } from "../utils/callbackSignature.js";
+
+const SECRET = "test-callback-secret";
+
+let receipts;
+let rejections;
+
+pool.query = async (sql, params = []) => {
+  if (sql.includes("INSERT INTO payment_callback_receipts")) {
+    if (receipts.has(params[0])) return { rows: [] };
+    receipts.add(params[0]);
+    return { rows: [{ signature: params[0] }] };
+  }
+  if (sql.includes("INSERT INTO rejected_callbacks")) {
+    rejections.push(params[0]);
+  }
+  return { rows: [], rowCount: 0 };
+};
+
+beforeEach(() => {
+  receipts = new Set();
+  rejections = [];
+  process.env.ONIT_CALLBACK_SECRET = SECRET;
+  delete process.env.ONIT_CALLBACK_ALLOWED_IPS;
+  delete process.env.ONIT_CALLBACK_AUTH_DISABLED;
+});
+
+// A request as express.json({ verify }) leaves it for the middleware
+function signedRequest(body, { secret = SECRET, timestamp } = {}) {
+  const rawBody = JSON.stringify(body);
+  const headers = Object.fromEntries(
+    Object.entries(buildSignedHeaders(secret, rawBody, timestamp)).map(([name, value]) => [
+      name.toLowerCase(),
+      value,
+    ])
+  );
+  return {
+    ip: "127.0.0.1",
+    body,
+    rawBody: Buffer.from(rawBody),
+    get: (name) => headers[name.toLowerCase()],
+  };
+}
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    on() {},
+  };
+}
+
+async function deliver(req) {
+  const res = fakeResponse();
+  let passed = false;
+  await verifyOnitCallback(req, res, () => {
+    passed = true;
+  });
+  return { res, passed };
+}
+
+const payload = { originatorRequestId: "DEP_1_2_1700000000000", statusCode: "0" };
+
+test("accepts a correctly signed callback", async () => {
+  const { res, passed } = await deliver(signedRequest(payload));
+  assert.equal(passed, true);
+  assert.equal(res.body, null);
+  assert.deepEqual(rejections, []);
+});
+
+test("rejects a callback outside the timestamp window", async () => {
+  const tenMinutesAgo = Math.floor(Date.now() / 1000) - 600;
+  const { res, passed } = await deliver(signedRequest(payload, { timestamp: tenMinutesAgo }));
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.reason, "stale_timestamp");
+  assert.deepEqual(rejections, ["stale_timestamp"]);
+});
+
+test("rejects a replayed signature", async () => {
+  const req = signedRequest(payload);
+  assert.equal((await deliver(req)).passed, true);
+
+  const { res, passed } = await deliver(req);
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.reason, "replayed");
+});
+
+test("rejects a callback signed with the wrong secret", async () => {
+  const { res, passed } = await deliver(signedRequest(payload, { secret: "someone-else" }));
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.reason, "invalid_signature");
+});
+
+test("rejects a body changed after signing", async () => {
+  const req = signedRequest(payload);
+  req.rawBody = Buffer.from(JSON.stringify({ ...payload, statusCode: "1" }));
+  const { res, passed } = await deliver(req);
+  assert.equal(passed, false);
+  assert.equal(res.body.reason, "invalid_signature");
+});
+
+test("rejects an unsigned callback", async () => {
+  const req = { ...signedRequest(payload), get: () => undefined };
+  const { res, passed } = await deliver(req);
+  assert.equal(passed, false);
+  assert.equal(res.body.reason, "missing_signature");
+});
+
+test("rejects sources outside the IP allowlist", async () => {
+  process.env.ONIT_CALLBACK_ALLOWED_IPS = "10.0.0.1";
+  const { res, passed } = await deliver(signedRequest(payload));
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.reason, "ip_not_allowed");
+});
@@ -0,0 +1,90 @@
+// Platform fee calculation (feeService.calculateFee) against fixed configs
+import test from "node:test";
+import assert from "node:assert/strict";
+import { FeeService } from "../services/feeService.js";
+
+const config = (overrides = {}) => ({
+  enabled: true,
+  base: { percent: 10, flat: 0, minimum: 0, maximum: null },
+  applyToDraws: false,
+  platforms: {},
+  tiers: [],
+  ...overrides,
+});
+
+test("takes the base percentage of the pot", () => {
+  const fees = new FeeService(config());
+  const { gross, fee, net, rule } = fees.calculateFee({
+    amount: 200,
+    betAmount: 100,
+    platform: "chess.com",
+  });
+
+  assert.deepEqual({ gross, fee, net }, { gross: 200, fee: 20, net: 180 });
+  assert.equal(rule.source, "base");
+});
+
+test("charges nothing when disabled or on a draw", () => {
+  const disabled = new FeeService(config({ enabled: false }));
+  assert.deepEqual(disabled.calculateFee({ amount: 200, betAmount: 100 }), {
+    gross: 200,
+    fee: 0,
+    net: 200,
+    rule: null,
+  });
+
+  const fees = new FeeService(config());
+  assert.equal(fees.calculateFee({ amount: 100, betAmount: 100, outcome: "draw" }).fee, 0);
+
+  const drawFees = new FeeService(config({ applyToDraws: true }));
+  assert.equal(drawFees.calculateFee({ amount: 100, betAmount: 100, outcome: "draw" }).fee, 10);
+});
+
+test("applies the flat fee, minimum and maximum", () => {
+  const flat = new FeeService(config({ base: { percent: 5, flat: 3, minimum: 0, maximum: null } }));
+  assert.equal(flat.calculateFee({ amount: 100, betAmount: 50 }).fee, 8);
+
+  const floor = new FeeService(config({ base: { percent: 1, flat: 0, minimum: 15, maximum: null } }));
+  assert.equal(floor.calculateFee({ amount: 100, betAmount: 50 }).fee, 15);
+
+  const cap = new FeeService(config({ base: { percent: 10, flat: 0, minimum: 0, maximum: 50 } }));
+  assert.equal(cap.calculateFee({ amount: 2000, betAmount: 1000 }).fee, 50);
+});
+
+test("never takes more than the pot", () => {
+  const fees = new FeeService(config({ base: { percent: 0, flat: 0, minimum: 30, maximum: null } }));
+  const { fee, net } = fees.calculateFee({ amount: 20, betAmount: 10 });
+  assert.equal(fee, 20);
+  assert.equal(net, 0);
+});
+
+test("rounds to the cent", () => {
+  const fees = new FeeService(config({ base: { percent: 3.333, flat: 0, minimum: 0, maximum: null } }));
+  const { fee, net } = fees.calculateFee({ amount: 100, betAmount: 50 });
+  assert.equal(fee, 3.33);
+  assert.equal(net, 96.67);
+});
+
+test("layers platform and bet-tier overrides on the base rule", () => {
+  const fees = new FeeService(
+    config({
+      platforms: { lichess: { percent: 3 } },
+      tiers: [
+        { minBet: 1000, percent: 4 },
+        { minBet: 100, maxBet: 999, percent: 5, platform: "chess.com" },
+      ],
+    })
+  );
+
+  const lichess = fees.calculateFee({ amount: 200, betAmount: 100, platform: "lichess.org" });
+  assert.equal(lichess.fee, 6);
+  assert.equal(lichess.rule.source, "base > platform:lichess");
+
+  const chessCom = fees.calculateFee({ amount: 200, betAmount: 100, platform: "chess.com" });
+  assert.equal(chessCom.fee, 10);
+  assert.equal(chessCom.rule.source, "base > tier:100");
+
+  const highStakes = fees.calculateFee({ amount: 4000, betAmount: 2000, platform: "lichess" });
+  assert.equal(highStakes.fee, 160);
+  assert.equal(highStakes.rule.source, "base > platform:lichess > tier:1000");
+});
@@ -0,0 +1,91 @@
+// JobQueue.run outcomes (completed, retried with backoff, dead-lettered) and
+// lease renewal, with the job_queue writes captured instead of sent to Postgres
+import test, { beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import pool from "../config/database.js";
+import JobQueue from "../services/JobQueue.js";
+
+let writes;
+
+pool.query = async (sql, params = []) => {
+  writes.push({ sql, params });
+  return { rows: [], rowCount: 1 };
+};
+
+beforeEach(() => {
+  writes = [];
+});
+
+const claimedJob = (overrides = {}) => ({
+  id: 1,
+  job_id: "WD_1_2_3",
+  handler: "handle",
+  data: { amount: 100 },
+  attempts: 1,
+  max_attempts: 3,
+  created_at: new Date(),
+  ...overrides,
+});
+
+const statusWrites = () =>
+  writes
+    .map(({ sql }) => sql.match(/SET status = '(\w+)'/)?.[1])
+    .filter(Boolean);
+
+function queueWith(handler) {
+  const queue = new JobQueue("TEST_QUEUE", { retryDelay: 1000 });
+  queue.register(handler, "handle");
+  return queue;
+}
+
+test("a successful job is marked completed with its result", async () => {
+  const queue = queueWith(async (data) => ({ paid: data.amount }));
+  await queue.run(claimedJob());
+
+  assert.deepEqual(statusWrites(), ["completed"]);
+  assert.equal(writes[0].params[2], JSON.stringify({ paid: 100 }));
+});
+
+test("a failed attempt is retried with exponential backoff", async () => {
+  const queue = queueWith(async () => {
+    throw new Error("provider down");
+  });
+  await queue.run(claimedJob({ attempts: 2 }));
+
+  assert.deepEqual(statusWrites(), ["pending"]);
+  const [, , error, backoff] = writes[0].params;
+  assert.equal(error, "provider down");
+  assert.equal(backoff, "2000");
+});
+
+test("the last failed attempt dead-letters the job", async () => {
+  const queue = queueWith(async () => {
+    throw new Error("provider down");
+  });
+  await queue.run(claimedJob({ attempts: 3 }));
+
+  assert.deepEqual(statusWrites(), ["dead"]);
+});
+
+test("jobs without a registered handler are dead-lettered", async () => {
+  const queue = queueWith(async () => ({}));
+  await queue.run(claimedJob({ handler: "unknownHandler" }));
+
+  assert.deepEqual(statusWrites(), ["dead"]);
+  assert.match(writes[0].params[2], /No handler registered/);
+});
+
+test("the lease is renewed while a slow handler runs and not after", async () => {
+  const queue = queueWith(() => new Promise((resolve) => setTimeout(resolve, 250)));
+  queue.visibilityTimeout = 0.15; // renew every 50ms
+
+  await queue.run(claimedJob());
+  const renewals = writes.filter(({ sql }) => sql.includes("SET locked_until = NOW()")).length;
+  assert.ok(renewals >= 3, `expected at least 3 renewals, got ${renewals}`);
+
+  await new Promise((resolve) => setTimeout(resolve, 150));
+  assert.equal(
+    writes.filter(({ sql }) => sql.includes("SET locked_until = NOW()")).length,
+    renewals
+  );
+});
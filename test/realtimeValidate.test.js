@@ -0,0 +1,73 @@
+// Payload validation for realtime events (realtime/validate.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { validate } from "../realtime/validate.js";
+
+const schema = {
+  to: { type: "object", required: true, fields: { id: { type: "id", required: true } } },
+  increment: { type: "integer" },
+  stake: { type: "number" },
+  amount: { type: "number", min: 0 },
+  platform: { type: "string", enum: ["lichess", "chess.com"] },
+};
+
+test("coerces valid fields and keeps unknown keys", () => {
+  const { value, errors } = validate(schema, {
+    to: { id: "7", name: "opponent" },
+    increment: "0",
+    stake: "50",
+    platform: "lichess",
+    extra: true,
+  });
+
+  assert.equal(errors, null);
+  assert.deepEqual(value, {
+    to: { id: 7, name: "opponent" },
+    increment: 0,
+    stake: 50,
+    platform: "lichess",
+    extra: true,
+  });
+});
+
+test("reports missing required fields by path", () => {
+  assert.deepEqual(validate(schema, {}).errors, { to: "is required" });
+  assert.deepEqual(validate(schema, { to: {} }).errors, { "to.id": "is required" });
+});
+
+test("rejects ids that are not positive integers", () => {
+  for (const id of [0, -3, 1.5, "abc"]) {
+    assert.deepEqual(validate(schema, { to: { id } }).errors, {
+      "to.id": "must be a positive integer id",
+    });
+  }
+});
+
+test("numbers are positive unless a minimum is given", () => {
+  assert.deepEqual(validate(schema, { to: { id: 1 }, stake: 0 }).errors, {
+    stake: "must be a positive number",
+  });
+
+  const free = validate(schema, { to: { id: 1 }, amount: 0 });
+  assert.equal(free.errors, null);
+  assert.equal(free.value.amount, 0);
+
+  assert.deepEqual(validate(schema, { to: { id: 1 }, amount: -1 }).errors, {
+    amount: "must be a number of at least 0",
+  });
+});
+
+test("rejects strings outside the enum", () => {
+  assert.deepEqual(validate(schema, { to: { id: 1 }, platform: "chess24" }).errors, {
+    platform: "must be one of: lichess, chess.com",
+  });
+});
+
+test("rejects payloads that are not objects", () => {
+  for (const payload of [null, "challenge", [1, 2]]) {
+    assert.deepEqual(validate(schema, payload), {
+      value: {},
+      errors: { payload: "must be an object" },
+    });
+  }
+});
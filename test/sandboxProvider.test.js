@@ -0,0 +1,70 @@
+// Sandbox payment provider: phone-number scenarios and the callbacks they
+// produce, with automatic callbacks off so each test settles by hand
+import test from "node:test";
+import assert from "node:assert/strict";
+
+process.env.SANDBOX_AUTO_CALLBACKS = "false";
+process.env.SANDBOX_CALLBACK_MODE = "inprocess";
+process.env.SANDBOX_FAILURE_RATE = "0";
+const { default: SandboxProvider } = await import("../services/providers/SandboxProvider.js");
+
+function sandbox() {
+  const provider = new SandboxProvider();
+  const delivered = [];
+  provider.callbackHandler = async (payload) => {
+    delivered.push(provider.parseCallback(payload));
+    return { success: true };
+  };
+  return { provider, delivered };
+}
+
+const request = (requestId, phoneNumber) => ({
+  requestId,
+  phoneNumber,
+  amount: 100,
+  narration: "test",
+});
+
+test("a successful deposit completes with a transaction reference", async () => {
+  const { provider, delivered } = sandbox();
+  const started = await provider.initiateDeposit(request("DEP_1", "+254712345678"));
+  assert.equal(started.accepted, true);
+  assert.equal((await provider.queryStatus("DEP_1")).status, "pending");
+
+  await provider.resolve("DEP_1");
+  assert.equal(delivered.length, 1);
+  assert.equal(delivered[0].requestId, "DEP_1");
+  assert.equal(delivered[0].status, "completed");
+  assert.ok(delivered[0].transactionReference);
+});
+
+test("failure scenarios are picked from the phone number", async () => {
+  const { provider, delivered } = sandbox();
+  await provider.initiateDeposit(request("DEP_FUNDS", "+254712345000"));
+  await provider.initiateDeposit(request("DEP_CANCEL", "+254712345111"));
+
+  await provider.resolve("DEP_FUNDS", "failed");
+  await provider.resolve("DEP_CANCEL", "failed");
+
+  assert.deepEqual(
+    delivered.map(({ requestId, status, providerStatus }) => ({ requestId, status, providerStatus })),
+    [
+      { requestId: "DEP_FUNDS", status: "failed", providerStatus: "FAILED" },
+      { requestId: "DEP_CANCEL", status: "failed", providerStatus: "5008" },
+    ]
+  );
+});
+
+test("rejected requests throw like a provider error response", async () => {
+  const { provider } = sandbox();
+  await assert.rejects(provider.initiateWithdrawal(request("PAY_1", "+254712345888")), (error) => {
+    assert.equal(error.response.status, 400);
+    return true;
+  });
+  assert.equal((await provider.queryStatus("PAY_1")).providerStatus, "NOT_FOUND");
+});
+
+test("resolving an unknown transaction fails", async () => {
+  const { provider } = sandbox();
+  await assert.rejects(provider.resolve("NOPE"), /Unknown sandbox transaction/);
+});
@@ -0,0 +1,61 @@
+/**
+ * HMAC signing for payment provider callbacks
+ * Signature = hex(HMAC-SHA256(secret, `${timestamp}.${rawBody}`))
+ * Shared by the callback middleware, the sandbox provider and the fake ONIT sender
+ */
+
+import crypto from 'crypto';
+
+export const SIGNATURE_HEADER = 'x-onit-signature';
+export const TIMESTAMP_HEADER = 'x-onit-timestamp';
+
+/**
+ * Sign a raw callback body
+ * @param {string} secret - Shared secret
+ * @param {number|string} timestamp - Unix time in seconds
+ * @param {string|Buffer} rawBody - Exact bytes that will be sent
+ */
+export function signPayload(secret, timestamp, rawBody) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.`)
+    .update(rawBody)
+    .digest('hex');
+}
+
+/**
+ * Constant-time comparison of a received signature against the expected one
+ * Accepts an optional "sha256=" prefix on the received value
+ */
+export function signaturesMatch(expected, received) {
+  if (!expected || !received) return false;
+
+  const cleaned = received.trim().replace(/^sha256=/i, '');
+  const expectedBuf = Buffer.from(expected, 'hex');
+  const receivedBuf = Buffer.from(cleaned, 'hex');
+
+  if (expectedBuf.length === 0 || expectedBuf.length !== receivedBuf.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(expectedBuf, receivedBuf);
+}
+
+/**
+ * Build the headers for a signed callback request
+ */
+export function buildSignedHeaders(secret, rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+  return {
+    'Content-Type': 'application/json',
+    [SIGNATURE_HEADER]: signPayload(secret, timestamp, rawBody),
+    [TIMESTAMP_HEADER]: String(timestamp),
+  };
+}
+
+export default {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  signPayload,
+  signaturesMatch,
+  buildSignedHeaders,
+};
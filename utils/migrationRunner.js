@@ -21,6 +21,25 @@ class MigrationRunner {
       "add_rating_columns_v3.sql", // Ultra simple rating columns migration
       "add_transaction_id_column.sql", // Fix missing transaction_id column
       "add_transaction_id_column_v2.sql", // Hotfix for production
+      "create_ledger_tables.sql", // Double-entry ledger (users.balance becomes a cache)
+      "create_challenge_escrows.sql", // Per-challenge escrow lifecycle
+      "create_idempotency_keys.sql", // Idempotent payouts/refunds
+      "create_callback_security_tables.sql", // Signed ONIT callbacks + rejection log
+      "create_payment_reconciliation.sql", // Stale payment reconciler + admin flag
+      "add_platform_fee_transaction_type.sql", // Platform fee (rake) rows in payments
+      "create_wallet_holds.sql", // Wallet-funded challenge stakes
+      "add_wallet_withdrawal_holds.sql", // Holds for in-flight wallet withdrawals
+      "create_wallet_adjustments.sql", // Admin balance adjustments audit trail
+      "add_match_check_schedule.sql", // Persisted per-match result check schedules
+      "add_match_verification.sql", // Games that failed verification wait for review
+      "create_match_disputes.sql", // Dispute window before payouts + disputes/evidence
+      "create_manual_result_reports.sql", // Two-party confirmation for manual results
+      "create_match_game_records.sql", // PGN and game metadata for completed matches
+      "create_user_ratings.sql", // Internal Elo ratings and rating history
+      "create_job_queue.sql", // Durable payment/callback/withdrawal job queue
+      "add_job_queue_dead_letters.sql", // Dead-letter error history, resolution + audit trail
+      "create_socket_presence.sql", // Cross-instance presence + Socket.IO adapter attachments
+      "add_idempotency_needs_review.sql", // Expired in-progress keys wait for review
       // Temporarily removing problematic migrations to fix startup
       // "add_payment_columns_migration.sql", // REMOVED - causing issues
       // "add_match_result_column.sql", // REMOVED - causing issues